@@ -16,7 +16,31 @@ const userRoutes = require('./routes/userRoutes')
 const formsRoutes = require('./routes/formsRoutes')
 const branchRoutes = require('./routes/branchRoutes')
 const stocksGasProxyRoutes = require('./routes/stocksGasProxy')
+const stockRoutes = require('./routes/stockRoutes')
 const announcementRoutes = require('./routes/announcementRoutes')
+const quotationRoutes = require('./routes/quotationRoutes')
+const jobCardRoutes = require('./routes/jobCardRoutes')
+const bookingRoutes = require('./routes/bookingRoutes')
+const outboxRoutes = require('./routes/outboxRoutes')
+const integrationRoutes = require('./routes/integrationRoutes')
+const documentRoutes = require('./routes/documentRoutes')
+const fileRoutes = require('./routes/fileRoutes')
+const exportRoutes = require('./routes/exportRoutes')
+const customerRoutes = require('./routes/customerRoutes')
+const vehicleRoutes = require('./routes/vehicleRoutes')
+const pricingRoutes = require('./routes/pricingRoutes')
+const discountRoutes = require('./routes/discountRoutes')
+const serviceReminderRoutes = require('./routes/serviceReminderRoutes')
+const whatsappRoutes = require('./routes/whatsappRoutes')
+const notificationRoutes = require('./routes/notificationRoutes')
+const leadRoutes = require('./routes/leadRoutes')
+const analyticsRoutes = require('./routes/analyticsRoutes')
+const dashboardRoutes = require('./routes/dashboardRoutes')
+const { startOutboxWorker } = require('./utils/outbox')
+const { startServiceReminderWorker } = require('./utils/serviceDue')
+const { startLeadEscalationWorker } = require('./utils/leads')
+const { startDashboardWorker } = require('./utils/dashboard')
+const { startStockSnapshotWorker } = require('./utils/stocksGas')
 const cors = require('cors')
 
 
@@ -53,7 +77,13 @@ app.use(cors({
 // Increase body size limit to allow PDF base64 uploads from Booking form
 // Default increased to 25mb to avoid intermittent 413s on some devices
 const bodyLimit = process.env.JSON_BODY_LIMIT || '25mb'
-app.use(express.json({ limit: bodyLimit }))
+app.use(express.json({
+  limit: bodyLimit,
+  // The WhatsApp webhook signature is computed over the exact bytes Meta sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/whatsapp/webhook')) req.rawBody = buf
+  },
+}))
 app.use(express.urlencoded({ extended: true, limit: bodyLimit }))
 // Basic health checks
 app.get('/', (req, res) => res.status(200).send('OK'))
@@ -63,11 +93,40 @@ app.use('/api/users', userRoutes)
 app.use('/api/forms', formsRoutes)
 app.use('/api/branches', branchRoutes)
 app.use('/api/stocks/gas', stocksGasProxyRoutes)
+app.use('/api/stocks', stockRoutes)
 app.use('/api/announcements', announcementRoutes)
+app.use('/api/quotations', quotationRoutes)
+app.use('/api/jobcards', jobCardRoutes)
+app.use('/api/bookings', bookingRoutes)
+app.use('/api/outbox', outboxRoutes)
+app.use('/api/integrations', integrationRoutes)
+app.use('/api/documents', documentRoutes)
+app.use('/api/files', fileRoutes)
+app.use('/api/exports', exportRoutes)
+app.use('/api/customers', customerRoutes)
+app.use('/api/vehicles', vehicleRoutes)
+app.use('/api/pricing', pricingRoutes)
+app.use('/api/discounts', discountRoutes)
+app.use('/api/service-reminders', serviceReminderRoutes)
+app.use('/api/whatsapp', whatsappRoutes)
+app.use('/api/notifications', notificationRoutes)
+app.use('/api/leads', leadRoutes)
+app.use('/api/analytics', analyticsRoutes)
+app.use('/api/dashboard', dashboardRoutes)
 
 
 
 const PORT = parseInt(process.env.PORT || '8082', 10)
 app.listen(PORT, () => {
   console.log(`server running on port ${PORT}`)
+  // Background delivery of queued Google Form / Apps Script submissions
+  startOutboxWorker()
+  // Next-service due dates and customer reminders
+  startServiceReminderWorker()
+  // Overdue lead follow-ups go to the branch manager
+  startLeadEscalationWorker()
+  // Daily KPI rollups behind /api/dashboard
+  startDashboardWorker()
+  // Stored copy of the stock sheet, served while Apps Script is down (STOCKS_SOURCE=gas)
+  startStockSnapshotWorker()
 })
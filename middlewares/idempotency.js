@@ -0,0 +1,119 @@
+const crypto = require('crypto')
+const IdempotencyKey = require('../models/idempotencyKeyModel')
+
+// Client keys (Idempotency-Key header) are honoured for a day; serial-derived keys
+// keep the old 10 minute "double click on Save/Print" window.
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10) || 24) * 60 * 60 * 1000
+const IMPLICIT_TTL_MS = 10 * 60 * 1000
+// An in-progress record older than this is treated as abandoned (crashed request)
+const STALE_IN_PROGRESS_MS = 2 * 60 * 1000
+const MAX_KEY_LENGTH = 255
+const IGNORED_BODY_KEYS = new Set(['token', 'tokenkey', 'userId'])
+
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort()
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`
+}
+
+function hashBody(body) {
+  const clean = {}
+  if (body && typeof body === 'object') {
+    for (const [k, v] of Object.entries(body)) if (!IGNORED_BODY_KEYS.has(k)) clean[k] = v
+  }
+  return crypto.createHash('sha256').update(stableStringify(clean)).digest('hex')
+}
+
+/**
+ * Idempotency-Key handling backed by the IdempotencyKey collection.
+ *   router.post('/quotation', idempotency('forms:quotation'), handler)
+ *
+ * - First request with a key runs normally; its response (status < 500) is stored.
+ * - A retry with the same key and body gets the stored response replayed, status included.
+ * - The same key with a different body gets 409.
+ * - scope may be a function of req (e.g. one scope per :kind on a shared route).
+ * - options.implicitKey(req) may derive a key when the header is absent (e.g. the
+ *   document serial). Only a 2xx answer is kept for those; a repeat of a stored save is
+ *   answered with duplicateSuppressed instead of 409, and any other outcome frees the serial.
+ */
+module.exports = function idempotency(scopeOption, options = {}) {
+  // retried: the first attempt found an expired/stale record and deleted it; a second one is not cleared again
+  return async function handle(req, res, next, retried = false) {
+    const scope = typeof scopeOption === 'function' ? scopeOption(req) : scopeOption
+    const headerKey = String(req.get('Idempotency-Key') || '').trim()
+    const implicitRaw = !headerKey && typeof options.implicitKey === 'function' ? options.implicitKey(req) : null
+    const key = headerKey || (implicitRaw ? `serial:${implicitRaw}` : '')
+    if (!key) return next()
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ success: false, message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` })
+    }
+    const implicit = !headerKey
+    const requestHash = hashBody(req.body)
+    const now = Date.now()
+
+    let record
+    try {
+      record = await IdempotencyKey.create({
+        scope,
+        key,
+        implicit,
+        requestHash,
+        status: 'in-progress',
+        expiresAt: new Date(now + (implicit ? IMPLICIT_TTL_MS : KEY_TTL_MS)),
+      })
+    } catch (err) {
+      if (err?.code !== 11000) {
+        // Never block a save because the idempotency store is unavailable
+        console.warn('idempotency store unavailable', scope, err?.message || err)
+        return next()
+      }
+      const existing = await IdempotencyKey.findOne({ scope, key }).lean().catch(() => null)
+      if (!existing) return next()
+      if (existing.expiresAt && new Date(existing.expiresAt).getTime() < now) {
+        // Expired but not yet reaped by the TTL monitor: start over once, then run unguarded
+        if (retried) return next()
+        await IdempotencyKey.deleteOne({ _id: existing._id }).catch(() => {})
+        return handle(req, res, next, true)
+      }
+      // Serial-derived keys only ever hold a successful save; anything else was released
+      if (implicit && existing.status === 'completed') {
+        const prior = existing.responseBody && typeof existing.responseBody === 'object' ? existing.responseBody : {}
+        res.set('Idempotent-Replayed', 'true')
+        return res.status(existing.responseStatus || 200).json({ ...prior, success: true, duplicateSuppressed: true, message: 'Duplicate save suppressed' })
+      }
+      if (!implicit && existing.requestHash !== requestHash) {
+        return res.status(409).json({ success: false, message: 'Idempotency-Key was already used with a different request body' })
+      }
+      if (existing.status !== 'completed') {
+        const startedAt = new Date(existing.createdAt || 0).getTime()
+        if (now - startedAt > STALE_IN_PROGRESS_MS && !retried) {
+          await IdempotencyKey.deleteOne({ _id: existing._id, status: 'in-progress' }).catch(() => {})
+          return handle(req, res, next, true)
+        }
+        res.set('Retry-After', '5')
+        const message = implicit ? 'This document is still being saved; try again shortly' : 'A request with this Idempotency-Key is still in progress'
+        return res.status(409).json({ success: false, message })
+      }
+      res.set('Idempotent-Replayed', 'true')
+      return res.status(existing.responseStatus || 200).json(existing.responseBody)
+    }
+
+    // Capture the JSON response so retries can replay it. A client key keeps any answer below 500
+    // (replayed with its status); a serial-derived key keeps only 2xx, so a corrected retry is not swallowed.
+    const originalJson = res.json.bind(res)
+    res.json = (body) => {
+      const status = res.statusCode
+      const keep = implicit ? status >= 200 && status < 300 : status < 500
+      const done = keep
+        ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: status, responseBody: body, completedAt: new Date() } }
+        )
+        : IdempotencyKey.deleteOne({ _id: record._id })
+      done.catch((e) => console.warn('idempotency record update failed', scope, e?.message || e))
+      return originalJson(body)
+    }
+    return next()
+  }
+}
@@ -0,0 +1,26 @@
+const User = require('../models/userModel')
+
+// Role guard factory, mounted after authMiddleware:
+//   router.get('/x', auth, requireRole('admin', 'owner', 'backend'), handler)
+// Attaches the loaded user (role/name/branches) as req.user for the handler.
+module.exports = function requireRole(...roles) {
+  const allowed = new Set(roles.map((r) => String(r).toLowerCase()))
+  return async function (req, res, next) {
+    try {
+      const userId = String(req.userId || '')
+      if (!/^[0-9a-fA-F]{24}$/.test(userId)) {
+        return res.status(401).send({ success: false, message: 'Unauthorized' })
+      }
+      const user = await User.findById(userId).select('role name email phone primaryBranch branches')
+      const role = String(user?.role || '').toLowerCase()
+      if (!allowed.has(role)) {
+        return res.status(403).send({ success: false, message: `Forbidden: ${roles.join('/')} only` })
+      }
+      req.user = user
+      return next()
+    } catch (err) {
+      console.error('requireRole error', err)
+      return res.status(401).send({ success: false, message: 'Unauthorized' })
+    }
+  }
+}
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const BOOKING_STATUS_OPTIONS = ['booked', 'delivered', 'cancelled']
+const PAYMENT_MODE_OPTIONS = ['cash', 'upi', 'card', 'finance', 'bank-transfer', 'cheque']
+const DISCOUNT_APPROVAL_STATUS_OPTIONS = ['not-required', 'pending', 'approved', 'rejected']
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100
+
+const receiptSchema = new Schema(
+  {
+    receiptNo: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: [0.01, 'Receipt amount must be positive'] },
+    mode: { type: String, enum: PAYMENT_MODE_OPTIONS, required: true },
+    // UPI ref / card slip / cheque no / financier + loan no
+    reference: { type: String, trim: true },
+    financier: { type: String, trim: true },
+    receivedAt: { type: Date, required: true, default: Date.now },
+    receivedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String, trim: true },
+  },
+  { _id: true, timestamps: { createdAt: true, updatedAt: false } }
+)
+
+const refundSchema = new Schema(
+  {
+    refundNo: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: [0.01, 'Refund amount must be positive'] },
+    mode: { type: String, enum: PAYMENT_MODE_OPTIONS, required: true },
+    reference: { type: String, trim: true },
+    reason: { type: String, trim: true },
+    refundedAt: { type: Date, required: true, default: Date.now },
+    refundedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: true, timestamps: { createdAt: true, updatedAt: false } }
+)
+
+const bookingSchema = new Schema(
+  {
+    bookingNo: { type: String, required: true, unique: true, trim: true },
+
+    quotation: { type: Schema.Types.ObjectId, ref: 'Quotation' },
+    quotationNo: { type: String, trim: true },
+
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    staff: { type: Schema.Types.ObjectId, ref: 'User' },
+    staffName: { type: String, trim: true },
+
+    customer: {
+      name: { type: String, required: true, trim: true },
+      mobile: { type: String, required: true, trim: true, match: [/^\d{10}$/, 'customer.mobile must be 10 digits'] },
+      email: { type: String, trim: true, lowercase: true },
+      address: { type: String, trim: true },
+    },
+    // Customer master record (utils/customers.js links it by mobile)
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+
+    vehicle: {
+      model: { type: String, required: true, trim: true },
+      variant: { type: String, trim: true },
+      colour: { type: String, trim: true },
+    },
+
+    // Agreed on-road amount the customer owes in total
+    totalAmount: { type: Number, required: true, min: 0 },
+    // Discount already taken off totalAmount; checked against discount limits
+    discount: { type: Number, min: 0, default: 0 },
+    // Discount above the creator's limit waits for approval (utils/discounts.js)
+    discountApproval: {
+      status: { type: String, enum: DISCOUNT_APPROVAL_STATUS_OPTIONS, default: 'not-required' },
+      request: { type: Schema.Types.ObjectId, ref: 'DiscountApproval' },
+      approvedAmount: { type: Number, min: 0 },
+      decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+      decidedAt: { type: Date },
+    },
+    receipts: [receiptSchema],
+    refunds: [refundSchema],
+    // Derived in pre('validate') so lists can filter/sort on them
+    paidAmount: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+
+    expectedDeliveryDate: { type: Date },
+    status: { type: String, enum: BOOKING_STATUS_OPTIONS, default: 'booked' },
+    deliveredAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    cancelReason: { type: String, trim: true },
+
+    notes: { type: String, trim: true },
+    formValues: { type: Schema.Types.Mixed },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  // Receipts/refunds/cancel are guarded $inc updates that bump __v; a save() from a stale copy then fails
+  { timestamps: true, optimisticConcurrency: true }
+)
+
+bookingSchema.index({ branch: 1, createdAt: -1 })
+bookingSchema.index({ branchCode: 1, status: 1 })
+bookingSchema.index({ staff: 1, createdAt: -1 })
+bookingSchema.index({ quotation: 1 })
+bookingSchema.index({ 'customer.mobile': 1 })
+bookingSchema.index({ customerId: 1, createdAt: -1 })
+bookingSchema.index({ status: 1, balanceDue: -1 })
+bookingSchema.index({ 'receipts.receiptNo': 1 }, { unique: true, sparse: true })
+bookingSchema.index({ 'refunds.refundNo': 1 }, { unique: true, sparse: true })
+
+// Keep running totals in sync with receipts/refunds. A cancelled booking owes nothing.
+bookingSchema.pre('validate', function (next) {
+  const paid = (this.receipts || []).reduce((sum, r) => sum + (Number(r.amount) || 0), 0)
+  const refunded = (this.refunds || []).reduce((sum, r) => sum + (Number(r.amount) || 0), 0)
+  this.paidAmount = round2(paid)
+  this.refundedAmount = round2(refunded)
+  this.balanceDue = this.status === 'cancelled' ? 0 : round2((Number(this.totalAmount) || 0) - paid + refunded)
+  next()
+})
+
+// Money still held for the customer (what can be refunded)
+bookingSchema.virtual('netPaid').get(function () {
+  return round2((this.paidAmount || 0) - (this.refundedAmount || 0))
+})
+
+bookingSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Booking = mongoose.model('Booking', bookingSchema)
+
+module.exports = Booking
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const CONVERSATION_STATUS_OPTIONS = ['open', 'resolved']
+
+// One WhatsApp thread per customer number, routed to the branch that last served the customer
+const conversationSchema = new Schema(
+  {
+    // E.164 without "+" (normalizeE164NoPlus), the key Meta uses as wa_id
+    waId: { type: String, required: true, unique: true, trim: true },
+    profileName: { type: String, trim: true },
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    assignedTo: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    status: { type: String, enum: CONVERSATION_STATUS_OPTIONS, default: 'open' },
+    unreadCount: { type: Number, default: 0, min: 0 },
+    lastMessageAt: { type: Date },
+    lastMessagePreview: { type: String, trim: true },
+    lastDirection: { type: String, enum: ['inbound', 'outbound'] },
+    // Free-form replies are only allowed within 24 hours of this (WhatsApp customer service window)
+    lastInboundAt: { type: Date },
+
+    resolvedAt: { type: Date },
+    resolvedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+conversationSchema.index({ status: 1, branchCode: 1, lastMessageAt: -1 })
+conversationSchema.index({ customerId: 1 })
+
+conversationSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Conversation = mongoose.model('Conversation', conversationSchema)
+
+module.exports = Conversation
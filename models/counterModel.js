@@ -0,0 +1,21 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// One document per (docType, branch, period). `seq` is the last number handed out.
+const counterSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    docType: { type: String, required: true, trim: true },
+    branchCode: { type: String, required: true, trim: true, uppercase: true },
+    period: { type: String, required: true, trim: true },
+    seq: { type: Number, required: true, default: 0 },
+  },
+  { timestamps: true }
+)
+
+counterSchema.index({ docType: 1, branchCode: 1, period: 1 })
+
+const Counter = mongoose.model('Counter', counterSchema)
+
+module.exports = Counter
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const STOCK_STATUS_OPTIONS = ['in-stock', 'in-transit', 'sold']
+
+// Where each chassis is now; rebuilt from the StockMovement ledger by utils/stocks.js, never edited directly
+const currentStockSchema = new Schema(
+  {
+    chassisNo: { type: String, required: true, unique: true, trim: true, uppercase: true },
+    engineNo: { type: String, trim: true, uppercase: true },
+    model: { type: String, trim: true },
+    variant: { type: String, trim: true },
+    colour: { type: String, trim: true },
+
+    status: { type: String, enum: STOCK_STATUS_OPTIONS, required: true },
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    // In transit: the branch it is on its way to
+    toBranchCode: { type: String, trim: true, uppercase: true },
+    // Arrival at the current branch (inward, transfer-in or return)
+    inStockSince: { type: Date },
+    soldAt: { type: Date },
+
+    lastMovementId: { type: String, trim: true },
+    lastMovementType: { type: String, trim: true },
+    lastMovementAt: { type: Date },
+    movementCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+)
+
+currentStockSchema.index({ branchCode: 1, status: 1, model: 1 })
+currentStockSchema.index({ status: 1, toBranchCode: 1 })
+
+currentStockSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const CurrentStock = mongoose.model('CurrentStock', currentStockSchema)
+
+module.exports = CurrentStock
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const MOBILE_MATCH = [/^\d{10}$/, 'mobile must be 10 digits']
+
+const alternateContactSchema = new Schema(
+  {
+    name: { type: String, trim: true },
+    mobile: { type: String, required: true, trim: true, match: MOBILE_MATCH },
+    relation: { type: String, trim: true },
+  },
+  { _id: false }
+)
+
+// Consent per channel: undefined = not asked yet, false = opted out
+const consentSchema = new Schema(
+  {
+    whatsapp: { type: Boolean },
+    sms: { type: Boolean },
+    email: { type: Boolean },
+    calls: { type: Boolean },
+    updatedAt: { type: Date },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: false }
+)
+
+// One customer per normalized 10-digit mobile; quotations, job cards and bookings link via customerId
+const customerSchema = new Schema(
+  {
+    mobile: { type: String, required: true, unique: true, trim: true, match: MOBILE_MATCH },
+    name: { type: String, required: true, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    address: { type: String, trim: true },
+    alternateContacts: { type: [alternateContactSchema], default: [] },
+    consent: { type: consentSchema, default: () => ({}) },
+    notes: { type: String, trim: true },
+
+    // Where we first/last dealt with them (any branch)
+    firstBranch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    firstBranchCode: { type: String, trim: true, uppercase: true },
+    lastBranch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    lastBranchCode: { type: String, trim: true, uppercase: true },
+    lastInteractionAt: { type: Date },
+    lastInteractionType: { type: String, trim: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+customerSchema.index({ 'alternateContacts.mobile': 1 })
+customerSchema.index({ name: 1 })
+customerSchema.index({ lastBranchCode: 1, lastInteractionAt: -1 })
+
+customerSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Customer = mongoose.model('Customer', customerSchema)
+
+module.exports = Customer
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+/**
+ * One branch's operational numbers for one IST day, precomputed by utils/dashboard.js so the
+ * owner dashboard reads a handful of small documents instead of aggregating live data.
+ * Flow figures (opened, collected, ...) add up over a range; snapshot figures (inWorkshop,
+ * stock.onHand, staff) are the state at the end of the day and are not summed.
+ */
+const dailyRollupSchema = new Schema(
+  {
+    // IST calendar day, YYYY-MM-DD
+    date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD'] },
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    // '' for records without a branch
+    branchCode: { type: String, trim: true, uppercase: true, default: '' },
+
+    jobCards: {
+      opened: { type: Number, default: 0 },
+      closed: { type: Number, default: 0 },
+      cancelled: { type: Number, default: 0 },
+      // Final amount of the job cards closed (delivered) that day
+      revenue: { type: Number, default: 0 },
+      // Snapshot: received and neither delivered nor cancelled by the end of the day
+      inWorkshop: { type: Number, default: 0 },
+    },
+    bookings: {
+      created: { type: Number, default: 0 },
+      value: { type: Number, default: 0 },
+      delivered: { type: Number, default: 0 },
+      cancelled: { type: Number, default: 0 },
+    },
+    collections: {
+      receipts: { type: Number, default: 0 },
+      receiptCount: { type: Number, default: 0 },
+      refunds: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+      byMode: { type: Map, of: Number, default: {} },
+    },
+    // Snapshot; only recorded while the day is current (the source has no history)
+    stock: {
+      onHand: { type: Number },
+      source: { type: String, trim: true },
+      at: { type: Date },
+    },
+    // Snapshot from User.lastLoginAt; only recorded while the day is current
+    staff: {
+      active: { type: Number },
+      loggedIn: { type: Number },
+    },
+
+    computedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+)
+
+dailyRollupSchema.index({ date: 1, branchCode: 1 }, { unique: true })
+dailyRollupSchema.index({ branchCode: 1, date: -1 })
+
+dailyRollupSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const DailyRollup = mongoose.model('DailyRollup', dailyRollupSchema)
+
+module.exports = DailyRollup
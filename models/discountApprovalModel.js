@@ -0,0 +1,62 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const DISCOUNT_DOC_TYPE_OPTIONS = ['quotation', 'booking']
+const APPROVAL_STATUS_OPTIONS = ['pending', 'approved', 'rejected', 'superseded']
+
+// One request per over-limit discount; a new discount on the same document supersedes the pending one
+const discountApprovalSchema = new Schema(
+  {
+    docType: { type: String, enum: DISCOUNT_DOC_TYPE_OPTIONS, required: true },
+    docId: { type: Schema.Types.ObjectId, required: true },
+    docNo: { type: String, trim: true },
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    customerName: { type: String, trim: true },
+    vehicleModel: { type: String, trim: true },
+
+    amount: { type: Number, required: true, min: 0 },
+    // Price before discount and the discount as a percentage of it
+    baseAmount: { type: Number, min: 0 },
+    percent: { type: Number, min: 0 },
+    limit: {
+      maxAmount: { type: Number },
+      maxPercent: { type: Number },
+      role: { type: String },
+      branchCode: { type: String },
+    },
+
+    requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    requestedByName: { type: String, trim: true },
+    requestReason: { type: String, trim: true },
+
+    // Branch manager when there is one (and they did not ask); otherwise any owner
+    approver: { type: Schema.Types.ObjectId, ref: 'User' },
+    approverRole: { type: String, enum: ['manager', 'owner'], required: true },
+
+    status: { type: String, enum: APPROVAL_STATUS_OPTIONS, default: 'pending' },
+    decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    decidedByName: { type: String, trim: true },
+    decidedAt: { type: Date },
+    decisionReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+)
+
+discountApprovalSchema.index({ docType: 1, docId: 1, createdAt: -1 })
+discountApprovalSchema.index({ status: 1, approver: 1, createdAt: -1 })
+discountApprovalSchema.index({ status: 1, branchCode: 1, createdAt: -1 })
+
+discountApprovalSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const DiscountApproval = mongoose.model('DiscountApproval', discountApprovalSchema)
+
+module.exports = DiscountApproval
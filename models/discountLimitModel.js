@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+/**
+ * Largest discount a role may give without approval. role "*" / branchCode "" apply to every
+ * role / branch; the most specific row wins (role+branch, role, branch, default).
+ * A discount above either maxAmount or maxPercent needs approval.
+ */
+const discountLimitSchema = new Schema(
+  {
+    role: { type: String, required: true, trim: true, lowercase: true, default: '*' },
+    branchCode: { type: String, trim: true, uppercase: true, default: '' },
+    maxAmount: { type: Number, min: 0 },
+    maxPercent: { type: Number, min: 0, max: 100 },
+    notes: { type: String, trim: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+discountLimitSchema.index({ role: 1, branchCode: 1 }, { unique: true })
+
+discountLimitSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const DiscountLimit = mongoose.model('DiscountLimit', discountLimitSchema)
+
+module.exports = DiscountLimit
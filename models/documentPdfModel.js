@@ -0,0 +1,42 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const DOCUMENT_TYPE_OPTIONS = ['quotation', 'jobcard', 'booking', 'receipt']
+
+// Last rendered PDF of a document. Served as-is while the source document,
+// its branch and the template are unchanged, so every device gets the same file.
+const documentPdfSchema = new Schema(
+  {
+    docType: { type: String, enum: DOCUMENT_TYPE_OPTIONS, required: true },
+    docNo: { type: String, required: true, trim: true },
+    refModel: { type: String, trim: true },
+    refId: { type: Schema.Types.ObjectId },
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    // source updatedAt + branch updatedAt + template version; a mismatch triggers a re-render
+    sourceStamp: { type: String, required: true },
+    sha256: { type: String, required: true },
+    size: { type: Number, required: true },
+    data: { type: Buffer, required: true, select: false },
+    generatedAt: { type: Date, required: true, default: Date.now },
+    generatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    regenerations: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+)
+
+documentPdfSchema.index({ docType: 1, docNo: 1 }, { unique: true })
+
+documentPdfSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    delete ret.data
+    return ret
+  },
+})
+
+const DocumentPdf = mongoose.model('DocumentPdf', documentPdfSchema)
+
+module.exports = DocumentPdf
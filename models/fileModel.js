@@ -0,0 +1,51 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const REF_MODEL_OPTIONS = ['Quotation', 'JobCard', 'Booking']
+const FILE_PURPOSE_OPTIONS = ['document', 'vehicle-photo', 'id-proof', 'invoice', 'other']
+
+// Metadata of an uploaded file; the bytes live in the storage backend (utils/fileStorage.js)
+const fileSchema = new Schema(
+  {
+    originalName: { type: String, required: true, trim: true },
+    mimeType: { type: String, required: true, trim: true, lowercase: true },
+    size: { type: Number, required: true, min: 1 },
+    sha256: { type: String, required: true },
+    purpose: { type: String, enum: FILE_PURPOSE_OPTIONS, default: 'document' },
+
+    storage: { type: String, required: true, trim: true },
+    storageKey: { type: String, required: true, trim: true },
+    // Backend link when it has one (e.g. Drive webViewLink); downloads still go through the API
+    externalLink: { type: String, trim: true },
+
+    // Owning document
+    refModel: { type: String, enum: REF_MODEL_OPTIONS },
+    refId: { type: Schema.Types.ObjectId, refPath: 'refModel' },
+    refNo: { type: String, trim: true },
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+
+    uploadedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    deletedAt: { type: Date },
+    deletedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+fileSchema.index({ refModel: 1, refId: 1, createdAt: -1 })
+fileSchema.index({ refNo: 1 })
+fileSchema.index({ sha256: 1, refId: 1 })
+
+fileSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    delete ret.storageKey
+    return ret
+  },
+})
+
+const File = mongoose.model('File', fileSchema)
+
+module.exports = File
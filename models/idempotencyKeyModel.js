@@ -0,0 +1,28 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const idempotencyKeySchema = new Schema(
+  {
+    // Route scope (e.g. forms:quotation) + client key; unique together
+    scope: { type: String, required: true, trim: true },
+    key: { type: String, required: true, trim: true },
+    // true when the key was derived from the document serial rather than sent by the client
+    implicit: { type: Boolean, default: false },
+    requestHash: { type: String, required: true },
+    status: { type: String, enum: ['in-progress', 'completed'], default: 'in-progress' },
+    responseStatus: { type: Number },
+    responseBody: { type: Schema.Types.Mixed },
+    completedAt: { type: Date },
+    // Mongo TTL monitor removes the record once this passes
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+)
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true })
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema)
+
+module.exports = IdempotencyKey
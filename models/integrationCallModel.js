@@ -0,0 +1,32 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const AUDIT_TTL_DAYS = parseInt(process.env.INTEGRATION_AUDIT_TTL_DAYS || '90', 10) || 90
+
+// One row per outbound call to an IntegrationTarget (proxy reads, writes and outbox deliveries)
+const integrationCallSchema = new Schema(
+  {
+    target: { type: Schema.Types.ObjectId, ref: 'IntegrationTarget' },
+    targetName: { type: String, required: true, trim: true },
+    method: { type: String, uppercase: true },
+    action: { type: String, trim: true },
+    // Route or worker that made the call (e.g. forms:booking-webhook, outbox)
+    source: { type: String, trim: true },
+    ok: { type: Boolean, required: true },
+    httpStatus: { type: Number },
+    durationMs: { type: Number },
+    error: { type: String, trim: true },
+    userId: { type: Schema.Types.ObjectId, ref: 'User' },
+    ip: { type: String, trim: true },
+    outboxId: { type: Schema.Types.ObjectId, ref: 'OutboxMessage' },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+)
+
+integrationCallSchema.index({ targetName: 1, createdAt: -1 })
+integrationCallSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_TTL_DAYS * 24 * 60 * 60 })
+
+const IntegrationCall = mongoose.model('IntegrationCall', integrationCallSchema)
+
+module.exports = IntegrationCall
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const HTTP_METHOD_OPTIONS = ['GET', 'POST']
+const SECRET_LOCATION_OPTIONS = ['header', 'query', 'body']
+
+// Secret injected into every call. Apps Script cannot read request headers,
+// so secrets can also travel as a query parameter or a body field.
+const secretSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    value: { type: String, required: true },
+    in: { type: String, enum: SECRET_LOCATION_OPTIONS, default: 'header' },
+  },
+  { _id: false }
+)
+
+const integrationTargetSchema = new Schema(
+  {
+    // Clients reference targets by this name (e.g. "booking-sheet")
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9_-]{1,62}$/, 'name may contain a-z, 0-9, "-" and "_" (2-63 chars)'],
+    },
+    description: { type: String, trim: true },
+    url: { type: String, required: true, trim: true },
+    allowedMethods: {
+      type: [{ type: String, enum: HTTP_METHOD_OPTIONS, uppercase: true }],
+      default: ['GET', 'POST'],
+    },
+    defaultHeaders: { type: Map, of: String, default: {} },
+    // Never returned by default queries; load with .select('+secrets')
+    secrets: { type: [secretSchema], select: false, default: [] },
+    active: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+integrationTargetSchema.index({ url: 1 })
+
+integrationTargetSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    // Only expose where secrets go, never their values
+    if (Array.isArray(ret.secrets)) ret.secrets = ret.secrets.map((s) => ({ name: s.name, in: s.in }))
+    return ret
+  },
+})
+
+const IntegrationTarget = mongoose.model('IntegrationTarget', integrationTargetSchema)
+
+module.exports = IntegrationTarget
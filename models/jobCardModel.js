@@ -0,0 +1,119 @@
+const mongoose = require('mongoose')
+const { normalizeVehicleId } = require('../utils/normalize')
+
+const { Schema } = mongoose
+
+const JOB_CARD_STATES = ['received', 'estimated', 'in-progress', 'waiting-parts', 'ready', 'delivered', 'cancelled']
+const MIRROR_STATUS_OPTIONS = ['skipped', 'pending', 'submitted', 'failed']
+
+const transitionSchema = new Schema(
+  {
+    from: { type: String, enum: JOB_CARD_STATES },
+    to: { type: String, enum: JOB_CARD_STATES, required: true },
+    at: { type: Date, required: true, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, trim: true },
+  },
+  { _id: false }
+)
+
+const jobCardSchema = new Schema(
+  {
+    jcNo: { type: String, required: true, unique: true, trim: true },
+
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    customer: {
+      name: { type: String, required: true, trim: true },
+      mobile: { type: String, required: true, trim: true, match: [/^\d{10}$/, 'customer.mobile must be 10 digits'] },
+    },
+    // Customer master record (utils/customers.js links it by mobile)
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+
+    vehicle: {
+      regNo: { type: String, trim: true, uppercase: true },
+      model: { type: String, trim: true },
+      chassisNo: { type: String, trim: true, uppercase: true },
+      odometer: { type: Number, min: 0 },
+      // Derived in pre('validate'): normalizeVehicleId of regNo/chassisNo, for exact indexed lookups
+      regKey: { type: String },
+      chassisKey: { type: String },
+    },
+    // Vehicle registry record (utils/vehicles.js links it by chassis/reg number)
+    vehicleId: { type: Schema.Types.ObjectId, ref: 'Vehicle' },
+
+    serviceType: { type: String, trim: true },
+    complaints: { type: String, trim: true },
+    estimate: {
+      amount: { type: Number, min: 0 },
+      notes: { type: String, trim: true },
+    },
+    finalAmount: { type: Number, min: 0 },
+    expectedDeliveryAt: { type: Date },
+
+    // Mechanic must be one of Branch.mechanics (checked in utils/jobCards)
+    mechanic: { type: Schema.Types.ObjectId, ref: 'User' },
+    mechanicName: { type: String, trim: true },
+    assignedAt: { type: Date },
+
+    // State machine; see utils/jobCards.js for the allowed transitions
+    status: { type: String, enum: JOB_CARD_STATES, default: 'received' },
+    // Latest time each state was entered (history keeps every transition)
+    receivedAt: { type: Date, default: Date.now },
+    estimatedAt: { type: Date },
+    inProgressAt: { type: Date },
+    waitingPartsAt: { type: Date },
+    readyAt: { type: Date },
+    deliveredAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, trim: true },
+    history: [transitionSchema],
+
+    googleForm: {
+      formId: { type: String, trim: true },
+      status: { type: String, enum: MIRROR_STATUS_OPTIONS, default: 'skipped' },
+      submittedAt: { type: Date },
+      error: { type: String, trim: true },
+      outboxId: { type: Schema.Types.ObjectId, ref: 'OutboxMessage' },
+    },
+    formValues: { type: Schema.Types.Mixed },
+  },
+  // Two people moving the same card at once: the save from the stale copy fails instead of overwriting
+  { timestamps: true, optimisticConcurrency: true }
+)
+
+jobCardSchema.index({ branch: 1, status: 1, createdAt: -1 })
+jobCardSchema.index({ branchCode: 1, status: 1 })
+jobCardSchema.index({ mechanic: 1, status: 1 })
+jobCardSchema.index({ 'customer.mobile': 1 })
+jobCardSchema.index({ customerId: 1, createdAt: -1 })
+jobCardSchema.index({ 'vehicle.regKey': 1 })
+jobCardSchema.index({ 'vehicle.chassisKey': 1 })
+jobCardSchema.index({ vehicleId: 1, receivedAt: -1 })
+
+// Numbers typed as "KA-01 AB 1234" and "ka01ab1234" get the same key
+jobCardSchema.pre('validate', function (next) {
+  this.set('vehicle.regKey', normalizeVehicleId(this.vehicle?.regNo) || undefined)
+  this.set('vehicle.chassisKey', normalizeVehicleId(this.vehicle?.chassisNo) || undefined)
+  next()
+})
+
+jobCardSchema.virtual('isOpen').get(function () {
+  return this.status !== 'delivered' && this.status !== 'cancelled'
+})
+
+jobCardSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const JobCard = mongoose.model('JobCard', jobCardSchema)
+
+module.exports = JobCard
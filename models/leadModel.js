@@ -0,0 +1,94 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const LEAD_STAGE_OPTIONS = ['new', 'contacted', 'test-ride', 'negotiating', 'won', 'lost']
+const LOST_REASON_OPTIONS = ['price', 'competitor', 'finance-rejected', 'postponed', 'not-interested', 'unreachable', 'quotation-cancelled', 'other']
+const FOLLOW_UP_TYPE_OPTIONS = ['call', 'visit', 'test-ride', 'whatsapp']
+const FOLLOW_UP_STATUS_OPTIONS = ['pending', 'done', 'cancelled']
+
+const stageEventSchema = new Schema(
+  {
+    from: { type: String, enum: LEAD_STAGE_OPTIONS },
+    to: { type: String, enum: LEAD_STAGE_OPTIONS, required: true },
+    at: { type: Date, required: true, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, trim: true },
+  },
+  { _id: false }
+)
+
+const followUpSchema = new Schema(
+  {
+    dueAt: { type: Date, required: true },
+    type: { type: String, enum: FOLLOW_UP_TYPE_OPTIONS, default: 'call' },
+    note: { type: String, trim: true },
+    assignedTo: { type: Schema.Types.ObjectId, ref: 'User' },
+    status: { type: String, enum: FOLLOW_UP_STATUS_OPTIONS, default: 'pending' },
+    doneAt: { type: Date },
+    doneBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    outcome: { type: String, trim: true },
+    // Set once when the follow-up went overdue and the branch manager was told
+    escalatedAt: { type: Date },
+    escalatedTo: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+// Sales lead opened for every quotation; won when it is booked, lost with a reason
+const leadSchema = new Schema(
+  {
+    quotation: { type: Schema.Types.ObjectId, ref: 'Quotation', required: true, unique: true },
+    quotationNo: { type: String, trim: true },
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+    customer: {
+      name: { type: String, trim: true },
+      mobile: { type: String, trim: true },
+    },
+    vehicle: {
+      model: { type: String, trim: true },
+      variant: { type: String, trim: true },
+    },
+    onRoadPrice: { type: Number, min: 0 },
+
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    // Quoting staff member; new follow-ups go to them
+    owner: { type: Schema.Types.ObjectId, ref: 'User' },
+    ownerName: { type: String, trim: true },
+
+    stage: { type: String, enum: LEAD_STAGE_OPTIONS, default: 'new' },
+    stageHistory: { type: [stageEventSchema], default: [] },
+    lostReason: { type: String, enum: LOST_REASON_OPTIONS },
+    lostNote: { type: String, trim: true },
+    wonAt: { type: Date },
+    lostAt: { type: Date },
+    booking: { type: Schema.Types.ObjectId, ref: 'Booking' },
+    bookingNo: { type: String, trim: true },
+
+    followUps: { type: [followUpSchema], default: [] },
+    // Earliest pending follow-up (kept in sync by utils/leads.js) for list sorting
+    nextFollowUpAt: { type: Date },
+  },
+  { timestamps: true }
+)
+
+leadSchema.index({ stage: 1, branchCode: 1, nextFollowUpAt: 1 })
+leadSchema.index({ owner: 1, stage: 1 })
+leadSchema.index({ customerId: 1, createdAt: -1 })
+leadSchema.index({ 'followUps.status': 1, 'followUps.dueAt': 1 })
+leadSchema.index({ 'followUps.assignedTo': 1, 'followUps.status': 1, 'followUps.dueAt': 1 })
+
+leadSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Lead = mongoose.model('Lead', leadSchema)
+
+module.exports = Lead
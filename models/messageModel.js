@@ -0,0 +1,99 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// Outbound: text/template/document/image; inbound may be anything WhatsApp lets a customer send
+const MESSAGE_TYPE_OPTIONS = [
+  'text', 'template', 'document', 'image',
+  'audio', 'video', 'sticker', 'location', 'contacts', 'interactive', 'button', 'reaction', 'unsupported',
+]
+// accepted = taken by the Cloud API; sent..failed arrive through /api/whatsapp/webhook; received = inbound
+const MESSAGE_STATUS_OPTIONS = ['accepted', 'sent', 'delivered', 'read', 'failed', 'received']
+const MESSAGE_REF_OPTIONS = ['Quotation', 'JobCard', 'Booking', 'ServiceDue', 'Customer']
+
+const statusEventSchema = new Schema(
+  {
+    status: { type: String, enum: MESSAGE_STATUS_OPTIONS, required: true },
+    at: { type: Date, required: true },
+    error: { type: String, trim: true },
+  },
+  { _id: false }
+)
+
+// One WhatsApp message: outbound with its delivery status as reported by Meta, or inbound from a customer
+const messageSchema = new Schema(
+  {
+    channel: { type: String, default: 'whatsapp' },
+    direction: { type: String, enum: ['outbound', 'inbound'], default: 'outbound' },
+    // E.164 without "+"; inbound messages have `from` = customer and `to` = our business number
+    to: { type: String, required: true, trim: true },
+    from: { type: String, trim: true },
+    conversation: { type: Schema.Types.ObjectId, ref: 'Conversation' },
+    type: { type: String, enum: MESSAGE_TYPE_OPTIONS, required: true },
+
+    text: { type: String },
+    template: {
+      name: { type: String, trim: true },
+      language: { type: String, trim: true },
+      params: { type: [String], default: undefined },
+    },
+    media: {
+      link: { type: String, trim: true },
+      mediaId: { type: String, trim: true },
+      filename: { type: String, trim: true },
+      caption: { type: String },
+      mimeType: { type: String, trim: true },
+    },
+    // Inbound extras (location, reply context, raw payload for types we do not render)
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+      name: { type: String, trim: true },
+      address: { type: String, trim: true },
+    },
+    replyTo: { type: String, trim: true },
+    payload: { type: Schema.Types.Mixed },
+
+    // wamid.* returned by the Cloud API; webhook statuses are matched on it
+    waMessageId: { type: String, trim: true },
+    status: { type: String, enum: MESSAGE_STATUS_OPTIONS, required: true },
+    statusHistory: { type: [statusEventSchema], default: [] },
+    sentAt: { type: Date },
+    deliveredAt: { type: Date },
+    readAt: { type: Date },
+    failedAt: { type: Date },
+    error: {
+      code: { type: String, trim: true },
+      message: { type: String, trim: true },
+    },
+
+    // What the message was about (e.g. the quotation PDF sent to the customer)
+    refModel: { type: String, enum: MESSAGE_REF_OPTIONS },
+    refId: { type: Schema.Types.ObjectId },
+    refNo: { type: String, trim: true },
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+    sentBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+messageSchema.index({ waMessageId: 1 }, { unique: true, partialFilterExpression: { waMessageId: { $type: 'string' } } })
+messageSchema.index({ refModel: 1, refId: 1, createdAt: -1 })
+messageSchema.index({ refNo: 1, createdAt: -1 })
+messageSchema.index({ to: 1, createdAt: -1 })
+messageSchema.index({ from: 1, createdAt: -1 })
+messageSchema.index({ conversation: 1, createdAt: -1 })
+messageSchema.index({ status: 1, createdAt: -1 })
+
+messageSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Message = mongoose.model('Message', messageSchema)
+
+module.exports = Message
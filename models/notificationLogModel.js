@@ -0,0 +1,48 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const DELIVERY_STATUS_OPTIONS = ['sent', 'failed', 'skipped']
+
+// One delivery attempt of one event to one recipient on one channel
+const notificationLogSchema = new Schema(
+  {
+    event: { type: String, required: true, trim: true },
+    channel: { type: String, enum: ['email', 'whatsapp', 'inapp'], required: true },
+    audience: { type: String, enum: ['user', 'customer'], required: true },
+    // Stored template id; empty when the built-in template was used
+    template: { type: Schema.Types.ObjectId, ref: 'NotificationTemplate' },
+    user: { type: Schema.Types.ObjectId, ref: 'User' },
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+    to: { type: String, trim: true },
+    subject: { type: String, trim: true },
+    status: { type: String, enum: DELIVERY_STATUS_OPTIONS, required: true },
+    error: { type: String, trim: true },
+    // Message (WhatsApp log), Notification (in-app) or SMTP message id
+    deliveryId: { type: String, trim: true },
+    refModel: { type: String, trim: true },
+    refId: { type: Schema.Types.ObjectId },
+    refNo: { type: String, trim: true },
+    raisedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+notificationLogSchema.index({ event: 1, createdAt: -1 })
+notificationLogSchema.index({ status: 1, createdAt: -1 })
+notificationLogSchema.index({ user: 1, createdAt: -1 })
+notificationLogSchema.index({ customerId: 1, createdAt: -1 })
+notificationLogSchema.index({ refModel: 1, refId: 1 })
+
+notificationLogSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema)
+
+module.exports = NotificationLog
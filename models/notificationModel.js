@@ -0,0 +1,33 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// In-app notification shown to a user
+const notificationSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    event: { type: String, required: true, trim: true },
+    title: { type: String, trim: true },
+    body: { type: String, required: true },
+    link: { type: String, trim: true },
+    refModel: { type: String, trim: true },
+    refId: { type: Schema.Types.ObjectId },
+    readAt: { type: Date },
+  },
+  { timestamps: true }
+)
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 })
+
+notificationSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Notification = mongoose.model('Notification', notificationSchema)
+
+module.exports = Notification
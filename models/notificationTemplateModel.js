@@ -0,0 +1,49 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const NOTIFICATION_CHANNEL_OPTIONS = ['email', 'whatsapp', 'inapp']
+const NOTIFICATION_AUDIENCE_OPTIONS = ['user', 'customer']
+
+/**
+ * How one event is worded on one channel for one audience. subject/body use {{path}}
+ * placeholders into the event data (e.g. {{jobCard.jcNo}}). A stored template replaces the
+ * built-in one with the same event/channel/audience; active: false switches it off.
+ */
+const notificationTemplateSchema = new Schema(
+  {
+    event: { type: String, required: true, trim: true, lowercase: true },
+    channel: { type: String, enum: NOTIFICATION_CHANNEL_OPTIONS, required: true },
+    audience: { type: String, enum: NOTIFICATION_AUDIENCE_OPTIONS, required: true, default: 'customer' },
+    subject: { type: String, trim: true },
+    body: { type: String, required: true },
+    // In-app link (e.g. /jobcards/{{jobCard.jcNo}})
+    link: { type: String, trim: true },
+    // Approved WhatsApp template to use instead of free text (needed outside the 24-hour window)
+    whatsappTemplate: {
+      name: { type: String, trim: true },
+      language: { type: String, trim: true },
+      params: { type: [String], default: undefined },
+    },
+    // Users with these roles also receive the event (audience "user" only)
+    roles: { type: [String], default: undefined },
+    active: { type: Boolean, default: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+notificationTemplateSchema.index({ event: 1, channel: 1, audience: 1 }, { unique: true })
+
+notificationTemplateSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const NotificationTemplate = mongoose.model('NotificationTemplate', notificationTemplateSchema)
+
+module.exports = NotificationTemplate
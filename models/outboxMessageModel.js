@@ -0,0 +1,70 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const OUTBOX_KIND_OPTIONS = ['google-form', 'webhook']
+// pending -> processing -> delivered | retrying (-> processing ...) | dead; admins can discard
+const OUTBOX_STATUS_OPTIONS = ['pending', 'processing', 'retrying', 'delivered', 'dead', 'discarded']
+
+const attemptSchema = new Schema(
+  {
+    at: { type: Date, required: true },
+    durationMs: { type: Number },
+    ok: { type: Boolean, required: true },
+    httpStatus: { type: Number },
+    error: { type: String, trim: true },
+  },
+  { _id: false }
+)
+
+const outboxMessageSchema = new Schema(
+  {
+    kind: { type: String, enum: OUTBOX_KIND_OPTIONS, required: true },
+    // google-form: formId; webhook: absolute URL
+    target: { type: String, required: true, trim: true },
+    // webhook: IntegrationTarget name; URL, headers and secrets are resolved at delivery time
+    integration: { type: String, trim: true, lowercase: true },
+    method: { type: String, default: 'POST', uppercase: true },
+    headers: { type: Schema.Types.Mixed },
+    payload: { type: Schema.Types.Mixed },
+
+    // What produced it (quotation/jobcard/booking) and the document to update on delivery
+    source: { type: String, trim: true },
+    serial: { type: String, trim: true },
+    refModel: { type: String, trim: true },
+    refId: { type: Schema.Types.ObjectId },
+
+    status: { type: String, enum: OUTBOX_STATUS_OPTIONS, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 8 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date },
+    lastError: { type: String, trim: true },
+    lastHttpStatus: { type: Number },
+    attemptLog: [attemptSchema],
+    // Truncated response body from the successful delivery (what the client would have received)
+    response: { type: Schema.Types.Mixed },
+    deliveredAt: { type: Date },
+    discardedAt: { type: Date },
+    discardedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 })
+outboxMessageSchema.index({ source: 1, serial: 1 })
+outboxMessageSchema.index({ createdAt: -1 })
+
+outboxMessageSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema)
+
+module.exports = OutboxMessage
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const PRICE_LIST_STATUS_OPTIONS = ['draft', 'active', 'archived']
+
+// A selectable add-on (insurance plan, extended warranty plan, accessory)
+const optionSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true, uppercase: true },
+    name: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    // insurance/EW: picked when the quote does not name one; accessories: always included
+    isDefault: { type: Boolean, default: false },
+  },
+  { _id: false }
+)
+
+// Road tax + registration for a state: ratePercent of ex-showroom plus a fixed amount
+const rtoRuleSchema = new Schema(
+  {
+    state: { type: String, required: true, trim: true, uppercase: true },
+    ratePercent: { type: Number, min: 0, default: 0 },
+    fixed: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+)
+
+// One sellable model/variant/colour; an empty variant/colour applies to all of them
+const priceItemSchema = new Schema(
+  {
+    model: { type: String, required: true, trim: true },
+    variant: { type: String, trim: true, default: '' },
+    colour: { type: String, trim: true, default: '' },
+    exShowroom: { type: Number, required: true, min: 0 },
+    handling: { type: Number, min: 0, default: 0 },
+    // Per-state amounts that replace the list's rtoRules for this item
+    rto: { type: [rtoRuleSchema], default: [] },
+    insurance: { type: [optionSchema], default: [] },
+    extendedWarranty: { type: [optionSchema], default: [] },
+    accessories: { type: [optionSchema], default: [] },
+  },
+  { _id: false }
+)
+
+// Versioned price list; exactly one is active and quotations record the version they used
+const priceListSchema = new Schema(
+  {
+    version: { type: Number, required: true, unique: true, min: 1 },
+    name: { type: String, required: true, trim: true },
+    status: { type: String, enum: PRICE_LIST_STATUS_OPTIONS, default: 'draft' },
+    effectiveFrom: { type: Date },
+    // State used when neither the quote nor the branch address names one
+    defaultState: { type: String, trim: true, uppercase: true },
+    rtoRules: { type: [rtoRuleSchema], default: [] },
+    items: { type: [priceItemSchema], default: [] },
+    notes: { type: String, trim: true },
+
+    activatedAt: { type: Date },
+    activatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    archivedAt: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+priceListSchema.index({ status: 1, version: -1 })
+
+priceListSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const PriceList = mongoose.model('PriceList', priceListSchema)
+
+module.exports = PriceList
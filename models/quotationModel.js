@@ -0,0 +1,142 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const QUOTATION_STATUS_OPTIONS = ['active', 'converted', 'cancelled']
+const MIRROR_STATUS_OPTIONS = ['skipped', 'pending', 'submitted', 'failed']
+const DISCOUNT_APPROVAL_STATUS_OPTIONS = ['not-required', 'pending', 'approved', 'rejected']
+
+const priceSchema = new Schema(
+  {
+    exShowroom: { type: Number, min: 0, default: 0 },
+    rto: { type: Number, min: 0, default: 0 },
+    insurance: { type: Number, min: 0, default: 0 },
+    extendedWarranty: { type: Number, min: 0, default: 0 },
+    accessories: { type: Number, min: 0, default: 0 },
+    handling: { type: Number, min: 0, default: 0 },
+    otherCharges: { type: Number, min: 0, default: 0 },
+    discount: { type: Number, min: 0, default: 0 },
+    // Derived in pre('validate'): sum of components minus discount
+    onRoad: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+)
+
+const pricingLineSchema = new Schema(
+  {
+    component: { type: String, required: true },
+    code: { type: String, trim: true },
+    label: { type: String, trim: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+)
+
+const pricingSchema = new Schema(
+  {
+    priceList: { type: Schema.Types.ObjectId, ref: 'PriceList' },
+    version: { type: Number, required: true },
+    state: { type: String, trim: true },
+    selections: {
+      insurance: { type: String, trim: true },
+      extendedWarranty: { type: String, trim: true },
+      accessories: { type: [String], default: undefined },
+    },
+    lines: { type: [pricingLineSchema], default: [] },
+    computedAt: { type: Date },
+  },
+  { _id: false }
+)
+
+const quotationSchema = new Schema(
+  {
+    serialNo: { type: String, required: true, unique: true, trim: true },
+
+    // Where / who
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+    staff: { type: Schema.Types.ObjectId, ref: 'User' },
+    staffName: { type: String, trim: true },
+
+    customer: {
+      name: { type: String, required: true, trim: true },
+      mobile: { type: String, required: true, trim: true, match: [/^\d{10}$/, 'customer.mobile must be 10 digits'] },
+      email: { type: String, trim: true, lowercase: true },
+      address: { type: String, trim: true },
+    },
+    // Customer master record (utils/customers.js links it by mobile)
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+
+    vehicle: {
+      model: { type: String, required: true, trim: true },
+      variant: { type: String, trim: true },
+      colour: { type: String, trim: true },
+    },
+
+    price: { type: priceSchema, default: () => ({}) },
+    // Set when the price came from the price list (utils/pricing.js); absent = priced by hand
+    pricing: { type: pricingSchema },
+    // Discount above the creator's limit waits for approval (utils/discounts.js)
+    discountApproval: {
+      status: { type: String, enum: DISCOUNT_APPROVAL_STATUS_OPTIONS, default: 'not-required' },
+      request: { type: Schema.Types.ObjectId, ref: 'DiscountApproval' },
+      approvedAmount: { type: Number, min: 0 },
+      decidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+      decidedAt: { type: Date },
+    },
+    validUntil: { type: Date },
+    notes: { type: String, trim: true },
+
+    status: { type: String, enum: QUOTATION_STATUS_OPTIONS, default: 'active' },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    cancelReason: { type: String, trim: true },
+
+    // Google Form copy kept for the sheet while the DB is the source of truth
+    googleForm: {
+      formId: { type: String, trim: true },
+      status: { type: String, enum: MIRROR_STATUS_OPTIONS, default: 'skipped' },
+      submittedAt: { type: Date },
+      error: { type: String, trim: true },
+      outboxId: { type: Schema.Types.ObjectId, ref: 'OutboxMessage' },
+    },
+
+    // Raw form values as sent by the client (kept for re-printing/migrations)
+    formValues: { type: Schema.Types.Mixed },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+quotationSchema.index({ branch: 1, createdAt: -1 })
+quotationSchema.index({ branchCode: 1, createdAt: -1 })
+quotationSchema.index({ staff: 1, createdAt: -1 })
+quotationSchema.index({ status: 1, validUntil: 1 })
+quotationSchema.index({ 'customer.mobile': 1 })
+quotationSchema.index({ customerId: 1, createdAt: -1 })
+
+quotationSchema.virtual('isExpired').get(function () {
+  return this.status === 'active' && !!this.validUntil && this.validUntil.getTime() < Date.now()
+})
+
+quotationSchema.pre('validate', function (next) {
+  const p = this.price || {}
+  const gross = ['exShowroom', 'rto', 'insurance', 'extendedWarranty', 'accessories', 'handling', 'otherCharges']
+    .reduce((sum, k) => sum + (Number(p[k]) || 0), 0)
+  if (this.price) this.price.onRoad = Math.max(gross - (Number(p.discount) || 0), 0)
+  next()
+})
+
+quotationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Quotation = mongoose.model('Quotation', quotationSchema)
+
+module.exports = Quotation
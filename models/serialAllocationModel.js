@@ -0,0 +1,33 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const ALLOCATION_STATUS_OPTIONS = ['reserved', 'used', 'void']
+
+// Every number issued by a Counter gets exactly one allocation row, so the
+// audit can account for each value between 1 and the counter's current seq.
+const serialAllocationSchema = new Schema(
+  {
+    docType: { type: String, required: true, trim: true },
+    branchCode: { type: String, required: true, trim: true, uppercase: true },
+    period: { type: String, required: true, trim: true },
+    seq: { type: Number, required: true },
+    serial: { type: String, required: true, unique: true, trim: true },
+    status: { type: String, enum: ALLOCATION_STATUS_OPTIONS, required: true, default: 'reserved' },
+
+    mobile: { type: String, trim: true },
+    reservedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    usedAt: { type: Date },
+    voidedAt: { type: Date },
+    voidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    voidReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+)
+
+serialAllocationSchema.index({ docType: 1, branchCode: 1, period: 1, seq: 1 }, { unique: true })
+serialAllocationSchema.index({ docType: 1, branchCode: 1, period: 1, mobile: 1, status: 1 })
+
+const SerialAllocation = mongoose.model('SerialAllocation', serialAllocationSchema)
+
+module.exports = SerialAllocation
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const REMINDER_CHANNEL_OPTIONS = ['whatsapp', 'email']
+const REMINDER_STATUS_OPTIONS = ['sent', 'failed', 'skipped']
+
+// One attempt to remind the customer about one due service
+const reminderSchema = new Schema(
+  {
+    // Identifies the due service reminded about (label + due date), so a new cycle starts fresh
+    cycle: { type: String, required: true },
+    leadDays: { type: Number, required: true },
+    channel: { type: String, enum: REMINDER_CHANNEL_OPTIONS, required: true },
+    status: { type: String, enum: REMINDER_STATUS_OPTIONS, required: true },
+    to: { type: String, trim: true },
+    error: { type: String, trim: true },
+    at: { type: Date, required: true, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: false }
+)
+
+/**
+ * Next service due per vehicle, recomputed from job card history (utils/serviceDue.js).
+ * vehicleKey is the registry id, else the chassis or registration number typed on job cards.
+ */
+const serviceDueSchema = new Schema(
+  {
+    vehicleKey: { type: String, required: true, unique: true, trim: true },
+    vehicle: { type: Schema.Types.ObjectId, ref: 'Vehicle' },
+    regNo: { type: String, trim: true, uppercase: true },
+    chassisNo: { type: String, trim: true, uppercase: true },
+    model: { type: String, trim: true },
+
+    customer: {
+      name: { type: String, trim: true },
+      mobile: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
+    customerId: { type: Schema.Types.ObjectId, ref: 'Customer' },
+
+    // Branch that last serviced the vehicle owns the follow-up
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, trim: true, uppercase: true },
+
+    saleDate: { type: Date },
+    servicesDone: { type: Number, default: 0 },
+    lastServiceAt: { type: Date },
+    lastJobCardNo: { type: String, trim: true },
+    lastOdometer: { type: Number },
+    // Average usage from odometer readings, used to turn the km limit into a date
+    kmPerDay: { type: Number },
+
+    nextService: {
+      label: { type: String, trim: true },
+      dueDate: { type: Date },
+      dueKm: { type: Number },
+      // 'date' or 'km': which limit sets dueDate
+      basis: { type: String, trim: true },
+    },
+
+    reminders: { type: [reminderSchema], default: [] },
+    lastRemindedAt: { type: Date },
+    // Staff can push a reminder out (customer asked to be called later)
+    snoozedUntil: { type: Date },
+    computedAt: { type: Date },
+  },
+  { timestamps: true }
+)
+
+serviceDueSchema.index({ branchCode: 1, 'nextService.dueDate': 1 })
+serviceDueSchema.index({ 'nextService.dueDate': 1 })
+serviceDueSchema.index({ regNo: 1 })
+serviceDueSchema.index({ 'customer.mobile': 1 })
+
+serviceDueSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const ServiceDue = mongoose.model('ServiceDue', serviceDueSchema)
+
+module.exports = ServiceDue
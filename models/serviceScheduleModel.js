@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// A numbered service counted from the sale date (e.g. 1st free service at 30 days / 750 km)
+const scheduledServiceSchema = new Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    days: { type: Number, min: 0 },
+    km: { type: Number, min: 0 },
+  },
+  { _id: false }
+)
+
+/**
+ * Service schedule for a model; model "*" is the fallback for models without one.
+ * The first services follow `services`, after which every `repeatEveryDays` / `repeatEveryKm`.
+ * Whichever of date or km comes first makes the service due.
+ */
+const serviceScheduleSchema = new Schema(
+  {
+    model: { type: String, required: true, trim: true },
+    // Lowercased model for case-insensitive matching against free-text job cards
+    modelKey: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    services: { type: [scheduledServiceSchema], default: [] },
+    repeatEveryDays: { type: Number, min: 1, default: 120 },
+    repeatEveryKm: { type: Number, min: 1, default: 3000 },
+    active: { type: Boolean, default: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+serviceScheduleSchema.pre('validate', function (next) {
+  if (this.model) this.modelKey = String(this.model).trim().toLowerCase()
+  next()
+})
+
+serviceScheduleSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const ServiceSchedule = mongoose.model('ServiceSchedule', serviceScheduleSchema)
+
+module.exports = ServiceSchedule
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const VEHICLE_ID_MATCH = [/^[A-Z0-9]+$/, 'only letters and digits are allowed']
+const MOVEMENT_TYPE_OPTIONS = ['inward', 'transfer-out', 'transfer-in', 'sale', 'return']
+// pending: transfer-out waiting to be admitted at the other branch
+const MOVEMENT_STATUS_OPTIONS = ['completed', 'pending', 'rejected', 'voided']
+
+// Stock ledger: one entry per physical movement of a vehicle. The current stock
+// (CurrentStock) is derived by replaying the non-voided entries of a chassis in order.
+const stockMovementSchema = new Schema(
+  {
+    movementId: { type: String, required: true, unique: true, trim: true },
+    type: { type: String, enum: MOVEMENT_TYPE_OPTIONS, required: true },
+    status: { type: String, enum: MOVEMENT_STATUS_OPTIONS, default: 'completed' },
+    // When the vehicle physically moved (may be back-dated); ledger order is at, then createdAt
+    at: { type: Date, required: true, default: Date.now },
+
+    chassisNo: { type: String, required: true, trim: true, uppercase: true, match: VEHICLE_ID_MATCH },
+    engineNo: { type: String, trim: true, uppercase: true, match: VEHICLE_ID_MATCH },
+    model: { type: String, trim: true },
+    variant: { type: String, trim: true },
+    colour: { type: String, trim: true },
+
+    // Branch where the movement happens (the sending branch for a transfer-out)
+    branch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    branchCode: { type: String, required: true, trim: true, uppercase: true },
+    // Transfers: the other side
+    toBranch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    toBranchCode: { type: String, trim: true, uppercase: true },
+    fromBranchCode: { type: String, trim: true, uppercase: true },
+    // transfer-out <-> transfer-in
+    linkedMovementId: { type: String, trim: true },
+
+    // Supplier (inward), customer (sale/return) or transporter
+    party: { type: String, trim: true },
+    // Invoice / delivery challan / booking number
+    reference: { type: String, trim: true },
+    amount: { type: Number, min: 0 },
+    notes: { type: String, trim: true },
+
+    rejectedAt: { type: Date },
+    rejectReason: { type: String, trim: true },
+    voidedAt: { type: Date },
+    voidedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+
+    // Copy queued for the legacy stock sheet (STOCKS_GAS_MIRROR); movementId is the sheet's own id for this row
+    sheetMirror: {
+      outboxId: { type: Schema.Types.ObjectId, ref: 'OutboxMessage' },
+      queuedAt: { type: Date },
+      movementId: { type: String, trim: true },
+      deliveredAt: { type: Date },
+    },
+
+    // Raw fields as sent by the client (sheet-era payloads carry extra columns)
+    formValues: { type: Schema.Types.Mixed },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String, trim: true },
+  },
+  { timestamps: true }
+)
+
+stockMovementSchema.index({ chassisNo: 1, at: 1, createdAt: 1 })
+stockMovementSchema.index({ branchCode: 1, at: -1 })
+stockMovementSchema.index({ toBranchCode: 1, type: 1, status: 1 })
+stockMovementSchema.index({ type: 1, at: -1 })
+
+stockMovementSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema)
+
+module.exports = StockMovement
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+// Last good copy of a stock sheet read (action=current), served flagged as stale while Apps Script is unreachable
+const stockSnapshotSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    // Apps Script response as received ({ ok, data: [...], ... })
+    response: { type: Schema.Types.Mixed },
+    rowCount: { type: Number, default: 0 },
+    fetchedAt: { type: Date, required: true },
+    durationMs: { type: Number },
+    // Last refresh failure (the snapshot itself is kept)
+    lastError: { type: String, trim: true },
+    lastErrorAt: { type: Date },
+  },
+  { timestamps: true }
+)
+
+stockSnapshotSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const StockSnapshot = mongoose.model('StockSnapshot', stockSnapshotSchema)
+
+module.exports = StockSnapshot
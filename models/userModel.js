@@ -52,6 +52,13 @@ const userSchema = new Schema(
     status: { type: String, enum: STATUS_OPTIONS, default: 'active' },
     lastLoginAt: { type: Date },
     tokenInvalidAfter: { type: Date },
+    // Notification channels (false = off) and events the user does not want
+    notificationPrefs: {
+      email: { type: Boolean, default: true },
+      whatsapp: { type: Boolean, default: true },
+      inapp: { type: Boolean, default: true },
+      mutedEvents: { type: [String], default: undefined },
+    },
     metadata: { type: Schema.Types.Mixed },
   },
   { timestamps: true }
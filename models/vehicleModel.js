@@ -0,0 +1,69 @@
+const mongoose = require('mongoose')
+
+const { Schema } = mongoose
+
+const VEHICLE_ID_MATCH = [/^[A-Z0-9]+$/, 'only letters and digits are allowed']
+
+const ownershipSchema = new Schema(
+  {
+    customer: { type: Schema.Types.ObjectId, ref: 'Customer', required: true },
+    from: { type: Date, required: true, default: Date.now },
+    to: { type: Date },
+    by: { type: Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, trim: true },
+  },
+  { _id: false }
+)
+
+// One record per physical vehicle; identifiers are stored normalized (normalizeVehicleId)
+const vehicleSchema = new Schema(
+  {
+    chassisNo: { type: String, required: true, unique: true, trim: true, uppercase: true, match: VEHICLE_ID_MATCH },
+    engineNo: { type: String, trim: true, uppercase: true, match: VEHICLE_ID_MATCH },
+    // Assigned by the RTO after sale, so often filled in later
+    regNo: { type: String, trim: true, uppercase: true, match: VEHICLE_ID_MATCH },
+
+    model: { type: String, required: true, trim: true },
+    variant: { type: String, trim: true },
+    colour: { type: String, trim: true },
+
+    saleDate: { type: Date },
+    sellingBranch: { type: Schema.Types.ObjectId, ref: 'Branch' },
+    sellingBranchCode: { type: String, trim: true, uppercase: true },
+    booking: { type: Schema.Types.ObjectId, ref: 'Booking' },
+    bookingNo: { type: String, trim: true },
+
+    owner: { type: Schema.Types.ObjectId, ref: 'Customer' },
+    ownerHistory: { type: [ownershipSchema], default: [] },
+
+    // Standard warranty from the sale date; empty = use VEHICLE_WARRANTY_* defaults
+    warranty: {
+      months: { type: Number, min: 0 },
+      km: { type: Number, min: 0 },
+      extendedUntil: { type: Date },
+      extendedKm: { type: Number, min: 0 },
+    },
+
+    notes: { type: String, trim: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+)
+
+vehicleSchema.index({ engineNo: 1 }, { unique: true, partialFilterExpression: { engineNo: { $type: 'string' } } })
+vehicleSchema.index({ regNo: 1 }, { unique: true, partialFilterExpression: { regNo: { $type: 'string' } } })
+vehicleSchema.index({ owner: 1 })
+vehicleSchema.index({ sellingBranchCode: 1, saleDate: -1 })
+
+vehicleSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id
+    delete ret._id
+    delete ret.__v
+    return ret
+  },
+})
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema)
+
+module.exports = Vehicle
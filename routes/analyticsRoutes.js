@@ -0,0 +1,57 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { sendTable } = require('../utils/exports')
+const { conversionFunnel, lostReasonBreakdown, funnelColumns, lostReasonColumns } = require('../utils/analytics')
+
+router.use(auth, requireRole('admin', 'owner', 'backend'))
+
+function sendError(res, err, label, message) {
+  if (res.headersSent) {
+    console.error(`${label} mid-stream`, err)
+    return res.destroy(err)
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// JSON by default; ?format=csv|xlsx downloads the rows with the totals row last
+function respond(res, report, name, columns, format) {
+  if (!format) return res.json({ success: true, data: report })
+  return sendTable(res, name, { format, columns, rows: [...report.rows, report.totals] })
+}
+
+/**
+ * Quotation -> booking -> delivery conversion for quotations created in the range:
+ *   GET /api/analytics/funnel?from=2025-10-01&to=2025-12-31&groupBy=branch|staff|model|period|total&period=day|week|month&branchCode=BLR&model=Activa
+ * Range defaults to the last 90 days.
+ */
+router.get('/funnel', async (req, res) => {
+  try {
+    const { format, ...query } = req.query
+    const report = await conversionFunnel(query)
+    await respond(res, report, 'conversion-funnel', funnelColumns(query.groupBy), format)
+  } catch (err) {
+    return sendError(res, err, 'GET /analytics/funnel failed', 'Failed to build conversion funnel')
+  }
+})
+
+// Lost leads by reason, same range/groupBy/format options as /funnel (range is on lostAt)
+router.get('/lost-reasons', async (req, res) => {
+  try {
+    const { format, ...query } = req.query
+    const report = await lostReasonBreakdown(query)
+    await respond(res, report, 'lost-reasons', lostReasonColumns(query.groupBy), format)
+  } catch (err) {
+    return sendError(res, err, 'GET /analytics/lost-reasons failed', 'Failed to build lost-reason breakdown')
+  }
+})
+
+module.exports = router
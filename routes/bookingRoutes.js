@@ -0,0 +1,175 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const Booking = require('../models/bookingModel')
+const auth = require('../middlewares/authMiddleware')
+const { bookingPathsFromInput, createBooking, recordReceipt, recordRefund, cancelBooking, bookingListFilter } = require('../utils/bookings')
+const { normalizeString, toDate } = require('../utils/normalize')
+const { linkCustomer } = require('../utils/customers')
+const { prepareDiscountApproval, openDiscountApproval, assertDiscountCleared } = require('../utils/discounts')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'Booking/receipt number already exists' })
+  }
+  if (err?.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'Booking was changed by someone else; reload and try again' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message, code: err.code })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+function findByIdOrNo(idOrNo) {
+  const key = String(idOrNo || '').trim()
+  if (mongoose.Types.ObjectId.isValid(key)) return Booking.findById(key)
+  return Booking.findOne({ bookingNo: key })
+}
+
+function balanceOf(b) {
+  return {
+    bookingNo: b.bookingNo,
+    status: b.status,
+    totalAmount: b.totalAmount,
+    paidAmount: b.paidAmount,
+    refundedAmount: b.refundedAmount,
+    balanceDue: b.balanceDue,
+  }
+}
+
+// List bookings (filters: branch, branchCode, staff, status, from, to, mobile, hasDue, quotation, q)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query
+    const filter = bookingListFilter(req.query)
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Booking.find(filter).select('-formValues').sort({ createdAt: -1 }).skip(skip).limit(lim),
+      Booking.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /bookings failed', 'Failed to fetch bookings')
+  }
+})
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const item = await findByIdOrNo(req.params.id)
+    if (!item) return res.status(404).json({ success: false, message: 'Booking not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /bookings/:id failed', 'Failed to fetch booking')
+  }
+})
+
+// Amount due at a glance
+router.get('/:id/balance', auth, async (req, res) => {
+  try {
+    const item = await findByIdOrNo(req.params.id)
+    if (!item) return res.status(404).json({ success: false, message: 'Booking not found' })
+    return res.json({ success: true, data: balanceOf(item) })
+  } catch (err) {
+    return sendError(res, err, 'GET /bookings/:id/balance failed', 'Failed to fetch booking balance')
+  }
+})
+
+// Create from a quotation (quotationId/quotationNo) and/or explicit fields. Optional first advance: { advance: { amount, mode, reference } }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { booking } = await createBooking(req.body || {}, { userId: req.userId })
+    return res.status(201).json({ success: true, message: 'Booking created', data: booking })
+  } catch (err) {
+    return sendError(res, err, 'POST /bookings failed', 'Failed to create booking')
+  }
+})
+
+// Update details (amounts move only through receipts/refunds)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Booking not found' })
+    if (doc.status !== 'booked') {
+      return res.status(409).json({ success: false, message: `Booking is ${doc.status} and can no longer be edited` })
+    }
+    for (const [path, value] of Object.entries(bookingPathsFromInput(req.body || {}))) doc.set(path, value)
+    if (doc.isModified('customer.mobile')) await linkCustomer(doc, 'booking', { userId: req.userId })
+    const repriced = doc.isModified('discount') || doc.isModified('totalAmount')
+    const discountRequest = repriced ? await prepareDiscountApproval(doc, 'booking', { userId: req.userId, reason: req.body?.discountReason }) : null
+    await doc.save()
+    if (repriced) await openDiscountApproval(doc, 'booking', discountRequest)
+    return res.json({ success: true, message: 'Booking updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /bookings/:id failed', 'Failed to update booking')
+  }
+})
+
+// Add an advance receipt: { amount, mode, reference?, financier?, receivedAt?, notes? }
+router.post('/:id/receipts', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Booking not found' })
+    const { booking, receipt } = await recordReceipt(doc, req.body || {}, { userId: req.userId })
+    return res.status(201).json({ success: true, message: `Receipt ${receipt.receiptNo} recorded`, data: { receipt, balance: balanceOf(booking) } })
+  } catch (err) {
+    return sendError(res, err, 'POST /bookings/:id/receipts failed', 'Failed to record receipt')
+  }
+})
+
+// Add a refund entry: { amount, mode, reference?, reason? }
+router.post('/:id/refunds', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Booking not found' })
+    const { booking, refund } = await recordRefund(doc, req.body || {}, { userId: req.userId })
+    return res.status(201).json({ success: true, message: `Refund ${refund.refundNo} recorded`, data: { refund, balance: balanceOf(booking) } })
+  } catch (err) {
+    return sendError(res, err, 'POST /bookings/:id/refunds failed', 'Failed to record refund')
+  }
+})
+
+// Cancel with optional refund: { reason, refund?: { amount, mode, reference } }
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Booking not found' })
+    if (doc.status === 'delivered') return res.status(409).json({ success: false, message: 'Delivered bookings cannot be cancelled' })
+    if (doc.status === 'cancelled') return res.json({ success: true, message: 'Booking already cancelled', data: doc })
+    const reason = normalizeString(req.body?.reason)
+    if (!reason) return res.status(400).json({ success: false, message: 'reason is required' })
+    const { booking } = await cancelBooking(doc, { reason, refund: req.body?.refund, userId: req.userId })
+    return res.json({ success: true, message: 'Booking cancelled', data: booking })
+  } catch (err) {
+    return sendError(res, err, 'POST /bookings/:id/cancel failed', 'Failed to cancel booking')
+  }
+})
+
+// Mark delivered: { deliveredAt? }
+router.post('/:id/deliver', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Booking not found' })
+    if (doc.status !== 'booked') {
+      return res.status(409).json({ success: false, message: `Booking is ${doc.status}` })
+    }
+    assertDiscountCleared(doc, `Booking ${doc.bookingNo}`)
+    doc.status = 'delivered'
+    doc.deliveredAt = toDate(req.body?.deliveredAt) || new Date()
+    await doc.save()
+    return res.json({ success: true, message: 'Booking marked delivered', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /bookings/:id/deliver failed', 'Failed to mark booking delivered')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,164 @@
+const express = require('express')
+const router = express.Router()
+const Customer = require('../models/customerModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { customerHistory, backfillCustomerLinks } = require('../utils/customers')
+const { normalizeString, normalizeMobile10, isObjectId } = require('../utils/normalize')
+
+const CONSENT_CHANNELS = ['whatsapp', 'sms', 'email', 'calls']
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A customer with this mobile already exists' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// Accept either the Mongo id or the mobile number (any format normalizeMobile10 understands)
+function findByIdOrMobile(idOrMobile) {
+  const key = String(idOrMobile || '').trim()
+  if (isObjectId(key)) return Customer.findById(key)
+  const mobile = normalizeMobile10(key)
+  if (!mobile) return Promise.resolve(null)
+  return Customer.findOne({ mobile })
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function alternateContactsFromInput(list) {
+  if (!Array.isArray(list)) return undefined
+  return list.map((c) => ({
+    name: normalizeString(c?.name) || undefined,
+    mobile: normalizeMobile10(c?.mobile) || normalizeString(c?.mobile),
+    relation: normalizeString(c?.relation) || undefined,
+  }))
+}
+
+// Apply editable fields; consent changes are stamped with who/when
+function applyCustomerInput(doc, body, userId) {
+  for (const key of ['name', 'email', 'address', 'notes']) {
+    if (body[key] !== undefined) doc.set(key, normalizeString(body[key]) || undefined)
+  }
+  const alternates = alternateContactsFromInput(body.alternateContacts)
+  if (alternates) doc.alternateContacts = alternates
+  if (body.consent && typeof body.consent === 'object') {
+    let changed = false
+    for (const channel of CONSENT_CHANNELS) {
+      if (typeof body.consent[channel] !== 'boolean') continue
+      if (doc.consent?.[channel] === body.consent[channel]) continue
+      doc.set(`consent.${channel}`, body.consent[channel])
+      changed = true
+    }
+    if (changed) {
+      doc.set('consent.updatedAt', new Date())
+      doc.set('consent.updatedBy', userId)
+    }
+  }
+}
+
+// List customers (filters: q = name/mobile, mobile (also matches alternate contacts), branchCode = last branch)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { q, mobile, branchCode, limit = 50, page = 1 } = req.query
+    const filter = {}
+    if (branchCode) filter.lastBranchCode = String(branchCode).trim().toUpperCase()
+    const m = normalizeMobile10(mobile)
+    if (m) filter.$or = [{ mobile: m }, { 'alternateContacts.mobile': m }]
+    const term = normalizeString(q)
+    if (term) {
+      const rx = new RegExp(escapeRegex(term), 'i')
+      filter.$and = [{ $or: [{ name: rx }, { mobile: rx }, { email: rx }] }]
+    }
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Customer.find(filter).sort({ lastInteractionAt: -1 }).skip(skip).limit(lim),
+      Customer.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /customers failed', 'Failed to fetch customers')
+  }
+})
+
+// Link quotations, job cards and bookings saved before the customer master (admin)
+router.post('/backfill', auth, requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    const summary = await backfillCustomerLinks()
+    return res.json({ success: true, message: 'Customer links backfilled', data: summary })
+  } catch (err) {
+    return sendError(res, err, 'POST /customers/backfill failed', 'Failed to backfill customer links')
+  }
+})
+
+// Get one (by id or mobile)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const item = await findByIdOrMobile(req.params.id)
+    if (!item) return res.status(404).json({ success: false, message: 'Customer not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /customers/:id failed', 'Failed to fetch customer')
+  }
+})
+
+// Every quotation, job card and booking for the customer across branches, newest first
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const customer = await findByIdOrMobile(req.params.id)
+    if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' })
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000)
+    const history = await customerHistory(customer, { limit })
+    return res.json({ success: true, data: { customer, ...history } })
+  } catch (err) {
+    return sendError(res, err, 'GET /customers/:id/history failed', 'Failed to fetch customer history')
+  }
+})
+
+// Create. The mobile is the dedup key; an existing customer is a 409 carrying its id.
+router.post('/', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const mobile = normalizeMobile10(body.mobile)
+    if (!mobile) return res.status(400).json({ success: false, message: 'A valid 10-digit mobile is required' })
+    const existing = await Customer.findOne({ mobile }).select('_id')
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'A customer with this mobile already exists', id: existing._id })
+    }
+    const doc = new Customer({ mobile, createdBy: req.userId })
+    applyCustomerInput(doc, body, req.userId)
+    await doc.save()
+    return res.status(201).json({ success: true, message: 'Customer created', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /customers failed', 'Failed to create customer')
+  }
+})
+
+// Update details, alternate contacts and consent (the mobile itself is the key and does not change)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrMobile(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Customer not found' })
+    applyCustomerInput(doc, req.body || {}, req.userId)
+    await doc.save()
+    return res.json({ success: true, message: 'Customer updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /customers/:id failed', 'Failed to update customer')
+  }
+})
+
+module.exports = router
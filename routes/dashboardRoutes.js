@@ -0,0 +1,68 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { refreshRollups, dashboardSummary, dashboardDaily, staffActivity } = require('../utils/dashboard')
+
+router.use(auth, requireRole('admin', 'owner', 'backend'))
+
+function sendError(res, err, label, message) {
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+/**
+ * KPIs per branch from the daily rollups:
+ *   GET /api/dashboard?from=2025-10-01&to=2025-10-31&branchCode=BLR
+ * from/to are IST days and default to today. Flows (job cards, bookings, collections) are summed
+ * over the range; vehicles in workshop, stock on hand and staff logins are as of the last day.
+ * data.pending lists days not computed yet (filled in the background; reload shortly).
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, branchCode } = req.query
+    return res.json({ success: true, data: await dashboardSummary({ from, to, branchCode }) })
+  } catch (err) {
+    return sendError(res, err, 'GET /dashboard failed', 'Failed to load dashboard')
+  }
+})
+
+// Day-by-day series for charts, same filters
+router.get('/daily', async (req, res) => {
+  try {
+    const { from, to, branchCode } = req.query
+    const { items, pending } = await dashboardDaily({ from, to, branchCode })
+    return res.json({ success: true, data: { items, total: items.length, pending } })
+  } catch (err) {
+    return sendError(res, err, 'GET /dashboard/daily failed', 'Failed to load daily KPIs')
+  }
+})
+
+// Active staff by last login, most recent first: ?branchCode=BLR
+router.get('/staff-activity', async (req, res) => {
+  try {
+    const items = await staffActivity({ branchCode: req.query.branchCode })
+    return res.json({ success: true, data: { items, total: items.length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /dashboard/staff-activity failed', 'Failed to load staff activity')
+  }
+})
+
+// Recompute rollups, e.g. after a data fix or to backfill history: { from, to } (default today)
+router.post('/refresh', requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    const { from, to } = req.body || {}
+    const result = await refreshRollups({ from, to })
+    return res.json({ success: true, message: 'Dashboard rollups refreshed', data: result })
+  } catch (err) {
+    return sendError(res, err, 'POST /dashboard/refresh failed', 'Failed to refresh dashboard')
+  }
+})
+
+module.exports = router
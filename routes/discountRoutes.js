@@ -0,0 +1,147 @@
+const express = require('express')
+const router = express.Router()
+const DiscountLimit = require('../models/discountLimitModel')
+const DiscountApproval = require('../models/discountApprovalModel')
+const User = require('../models/userModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { discountLimitFor, decideDiscountApproval, approvalQueueFilter } = require('../utils/discounts')
+const { normalizeString, toAmount, isObjectId } = require('../utils/normalize')
+
+const ALL_ROLES = ['admin', 'mechanic', 'staff', 'employees', 'owner', 'backend', 'user']
+const canConfigure = requireRole('admin', 'owner')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A limit for this role and branch already exists' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// ---- Limits ----
+
+router.get('/limits', auth, async (req, res) => {
+  try {
+    const items = await DiscountLimit.find().sort({ role: 1, branchCode: 1 })
+    return res.json({ success: true, data: { items, total: items.length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /discounts/limits failed', 'Failed to fetch discount limits')
+  }
+})
+
+// The limit that applies to the signed-in user (or ?role=) at ?branchCode=
+router.get('/limits/effective', auth, async (req, res) => {
+  try {
+    let role = normalizeString(req.query.role).toLowerCase()
+    if (!role) role = (await User.findById(req.userId).select('role').lean())?.role
+    const limit = await discountLimitFor(role, req.query.branchCode)
+    return res.json({ success: true, data: limit })
+  } catch (err) {
+    return sendError(res, err, 'GET /discounts/limits/effective failed', 'Failed to resolve discount limit')
+  }
+})
+
+// Create or replace the limit for { role ("*" = any), branchCode ("" = any), maxAmount, maxPercent }
+router.put('/limits', auth, canConfigure, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const role = normalizeString(body.role).toLowerCase() || '*'
+    if (role !== '*' && !ALL_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `role must be "*" or one of ${ALL_ROLES.join(', ')}` })
+    }
+    const branchCode = normalizeString(body.branchCode).toUpperCase()
+    const maxAmount = toAmount(body.maxAmount)
+    const maxPercent = toAmount(body.maxPercent)
+    if (maxAmount === undefined && maxPercent === undefined) {
+      return res.status(400).json({ success: false, message: 'maxAmount or maxPercent is required' })
+    }
+    // Replaces the row: a dimension that is not sent is no longer limited
+    const doc = (await DiscountLimit.findOne({ role, branchCode })) || new DiscountLimit({ role, branchCode })
+    doc.maxAmount = maxAmount
+    doc.maxPercent = maxPercent
+    doc.notes = normalizeString(body.notes) || undefined
+    doc.updatedBy = req.userId
+    await doc.save()
+    return res.json({ success: true, message: 'Discount limit saved', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /discounts/limits failed', 'Failed to save discount limit')
+  }
+})
+
+router.delete('/limits/:id', auth, canConfigure, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const doc = await DiscountLimit.findByIdAndDelete(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Discount limit not found' })
+    return res.json({ success: true, message: 'Discount limit removed' })
+  } catch (err) {
+    return sendError(res, err, 'DELETE /discounts/limits/:id failed', 'Failed to remove discount limit')
+  }
+})
+
+// ---- Approvals ----
+
+// ?mine=true: requests waiting on the signed-in user. Otherwise filters: status, branchCode, docType, docId
+router.get('/approvals', auth, async (req, res) => {
+  try {
+    const { mine, status, branchCode, docType, docId, limit = 50, page = 1 } = req.query
+    let filter = {}
+    if (String(mine) === 'true') {
+      const user = await User.findById(req.userId).select('role').lean()
+      filter = approvalQueueFilter({ _id: req.userId, role: user?.role })
+    } else if (status) {
+      filter.status = status
+    }
+    if (branchCode) filter.branchCode = String(branchCode).trim().toUpperCase()
+    if (docType) filter.docType = docType
+    if (docId && isObjectId(docId)) filter.docId = docId
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      DiscountApproval.find(filter).sort({ createdAt: -1 }).skip(skip).limit(lim),
+      DiscountApproval.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /discounts/approvals failed', 'Failed to fetch approval requests')
+  }
+})
+
+router.get('/approvals/:id', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const item = await DiscountApproval.findById(req.params.id)
+    if (!item) return res.status(404).json({ success: false, message: 'Approval request not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /discounts/approvals/:id failed', 'Failed to fetch approval request')
+  }
+})
+
+// Approve / reject: { reason } (required to reject). Branch manager it was routed to, or an owner/admin.
+for (const [action, decision] of [['approve', 'approved'], ['reject', 'rejected']]) {
+  router.post(`/approvals/:id/${action}`, auth, async (req, res) => {
+    try {
+      if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+      const user = await User.findById(req.userId).select('role name').lean()
+      if (!user) return res.status(401).json({ success: false, message: 'Unauthorized' })
+      const item = await decideDiscountApproval(req.params.id, decision, { user, reason: req.body?.reason })
+      return res.json({ success: true, message: `Discount ${decision}`, data: item })
+    } catch (err) {
+      return sendError(res, err, `POST /discounts/approvals/:id/${action} failed`, `Failed to ${action} discount`)
+    }
+  })
+}
+
+module.exports = router
@@ -0,0 +1,81 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middlewares/authMiddleware')
+const { getDocumentPdf, verifyDocumentLink } = require('../utils/documents')
+
+function sendError(res, err, label, message) {
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+function requestBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`
+}
+
+// QR codes carry a signed, expiring link so customers can open their own document without logging in
+function authOrSignedLink(req, res, next) {
+  if (req.query.sig && verifyDocumentLink(req.params.type, req.params.number, req.query.sig, req.query.exp)) return next()
+  return auth(req, res, next)
+}
+
+function describe(type, result) {
+  const { record, number, publicUrl } = result
+  return {
+    docType: type,
+    docNo: number,
+    sha256: record.sha256,
+    size: record.size,
+    generatedAt: record.generatedAt,
+    regenerations: record.regenerations,
+    publicUrl,
+  }
+}
+
+function sendPdf(res, result, download) {
+  const filename = `${String(result.number).replace(/[^A-Za-z0-9_-]+/g, '-')}.pdf`
+  res.set('Content-Type', 'application/pdf')
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`)
+  res.set('ETag', `"${result.record.sha256}"`)
+  res.set('X-Document-Sha256', result.record.sha256)
+  return res.send(result.data)
+}
+
+// Download by number (document numbers contain "/", send them URL-encoded). ?download=1 forces a file save.
+router.get('/:type/:number/pdf', authOrSignedLink, async (req, res) => {
+  try {
+    const result = await getDocumentPdf(req.params.type, req.params.number, { userId: req.userId, baseUrl: requestBaseUrl(req) })
+    if (req.get('If-None-Match') === `"${result.record.sha256}"`) return res.status(304).end()
+    return sendPdf(res, result, ['1', 'true'].includes(String(req.query.download || '')))
+  } catch (err) {
+    return sendError(res, err, 'GET /documents/:type/:number/pdf failed', 'Failed to generate PDF')
+  }
+})
+
+// Force a fresh render (e.g. after letterhead/terms changes); ?download=1 returns the PDF instead of its details
+router.post('/:type/:number/regenerate', auth, async (req, res) => {
+  try {
+    const result = await getDocumentPdf(req.params.type, req.params.number, { force: true, userId: req.userId, baseUrl: requestBaseUrl(req) })
+    if (['1', 'true'].includes(String(req.query.download || ''))) return sendPdf(res, result, true)
+    return res.json({ success: true, message: 'PDF regenerated', data: describe(req.params.type, result) })
+  } catch (err) {
+    return sendError(res, err, 'POST /documents/:type/:number/regenerate failed', 'Failed to regenerate PDF')
+  }
+})
+
+// Details of the current PDF (hash, size, public link) without downloading it
+router.get('/:type/:number', auth, async (req, res) => {
+  try {
+    const result = await getDocumentPdf(req.params.type, req.params.number, { userId: req.userId, baseUrl: requestBaseUrl(req) })
+    return res.json({ success: true, data: describe(req.params.type, result) })
+  } catch (err) {
+    return sendError(res, err, 'GET /documents/:type/:number failed', 'Failed to fetch document')
+  }
+})
+
+module.exports = router
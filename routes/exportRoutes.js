@@ -0,0 +1,40 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { streamExport, describeExports } = require('../utils/exports')
+
+router.use(auth, requireRole('admin', 'owner', 'backend'))
+
+// Available exports and their columns (key, header, type, exported by default)
+router.get('/', (req, res) => {
+  return res.json({ success: true, data: describeExports() })
+})
+
+/**
+ * Download a list as CSV or XLSX:
+ *   GET /api/exports/bookings?format=xlsx&from=2025-10-01&to=2025-10-31&branchCode=BLR&columns=bookingNo,mobile,balanceDue
+ * Filters are the same as the matching list endpoint (branch, branchCode, status, from, to, ...).
+ */
+router.get('/:kind', async (req, res) => {
+  try {
+    const { format, columns, ...query } = req.query
+    await streamExport(res, req.params.kind, { format, columns, query })
+  } catch (err) {
+    if (res.headersSent) {
+      // Mid-stream failure: cut the download so the client does not keep a truncated file as complete
+      console.error(`GET /exports/${req.params.kind} failed mid-stream`, err)
+      return res.destroy(err)
+    }
+    if (err?.name === 'CastError') {
+      return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+    }
+    if (err?.status && err.status < 500) {
+      return res.status(err.status).json({ success: false, message: err.message })
+    }
+    console.error(`GET /exports/${req.params.kind} failed`, err)
+    return res.status(500).json({ success: false, message: 'Failed to export' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,172 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const multer = require('multer')
+const File = require('../models/fileModel')
+const User = require('../models/userModel')
+const auth = require('../middlewares/authMiddleware')
+const { getStorage } = require('../utils/fileStorage')
+const { FILE_UPLOAD_LIMIT_BYTES, decodeBase64Upload, resolveOwner, saveUpload } = require('../utils/files')
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_UPLOAD_LIMIT_BYTES, files: 1 },
+})
+
+function sendError(res, err, label, message) {
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+    return res.status(status).json({ success: false, message: err.code === 'LIMIT_FILE_SIZE' ? `File exceeds the ${FILE_UPLOAD_LIMIT_BYTES} byte limit` : err.message })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+function validId(req, res) {
+  const id = String(req.params.id || '')
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid id' })
+    return null
+  }
+  return id
+}
+
+// Run multer only for multipart requests; JSON (base64) uploads pass straight through
+function multipartIfAny(req, res, next) {
+  if (!req.is('multipart/form-data')) return next()
+  return upload.single('file')(req, res, (err) => {
+    if (err) return sendError(res, err, 'multipart upload failed', 'Upload failed')
+    return next()
+  })
+}
+
+/**
+ * Upload a file, optionally attached to a quotation/jobcard/booking.
+ *   multipart/form-data: file=<binary>, refType, refId|refNo, purpose
+ *   application/json:    { fileName, mimeType, data: <base64 or data: URI>, refType, refId|refNo, purpose }
+ */
+router.post('/upload', auth, multipartIfAny, async (req, res) => {
+  try {
+    const body = req.body || {}
+    let buffer
+    let mimeType
+    let originalName
+    if (req.file) {
+      buffer = req.file.buffer
+      mimeType = req.file.mimetype
+      originalName = req.file.originalname
+    } else if (body.data) {
+      const decoded = decodeBase64Upload(body.data, body.mimeType)
+      buffer = decoded.buffer
+      mimeType = decoded.mimeType
+      originalName = body.fileName
+    } else {
+      return res.status(400).json({ success: false, message: 'Send a multipart "file" field or base64 "data"' })
+    }
+    const owner = await resolveOwner({ refType: body.refType, refId: body.refId, refNo: body.refNo })
+    const { file, duplicate } = await saveUpload({ buffer, mimeType, originalName, purpose: body.purpose, owner, userId: req.userId })
+    return res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: duplicate ? 'File already uploaded' : 'File uploaded',
+      duplicate,
+      data: { ...file.toJSON(), downloadUrl: `/api/files/${file._id}/download` },
+    })
+  } catch (err) {
+    return sendError(res, err, 'POST /files/upload failed', 'Failed to upload file')
+  }
+})
+
+// Files attached to a document (refType + refId|refNo), newest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const { refType, refId, refNo, purpose, limit = 50, page = 1 } = req.query
+    const filter = { deletedAt: { $exists: false } }
+    if (refType || refId || refNo) {
+      const owner = await resolveOwner({ refType, refId, refNo })
+      filter.refModel = owner.refModel
+      filter.refId = owner.refId
+    }
+    if (purpose) filter.purpose = purpose
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      File.find(filter).sort({ createdAt: -1 }).skip(skip).limit(lim),
+      File.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /files failed', 'Failed to fetch files')
+  }
+})
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const file = await File.findOne({ _id: id, deletedAt: { $exists: false } })
+    if (!file) return res.status(404).json({ success: false, message: 'Not found' })
+    return res.json({ success: true, data: { ...file.toJSON(), downloadUrl: `/api/files/${file._id}/download` } })
+  } catch (err) {
+    return sendError(res, err, 'GET /files/:id failed', 'Failed to fetch file')
+  }
+})
+
+// Authenticated download (?download=1 forces a save dialog, default shows inline)
+router.get('/:id/download', auth, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const file = await File.findOne({ _id: id, deletedAt: { $exists: false } })
+    if (!file) return res.status(404).json({ success: false, message: 'Not found' })
+    const stream = await getStorage(file.storage).get(file.storageKey)
+    const download = ['1', 'true'].includes(String(req.query.download || ''))
+    const filename = String(file.originalName).replace(/["\\\r\n]/g, '_')
+    res.set('Content-Type', file.mimeType)
+    res.set('Content-Length', String(file.size))
+    res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`)
+    res.set('ETag', `"${file.sha256}"`)
+    res.set('X-Content-Type-Options', 'nosniff')
+    stream.on('error', (e) => {
+      console.error('file download stream failed', String(file._id), e)
+      res.destroy(e)
+    })
+    return stream.pipe(res)
+  } catch (err) {
+    return sendError(res, err, 'GET /files/:id/download failed', 'Failed to download file')
+  }
+})
+
+// Soft delete (uploader or admin); the stored bytes are removed
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const file = await File.findOne({ _id: id, deletedAt: { $exists: false } })
+    if (!file) return res.status(404).json({ success: false, message: 'Not found' })
+    if (String(file.uploadedBy || '') !== String(req.userId)) {
+      const user = await User.findById(req.userId).select('role')
+      if (!['admin', 'owner', 'backend'].includes(String(user?.role || '').toLowerCase())) {
+        return res.status(403).json({ success: false, message: 'Only the uploader or an admin can delete this file' })
+      }
+    }
+    await getStorage(file.storage).remove(file.storageKey)
+    file.deletedAt = new Date()
+    file.deletedBy = req.userId
+    await file.save()
+    return res.json({ success: true, message: 'File deleted' })
+  } catch (err) {
+    return sendError(res, err, 'DELETE /files/:id failed', 'Failed to delete file')
+  }
+})
+
+module.exports = router
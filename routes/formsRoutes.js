@@ -1,180 +1,97 @@
 const express = require('express')
-const axios = require('axios')
-const http = require('http')
-const https = require('https')
 
 const router = express.Router()
-const Branch = require('../models/branchModel')
-
-const HTTP_AGENT = new http.Agent({ keepAlive: true, maxSockets: 100 })
-const HTTPS_AGENT = new https.Agent({ keepAlive: true, maxSockets: 100 })
-
-const GOOGLE_FORM_DEFAULTS = {
-  fvv: '1',
-  draftResponse: '[]',
-  pageHistory: '0',
-}
-
-function normalizeString(value) {
-  if (value === null || value === undefined) return ''
-  if (typeof value === 'string') return value.trim()
-  return String(value).trim()
-}
-
-function normalizeMobile10(raw) {
-  const d = String(raw || '').replace(/\D/g, '').slice(-10)
-  return d.length === 10 ? d : ''
-}
-
-function shortId6() {
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const idempotency = require('../middlewares/idempotency')
+const { reserveSerial, peekSerial, markSerialUsed, voidSerial, auditSerials } = require('../utils/sequence')
+const { normalizeString, normalizeMobile10 } = require('../utils/normalize')
+const { ensureEntries } = require('../utils/googleForms')
+const { enqueueAndTryDeliver } = require('../utils/outbox')
+const { resolveTarget, assertMethodAllowed } = require('../utils/integrations')
+const { getWebhookKind, listWebhookKinds, isSaveRequest, validatePayload, proxyWebhook } = require('../utils/webhookProxy')
+const { cacheStats, invalidateWebhookCache } = require('../utils/webhookCache')
+const { resolveBranch } = require('../utils/branchLookup')
+const { quotationPathsFromInput, defaultValidUntil, mirrorQuotationToGoogleForm } = require('../utils/quotations')
+const { applyQuotationPricing } = require('../utils/pricing')
+const { jobCardPathsFromInput, mirrorJobCardToGoogleForm } = require('../utils/jobCards')
+const { linkCustomer } = require('../utils/customers')
+const { linkVehicle } = require('../utils/vehicles')
+const { prepareDiscountApproval, openDiscountApproval } = require('../utils/discounts')
+const { openLeadForQuotation } = require('../utils/leads')
+const { saveFormBooking } = require('../utils/bookings')
+const Quotation = require('../models/quotationModel')
+const JobCard = require('../models/jobCardModel')
+
+// Reserve a server-issued serial from the per-branch counter (idempotent per mobile)
+async function handleSerialReserve(kind, req, res) {
   try {
-    const { ulid } = require('ulid')
-    const id = ulid() // Crockford base32, 26 chars
-    return id.slice(-6)
-  } catch (e) {
-    const crypto = require('crypto')
-    return crypto.randomBytes(4).toString('hex').slice(-6).toUpperCase()
+    const m10 = normalizeMobile10(req.body?.mobile)
+    const { branchCode: bc } = await resolveBranch(req.body)
+    if (!m10) return res.status(400).json({ success: false, message: 'Valid 10-digit mobile is required' })
+    if (!bc) return res.status(400).json({ success: false, message: 'branchCode is required' })
+    const { serial, seq, period, reused } = await reserveSerial(kind, { branchCode: bc, mobile: m10, userId: req.userId })
+    return res.json({ success: true, serial, seq, period, reused })
+  } catch (error) {
+    if (error?.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error(`Failed to reserve ${kind} serial:`, error)
+    return res.status(500).json({ success: false, message: 'Unable to reserve serial' })
   }
 }
 
-// No DB reservation: generate a human-friendly serial per request
-function buildSerial(kind, branchCode) {
-  const bc = String(branchCode || '').trim().toUpperCase()
-  const prefix = kind === 'jobcard' ? 'JC' : 'Q'
-  return `${prefix}-${bc}-${shortId6()}`
-}
-
-function ensureEntries(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return {}
+// GET /next-serial is unauthenticated, so it only previews the counter; numbers are taken by POST /serial/reserve
+async function handleSerialPreview(kind, req, res) {
+  try {
+    const { branchCode: bc } = await resolveBranch(req.query || {})
+    if (!bc) return res.status(400).json({ success: false, message: 'branchCode is required' })
+    const { serial, seq, period } = await peekSerial(kind, { branchCode: bc })
+    // nextSerial: the field name older clients read
+    return res.json({ success: true, serial, nextSerial: serial, seq, period, reserved: false, source: 'counter' })
+  } catch (error) {
+    if (error?.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error(`Failed to preview ${kind} serial:`, error)
+    return res.status(500).json({ success: false, message: 'Unable to read serial' })
   }
-  return obj
-}
-
-function buildFormUrl(formId) {
-  return `https://docs.google.com/forms/d/e/${formId}/formResponse`
 }
 
-async function submitToGoogleForm(formId, entriesInput) {
-  const entries = { ...GOOGLE_FORM_DEFAULTS, ...ensureEntries(entriesInput) }
-  const params = new URLSearchParams()
-  Object.entries(entries).forEach(([key, value]) => {
-    if (value === undefined || value === null) return
-    params.append(key, value === '' ? '' : String(value))
-  })
-
-  await axios.post(buildFormUrl(formId), params.toString(), {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-  })
-}
-
-// --- CSV helpers (no DB persistence) ---
-const parseCsv = (text) => {
-  const rows = []
-  let row = [], col = '', inQuotes = false
-  for (let i = 0; i < text.length; i++) {
-    const c = text[i], n = text[i + 1]
-    if (c === '"' && !inQuotes) { inQuotes = true; continue }
-    if (c === '"' && inQuotes) { if (n === '"') { col += '"'; i++; continue } inQuotes = false; continue }
-    if (c === ',' && !inQuotes) { row.push(col); col = ''; continue }
-    if ((c === '\n' || c === '\r') && !inQuotes) { if (col !== '' || row.length) { row.push(col); rows.push(row); row = []; col = '' } if (c === '\r' && n === '\n') i++; continue }
-    col += c
+function sendFormError(res, error) {
+  if (error?.name === 'ValidationError') {
+    const details = Object.values(error.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
   }
-  if (col !== '' || row.length) { row.push(col); rows.push(row) }
-  return rows
+  return res.status(error.status).json({ success: false, message: error.message, code: error.code })
 }
 
-const findSerialIdx = (headers = [], kind = 'quotation') => {
-  const rxQ = /^(quotation\s*no\.?|quotation\s*number|serial\s*no\.?|serial|quote\s*id)$/i
-  const rxJ = /^(jc\s*no\.?|jc\s*number|job\s*card\s*no\.?|job\s*card\s*number|serial(?:\s*no\.?)?)$/i
-  const rx = kind === 'jobcard' ? rxJ : rxQ
-  let idx = headers.findIndex((h) => rx.test(String(h || '').trim()))
-  if (idx >= 0) return idx
-  idx = headers.findIndex((h) => /serial/i.test(String(h || '')))
-  return idx >= 0 ? idx : -1
+function markUsedInBackground(serial) {
+  markSerialUsed(serial).catch((e) => console.warn('markSerialUsed failed', serial, e?.message || e))
 }
 
-const parseIntStrict = (s) => {
-  const t = String(s || '').trim()
-  return /^\d+$/.test(t) ? parseInt(t, 10) : null
-}
-
-async function fetchCsv(url) {
-  const res = await axios.get(url, { responseType: 'text', validateStatus: () => true })
-  if (String(res.status).startsWith('2')) return res.data
-  throw new Error(`CSV fetch failed with status ${res.status}`)
-}
-
-async function nextSerialFromCsv(url, kind = 'quotation') {
-  const csv = await fetchCsv(url)
-  const rows = parseCsv(csv)
-  if (!rows.length) return '1'
-  const header = rows[0] || []
-  const idx = findSerialIdx(header, kind)
-  if (idx < 0) return '1'
-  for (let i = rows.length - 1; i >= 1; i--) {
-    const n = parseIntStrict(rows[i][idx])
-    if (n !== null && Number.isFinite(n)) return String(n + 1)
-  }
-  let max = 0
-  for (let i = 1; i < rows.length; i++) {
-    const n = parseIntStrict(rows[i][idx])
-    if (n !== null && n > max) max = n
+// Google Form submit through the outbox: waits briefly for the first attempt, then
+// answers with an outbox id the client can poll at /api/outbox/:id/status.
+async function submitViaOutbox(source, formId, entries, serial) {
+  const { message, delivered, result } = await enqueueAndTryDeliver({ kind: 'google-form', target: formId, payload: entries, source, serial })
+  if (result?.dead) {
+    const err = new Error(result.error || 'Google Form submission failed')
+    err.outboxId = message._id
+    throw err
   }
-  return String(max + 1 || 1)
+  return { submittedToGoogle: delivered, queued: !delivered, outboxId: message._id }
 }
 
-async function serialExistsInCsv(url, serial, kind = 'quotation') {
-  if (!serial) return false
-  const csv = await fetchCsv(url)
-  const rows = parseCsv(csv)
-  if (!rows.length) return false
-  const header = rows[0] || []
-  const idx = findSerialIdx(header, kind)
-  if (idx < 0) return false
-  return rows.slice(1).some(r => String(r[idx]).trim() === String(serial).trim())
-}
+// Same counter as /serial/reserve (the old sheet CSV scan could hand out a number the counter also issues).
+// Takes branchCode (or branchId) in the query; a read-only preview, nothing is reserved.
+router.get('/quotation/next-serial', (req, res) => handleSerialPreview('quotation', req, res))
 
-router.get('/quotation/next-serial', async (req, res) => {
-  try {
-    const csvUrl = req.query.csv || process.env.QUOTATION_RESPONSES_CSV_URL
-    if (!csvUrl) return res.json({ success: true, nextSerial: '1', source: 'fallback' })
-    const nextSerial = await nextSerialFromCsv(csvUrl, 'quotation')
-    return res.json({ success: true, nextSerial, source: 'csv' })
-  } catch (error) {
-    console.error('Failed to fetch next quotation serial:', error)
-    return res.status(500).json({ success: false, message: 'Unable to fetch next serial number.' })
-  }
-})
+router.post('/quotation/serial/reserve', (req, res) => handleSerialReserve('quotation', req, res))
 
-// Reserve a server-issued quotation serial for a given mobile (idempotent per mobile)
-router.post('/quotation/serial/reserve', async (req, res) => {
+// Quotation save: MongoDB is the source of truth; the Google Form (when formId is sent) is a mirror.
+router.post('/quotation', idempotency('forms:quotation'), async (req, res) => {
   try {
-    const m10 = normalizeMobile10(req.body?.mobile)
-    let bc = String(req.body?.branchCode || '').trim().toUpperCase()
-    const branchId = req.body?.branchId
-    if (!bc && branchId) {
-      try {
-        const br = await Branch.findById(branchId).lean()
-        if (br?.code) bc = String(br.code).toUpperCase()
-      } catch {}
-    }
-    if (!m10) return res.status(400).json({ success: false, message: 'Valid 10-digit mobile is required' })
-    if (!bc) return res.status(400).json({ success: false, message: 'branchCode is required' })
-    const serial = buildSerial('quotation', bc)
-    return res.json({ success: true, serial })
-  } catch (error) {
-    console.error('Failed to reserve quotation serial:', error)
-    return res.status(500).json({ success: false, message: 'Unable to reserve serial' })
-  }
-})
-
-router.post('/quotation', async (req, res) => {
-  try {
-    const { formId, entries: rawEntries, payload, serialNo, serialEntryId, responsesCsvUrl } = req.body || {}
-    if (!formId) {
-      return res.status(400).json({ success: false, message: 'formId is required.' })
-    }
+    const { formId, entries: rawEntries, payload, serialNo, serialEntryId } = req.body || {}
     const entries = ensureEntries(rawEntries)
     let serial = normalizeString(serialNo)
     if (!serial && serialEntryId) serial = normalizeString(entries[serialEntryId])
@@ -183,75 +100,69 @@ router.post('/quotation', async (req, res) => {
       return res.status(400).json({ success: false, message: 'serialNo is required.' })
     }
 
-    const csvUrl = responsesCsvUrl || process.env.QUOTATION_RESPONSES_CSV_URL
-    if (csvUrl) {
-      try {
-        if (await serialExistsInCsv(csvUrl, serial, 'quotation')) {
-          return res.json({ success: true, duplicate: true, message: 'Quotation already exists in sheet.' })
-        }
-      } catch (e) { /* continue if CSV not reachable */ }
+    const existing = await Quotation.findOne({ serialNo: serial }).select('_id')
+    if (existing) {
+      return res.json({ success: true, duplicate: true, id: existing._id, message: 'Quotation already exists.' })
     }
 
-    await submitToGoogleForm(formId, entries)
-    return res.json({ success: true, submittedToGoogle: true, message: 'Quotation saved to Google Sheet.' })
+    const input = payload && typeof payload === 'object' ? payload : {}
+    const { branchId, branchCode } = await resolveBranch({ ...(input.formValues || {}), ...input, ...req.body })
+    const doc = new Quotation({ formValues: input.formValues || input })
+    for (const [path, value] of Object.entries(quotationPathsFromInput(input))) doc.set(path, value)
+    doc.serialNo = serial
+    if (branchId) doc.branch = branchId
+    if (branchCode) doc.branchCode = branchCode
+    // { pricing: { state, insurance, extendedWarranty, accessories } } prices it from the active price list
+    if (input.pricing && typeof input.pricing === 'object') await applyQuotationPricing(doc, input.pricing)
+    if (!doc.validUntil) doc.validUntil = defaultValidUntil()
+    if (formId) doc.googleForm = { formId, status: 'pending' }
+    await linkCustomer(doc, 'quotation')
+    // No signed-in user on this path, so the default (catch-all) discount limit applies
+    const discountRequest = await prepareDiscountApproval(doc, 'quotation', { reason: input.discountReason })
+
+    try {
+      await doc.save()
+    } catch (e) {
+      // Older clients only send Google Form entries; keep the sheet working for them
+      if (e?.name !== 'ValidationError' || !formId) throw e
+      const sent = await submitViaOutbox('quotation', formId, entries, serial)
+      markUsedInBackground(serial)
+      return res.json({ success: true, savedToDb: false, dbError: e.message, ...sent, message: sent.queued ? 'Quotation queued for Google Sheet.' : 'Quotation saved to Google Sheet.' })
+    }
+    markUsedInBackground(serial)
+    await openDiscountApproval(doc, 'quotation', discountRequest)
+    openLeadForQuotation(doc).catch(() => {})
+    const mirror = await mirrorQuotationToGoogleForm(doc, formId, entries)
+    return res.json({
+      success: true,
+      savedToDb: true,
+      id: doc._id,
+      googleFormOutboxId: mirror.outboxId || null,
+      message: 'Quotation saved.',
+    })
   } catch (error) {
+    if (error?.name === 'ValidationError') {
+      const details = Object.values(error.errors || {}).map(e => e?.message).join('; ')
+      return res.status(400).json({ success: false, message: details || 'Validation failed' })
+    }
+    if (error?.code === 11000) {
+      return res.json({ success: true, duplicate: true, message: 'Quotation already exists.' })
+    }
+    // Pricing rejections (unknown option, no price for the model, ...)
+    if (error?.status && error.status < 500) return sendFormError(res, error)
     console.error('Failed to save quotation:', error.response?.data || error)
     return res.status(500).json({ success: false, message: 'Failed to save quotation.', detail: error.message })
   }
 })
 
-router.get('/jobcard/next-serial', async (req, res) => {
-  try {
-    const csvUrl = req.query.csv || process.env.JOBCARD_RESPONSES_CSV_URL || process.env.JOBCARD_SHEET_CSV_URL
-    if (!csvUrl) return res.json({ success: true, nextSerial: '1', source: 'fallback' })
-    const nextSerial = await nextSerialFromCsv(csvUrl, 'jobcard')
-    return res.json({ success: true, nextSerial, source: 'csv' })
-  } catch (error) {
-    console.error('Failed to fetch next job card serial:', error)
-    return res.status(500).json({ success: false, message: 'Unable to fetch next job card number.' })
-  }
-})
+router.get('/jobcard/next-serial', (req, res) => handleSerialPreview('jobcard', req, res))
 
-// Reserve a server-issued jobcard serial for a given mobile (idempotent per mobile)
-router.post('/jobcard/serial/reserve', async (req, res) => {
-  try {
-    const m10 = normalizeMobile10(req.body?.mobile)
-    let bc = String(req.body?.branchCode || '').trim().toUpperCase()
-    const branchId = req.body?.branchId
-    if (!bc && branchId) {
-      try {
-        const br = await Branch.findById(branchId).lean()
-        if (br?.code) bc = String(br.code).toUpperCase()
-      } catch {}
-    }
-    if (!m10) return res.status(400).json({ success: false, message: 'Valid 10-digit mobile is required' })
-    if (!bc) return res.status(400).json({ success: false, message: 'branchCode is required' })
-    const csvUrl = process.env.JOBCARD_RESPONSES_CSV_URL || process.env.JOBCARD_SHEET_CSV_URL
-    let serial = buildSerial('jobcard', bc)
-    if (csvUrl) {
-      for (let i = 0; i < 3; i++) {
-        try {
-          // Re-roll if the serial already exists in the sheet.
-          if (!(await serialExistsInCsv(csvUrl, serial, 'jobcard'))) break
-          serial = buildSerial('jobcard', bc)
-        } catch {
-          break
-        }
-      }
-    }
-    return res.json({ success: true, serial })
-  } catch (error) {
-    console.error('Failed to reserve jobcard serial:', error)
-    return res.status(500).json({ success: false, message: 'Unable to reserve serial' })
-  }
-})
+router.post('/jobcard/serial/reserve', (req, res) => handleSerialReserve('jobcard', req, res))
 
-router.post('/jobcard', async (req, res) => {
+// Job card save: stored as a JobCard in state "received"; the Google Form (when formId is sent) is a mirror.
+router.post('/jobcard', idempotency('forms:jobcard'), async (req, res) => {
   try {
-    const { formId, entries: rawEntries, metadata, jcNo, jcEntryId, responsesCsvUrl } = req.body || {}
-    if (!formId) {
-      return res.status(400).json({ success: false, message: 'formId is required.' })
-    }
+    const { formId, entries: rawEntries, metadata, jcNo, jcEntryId } = req.body || {}
     const entries = ensureEntries(rawEntries)
     let jobCardNo = normalizeString(jcNo)
     if (!jobCardNo && jcEntryId) jobCardNo = normalizeString(entries[jcEntryId])
@@ -260,390 +171,210 @@ router.post('/jobcard', async (req, res) => {
       return res.status(400).json({ success: false, message: 'jcNo is required.' })
     }
 
-    const csvUrl = responsesCsvUrl || process.env.JOBCARD_RESPONSES_CSV_URL || process.env.JOBCARD_SHEET_CSV_URL
-    if (csvUrl) {
-      try {
-        if (await serialExistsInCsv(csvUrl, jobCardNo, 'jobcard')) {
-          return res.json({ success: true, duplicate: true, message: 'Job Card already exists in sheet.' })
-        }
-      } catch (e) { /* continue if CSV not reachable */ }
+    const existing = await JobCard.findOne({ jcNo: jobCardNo }).select('_id')
+    if (existing) {
+      return res.json({ success: true, duplicate: true, id: existing._id, message: 'Job Card already exists.' })
     }
 
-    await submitToGoogleForm(formId, entries)
-    return res.json({ success: true, submittedToGoogle: true, message: 'Job Card saved to Google Sheet.' })
+    const input = metadata && typeof metadata === 'object' ? metadata : {}
+    const { branchId, branchCode } = await resolveBranch({ ...(input.formValues || {}), ...input, ...req.body })
+    const doc = new JobCard({ status: 'received', receivedAt: new Date(), formValues: input.formValues || input })
+    for (const [path, value] of Object.entries(jobCardPathsFromInput(input))) doc.set(path, value)
+    doc.jcNo = jobCardNo
+    if (branchId) doc.branch = branchId
+    if (branchCode) doc.branchCode = branchCode
+    doc.history.push({ to: 'received', at: doc.receivedAt })
+    if (formId) doc.googleForm = { formId, status: 'pending' }
+    await linkCustomer(doc, 'jobcard')
+    await linkVehicle(doc)
+
+    try {
+      await doc.save()
+    } catch (e) {
+      // Older clients only send Google Form entries; keep the sheet working for them
+      if (e?.name !== 'ValidationError' || !formId) throw e
+      const sent = await submitViaOutbox('jobcard', formId, entries, jobCardNo)
+      markUsedInBackground(jobCardNo)
+      return res.json({ success: true, savedToDb: false, dbError: e.message, ...sent, message: sent.queued ? 'Job Card queued for Google Sheet.' : 'Job Card saved to Google Sheet.' })
+    }
+    markUsedInBackground(jobCardNo)
+    const mirror = await mirrorJobCardToGoogleForm(doc, formId, entries)
+    return res.json({
+      success: true,
+      savedToDb: true,
+      id: doc._id,
+      googleFormOutboxId: mirror.outboxId || null,
+      message: 'Job Card saved.',
+    })
   } catch (error) {
+    if (error?.name === 'ValidationError') {
+      const details = Object.values(error.errors || {}).map(e => e?.message).join('; ')
+      return res.status(400).json({ success: false, message: details || 'Validation failed' })
+    }
+    if (error?.code === 11000) {
+      return res.json({ success: true, duplicate: true, message: 'Job Card already exists.' })
+    }
     console.error('Failed to save job card:', error.response?.data || error)
     return res.status(500).json({ success: false, message: 'Failed to save job card.', detail: error.message })
   }
 })
 
-// Booking: simple pass-through to Google Form. No serial checks.
-router.post('/booking', async (req, res) => {
+// --- Serial audit (accounts) ---
+// Explains every issued number that is not on a saved document: reserved, void or missing.
+router.get('/serials/audit', auth, requireRole('admin', 'owner', 'backend'), async (req, res) => {
   try {
-    const { formId, entries: rawEntries } = req.body || {}
-    if (!formId) {
-      return res.status(400).json({ success: false, message: 'formId is required.' })
-    }
-    const entries = ensureEntries(rawEntries)
-    await submitToGoogleForm(formId, entries)
-    return res.json({ success: true, submittedToGoogle: true, message: 'Booking saved to Google Sheet.' })
+    const { docType, branchCode, period } = req.query || {}
+    const data = await auditSerials(docType, { branchCode, period })
+    return res.json({ success: true, data })
   } catch (error) {
-    console.error('Failed to save booking:', error.response?.data || error)
-    return res.status(500).json({ success: false, message: 'Failed to save booking.', detail: error.message })
+    if (error?.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Failed to audit serials:', error)
+    return res.status(500).json({ success: false, message: 'Unable to audit serials' })
   }
 })
 
-// --- Simple in-memory idempotency for webhook saves ---
-// Prevent duplicate forwards when users click Print/Save multiple times.
-// Keyed by serial (quotation/jobcard). TTL keeps memory bounded across time.
-const IDEMPOTENCY_TTL_MS = 10 * 60 * 1000; // 10 minutes
-const recentSerials = new Map(); // key -> timestamp
-
-// Lightweight cache for GET webhook proxy responses to reduce perceived latency
-// Especially useful for staff/account views that poll frequently.
-const WEBHOOK_CACHE = new Map(); // key -> { t:number, data:any }
-const CACHE_TTL_MS = 20 * 1000; // 20s TTL for faster repeated reads in UI
-const WEBHOOK_INFLIGHT = new Map(); // key -> Promise<any>
-function cacheKey(webhookUrl, payload){
-  try { return `${webhookUrl}|${JSON.stringify(payload||{})}` } catch { return String(webhookUrl||'') }
-}
-function cacheGet(webhookUrl, payload){
-  const k = cacheKey(webhookUrl, payload)
-  const e = WEBHOOK_CACHE.get(k)
-  if (e && (Date.now() - e.t) < CACHE_TTL_MS) return e.data
-  if (e) WEBHOOK_CACHE.delete(k)
-  return null
-}
-function cachePut(webhookUrl, payload, data){
-  const k = cacheKey(webhookUrl, payload)
-  WEBHOOK_CACHE.set(k, { t: Date.now(), data })
-  if (WEBHOOK_CACHE.size > 500) {
-    const arr = Array.from(WEBHOOK_CACHE.entries()).sort((a,b)=>a[1].t-b[1].t).slice(0,50)
-    for (const [kk] of arr) WEBHOOK_CACHE.delete(kk)
+// Void a reserved serial that will never be used (reason is mandatory)
+router.post('/serials/void', auth, requireRole('admin', 'owner', 'backend'), async (req, res) => {
+  try {
+    const { serial, reason } = req.body || {}
+    const data = await voidSerial(serial, { reason, userId: req.userId })
+    return res.json({ success: true, data })
+  } catch (error) {
+    if (error?.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, message: error.message })
+    }
+    console.error('Failed to void serial:', error)
+    return res.status(500).json({ success: false, message: 'Unable to void serial' })
   }
-}
-async function withInflight(key, run){
-  const existing = WEBHOOK_INFLIGHT.get(key)
-  if (existing) return existing
-  const p = (async () => run())()
-  WEBHOOK_INFLIGHT.set(key, p)
-  try { return await p } finally { WEBHOOK_INFLIGHT.delete(key) }
-}
+})
 
-function extractRowsFromWebhookData(data) {
-  if (!data) return []
-  if (Array.isArray(data)) return data
-  if (Array.isArray(data.rows)) return data.rows
-  if (Array.isArray(data.data)) return data.data
-  return []
-}
+// Booking save: stored as a Booking when the form values come along (payload, same shape as POST /api/bookings);
+// the Google Form (when formId is sent) is a mirror. Form-only bodies from older clients still reach the sheet.
+router.post('/booking', idempotency('forms:booking'), async (req, res) => {
+  try {
+    const { formId, entries: rawEntries, payload } = req.body || {}
+    const input = payload && typeof payload === 'object' ? payload : null
+    if (!formId && !input) {
+      return res.status(400).json({ success: false, message: 'formId or payload is required.' })
+    }
+    const entries = ensureEntries(rawEntries)
 
-function extractTotalFromWebhookData(data) {
-  if (!data || typeof data !== 'object') return null
-  const keys = ['total', 'count', 'totalRows', 'totalCount']
-  for (const key of keys) {
-    const n = Number(data[key])
-    if (Number.isFinite(n) && n >= 0) return n
-  }
-  if (data.meta && typeof data.meta === 'object') {
-    for (const key of keys) {
-      const n = Number(data.meta[key])
-      if (Number.isFinite(n) && n >= 0) return n
+    let saved = null
+    let dbError
+    if (input) {
+      try {
+        saved = await saveFormBooking({ branchId: req.body.branchId, branchCode: req.body.branchCode, ...input })
+      } catch (e) {
+        const rejected = e?.name === 'ValidationError' || (e?.status && e.status < 500)
+        if (!rejected) throw e
+        if (!formId) return sendFormError(res, e)
+        dbError = e.message
+      }
+    }
+    if (saved && !saved.created) {
+      return res.json({ success: true, duplicate: true, id: saved.booking._id, bookingNo: saved.booking.bookingNo, message: 'Booking already exists.' })
     }
-  }
-  return null
-}
 
-function mergeRowsIntoWebhookData(data, rows) {
-  const out = (data && typeof data === 'object' && !Array.isArray(data))
-    ? { ...data }
-    : {}
-  if (Array.isArray(data)) return rows
-  if (Array.isArray(out.rows)) out.rows = rows
-  else if (Array.isArray(out.data)) out.data = rows
-  else out.rows = rows
-  const total = rows.length
-  if ('total' in out || out.total === undefined) out.total = total
-  if ('count' in out) out.count = total
-  if ('totalRows' in out) out.totalRows = total
-  if ('totalCount' in out) out.totalCount = total
-  if ('page' in out) out.page = 1
-  if ('pageNo' in out) out.pageNo = 1
-  return out
-}
+    const sent = formId ? await submitViaOutbox('booking', formId, entries, saved?.booking.bookingNo) : null
+    return res.status(sent?.queued ? 202 : 200).json({
+      success: true,
+      savedToDb: Boolean(saved),
+      ...(saved ? { id: saved.booking._id, bookingNo: saved.booking.bookingNo } : {}),
+      ...(dbError ? { dbError } : {}),
+      ...(sent || {}),
+      message: !sent ? 'Booking saved.' : sent.queued ? 'Booking accepted; it will be sent to Google Sheet shortly.' : 'Booking saved to Google Sheet.',
+    })
+  } catch (error) {
+    console.error('Failed to save booking:', error.response?.data || error)
+    return res.status(500).json({ success: false, message: 'Failed to save booking.', detail: error.message, outboxId: error.outboxId })
+  }
+})
 
-function stripHeavyFieldsFromRow(row) {
-  if (!row || typeof row !== 'object') return row
-  const out = { ...row }
-  delete out.payload
-  delete out.Payload
-  delete out.PAYLOAD
-  delete out.rawPayload
-  if (out.values && typeof out.values === 'object') {
-    out.values = { ...out.values }
-    delete out.values.payload
-    delete out.values.Payload
-    delete out.values.PAYLOAD
-    delete out.values.rawPayload
+// --- Generic webhook proxy (e.g., Google Apps Script Web App) ---
+// One route for every registered kind (booking, jobcard, quotation, ...); see utils/webhookKinds.js.
+function loadWebhookKind(req, res, next) {
+  const kind = getWebhookKind(req.params.kind)
+  if (!kind) {
+    return res.status(404).json({ success: false, message: `Unknown webhook kind "${req.params.kind}" (known: ${listWebhookKinds().join(', ')})` })
   }
-  return out
+  req.webhookKind = kind
+  return next()
 }
 
-function applyLiteWebhookData(data, lite) {
-  if (!lite) return data
-  if (Array.isArray(data)) return data.map(stripHeavyFieldsFromRow)
-  if (!data || typeof data !== 'object') return data
-  const out = { ...data }
-  if (Array.isArray(out.rows)) out.rows = out.rows.map(stripHeavyFieldsFromRow)
-  if (Array.isArray(out.data)) out.data = out.data.map(stripHeavyFieldsFromRow)
-  return out
+// Webhook saves without an Idempotency-Key are de-duplicated by document serial,
+// so repeated Print/Save clicks do not forward the same record twice.
+function webhookSaveSerial(req) {
+  const { payload, method } = req.body || {}
+  if (!isSaveRequest(payload, method)) return null
+  return req.webhookKind.extractSerial(payload)
 }
 
-function extractSerial(obj) {
+// Sheet bookings are also kept as Booking documents. Best effort: the sheet already has the record,
+// so a body the Booking model rejects (older clients) is logged and the save still succeeds.
+async function storeWebhookBooking(payload = {}) {
+  const data = payload.data && typeof payload.data === 'object' ? payload.data : {}
+  const input = { ...(payload.formValues || {}), ...(data.payload || {}), ...data }
   try {
-    if (!obj) return null;
-    // common shapes from client: { action:'save', data:{ serialNo, formValues, payload } }
-    if (obj.data?.serialNo) return String(obj.data.serialNo);
-    if (obj.data?.jcNo) return String(obj.data.jcNo);
-    if (obj.serialNo) return String(obj.serialNo);
-    if (obj.jcNo) return String(obj.jcNo);
-    if (obj.formValues?.serialNo) return String(obj.formValues.serialNo);
-    if (obj.formValues?.jcNo) return String(obj.formValues.jcNo);
-    if (obj.payload?.formValues?.serialNo) return String(obj.payload.formValues.serialNo);
-    if (obj.payload?.formValues?.jcNo) return String(obj.payload.formValues.jcNo);
-  } catch {}
-  return null;
-}
-
-function isDuplicateSerial(key) {
-  if (!key) return false;
-  const ts = recentSerials.get(key);
-  const now = Date.now();
-  if (ts && now - ts < IDEMPOTENCY_TTL_MS) return true;
-  return false;
-}
-
-function markSerial(key) {
-  if (!key) return;
-  recentSerials.set(key, Date.now());
-  // prune occasionally
-  if (recentSerials.size > 2000) {
-    const cutoff = Date.now() - IDEMPOTENCY_TTL_MS;
-    for (const [k, v] of recentSerials.entries()) { if (v < cutoff) recentSerials.delete(k); }
+    return (await saveFormBooking(input)).booking
+  } catch (e) {
+    console.warn('webhook booking not stored', e?.message || e)
+    return null
   }
 }
 
-// Booking via generic webhook (e.g., Google Apps Script Web App)
-router.post('/booking/webhook', async (req, res) => {
-  try {
-    const { webhookUrl, payload, headers, method } = req.body || {}
-    if (!webhookUrl) {
-      return res.status(400).json({ success: false, message: 'webhookUrl is required.' })
-    }
-    const httpMethod = (method || 'POST').toUpperCase()
-    const action = String(payload?.action || '').toLowerCase()
-    const shouldCheckDuplicate = httpMethod !== 'GET' && (!action || action === 'save')
-    const liteMode = Boolean(payload?.lite)
-    if (shouldCheckDuplicate) {
-      const serialKey = extractSerial(payload)
-      if (serialKey && isDuplicateSerial(serialKey)) {
-        return res.json({ success: true, duplicateSuppressed: true, message: 'Duplicate save suppressed' })
+router.post(
+  '/:kind/webhook',
+  loadWebhookKind,
+  idempotency((req) => `forms:${req.webhookKind.name}-webhook`, { implicitKey: webhookSaveSerial }),
+  async (req, res) => {
+    const kind = req.webhookKind
+    try {
+      // Headers and secrets come from the registered target; client-supplied headers are ignored
+      const { target: targetName, webhookUrl, payload, method } = req.body || {}
+      const httpMethod = (method || 'POST').toUpperCase()
+      const errors = validatePayload(kind, payload, httpMethod)
+      if (errors.length) {
+        return res.status(400).json({ success: false, message: errors[0], errors })
       }
-    }
-    const config = {
-      headers: { 'Content-Type': 'application/json', ...(headers || {}) },
-      validateStatus: () => true,
-      timeout: 30000,
-      httpAgent: HTTP_AGENT,
-      httpsAgent: HTTPS_AGENT,
-      // allow large JSON payloads (e.g., base64 PDF) to pass through
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    }
-    let resp
-    if (httpMethod === 'GET') {
-      const cached = cacheGet(webhookUrl, payload)
-      if (cached) return res.json({ success: true, forwarded: true, status: 200, data: cached })
-      const getPage = async (pagePayload) => {
-        const pageCached = cacheGet(webhookUrl, pagePayload)
-        if (pageCached) return pageCached
-        const inflightKey = cacheKey(webhookUrl, pagePayload)
-        return withInflight(inflightKey, async () => {
-          const cachedAgain = cacheGet(webhookUrl, pagePayload)
-          if (cachedAgain) return cachedAgain
-          const u = new URL(webhookUrl)
-          Object.entries(pagePayload || {}).forEach(([k, v]) => u.searchParams.append(k, String(v)))
-          const pageResp = await axios.get(u.toString(), config)
-          if (!String(pageResp.status).startsWith('2')) {
-            const err = new Error(`Webhook call failed with status ${pageResp.status}`)
-            err.status = pageResp.status
-            err.data = pageResp.data
-            throw err
-          }
-          cachePut(webhookUrl, pagePayload, pageResp.data)
-          return pageResp.data
-        })
-      }
-
-      const requestedPage = Math.max(parseInt(payload?.page || '1', 10) || 1, 1)
-      const requestedPageSizeRaw = Math.max(parseInt(payload?.pageSize || payload?.pagesize || '0', 10) || 0, 0)
-      const requestedPageSize = requestedPageSizeRaw > 0 ? requestedPageSizeRaw : 10000
-      // Only auto-paginate for large one-shot reads (analytics/export style).
-      // Keep normal UI pagination (e.g., pageSize 25/50/100) untouched.
-      const shouldAutoPaginate = action === 'list' && requestedPage === 1 && (requestedPageSizeRaw === 0 || requestedPageSizeRaw > 100)
-
-      if (!shouldAutoPaginate) {
-        const data = applyLiteWebhookData(await getPage(payload || {}), liteMode)
-        return res.json({ success: true, forwarded: true, status: 200, data })
-      }
-
-      const basePayload = { ...(payload || {}) }
-      let page = 1
-      let allRows = []
-      let firstData = null
-      let total = null
-      const MAX_PAGES = Math.max(1, Math.ceil(requestedPageSize / 100))
-
-      while (page <= MAX_PAGES && allRows.length < requestedPageSize) {
-        const pagePayload = { ...basePayload, page }
-        const pageData = await getPage(pagePayload)
-        if (page === 1) firstData = pageData
-        if (total === null) total = extractTotalFromWebhookData(pageData)
-        const pageRows = extractRowsFromWebhookData(pageData)
-        if (!pageRows.length) break
-        allRows = allRows.concat(pageRows)
-        if (total !== null && allRows.length >= total) break
-        if (pageRows.length < 100) break
-        page += 1
+      let target
+      try {
+        target = await resolveTarget({ target: targetName, webhookUrl })
+        assertMethodAllowed(target, httpMethod)
+      } catch (e) {
+        return res.status(e.status || 400).json({ success: false, message: e.message })
       }
-
-      if (allRows.length > requestedPageSize) allRows = allRows.slice(0, requestedPageSize)
-      const merged = applyLiteWebhookData(mergeRowsIntoWebhookData(firstData, allRows), liteMode)
-      cachePut(webhookUrl, payload, merged)
-      return res.json({ success: true, forwarded: true, status: 200, data: merged })
-    } else {
-      resp = await axios.post(webhookUrl, payload || {}, config)
-    }
-    if (String(resp.status).startsWith('2')) {
-      if (shouldCheckDuplicate) {
-        const serialKey = extractSerial(payload)
-        if (serialKey) markSerial(serialKey)
+      const context = { source: `forms:${kind.name}-webhook`, userId: req.userId, ip: req.ip }
+      const { status, body } = await proxyWebhook(kind, target, { payload, method: httpMethod, context })
+      if (kind.name === 'booking' && status < 300 && isSaveRequest(payload, httpMethod)) {
+        const stored = await storeWebhookBooking(payload)
+        if (stored) Object.assign(body, { bookingId: stored._id, bookingNo: stored.bookingNo })
       }
-      if (httpMethod === 'GET') cachePut(webhookUrl, payload, resp.data)
-      return res.json({ success: true, forwarded: true, status: resp.status, data: applyLiteWebhookData(resp.data, liteMode) })
+      return res.status(status).json(body)
+    } catch (error) {
+      console.error(`Failed to post ${kind.name} via webhook:`, error.response?.data || error)
+      return res.status(500).json({ success: false, message: 'Failed to post to webhook.', detail: error.message })
     }
-    return res.status(502).json({ success: false, message: 'Webhook call failed', status: resp.status, data: resp.data })
-  } catch (error) {
-    console.error('Failed to post booking via webhook:', error.response?.data || error)
-    return res.status(500).json({ success: false, message: 'Failed to post to webhook.', detail: error.message })
   }
-})
+)
 
-// Jobcard via generic webhook (separate route to avoid confusion with booking)
-router.post('/jobcard/webhook', async (req, res) => {
-  try {
-    const { webhookUrl, payload, headers, method } = req.body || {}
-    if (!webhookUrl) {
-      return res.status(400).json({ success: false, message: 'webhookUrl is required.' })
-    }
-    const httpMethod = (method || 'POST').toUpperCase()
-    const action = String(payload?.action || '').toLowerCase()
-    const shouldCheckDuplicate = httpMethod !== 'GET' && (!action || action === 'save')
-    const liteMode = Boolean(payload?.lite)
-    if (shouldCheckDuplicate) {
-      const serialKey = extractSerial(payload)
-      if (serialKey && isDuplicateSerial(serialKey)) {
-        return res.json({ success: true, duplicateSuppressed: true, message: 'Duplicate save suppressed' })
-      }
-    }
-    const config = {
-      headers: { 'Content-Type': 'application/json', ...(headers || {}) },
-      validateStatus: () => true,
-      timeout: 30000,
-      httpAgent: HTTP_AGENT,
-      httpsAgent: HTTPS_AGENT,
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    }
-    let resp
-    if (httpMethod === 'GET') {
-      const cached = cacheGet(webhookUrl, payload)
-      if (cached) return res.json({ success: true, forwarded: true, status: 200, data: cached })
-      const getPage = async (pagePayload) => {
-        const pageCached = cacheGet(webhookUrl, pagePayload)
-        if (pageCached) return pageCached
-        const inflightKey = cacheKey(webhookUrl, pagePayload)
-        return withInflight(inflightKey, async () => {
-          const cachedAgain = cacheGet(webhookUrl, pagePayload)
-          if (cachedAgain) return cachedAgain
-          const u = new URL(webhookUrl)
-          Object.entries(pagePayload || {}).forEach(([k, v]) => u.searchParams.append(k, String(v)))
-          const pageResp = await axios.get(u.toString(), config)
-          if (!String(pageResp.status).startsWith('2')) {
-            const err = new Error(`Webhook call failed with status ${pageResp.status}`)
-            err.status = pageResp.status
-            err.data = pageResp.data
-            throw err
-          }
-          cachePut(webhookUrl, pagePayload, pageResp.data)
-          return pageResp.data
-        })
-      }
-
-      const requestedPage = Math.max(parseInt(payload?.page || '1', 10) || 1, 1)
-      const requestedPageSizeRaw = Math.max(parseInt(payload?.pageSize || payload?.pagesize || '0', 10) || 0, 0)
-      const requestedPageSize = requestedPageSizeRaw > 0 ? requestedPageSizeRaw : 10000
-      // Only auto-paginate for large one-shot reads (analytics/export style).
-      // Keep normal UI pagination (e.g., pageSize 25/50/100) untouched.
-      const shouldAutoPaginate = action === 'list' && requestedPage === 1 && (requestedPageSizeRaw === 0 || requestedPageSizeRaw > 100)
-
-      if (!shouldAutoPaginate) {
-        const data = applyLiteWebhookData(await getPage(payload || {}), liteMode)
-        return res.json({ success: true, forwarded: true, status: 200, data })
-      }
-
-      const basePayload = { ...(payload || {}) }
-      let page = 1
-      let allRows = []
-      let firstData = null
-      let total = null
-      const MAX_PAGES = Math.max(1, Math.ceil(requestedPageSize / 100))
-
-      while (page <= MAX_PAGES && allRows.length < requestedPageSize) {
-        const pagePayload = { ...basePayload, page }
-        const pageData = await getPage(pagePayload)
-        if (page === 1) firstData = pageData
-        if (total === null) total = extractTotalFromWebhookData(pageData)
-        const pageRows = extractRowsFromWebhookData(pageData)
-        if (!pageRows.length) break
-        allRows = allRows.concat(pageRows)
-        if (total !== null && allRows.length >= total) break
-        if (pageRows.length < 100) break
-        page += 1
-      }
+// Webhook GET cache stats for admins (counters are per server instance)
+router.get('/webhook-cache/stats', auth, requireRole('admin', 'owner', 'backend'), (req, res) => {
+  return res.json({ success: true, data: cacheStats() })
+})
 
-      if (allRows.length > requestedPageSize) allRows = allRows.slice(0, requestedPageSize)
-      const merged = applyLiteWebhookData(mergeRowsIntoWebhookData(firstData, allRows), liteMode)
-      cachePut(webhookUrl, payload, merged)
-      return res.json({ success: true, forwarded: true, status: 200, data: merged })
-    } else {
-      resp = await axios.post(webhookUrl, payload || {}, config)
-    }
-    if (String(resp.status).startsWith('2')) {
-      if (shouldCheckDuplicate) {
-        const serialKey = extractSerial(payload)
-        if (serialKey) markSerial(serialKey)
-      }
-      if (httpMethod === 'GET') cachePut(webhookUrl, payload, resp.data)
-      return res.json({ success: true, forwarded: true, status: resp.status, data: applyLiteWebhookData(resp.data, liteMode) })
-    }
-    return res.status(502).json({ success: false, message: 'Webhook call failed', status: resp.status, data: resp.data })
-  } catch (error) {
-    console.error('Failed to post jobcard via webhook:', error.response?.data || error)
-    return res.status(500).json({ success: false, message: 'Failed to post to webhook.', detail: error.message })
+// Manually drop cached reads for one kind + target (e.g. after editing the sheet by hand)
+router.post('/webhook-cache/invalidate', auth, requireRole('admin', 'owner', 'backend'), async (req, res) => {
+  const kind = getWebhookKind(req.body?.kind)
+  const target = String(req.body?.target || '').trim().toLowerCase()
+  if (!kind || !target) {
+    return res.status(400).json({ success: false, message: `kind (${listWebhookKinds().join(', ')}) and target are required` })
   }
+  await invalidateWebhookCache(kind.name, target)
+  return res.json({ success: true, message: `Cache invalidated for ${kind.name} on ${target}` })
 })
 
-// Note: Stock movements are handled via the GAS proxy (/api/stocks/gas). MongoDB stock routes were removed.
+// Note: Stock movements live in the StockMovement ledger (/api/stocks, and the sheet-compatible /api/stocks/gas).
 
 module.exports = router
@@ -0,0 +1,182 @@
+const express = require('express')
+const router = express.Router()
+const IntegrationTarget = require('../models/integrationTargetModel')
+const IntegrationCall = require('../models/integrationCallModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { assertPublicUrl } = require('../utils/netGuard')
+const { clearTargetCache } = require('../utils/integrations')
+const { toDate } = require('../utils/normalize')
+
+// Only admins manage where the server is allowed to call out to
+router.use(auth, requireRole('admin', 'owner', 'backend'))
+
+function sendError(res, err, label, message) {
+  if (err?.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: err.message })
+  }
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'An integration target with this name already exists' })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+function normalizeHeaders(headers) {
+  if (headers === undefined) return undefined
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) throw badRequest('defaultHeaders must be an object')
+  const out = {}
+  for (const [k, v] of Object.entries(headers)) {
+    if (!String(k).trim()) continue
+    out[String(k).trim()] = String(v)
+  }
+  return out
+}
+
+// Secrets without a value keep the currently stored value for that name (so the UI can edit without re-entering them)
+function normalizeSecrets(secrets, existing = []) {
+  if (secrets === undefined) return undefined
+  if (!Array.isArray(secrets)) throw badRequest('secrets must be an array of { name, value, in }')
+  return secrets.map((s) => {
+    const name = String(s?.name || '').trim()
+    if (!name) throw badRequest('Every secret needs a name')
+    let value = s?.value !== undefined && s?.value !== null && s?.value !== '' ? String(s.value) : undefined
+    if (value === undefined) value = existing.find((e) => e.name === name)?.value
+    if (value === undefined) throw badRequest(`Secret "${name}" needs a value`)
+    return { name, value, in: s?.in || 'header' }
+  })
+}
+
+async function findTarget(name, withSecrets) {
+  const q = IntegrationTarget.findOne({ name: String(name || '').trim().toLowerCase() })
+  return withSecrets ? q.select('+secrets') : q
+}
+
+// List (filters: active, q)
+router.get('/', async (req, res) => {
+  try {
+    const { active, q } = req.query
+    const filter = {}
+    if (active !== undefined) filter.active = String(active) !== 'false'
+    if (q) {
+      const rx = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+      filter.$or = [{ name: rx }, { description: rx }, { url: rx }]
+    }
+    const items = await IntegrationTarget.find(filter).select('+secrets').sort({ name: 1 })
+    return res.json({ success: true, data: { items, total: items.length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /integrations failed', 'Failed to fetch integration targets')
+  }
+})
+
+router.get('/:name', async (req, res) => {
+  try {
+    const target = await findTarget(req.params.name, true)
+    if (!target) return res.status(404).json({ success: false, message: 'Not found' })
+    return res.json({ success: true, data: target })
+  } catch (err) {
+    return sendError(res, err, 'GET /integrations/:name failed', 'Failed to fetch integration target')
+  }
+})
+
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, url, allowedMethods, defaultHeaders, secrets, active } = req.body || {}
+    await assertPublicUrl(url)
+    const target = new IntegrationTarget({
+      name,
+      description,
+      url,
+      ...(allowedMethods ? { allowedMethods } : {}),
+      defaultHeaders: normalizeHeaders(defaultHeaders) || {},
+      secrets: normalizeSecrets(secrets) || [],
+      ...(active !== undefined ? { active: Boolean(active) } : {}),
+      createdBy: req.userId,
+      updatedBy: req.userId,
+    })
+    await target.save()
+    clearTargetCache(target.name)
+    return res.status(201).json({ success: true, message: 'Integration target created', data: target })
+  } catch (err) {
+    return sendError(res, err, 'POST /integrations failed', 'Failed to create integration target')
+  }
+})
+
+// Update (name is the stable key and cannot change)
+router.put('/:name', async (req, res) => {
+  try {
+    const target = await findTarget(req.params.name, true)
+    if (!target) return res.status(404).json({ success: false, message: 'Not found' })
+    const { description, url, allowedMethods, defaultHeaders, secrets, active } = req.body || {}
+    if (url !== undefined) {
+      await assertPublicUrl(url)
+      target.url = url
+    }
+    if (description !== undefined) target.description = description
+    if (allowedMethods !== undefined) target.allowedMethods = allowedMethods
+    const headers = normalizeHeaders(defaultHeaders)
+    if (headers) target.defaultHeaders = headers
+    const nextSecrets = normalizeSecrets(secrets, target.secrets || [])
+    if (nextSecrets) target.secrets = nextSecrets
+    if (active !== undefined) target.active = Boolean(active)
+    target.updatedBy = req.userId
+    await target.save()
+    clearTargetCache(target.name)
+    return res.json({ success: true, message: 'Integration target updated', data: target })
+  } catch (err) {
+    return sendError(res, err, 'PUT /integrations/:name failed', 'Failed to update integration target')
+  }
+})
+
+// Deactivate (kept so audit rows and queued outbox messages still resolve a name)
+router.delete('/:name', async (req, res) => {
+  try {
+    const target = await findTarget(req.params.name)
+    if (!target) return res.status(404).json({ success: false, message: 'Not found' })
+    target.active = false
+    target.updatedBy = req.userId
+    await target.save()
+    clearTargetCache(target.name)
+    return res.json({ success: true, message: 'Integration target deactivated', data: target })
+  } catch (err) {
+    return sendError(res, err, 'DELETE /integrations/:name failed', 'Failed to deactivate integration target')
+  }
+})
+
+// Call audit for one target (filters: ok, source, action, from, to)
+router.get('/:name/audit', async (req, res) => {
+  try {
+    const { ok, source, action, from, to, limit = 50, page = 1 } = req.query
+    const filter = { targetName: String(req.params.name || '').trim().toLowerCase() }
+    if (ok !== undefined) filter.ok = String(ok) !== 'false'
+    if (source) filter.source = source
+    if (action) filter.action = action
+    const fromDate = toDate(from)
+    const toDateValue = toDate(to)
+    if (fromDate || toDateValue) {
+      filter.createdAt = {}
+      if (fromDate) filter.createdAt.$gte = fromDate
+      if (toDateValue) filter.createdAt.$lte = toDateValue
+    }
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      IntegrationCall.find(filter).sort({ createdAt: -1 }).skip(skip).limit(lim),
+      IntegrationCall.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /integrations/:name/audit failed', 'Failed to fetch integration audit')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,206 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const JobCard = require('../models/jobCardModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { reserveSerial, markSerialUsed } = require('../utils/sequence')
+const { resolveBranch } = require('../utils/branchLookup')
+const { OPEN_STATES, applyTransition, assignMechanic, jobCardPathsFromInput, mirrorJobCardToGoogleForm, jobCardListFilter, backfillVehicleKeys } = require('../utils/jobCards')
+const { linkCustomer } = require('../utils/customers')
+const { linkVehicle } = require('../utils/vehicles')
+const { refreshServiceDueForJobCard } = require('../utils/serviceDue')
+const { notify } = require('../utils/notifications')
+
+// Customer notifications per state: jobcard.received, jobcard.ready, ... (sent only when a template exists,
+// once per job card: moving back to in-progress and ready again does not message the customer twice)
+function notifyJobCardState(doc, userId) {
+  notify(`jobcard.${doc.status}`, { jobCard: doc }, {
+    customers: [doc.customerId || doc.customer],
+    ref: { model: 'JobCard', id: doc._id, no: doc.jcNo },
+    branch: doc.branch,
+    userId,
+    once: true,
+  })
+}
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'Job card number already exists' })
+  }
+  if (err?.name === 'VersionError') {
+    return res.status(409).json({ success: false, message: 'Job card was changed by someone else; reload and try again' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message, code: err.code })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+function findByIdOrJcNo(idOrJcNo) {
+  const key = String(idOrJcNo || '').trim()
+  if (mongoose.Types.ObjectId.isValid(key)) return JobCard.findById(key)
+  return JobCard.findOne({ jcNo: key })
+}
+
+// List job cards (filters: branch, branchCode, mechanic, status (comma list), open, from, to, mobile, regNo)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query
+    const filter = jobCardListFilter(req.query)
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      JobCard.find(filter).select('-formValues -history').sort({ createdAt: -1 }).skip(skip).limit(lim),
+      JobCard.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /jobcards failed', 'Failed to fetch job cards')
+  }
+})
+
+// Vehicles still in the workshop, optionally grouped per branch or per mechanic (?groupBy=branch|mechanic)
+router.get('/open', auth, async (req, res) => {
+  try {
+    const filter = { ...jobCardListFilter(req.query), status: { $in: OPEN_STATES } }
+    const items = await JobCard.find(filter)
+      .select('jcNo branch branchCode customer vehicle status mechanic mechanicName receivedAt expectedDeliveryAt updatedAt')
+      .sort({ receivedAt: 1 })
+      .limit(2000)
+    const byStatus = OPEN_STATES.reduce((acc, s) => ({ ...acc, [s]: 0 }), {})
+    for (const it of items) byStatus[it.status] += 1
+
+    const groupBy = String(req.query.groupBy || '').toLowerCase()
+    if (groupBy !== 'branch' && groupBy !== 'mechanic') {
+      return res.json({ success: true, data: { items, total: items.length, byStatus } })
+    }
+    const groups = new Map()
+    for (const it of items) {
+      const key = groupBy === 'branch'
+        ? (it.branchCode || String(it.branch || 'unknown'))
+        : (it.mechanic ? String(it.mechanic) : 'unassigned')
+      if (!groups.has(key)) {
+        groups.set(key, { key, name: groupBy === 'mechanic' ? (it.mechanicName || null) : (it.branchCode || null), count: 0, items: [] })
+      }
+      const g = groups.get(key)
+      g.count += 1
+      g.items.push(it)
+    }
+    return res.json({ success: true, data: { groups: Array.from(groups.values()), total: items.length, byStatus } })
+  } catch (err) {
+    return sendError(res, err, 'GET /jobcards/open failed', 'Failed to fetch open job cards')
+  }
+})
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const item = await findByIdOrJcNo(req.params.id)
+    if (!item) return res.status(404).json({ success: false, message: 'Job card not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /jobcards/:id failed', 'Failed to fetch job card')
+  }
+})
+
+// Create (state "received"). Reserves a JC number when none is sent.
+router.post('/', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const { branchId, branchCode } = await resolveBranch(body)
+    const doc = new JobCard({ createdBy: req.userId, status: 'received', receivedAt: new Date() })
+    for (const [path, value] of Object.entries(jobCardPathsFromInput(body))) doc.set(path, value)
+    if (branchId) doc.branch = branchId
+    if (branchCode) doc.branchCode = branchCode
+    if (body.formValues && typeof body.formValues === 'object') doc.formValues = body.formValues
+    if (!doc.jcNo) {
+      // Rejected bodies must not burn a number
+      await doc.validate({ pathsToSkip: ['jcNo'] })
+      const { serial } = await reserveSerial('jobcard', { branchCode, mobile: doc.customer?.mobile, userId: req.userId })
+      doc.jcNo = serial
+    }
+    doc.history.push({ to: 'received', at: doc.receivedAt, by: req.userId })
+    if (body.mechanicId) await assignMechanic(doc, body.mechanicId, { userId: req.userId })
+    if (body.formId) doc.googleForm = { formId: body.formId, status: 'pending' }
+    await linkCustomer(doc, 'jobcard', { userId: req.userId })
+    await linkVehicle(doc)
+
+    await doc.save()
+    markSerialUsed(doc.jcNo).catch(() => {})
+    const mirror = await mirrorJobCardToGoogleForm(doc, body.formId, body.entries)
+    notifyJobCardState(doc, req.userId)
+    return res.status(201).json({ success: true, message: 'Job card created', data: doc, googleFormOutboxId: mirror.outboxId || null })
+  } catch (err) {
+    return sendError(res, err, 'POST /jobcards failed', 'Failed to create job card')
+  }
+})
+
+// Update details (status changes go through /transition)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrJcNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Job card not found' })
+    if (!doc.isOpen) {
+      return res.status(409).json({ success: false, message: `Job card is ${doc.status} and can no longer be edited` })
+    }
+    const paths = jobCardPathsFromInput(req.body || {})
+    delete paths.jcNo
+    for (const [path, value] of Object.entries(paths)) doc.set(path, value)
+    if (doc.isModified('customer.mobile')) await linkCustomer(doc, 'jobcard', { userId: req.userId })
+    if (doc.isModified('vehicle.regNo') || doc.isModified('vehicle.chassisNo')) await linkVehicle(doc)
+    await doc.save()
+    return res.json({ success: true, message: 'Job card updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /jobcards/:id failed', 'Failed to update job card')
+  }
+})
+
+// Move between states: { to, note?, estimateAmount?, finalAmount?, reason? }
+router.post('/:id/transition', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrJcNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Job card not found' })
+    const { to, note, estimateAmount, finalAmount, reason } = req.body || {}
+    applyTransition(doc, to, { userId: req.userId, note, estimateAmount, finalAmount, reason })
+    await doc.save()
+    // Next service due date moves with every delivered visit (background; never fails the request)
+    if (doc.status === 'delivered') refreshServiceDueForJobCard(doc)
+    notifyJobCardState(doc, req.userId)
+    return res.json({ success: true, message: `Job card moved to ${doc.status}`, data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /jobcards/:id/transition failed', 'Failed to update job card state')
+  }
+})
+
+// Assign/reassign a mechanic from Branch.mechanics: { mechanicId }
+router.post('/:id/assign', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrJcNo(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Job card not found' })
+    await assignMechanic(doc, req.body?.mechanicId, { userId: req.userId })
+    await doc.save()
+    return res.json({ success: true, message: 'Mechanic assigned', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /jobcards/:id/assign failed', 'Failed to assign mechanic')
+  }
+})
+
+// Fill the normalized vehicle keys on old job cards (the service reminder worker also runs this once per start)
+router.post('/backfill-vehicle-keys', auth, requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    const summary = await backfillVehicleKeys()
+    return res.json({ success: true, message: 'Job card vehicle keys backfilled', data: summary })
+  } catch (err) {
+    return sendError(res, err, 'POST /jobcards/backfill-vehicle-keys failed', 'Failed to backfill vehicle keys')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,222 @@
+const express = require('express')
+const router = express.Router()
+const Lead = require('../models/leadModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { isObjectId, toDate } = require('../utils/normalize')
+const {
+  OPEN_STAGES,
+  endOfDayIST,
+  setStage,
+  addFollowUp,
+  completeFollowUp,
+  rescheduleFollowUp,
+  reassignLead,
+  followUpsDue,
+  escalateOverdueFollowUps,
+  backfillLeads,
+} = require('../utils/leads')
+
+const canAdmin = requireRole('admin', 'owner')
+
+function sendError(res, err, label, message) {
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// Lead id, quotation id or quotation number
+async function findLead(key) {
+  const raw = String(key || '').trim()
+  if (!raw) return null
+  if (isObjectId(raw)) return Lead.findOne({ $or: [{ _id: raw }, { quotation: raw }] })
+  return Lead.findOne({ quotationNo: raw })
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * List leads, next follow-up first:
+ *   GET /api/leads?stage=open|won|lost|<stage>&branchCode=BLR&owner=<userId>&mine=true&q=name/mobile/quotation no
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { stage, branchCode, owner, mine, q, from, to, limit = 50, page = 1 } = req.query
+    const filter = {}
+    if (stage === 'open') filter.stage = { $in: OPEN_STAGES }
+    else if (stage) filter.stage = String(stage)
+    if (branchCode) filter.branchCode = String(branchCode).trim().toUpperCase()
+    if (String(mine) === 'true') filter.owner = req.userId
+    else if (isObjectId(owner)) filter.owner = owner
+    if (q) {
+      const rx = new RegExp(escapeRegex(String(q).trim()), 'i')
+      filter.$or = [{ 'customer.name': rx }, { 'customer.mobile': rx }, { quotationNo: rx }]
+    }
+    if (toDate(from) || toDate(to)) {
+      filter.createdAt = {}
+      if (toDate(from)) filter.createdAt.$gte = toDate(from)
+      if (toDate(to)) filter.createdAt.$lte = toDate(to)
+    }
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Lead.find(filter).select('-stageHistory').sort({ nextFollowUpAt: 1, createdAt: -1 }).skip(skip).limit(lim),
+      Lead.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /leads failed', 'Failed to fetch leads')
+  }
+})
+
+// ---- Call lists ----
+
+// My follow-ups due today (IST), overdue ones included
+router.get('/follow-ups/today', auth, async (req, res) => {
+  try {
+    const items = await followUpsDue({ assignedTo: req.userId, until: endOfDayIST() })
+    return res.json({ success: true, data: { items, total: items.length, overdue: items.filter((i) => i.overdue).length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /leads/follow-ups/today failed', 'Failed to fetch follow-ups')
+  }
+})
+
+/**
+ * Branch call list for the sales manager:
+ *   GET /api/leads/follow-ups/due?branchCode=BLR&date=2024-05-01&assignedTo=<userId>&overdue=true
+ * date defaults to today (IST); everything due by the end of that day is included.
+ */
+router.get('/follow-ups/due', auth, async (req, res) => {
+  try {
+    const { branchCode, assignedTo, date, overdue, limit } = req.query
+    if (assignedTo && !isObjectId(assignedTo)) return res.status(400).json({ success: false, message: 'Invalid assignedTo' })
+    const items = await followUpsDue({
+      branchCode,
+      assignedTo,
+      until: endOfDayIST(toDate(date) || new Date()),
+      overdueOnly: String(overdue) === 'true',
+      limit: Math.min(Math.max(parseInt(limit, 10) || 500, 1), 1000),
+    })
+    return res.json({ success: true, data: { items, total: items.length, overdue: items.filter((i) => i.overdue).length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /leads/follow-ups/due failed', 'Failed to fetch call list')
+  }
+})
+
+// Escalate overdue follow-ups now (also runs in the background)
+router.post('/escalate', auth, canAdmin, async (req, res) => {
+  try {
+    const summary = await escalateOverdueFollowUps()
+    return res.json({ success: true, message: 'Overdue follow-ups escalated', data: summary })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/escalate failed', 'Failed to escalate follow-ups')
+  }
+})
+
+// Open leads for active quotations saved before the pipeline existed
+router.post('/backfill', auth, canAdmin, async (req, res) => {
+  try {
+    const result = await backfillLeads({ limit: Math.min(Math.max(parseInt(req.body?.limit, 10) || 1000, 1), 10000) })
+    return res.json({ success: true, message: 'Leads backfilled', data: result })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/backfill failed', 'Failed to backfill leads')
+  }
+})
+
+// ---- One lead ----
+
+router.get('/:key', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req.params.key)
+    if (!lead) return res.status(404).json({ success: false, message: 'Lead not found' })
+    await lead.populate([{ path: 'owner', select: 'name' }, { path: 'followUps.assignedTo', select: 'name' }])
+    return res.json({ success: true, data: lead })
+  } catch (err) {
+    return sendError(res, err, 'GET /leads/:key failed', 'Failed to fetch lead')
+  }
+})
+
+// { stage, note?, lostReason? (required for lost), lostNote? }
+router.post('/:key/stage', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req.params.key)
+    if (!lead) return res.status(404).json({ success: false, message: 'Lead not found' })
+    const { stage, note, lostReason, lostNote } = req.body || {}
+    setStage(lead, stage, { userId: req.userId, note, lostReason, lostNote })
+    await lead.save()
+    return res.json({ success: true, message: `Lead moved to ${lead.stage}`, data: lead })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/:key/stage failed', 'Failed to update lead stage')
+  }
+})
+
+// Hand over to another staff member: { ownerId }
+router.post('/:key/owner', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req.params.key)
+    if (!lead) return res.status(404).json({ success: false, message: 'Lead not found' })
+    await reassignLead(lead, req.body?.ownerId)
+    await lead.save()
+    return res.json({ success: true, message: `Lead assigned to ${lead.ownerName}`, data: lead })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/:key/owner failed', 'Failed to reassign lead')
+  }
+})
+
+// Schedule: { dueAt, type?: call|visit|test-ride|whatsapp, note?, assignedTo? }
+router.post('/:key/follow-ups', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req.params.key)
+    if (!lead) return res.status(404).json({ success: false, message: 'Lead not found' })
+    const followUp = addFollowUp(lead, req.body || {}, { userId: req.userId })
+    await lead.save()
+    return res.status(201).json({ success: true, message: 'Follow-up scheduled', data: { lead, followUp } })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/:key/follow-ups failed', 'Failed to schedule follow-up')
+  }
+})
+
+/**
+ * Done: { outcome?, stage?, lostReason?, next?: { dueAt, type, note } }
+ * The usual end of a call: record what happened, move the stage and book the next call in one request.
+ */
+router.post('/:key/follow-ups/:followUpId/done', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req.params.key)
+    if (!lead) return res.status(404).json({ success: false, message: 'Lead not found' })
+    const { outcome, stage, lostReason, lostNote, next } = req.body || {}
+    completeFollowUp(lead, req.params.followUpId, { outcome, userId: req.userId })
+    if (stage) setStage(lead, stage, { userId: req.userId, note: outcome, lostReason, lostNote })
+    const nextFollowUp = next?.dueAt ? addFollowUp(lead, next, { userId: req.userId }) : null
+    await lead.save()
+    return res.json({ success: true, message: 'Follow-up done', data: { lead, nextFollowUp } })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/:key/follow-ups/:followUpId/done failed', 'Failed to complete follow-up')
+  }
+})
+
+// { dueAt, note? }
+router.post('/:key/follow-ups/:followUpId/reschedule', auth, async (req, res) => {
+  try {
+    const lead = await findLead(req.params.key)
+    if (!lead) return res.status(404).json({ success: false, message: 'Lead not found' })
+    const followUp = rescheduleFollowUp(lead, req.params.followUpId, req.body || {})
+    await lead.save()
+    return res.json({ success: true, message: 'Follow-up rescheduled', data: { lead, followUp } })
+  } catch (err) {
+    return sendError(res, err, 'POST /leads/:key/follow-ups/:followUpId/reschedule failed', 'Failed to reschedule follow-up')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,228 @@
+const express = require('express')
+const router = express.Router()
+const Notification = require('../models/notificationModel')
+const NotificationTemplate = require('../models/notificationTemplateModel')
+const NotificationLog = require('../models/notificationLogModel')
+const User = require('../models/userModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { normalizeString, isObjectId, toDate } = require('../utils/normalize')
+const { BUILTIN_TEMPLATES, renderTemplate, templatesFor, notify } = require('../utils/notifications')
+
+const canConfigure = requireRole('admin', 'owner')
+const CHANNELS = ['email', 'whatsapp', 'inapp']
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A template for this event, channel and audience already exists' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// ---- My in-app notifications ----
+
+// ?unread=true for unread only; data.unread is always the unread count
+router.get('/', auth, async (req, res) => {
+  try {
+    const { unread, limit = 50, page = 1 } = req.query
+    const filter = { user: req.userId }
+    if (String(unread) === 'true') filter.readAt = { $exists: false }
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(lim),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.userId, readAt: { $exists: false } }),
+    ])
+    return res.json({ success: true, data: { items, total, unread: unreadCount } })
+  } catch (err) {
+    return sendError(res, err, 'GET /notifications failed', 'Failed to fetch notifications')
+  }
+})
+
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.userId, readAt: { $exists: false } }, { $set: { readAt: new Date() } })
+    return res.json({ success: true, message: 'All notifications marked read', data: { updated: result.modifiedCount } })
+  } catch (err) {
+    return sendError(res, err, 'POST /notifications/read-all failed', 'Failed to mark notifications read')
+  }
+})
+
+// ---- Preferences ----
+
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('notificationPrefs').lean()
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' })
+    return res.json({ success: true, data: user.notificationPrefs || {} })
+  } catch (err) {
+    return sendError(res, err, 'GET /notifications/preferences failed', 'Failed to fetch preferences')
+  }
+})
+
+// { email?, whatsapp?, inapp?: boolean, mutedEvents?: [event] }
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const set = {}
+    for (const channel of CHANNELS) {
+      if (typeof body[channel] === 'boolean') set[`notificationPrefs.${channel}`] = body[channel]
+    }
+    if (Array.isArray(body.mutedEvents)) {
+      set['notificationPrefs.mutedEvents'] = [...new Set(body.mutedEvents.map((e) => normalizeString(e).toLowerCase()).filter(Boolean))]
+    }
+    if (!Object.keys(set).length) return res.status(400).json({ success: false, message: 'Nothing to update' })
+    const user = await User.findByIdAndUpdate(req.userId, { $set: set }, { new: true }).select('notificationPrefs')
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' })
+    return res.json({ success: true, message: 'Preferences saved', data: user.notificationPrefs })
+  } catch (err) {
+    return sendError(res, err, 'PUT /notifications/preferences failed', 'Failed to save preferences')
+  }
+})
+
+// ---- Templates ----
+
+// Every template in effect: stored ones plus built-ins that are not overridden (builtin: true)
+router.get('/templates', auth, canConfigure, async (req, res) => {
+  try {
+    const stored = await NotificationTemplate.find().sort({ event: 1, channel: 1 })
+    const key = (t) => `${t.event}:${t.channel}:${t.audience}`
+    const overridden = new Set(stored.map(key))
+    const builtin = BUILTIN_TEMPLATES.filter((t) => !overridden.has(key(t))).map((t) => ({ ...t, builtin: true }))
+    const items = [...stored.map((t) => t.toJSON()), ...builtin].sort((a, b) => key(a).localeCompare(key(b)))
+    return res.json({ success: true, data: { items, total: items.length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /notifications/templates failed', 'Failed to fetch templates')
+  }
+})
+
+/**
+ * Create or replace the template for { event, channel, audience }:
+ *   { event: 'jobcard.estimated', channel: 'whatsapp', audience: 'customer',
+ *     body: 'Estimate for {{jobCard.jcNo}}: {{jobCard.estimate.amount | amount}}', whatsappTemplate?, roles?, active? }
+ */
+router.put('/templates', auth, canConfigure, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const event = normalizeString(body.event).toLowerCase()
+    const channel = normalizeString(body.channel).toLowerCase()
+    const audience = normalizeString(body.audience || 'customer').toLowerCase()
+    if (!event || !channel) return res.status(400).json({ success: false, message: 'event and channel are required' })
+    if (audience === 'customer' && channel === 'inapp') {
+      return res.status(400).json({ success: false, message: 'In-app notifications are for users only' })
+    }
+    const doc = (await NotificationTemplate.findOne({ event, channel, audience })) || new NotificationTemplate({ event, channel, audience })
+    for (const field of ['subject', 'body', 'link']) {
+      if (body[field] !== undefined) doc[field] = body[field]
+    }
+    if (body.whatsappTemplate !== undefined) doc.whatsappTemplate = body.whatsappTemplate || undefined
+    if (Array.isArray(body.roles)) doc.roles = body.roles.map((r) => normalizeString(r).toLowerCase()).filter(Boolean)
+    if (typeof body.active === 'boolean') doc.active = body.active
+    doc.updatedBy = req.userId
+    await doc.save()
+    return res.json({ success: true, message: 'Template saved', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /notifications/templates failed', 'Failed to save template')
+  }
+})
+
+// Removing a stored template brings back the built-in one (if any)
+router.delete('/templates/:id', auth, canConfigure, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const doc = await NotificationTemplate.findByIdAndDelete(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Template not found' })
+    return res.json({ success: true, message: 'Template removed' })
+  } catch (err) {
+    return sendError(res, err, 'DELETE /notifications/templates/:id failed', 'Failed to remove template')
+  }
+})
+
+// Render without sending: { event, data } previews every template for the event; { subject, body, data } a draft
+router.post('/templates/preview', auth, canConfigure, async (req, res) => {
+  try {
+    const { event, subject, body, data = {} } = req.body || {}
+    const drafts = body ? [{ subject, body }] : await templatesFor(normalizeString(event).toLowerCase())
+    const items = drafts.map((t) => ({
+      channel: t.channel,
+      audience: t.audience,
+      subject: renderTemplate(t.subject, data),
+      body: renderTemplate(t.body, data),
+    }))
+    return res.json({ success: true, data: { items, total: items.length } })
+  } catch (err) {
+    return sendError(res, err, 'POST /notifications/templates/preview failed', 'Failed to preview template')
+  }
+})
+
+// Raise an event by hand (testing a template): { event, data, users, roles, customers }
+router.post('/test', auth, canConfigure, async (req, res) => {
+  try {
+    const { event, data = {}, users = [], roles = [], customers = [] } = req.body || {}
+    if (!normalizeString(event)) return res.status(400).json({ success: false, message: 'event is required' })
+    const logs = await notify(event, data, { users, roles, customers, userId: req.userId })
+    return res.json({ success: true, message: `${logs.length} delivery attempt(s)`, data: logs })
+  } catch (err) {
+    return sendError(res, err, 'POST /notifications/test failed', 'Failed to raise event')
+  }
+})
+
+// ---- Delivery log ----
+
+// Filters: event, channel, status, userId, customerId, refModel + refId, from, to
+router.get('/log', auth, requireRole('admin', 'owner', 'backend'), async (req, res) => {
+  try {
+    const { event, channel, status, userId, customerId, refModel, refId, from, to, limit = 50, page = 1 } = req.query
+    const filter = {}
+    if (event) filter.event = String(event).toLowerCase()
+    if (channel) filter.channel = channel
+    if (status) filter.status = status
+    if (isObjectId(userId)) filter.user = userId
+    if (isObjectId(customerId)) filter.customerId = customerId
+    if (refModel) filter.refModel = refModel
+    if (isObjectId(refId)) filter.refId = refId
+    if (toDate(from) || toDate(to)) {
+      filter.createdAt = {}
+      if (toDate(from)) filter.createdAt.$gte = toDate(from)
+      if (toDate(to)) filter.createdAt.$lte = toDate(to)
+    }
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      NotificationLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(lim),
+      NotificationLog.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /notifications/log failed', 'Failed to fetch delivery log')
+  }
+})
+
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const item = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    )
+    if (!item) return res.status(404).json({ success: false, message: 'Notification not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'POST /notifications/:id/read failed', 'Failed to mark notification read')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,110 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const OutboxMessage = require('../models/outboxMessageModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { retryMessage, discardMessage, publicStatus } = require('../utils/outbox')
+const { toDate } = require('../utils/normalize')
+
+const adminOnly = requireRole('admin', 'owner', 'backend')
+
+function validId(req, res) {
+  const id = String(req.params.id || '')
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid id' })
+    return null
+  }
+  return id
+}
+
+// Client polling for a queued submission (any signed-in user; the stored response can carry sheet data)
+router.get('/:id/status', auth, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const msg = await OutboxMessage.findById(id).select('status attempts nextAttemptAt deliveredAt lastError response')
+    if (!msg) return res.status(404).json({ success: false, message: 'Not found' })
+    return res.json({ success: true, data: publicStatus(msg) })
+  } catch (err) {
+    console.error('GET /outbox/:id/status failed', err)
+    return res.status(500).json({ success: false, message: 'Failed to fetch status' })
+  }
+})
+
+// Admin list (filters: status (comma list), kind, source, serial, from, to)
+router.get('/', auth, adminOnly, async (req, res) => {
+  try {
+    const { status, kind, source, serial, from, to, limit = 50, page = 1 } = req.query
+    const filter = {}
+    if (status) filter.status = { $in: String(status).split(',').map(s => s.trim()).filter(Boolean) }
+    if (kind) filter.kind = kind
+    if (source) filter.source = source
+    if (serial) filter.serial = String(serial).trim()
+    const fromDate = toDate(from)
+    const toDateValue = toDate(to)
+    if (fromDate || toDateValue) {
+      filter.createdAt = {}
+      if (fromDate) filter.createdAt.$gte = fromDate
+      if (toDateValue) filter.createdAt.$lte = toDateValue
+    }
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total, counts] = await Promise.all([
+      OutboxMessage.find(filter).select('-payload -response -attemptLog -headers').sort({ createdAt: -1 }).skip(skip).limit(lim),
+      OutboxMessage.countDocuments(filter),
+      OutboxMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ])
+    const byStatus = counts.reduce((acc, c) => ({ ...acc, [c._id]: c.count }), {})
+    return res.json({ success: true, data: { items, total, byStatus } })
+  } catch (err) {
+    console.error('GET /outbox failed', err)
+    return res.status(500).json({ success: false, message: 'Failed to fetch outbox' })
+  }
+})
+
+// Admin inspect (full payload, attempt log and stored response)
+router.get('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const msg = await OutboxMessage.findById(id)
+    if (!msg) return res.status(404).json({ success: false, message: 'Not found' })
+    return res.json({ success: true, data: msg })
+  } catch (err) {
+    console.error('GET /outbox/:id failed', err)
+    return res.status(500).json({ success: false, message: 'Failed to fetch message' })
+  }
+})
+
+// Re-queue a dead/retrying/discarded message for immediate delivery
+router.post('/:id/retry', auth, adminOnly, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const msg = await retryMessage(id)
+    if (!msg) return res.status(404).json({ success: false, message: 'Not found' })
+    return res.json({ success: true, message: 'Queued for retry', data: publicStatus(msg) })
+  } catch (err) {
+    if (err?.status === 409) return res.status(409).json({ success: false, message: err.message })
+    console.error('POST /outbox/:id/retry failed', err)
+    return res.status(500).json({ success: false, message: 'Failed to retry message' })
+  }
+})
+
+// Give up on a message (kept for audit, never delivered)
+router.post('/:id/discard', auth, adminOnly, async (req, res) => {
+  try {
+    const id = validId(req, res)
+    if (!id) return
+    const msg = await discardMessage(id, { userId: req.userId })
+    if (!msg) return res.status(404).json({ success: false, message: 'Not found' })
+    return res.json({ success: true, message: 'Message discarded', data: publicStatus(msg) })
+  } catch (err) {
+    if (err?.status === 409) return res.status(409).json({ success: false, message: err.message })
+    console.error('POST /outbox/:id/discard failed', err)
+    return res.status(500).json({ success: false, message: 'Failed to discard message' })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,165 @@
+const express = require('express')
+const router = express.Router()
+const PriceList = require('../models/priceListModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { quotePrice, loadPriceList, clearPriceListCache, priceListFromInput } = require('../utils/pricing')
+
+const canEdit = requireRole('admin', 'owner', 'backend')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'Price list version already exists; retry' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+async function nextVersion() {
+  const last = await PriceList.findOne().sort({ version: -1 }).select('version').lean()
+  return (last?.version || 0) + 1
+}
+
+async function findByVersion(version) {
+  const v = parseInt(version, 10)
+  if (!(v > 0)) return null
+  return PriceList.findOne({ version: v })
+}
+
+/**
+ * Itemised on-road price:
+ *   POST /api/pricing/quote { model, variant, colour, state | branchCode, insurance, extendedWarranty, accessories, discount }
+ * Pass `version` to price against an older/draft list (e.g. to reprint an old quotation).
+ */
+router.post('/quote', auth, async (req, res) => {
+  try {
+    const quote = await quotePrice(req.body || {})
+    return res.json({ success: true, data: quote })
+  } catch (err) {
+    return sendError(res, err, 'POST /pricing/quote failed', 'Failed to compute price')
+  }
+})
+
+// What can be sold under the active list (for the quotation form's dropdowns)
+router.get('/catalogue', auth, async (req, res) => {
+  try {
+    const list = await loadPriceList(req.query.version)
+    const items = (list.items || []).map((i) => ({
+      model: i.model,
+      variant: i.variant || '',
+      colour: i.colour || '',
+      exShowroom: i.exShowroom,
+      insurance: i.insurance,
+      extendedWarranty: i.extendedWarranty,
+      accessories: i.accessories,
+    }))
+    const states = Array.from(new Set((list.rtoRules || []).map((r) => r.state)))
+    return res.json({ success: true, data: { version: list.version, name: list.name, defaultState: list.defaultState, states, items } })
+  } catch (err) {
+    return sendError(res, err, 'GET /pricing/catalogue failed', 'Failed to fetch catalogue')
+  }
+})
+
+// Price list versions, newest first (items omitted)
+router.get('/price-lists', auth, async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.status) filter.status = String(req.query.status)
+    const items = await PriceList.find(filter).select('-items -rtoRules').sort({ version: -1 }).limit(200)
+    return res.json({ success: true, data: { items, total: items.length } })
+  } catch (err) {
+    return sendError(res, err, 'GET /pricing/price-lists failed', 'Failed to fetch price lists')
+  }
+})
+
+router.get('/price-lists/:version', auth, async (req, res) => {
+  try {
+    const item = await findByVersion(req.params.version)
+    if (!item) return res.status(404).json({ success: false, message: 'Price list not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /pricing/price-lists/:version failed', 'Failed to fetch price list')
+  }
+})
+
+// New draft. { fromVersion } copies that list's rules and items as a starting point.
+router.post('/price-lists', auth, canEdit, async (req, res) => {
+  try {
+    const body = req.body || {}
+    let base = {}
+    if (body.fromVersion) {
+      const src = await findByVersion(body.fromVersion)
+      if (!src) return res.status(404).json({ success: false, message: `Price list version ${body.fromVersion} not found` })
+      const { defaultState, rtoRules, items } = src.toObject()
+      base = { defaultState, rtoRules, items }
+    }
+    const doc = new PriceList({ ...base, ...priceListFromInput(body), status: 'draft', version: await nextVersion(), createdBy: req.userId })
+    await doc.save()
+    return res.status(201).json({ success: true, message: 'Price list created', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /pricing/price-lists failed', 'Failed to create price list')
+  }
+})
+
+// Edit a draft. Active/archived lists are frozen because quotations point at their version.
+router.put('/price-lists/:version', auth, canEdit, async (req, res) => {
+  try {
+    const doc = await findByVersion(req.params.version)
+    if (!doc) return res.status(404).json({ success: false, message: 'Price list not found' })
+    if (doc.status !== 'draft') {
+      return res.status(409).json({ success: false, message: `Price list v${doc.version} is ${doc.status}; create a new version instead` })
+    }
+    doc.set(priceListFromInput(req.body || {}))
+    await doc.save()
+    return res.json({ success: true, message: 'Price list updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /pricing/price-lists/:version failed', 'Failed to update price list')
+  }
+})
+
+/**
+ * Make a draft the active list; the previous active list is archived. The draft is claimed first
+ * (only one request can move it out of draft), then every other active list is archived. Two drafts
+ * activated at once: each archives only lists activated no later than itself, so the later one stays.
+ * Other instances keep serving their cached list for up to 30 s (utils/pricing ACTIVE_CACHE_MS).
+ */
+router.post('/price-lists/:version/activate', auth, canEdit, async (req, res) => {
+  try {
+    const doc = await findByVersion(req.params.version)
+    if (!doc) return res.status(404).json({ success: false, message: 'Price list not found' })
+    if (doc.status === 'active') return res.json({ success: true, message: 'Price list already active', data: doc })
+    if (doc.status === 'archived') {
+      return res.status(409).json({ success: false, message: `Price list v${doc.version} is archived; copy it into a new draft` })
+    }
+    if (!doc.items.length) return res.status(400).json({ success: false, message: 'Price list has no items' })
+    const now = new Date()
+    const activated = await PriceList.findOneAndUpdate(
+      { version: doc.version, status: 'draft', 'items.0': { $exists: true } },
+      { $set: { status: 'active', activatedAt: now, activatedBy: req.userId } },
+      { new: true }
+    )
+    if (!activated) {
+      return res.status(409).json({ success: false, message: `Price list v${doc.version} was changed by someone else; reload and try again` })
+    }
+    await PriceList.updateMany(
+      { status: 'active', version: { $ne: activated.version }, activatedAt: { $not: { $gt: now } } },
+      { $set: { status: 'archived', archivedAt: now } }
+    )
+    clearPriceListCache()
+    return res.json({ success: true, message: `Price list v${activated.version} is now active`, data: activated })
+  } catch (err) {
+    return sendError(res, err, 'POST /pricing/price-lists/:version/activate failed', 'Failed to activate price list')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,173 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const Quotation = require('../models/quotationModel')
+const auth = require('../middlewares/authMiddleware')
+const { reserveSerial, markSerialUsed } = require('../utils/sequence')
+const { resolveBranch } = require('../utils/branchLookup')
+const { quotationPathsFromInput, defaultValidUntil, mirrorQuotationToGoogleForm, quotationListFilter } = require('../utils/quotations')
+const { normalizeString } = require('../utils/normalize')
+const { linkCustomer } = require('../utils/customers')
+const { notify } = require('../utils/notifications')
+const { openLeadForQuotation, markLeadLostForQuotation } = require('../utils/leads')
+const { applyQuotationPricing } = require('../utils/pricing')
+const { prepareDiscountApproval, openDiscountApproval } = require('../utils/discounts')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'Quotation number already exists' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// Accept either the Mongo id or the quotation number
+function findByIdOrSerial(idOrSerial) {
+  const key = String(idOrSerial || '').trim()
+  if (mongoose.Types.ObjectId.isValid(key)) return Quotation.findById(key)
+  return Quotation.findOne({ serialNo: key })
+}
+
+// List quotations (filters: branch, branchCode, staff, status, from, to, mobile, q)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query
+    const filter = quotationListFilter(req.query)
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Quotation.find(filter).select('-formValues').sort({ createdAt: -1 }).skip(skip).limit(lim),
+      Quotation.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /quotations failed', 'Failed to fetch quotations')
+  }
+})
+
+// Get one (by id or serial number)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const item = await findByIdOrSerial(req.params.id)
+    if (!item) return res.status(404).json({ success: false, message: 'Quotation not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /quotations/:id failed', 'Failed to fetch quotation')
+  }
+})
+
+// Create. Reserves a serial when the client did not bring one; mirrors to a Google Form when formId is given.
+router.post('/', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const paths = quotationPathsFromInput(body)
+    const { branchId, branchCode } = await resolveBranch(body)
+
+    const doc = new Quotation({ createdBy: req.userId, staff: req.userId })
+    for (const [path, value] of Object.entries(paths)) doc.set(path, value)
+    if (branchId) doc.branch = branchId
+    if (branchCode) doc.branchCode = branchCode
+    // { pricing: { state, insurance, extendedWarranty, accessories } } prices it from the active price list
+    if (body.pricing && typeof body.pricing === 'object') await applyQuotationPricing(doc, body.pricing)
+    if (!doc.validUntil) doc.validUntil = defaultValidUntil()
+    if (body.formValues && typeof body.formValues === 'object') doc.formValues = body.formValues
+    if (!doc.serialNo) {
+      // Rejected bodies must not burn a number
+      await doc.validate({ pathsToSkip: ['serialNo'] })
+      const { serial } = await reserveSerial('quotation', { branchCode, mobile: doc.customer?.mobile, userId: req.userId })
+      doc.serialNo = serial
+    }
+    if (body.formId) doc.googleForm = { formId: body.formId, status: 'pending' }
+    await linkCustomer(doc, 'quotation', { userId: req.userId })
+    const discountRequest = await prepareDiscountApproval(doc, 'quotation', { userId: req.userId, reason: body.discountReason })
+
+    await doc.save()
+    await openDiscountApproval(doc, 'quotation', discountRequest)
+    markSerialUsed(doc.serialNo).catch(() => {})
+    openLeadForQuotation(doc, { userId: req.userId }).catch(() => {})
+    const mirror = await mirrorQuotationToGoogleForm(doc, body.formId, body.entries)
+    notify('quotation.created', { quotation: doc }, {
+      customers: [doc.customerId || doc.customer],
+      ref: { model: 'Quotation', id: doc._id, no: doc.serialNo },
+      branch: doc.branch,
+      userId: req.userId,
+    })
+    return res.status(201).json({ success: true, message: 'Quotation created', data: doc, googleFormOutboxId: mirror.outboxId || null })
+  } catch (err) {
+    return sendError(res, err, 'POST /quotations failed', 'Failed to create quotation')
+  }
+})
+
+// Update editable fields (not allowed once cancelled/converted)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrSerial(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Quotation not found' })
+    if (doc.status !== 'active') {
+      return res.status(409).json({ success: false, message: `Quotation is ${doc.status} and can no longer be edited` })
+    }
+    const body = { ...req.body }
+    delete body.userId
+    const paths = quotationPathsFromInput(body)
+    delete paths.serialNo
+    for (const [path, value] of Object.entries(paths)) doc.set(path, value)
+    if (body.branchId || body.branchCode) {
+      const { branchId, branchCode } = await resolveBranch(body)
+      if (branchId) doc.branch = branchId
+      if (branchCode) doc.branchCode = branchCode
+    }
+    const vehicleChanged = ['vehicle.model', 'vehicle.variant', 'vehicle.colour'].some((p) => doc.isModified(p))
+    const pricedByHand = Object.keys(paths).some((p) => p.startsWith('price.') && p !== 'price.discount' && p !== 'price.otherCharges')
+    if (body.pricing && typeof body.pricing === 'object') {
+      await applyQuotationPricing(doc, body.pricing)
+    } else if (doc.pricing && vehicleChanged) {
+      // Same selections, current price list
+      const { insurance, extendedWarranty, accessories } = doc.pricing.selections || {}
+      await applyQuotationPricing(doc, { state: doc.pricing.state, insurance, extendedWarranty: extendedWarranty || 'none', accessories })
+    } else if (doc.pricing && pricedByHand) {
+      doc.pricing = undefined
+    }
+    if (body.formValues && typeof body.formValues === 'object') doc.formValues = body.formValues
+    if (doc.isModified('customer.mobile')) await linkCustomer(doc, 'quotation', { userId: req.userId })
+    const repriced = doc.isModified('price')
+    const discountRequest = repriced ? await prepareDiscountApproval(doc, 'quotation', { userId: req.userId, reason: body.discountReason }) : null
+    await doc.save()
+    if (repriced) await openDiscountApproval(doc, 'quotation', discountRequest)
+    return res.json({ success: true, message: 'Quotation updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /quotations/:id failed', 'Failed to update quotation')
+  }
+})
+
+// Cancel (soft; the number stays used so the serial audit has no gap)
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const doc = await findByIdOrSerial(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Quotation not found' })
+    if (doc.status === 'cancelled') return res.json({ success: true, message: 'Quotation already cancelled', data: doc })
+    if (doc.status === 'converted') {
+      return res.status(409).json({ success: false, message: 'Quotation is already converted to a booking' })
+    }
+    doc.status = 'cancelled'
+    doc.cancelledAt = new Date()
+    doc.cancelledBy = req.userId
+    doc.cancelReason = normalizeString(req.body?.reason).slice(0, 500) || undefined
+    await doc.save()
+    markLeadLostForQuotation(doc, { userId: req.userId, reason: doc.cancelReason })
+    return res.json({ success: true, message: 'Quotation cancelled', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /quotations/:id/cancel failed', 'Failed to cancel quotation')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,191 @@
+const express = require('express')
+const router = express.Router()
+const ServiceDue = require('../models/serviceDueModel')
+const ServiceSchedule = require('../models/serviceScheduleModel')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { normalizeString, normalizeVehicleId, toAmount, toDate, isObjectId } = require('../utils/normalize')
+const {
+  DEFAULT_SCHEDULE,
+  recomputeAllServiceDue,
+  sendServiceReminder,
+  withinSendHours,
+  runServiceReminders,
+} = require('../utils/serviceDue')
+
+const canConfigure = requireRole('admin', 'owner', 'backend')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A schedule for this model already exists' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+/**
+ * Vehicles due for service, soonest first:
+ *   GET /api/service-reminders/due?branchCode=BLR&within=15   (due in the next 15 days, overdue included)
+ *   &overdue=true only overdue; &from/&to explicit due-date window
+ */
+router.get('/due', auth, async (req, res) => {
+  try {
+    const { branchCode, within = 30, overdue, from, to, limit = 50, page = 1 } = req.query
+    const now = new Date()
+    const filter = {}
+    if (branchCode) filter.branchCode = String(branchCode).trim().toUpperCase()
+    const due = {}
+    if (String(overdue) === 'true') {
+      due.$lt = now
+    } else if (from || to) {
+      if (toDate(from)) due.$gte = toDate(from)
+      if (toDate(to)) due.$lte = toDate(to)
+    } else {
+      const days = Math.min(Math.max(parseInt(within, 10) || 30, 0), 365)
+      due.$lte = new Date(now.getTime() + days * 24 * 60 * 60 * 1000)
+    }
+    filter['nextService.dueDate'] = due
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      ServiceDue.find(filter).sort({ 'nextService.dueDate': 1 }).skip(skip).limit(lim),
+      ServiceDue.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /service-reminders/due failed', 'Failed to fetch due list')
+  }
+})
+
+// Due entry for one vehicle by registry id, chassis or registration number
+router.get('/vehicle/:key', auth, async (req, res) => {
+  try {
+    const raw = String(req.params.key || '').trim()
+    const key = normalizeVehicleId(raw)
+    const or = [{ regNo: key }, { chassisNo: key }]
+    if (isObjectId(raw)) or.push({ vehicle: raw }, { _id: raw })
+    const item = key ? await ServiceDue.findOne({ $or: or }) : null
+    if (!item) return res.status(404).json({ success: false, message: 'No service due entry for this vehicle' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /service-reminders/vehicle/:key failed', 'Failed to fetch service due entry')
+  }
+})
+
+// ---- Schedules ----
+
+router.get('/schedules', auth, async (req, res) => {
+  try {
+    const items = await ServiceSchedule.find().sort({ model: 1 })
+    return res.json({ success: true, data: { items, total: items.length, fallback: DEFAULT_SCHEDULE } })
+  } catch (err) {
+    return sendError(res, err, 'GET /service-reminders/schedules failed', 'Failed to fetch schedules')
+  }
+})
+
+// Create or replace the schedule for { model ("*" = fallback), services: [{ label, days, km }], repeatEveryDays, repeatEveryKm }
+router.put('/schedules', auth, canConfigure, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const model = normalizeString(body.model)
+    if (!model) return res.status(400).json({ success: false, message: 'model is required' })
+    const doc = (await ServiceSchedule.findOne({ modelKey: model.toLowerCase() })) || new ServiceSchedule({ model })
+    doc.model = model
+    if (Array.isArray(body.services)) {
+      doc.services = body.services.map((s) => ({ label: normalizeString(s?.label), days: toAmount(s?.days), km: toAmount(s?.km) }))
+    }
+    if (body.repeatEveryDays !== undefined) doc.repeatEveryDays = toAmount(body.repeatEveryDays)
+    if (body.repeatEveryKm !== undefined) doc.repeatEveryKm = toAmount(body.repeatEveryKm)
+    if (typeof body.active === 'boolean') doc.active = body.active
+    doc.updatedBy = req.userId
+    await doc.save()
+    return res.json({ success: true, message: 'Schedule saved; due dates update on the next recompute', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /service-reminders/schedules failed', 'Failed to save schedule')
+  }
+})
+
+router.delete('/schedules/:id', auth, canConfigure, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const doc = await ServiceSchedule.findByIdAndDelete(req.params.id)
+    if (!doc) return res.status(404).json({ success: false, message: 'Schedule not found' })
+    return res.json({ success: true, message: 'Schedule removed' })
+  } catch (err) {
+    return sendError(res, err, 'DELETE /service-reminders/schedules/:id failed', 'Failed to remove schedule')
+  }
+})
+
+// ---- Jobs ----
+
+// Rebuild every due entry now (also runs daily in the background)
+router.post('/recompute', auth, canConfigure, async (req, res) => {
+  try {
+    const result = await recomputeAllServiceDue()
+    return res.json({ success: true, message: 'Service due dates recomputed', data: result })
+  } catch (err) {
+    return sendError(res, err, 'POST /service-reminders/recompute failed', 'Failed to recompute service due dates')
+  }
+})
+
+// One reminder pass now (same tracking rules as the background worker).
+// Honours SERVICE_REMINDERS_ENABLED and the send hours unless the body says { force: true }.
+router.post('/run', auth, canConfigure, async (req, res) => {
+  try {
+    if (req.body?.force !== true) {
+      if (process.env.SERVICE_REMINDERS_ENABLED !== 'true') {
+        return res.status(409).json({ success: false, message: 'Automatic reminders are disabled (SERVICE_REMINDERS_ENABLED); send { force: true } to run anyway' })
+      }
+      if (!withinSendHours()) {
+        return res.status(409).json({ success: false, message: 'Outside reminder send hours; send { force: true } to run anyway' })
+      }
+    }
+    const summary = await runServiceReminders()
+    return res.json({ success: true, message: 'Reminder pass finished', data: summary })
+  } catch (err) {
+    return sendError(res, err, 'POST /service-reminders/run failed', 'Failed to run reminders')
+  }
+})
+
+// ---- Per entry ----
+
+// Remind one customer now (e.g. from the due list); still at most one reminder per gap window
+router.post('/:id/remind', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const entry = await ServiceDue.findById(req.params.id)
+    if (!entry) return res.status(404).json({ success: false, message: 'Service due entry not found' })
+    const attempts = await sendServiceReminder(entry, { userId: req.userId })
+    const sent = attempts.some((a) => a.status === 'sent')
+    return res.status(sent ? 200 : 502).json({ success: sent, message: sent ? 'Reminder sent' : 'Reminder could not be sent', data: attempts })
+  } catch (err) {
+    return sendError(res, err, 'POST /service-reminders/:id/remind failed', 'Failed to send reminder')
+  }
+})
+
+// Hold automatic reminders: { until } or { days }
+router.post('/:id/snooze', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const days = toAmount(req.body?.days)
+    const until = toDate(req.body?.until) || (days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined)
+    if (!until) return res.status(400).json({ success: false, message: 'until or days is required' })
+    const item = await ServiceDue.findByIdAndUpdate(req.params.id, { $set: { snoozedUntil: until } }, { new: true })
+    if (!item) return res.status(404).json({ success: false, message: 'Service due entry not found' })
+    return res.json({ success: true, message: 'Reminders snoozed', data: item })
+  } catch (err) {
+    return sendError(res, err, 'POST /service-reminders/:id/snooze failed', 'Failed to snooze reminders')
+  }
+})
+
+module.exports = router
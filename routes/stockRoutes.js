@@ -0,0 +1,154 @@
+const express = require('express')
+const router = express.Router()
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const User = require('../models/userModel')
+const {
+  recordMovement,
+  updateMovement,
+  deleteMovement,
+  admitTransfer,
+  rejectTransfer,
+  listMovements,
+  listCurrentStock,
+  listPendingTransfers,
+  stockHistory,
+  mirrorToSheet,
+  importFromSheet,
+} = require('../utils/stocks')
+
+const canAdmin = requireRole('admin', 'owner')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    return res.status(409).json({ success: false, message: 'Duplicate movement number, please retry' })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message, code: err.code })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+async function actor(req) {
+  const user = await User.findById(req.userId).select('name').lean()
+  return { userId: req.userId, userName: user?.name }
+}
+
+/**
+ * Current stock per chassis:
+ *   GET /api/stocks/current?branch=BLR&status=in-stock|in-transit|sold|all&model=Activa&q=chassis
+ * Default status is in-stock + in-transit; ageDays counts from arrival at the branch.
+ */
+router.get('/current', auth, async (req, res) => {
+  try {
+    const { items, total } = await listCurrentStock(req.query)
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /stocks/current failed', 'Failed to fetch stock')
+  }
+})
+
+// One chassis: where it is now and every movement (voided ones included)
+router.get('/current/:chassisNo', auth, async (req, res) => {
+  try {
+    return res.json({ success: true, data: await stockHistory(req.params.chassisNo) })
+  } catch (err) {
+    return sendError(res, err, 'GET /stocks/current/:chassisNo failed', 'Failed to fetch stock history')
+  }
+})
+
+// Ledger: ?branch=BLR&chassisNo=&type=inward|transfer-out|transfer-in|sale|return&status=&from=&to=&q=
+router.get('/movements', auth, async (req, res) => {
+  try {
+    const { items, total } = await listMovements(req.query)
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /stocks/movements failed', 'Failed to fetch stock movements')
+  }
+})
+
+// Transfers waiting to be admitted (?branch= matches sender or receiver)
+router.get('/transfers/pending', auth, async (req, res) => {
+  try {
+    const { items, total } = await listPendingTransfers(req.query)
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /stocks/transfers/pending failed', 'Failed to fetch pending transfers')
+  }
+})
+
+// { type: inward|transfer-out|sale|return, chassisNo, branch, toBranch?, at?, model?, variant?, colour?, engineNo?, party?, reference?, amount?, notes? }
+router.post('/movements', auth, async (req, res) => {
+  try {
+    const who = await actor(req)
+    const { movement, stock } = await recordMovement(req.body || {}, who)
+    mirrorToSheet('create', movement, { userId: req.userId })
+    return res.status(201).json({ success: true, message: `${movement.type} recorded`, data: { movement, stock } })
+  } catch (err) {
+    return sendError(res, err, 'POST /stocks/movements failed', 'Failed to record stock movement')
+  }
+})
+
+// Correct date/details: { at?, model?, variant?, colour?, engineNo?, party?, reference?, amount?, notes? }
+router.put('/movements/:movementId', auth, async (req, res) => {
+  try {
+    const { movement, stock } = await updateMovement(req.params.movementId, req.body || {})
+    mirrorToSheet('update', movement, { userId: req.userId })
+    return res.json({ success: true, message: 'Movement updated', data: { movement, stock } })
+  } catch (err) {
+    return sendError(res, err, 'PUT /stocks/movements/:movementId failed', 'Failed to update stock movement')
+  }
+})
+
+router.delete('/movements/:movementId', auth, async (req, res) => {
+  try {
+    const { movement, stock } = await deleteMovement(req.params.movementId, { userId: req.userId })
+    mirrorToSheet('delete', movement, { userId: req.userId })
+    return res.json({ success: true, message: 'Movement deleted', data: { movement, stock } })
+  } catch (err) {
+    return sendError(res, err, 'DELETE /stocks/movements/:movementId failed', 'Failed to delete stock movement')
+  }
+})
+
+// Receiving branch accepts a transfer-out: { at?, notes? }
+router.post('/movements/:movementId/admit', auth, async (req, res) => {
+  try {
+    const who = await actor(req)
+    const { movement, transfer, stock } = await admitTransfer(req.params.movementId, req.body || {}, who)
+    mirrorToSheet('admit', transfer, { userId: req.userId })
+    return res.json({ success: true, message: 'Transfer admitted', data: { movement, transfer, stock } })
+  } catch (err) {
+    return sendError(res, err, 'POST /stocks/movements/:movementId/admit failed', 'Failed to admit transfer')
+  }
+})
+
+// { reason? }
+router.post('/movements/:movementId/reject', auth, async (req, res) => {
+  try {
+    const { movement, stock } = await rejectTransfer(req.params.movementId, { reason: req.body?.reason })
+    mirrorToSheet('reject', movement, { userId: req.userId })
+    return res.json({ success: true, message: 'Transfer rejected', data: { movement, stock } })
+  } catch (err) {
+    return sendError(res, err, 'POST /stocks/movements/:movementId/reject failed', 'Failed to reject transfer')
+  }
+})
+
+// Migration: load the sheet's current stock as opening inward movements (skips chassis already in the ledger)
+router.post('/import-sheet', auth, canAdmin, async (req, res) => {
+  try {
+    const summary = await importFromSheet(await actor(req))
+    return res.json({ success: true, message: `Imported ${summary.imported} of ${summary.rows} sheet rows`, data: summary })
+  } catch (err) {
+    return sendError(res, err, 'POST /stocks/import-sheet failed', 'Failed to import stock sheet')
+  }
+})
+
+module.exports = router
@@ -1,31 +1,173 @@
 const express = require('express')
-const axios = require('axios')
+const auth = require('../middlewares/authMiddleware')
+const requireRole = require('../middlewares/requireRole')
+const { stocksSource, gasRead, gasWrite, staleCurrent, currentSnapshot, refreshCurrentSnapshot, gasStatus } = require('../utils/stocksGas')
+const {
+  recordMovement,
+  updateMovement,
+  deleteMovement,
+  admitTransfer,
+  rejectTransfer,
+  listMovements,
+  listCurrentStock,
+  listPendingTransfers,
+  movementRow,
+  stockRow,
+  mirrorToSheet,
+} = require('../utils/stocks')
 
 const router = express.Router()
 
-// Point this to your deployed Apps Script Web App URL
-const GAS_URL = process.env.STOCKS_GAS_URL || 'https://script.google.com/macros/s/AKfycbzWT7aSLTZl-qW2peDaHMcsW_aA55ttVfheZThFfYpj7sMm09Mg_6Gp2xjc7Z0XNHmwpw/exec'
 const upper = (v) => String(v || '').trim().toUpperCase()
 
-// GET proxy (list/current/pending)
-router.get('/', async (req, res) => {
+/**
+ * Apps Script-compatible stock API. By default (STOCKS_SOURCE=gas) it proxies the sheet unchanged;
+ * with STOCKS_SOURCE=mongo it is answered from the StockMovement ledger and needs a signed-in user.
+ * Like the Apps Script, rejected requests answer 200 with { ok: false, message } so existing screens show the message.
+ */
+function sendGasError(res, err, label) {
+  if (err?.status && err.status < 500) return res.json({ ok: false, message: err.message, code: err.code })
+  console.error(label, err)
+  return res.status(500).json({ ok: false, message: 'Stock ledger error', detail: err?.message || String(err) })
+}
+
+const userName = (data) => String(data?.createdBy || data?.user || data?.userName || '').trim() || undefined
+
+// The ledger is ours to protect; the sheet proxy keeps the Apps Script's own (open) access
+const ledgerAuth = (req, res, next) => (stocksSource() === 'mongo' ? auth(req, res, next) : next())
+
+// Health of the sheet connection: circuit breaker state and age of the stored current-stock copy
+router.get('/status', auth, async (req, res) => {
   try {
-    const params = { ...req.query }
-    if (!params.action) params.action = 'list'
-    const { data } = await axios.get(GAS_URL, { params })
-    return res.json(data)
+    return res.json({ ok: true, data: await gasStatus() })
   } catch (err) {
-    const status = err?.response?.status || 500
-    return res.status(status).json({ ok: false, message: 'Failed to reach GAS (GET)', detail: err?.message || String(err) })
+    return sendGasError(res, err, 'GET /stocks/gas/status failed')
+  }
+})
+
+// Take a fresh copy of action=current now (admin/owner)
+router.post('/snapshot', auth, requireRole('admin', 'owner'), async (req, res) => {
+  try {
+    const result = await refreshCurrentSnapshot()
+    return res.json(result.ok ? { ok: true, message: `Snapshot stored (${result.rowCount} rows)`, data: result } : { ok: false, message: result.error })
+  } catch (err) {
+    return sendGasError(res, err, 'POST /stocks/gas/snapshot failed')
+  }
+})
+
+// GET (list/current/pending)
+router.get('/', ledgerAuth, async (req, res) => {
+  if (stocksSource() === 'gas') return proxyGet(req, res)
+  try {
+    const action = String(req.query.action || 'list').toLowerCase()
+    let result
+    if (action === 'list') result = await listMovements(req.query)
+    else if (action === 'current') result = await listCurrentStock(req.query)
+    else if (action === 'pending') result = await listPendingTransfers(req.query)
+    else return res.json({ ok: false, message: `Unknown action: ${action}` })
+    const rows = action === 'current' ? result.items.map(stockRow) : result.items.map(movementRow)
+    return res.json({ ok: true, data: rows, total: result.total, page: result.page, limit: result.limit })
+  } catch (err) {
+    return sendGasError(res, err, 'GET /stocks/gas failed')
+  }
+})
+
+// POST (create/update/delete/admit/reject)
+router.post('/', ledgerAuth, async (req, res) => {
+  if (stocksSource() === 'gas') return proxyPost(req, res)
+  try {
+    const payload = req.body || {}
+    const action = String(payload.action || 'create').toLowerCase()
+    const data = payload.data && typeof payload.data === 'object' ? payload.data : {}
+    const movementId = payload.movementId || payload.id || data.movementId
+    let result
+    let message
+    if (action === 'create') {
+      result = await recordMovement(data, { userId: req.userId, userName: userName(data) })
+      message = `${result.movement.type} recorded`
+    } else if (action === 'update') {
+      result = await updateMovement(movementId, data, { chassisNo: data.chassisNo || data.Chassis_No })
+      message = 'Movement updated'
+    } else if (action === 'delete') {
+      result = await deleteMovement(movementId, { userId: req.userId })
+      message = 'Movement deleted'
+    } else if (action === 'admit') {
+      result = await admitTransfer(movementId, data, { userId: req.userId, userName: userName(data) })
+      message = 'Transfer admitted'
+    } else if (action === 'reject') {
+      result = await rejectTransfer(movementId, { reason: data.reason || payload.reason })
+      message = 'Transfer rejected'
+    } else {
+      return res.json({ ok: false, message: `Unknown action: ${action}` })
+    }
+    // The sheet admits by the transfer-out's id
+    mirrorToSheet(action, action === 'admit' ? result.transfer : result.movement, { userId: req.userId })
+    return res.json({ ok: true, message, data: movementRow(result.movement), stock: result.stock ? stockRow(result.stock) : null })
+  } catch (err) {
+    return sendGasError(res, err, 'POST /stocks/gas failed')
   }
 })
 
-// POST proxy (create/update/delete/admit/reject)
-router.post('/', async (req, res) => {
+// ---- STOCKS_SOURCE=gas: plain proxy to the Apps Script ----
+
+// Circuit open -> 503, timeout -> 504, otherwise Apps Script's own status (502 when it never answered)
+function upstreamStatus(err) {
+  if (err?.code === 'GAS_CIRCUIT_OPEN') return 503
+  if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') return 504
+  return err?.response?.status || 502
+}
+
+async function proxyGet(req, res) {
+  const params = { ...req.query }
+  if (!params.action) params.action = 'list'
+  try {
+    return res.json(await gasRead(params))
+  } catch (err) {
+    const status = upstreamStatus(err)
+    // Stock screen stays usable: last stored copy of the current stock, flagged stale
+    if (String(params.action).toLowerCase() === 'current' && status >= 500) {
+      const stale = await staleCurrent(params, err?.message || String(err)).catch(() => null)
+      if (stale) {
+        res.set('Warning', '110 - "Response is Stale"')
+        return res.json(stale)
+      }
+    }
+    return res.status(status).json({ ok: false, message: 'Failed to reach GAS (GET)', detail: err?.message || String(err) })
+  }
+}
+
+// Latest movement id of a chassis from the sheet itself; the stored snapshot (up to an interval old,
+// so possibly an id the sheet already replaced) only when the sheet cannot be read
+async function latestMovementId(chassisNo) {
+  const fromRows = (rows, ...keys) => {
+    const row = (Array.isArray(rows) ? rows : []).find((r) => upper(r?.chassisNo || r?.Chassis_No) === chassisNo)
+    return String(keys.map((k) => row?.[k]).find(Boolean) || '').trim()
+  }
+  let reachable = false
+  try {
+    const id = fromRows((await gasRead({ action: 'current', limit: 3000, page: 1 }))?.data, 'lastMovementId', 'movementId')
+    reachable = true
+    if (id) return id
+  } catch (_) {
+    // try the movement list, then the snapshot
+  }
+  try {
+    const id = fromRows((await gasRead({ action: 'list', limit: 3000, page: 1 }))?.data, 'movementId', 'MovementId')
+    reachable = true
+    if (id) return id
+  } catch (_) {
+    // fall through to the snapshot
+  }
+  if (reachable) return ''
+  const snap = await currentSnapshot().catch(() => null)
+  return fromRows(snap?.response?.data, 'lastMovementId', 'movementId')
+}
+
+async function proxyPost(req, res) {
   try {
     const payload = req.body || {}
     if (!payload.action) payload.action = 'create'
-    let { data } = await axios.post(GAS_URL, payload)
+    let data = await gasWrite(payload)
 
     // Fallback for stale movement IDs:
     // if update fails with "Movement not found", resolve latest movement by chassis and retry once.
@@ -34,37 +176,17 @@ router.post('/', async (req, res) => {
     const chassisNo = upper(payload?.data?.chassisNo || payload?.data?.Chassis_No)
     const attemptedId = String(payload?.movementId || payload?.id || '').trim()
     if (isUpdate && data?.ok === false && notFound && chassisNo) {
-      let fallbackId = ''
-      try {
-        const current = await axios.get(GAS_URL, { params: { action: 'current', limit: 3000, page: 1 } })
-        const currentRows = Array.isArray(current?.data?.data) ? current.data.data : []
-        const snap = currentRows.find((r) => upper(r?.chassisNo || r?.Chassis_No) === chassisNo)
-        fallbackId = String(snap?.lastMovementId || snap?.movementId || '').trim()
-      } catch (_) {
-        // ignore and continue to next fallback
-      }
-      if (!fallbackId) {
-        try {
-          const list = await axios.get(GAS_URL, { params: { action: 'list', limit: 3000, page: 1 } })
-          const listRows = Array.isArray(list?.data?.data) ? list.data.data : []
-          const mv = listRows.find((r) => upper(r?.chassisNo || r?.Chassis_No) === chassisNo)
-          fallbackId = String(mv?.movementId || mv?.MovementId || '').trim()
-        } catch (_) {
-          // ignore and return original response
-        }
-      }
+      const fallbackId = await latestMovementId(chassisNo)
       if (fallbackId && fallbackId !== attemptedId) {
         const retryPayload = { ...payload, movementId: fallbackId }
-        const retry = await axios.post(GAS_URL, retryPayload)
-        data = retry?.data || data
+        data = (await gasWrite(retryPayload)) || data
       }
     }
 
     return res.json(data)
   } catch (err) {
-    const status = err?.response?.status || 500
-    return res.status(status).json({ ok: false, message: 'Failed to reach GAS (POST)', detail: err?.message || String(err) })
+    return res.status(upstreamStatus(err)).json({ ok: false, message: 'Failed to reach GAS (POST)', detail: err?.message || String(err) })
   }
-})
+}
 
 module.exports = router
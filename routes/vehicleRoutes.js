@@ -0,0 +1,154 @@
+const express = require('express')
+const router = express.Router()
+const Vehicle = require('../models/vehicleModel')
+const JobCard = require('../models/jobCardModel')
+const auth = require('../middlewares/authMiddleware')
+const { resolveBranch } = require('../utils/branchLookup')
+const { normalizeVehicleId } = require('../utils/normalize')
+const {
+  findVehicle,
+  vehiclePathsFromInput,
+  bookingDefaults,
+  setOwner,
+  ownerFromInput,
+  serviceTimeline,
+  vehicleListFilter,
+} = require('../utils/vehicles')
+const { refreshServiceDue } = require('../utils/serviceDue')
+
+function sendError(res, err, label, message) {
+  if (err?.code === 11000) {
+    const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || 'identifier'
+    return res.status(409).json({ success: false, message: `Another vehicle already has this ${field}` })
+  }
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// List vehicles (filters: q = chassis/reg/engine prefix, owner, branchCode = selling branch, model, from, to = sale date)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query
+    const filter = vehicleListFilter(req.query)
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Vehicle.find(filter).populate('owner', 'name mobile').sort({ saleDate: -1, createdAt: -1 }).skip(skip).limit(lim),
+      Vehicle.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /vehicles failed', 'Failed to fetch vehicles')
+  }
+})
+
+// Get one by id, chassis, engine or registration number
+router.get('/:key', auth, async (req, res) => {
+  try {
+    const item = await findVehicle(req.params.key)
+    if (!item) return res.status(404).json({ success: false, message: 'Vehicle not found' })
+    await item.populate('owner', 'name mobile email')
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /vehicles/:key failed', 'Failed to fetch vehicle')
+  }
+})
+
+/**
+ * Service history and warranty for the service desk: GET /api/vehicles/KA01AB1234/history
+ * A number that is not in the registry still returns the job cards typed with it (vehicle: null).
+ */
+router.get('/:key/history', auth, async (req, res) => {
+  try {
+    const vehicle = await findVehicle(req.params.key)
+    if (vehicle) await vehicle.populate('owner', 'name mobile')
+    const key = normalizeVehicleId(req.params.key)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000)
+    const timeline = await serviceTimeline(vehicle ? { vehicle } : { regNo: key, chassisNo: key }, { limit })
+    if (!vehicle && !timeline.visits.length) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' })
+    }
+    return res.json({ success: true, data: { vehicle: vehicle || null, ...timeline } })
+  } catch (err) {
+    return sendError(res, err, 'GET /vehicles/:key/history failed', 'Failed to fetch vehicle history')
+  }
+})
+
+// Register a vehicle. bookingId/bookingNo fills model, selling branch and owner from the booking.
+router.post('/', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const { booking, paths: fromBooking } = await bookingDefaults({ bookingId: body.bookingId, bookingNo: body.bookingNo })
+    const doc = new Vehicle({ createdBy: req.userId })
+    for (const [path, value] of Object.entries({ ...fromBooking, ...vehiclePathsFromInput(body) })) doc.set(path, value)
+    if (body.branchId || body.branchCode) {
+      const { branchId, branchCode } = await resolveBranch(body)
+      if (branchId) doc.sellingBranch = branchId
+      if (branchCode) doc.sellingBranchCode = branchCode
+    }
+    const ownerId = await ownerFromInput(body, { branch: doc.sellingBranch, branchCode: doc.sellingBranchCode, userId: req.userId })
+    setOwner(doc, ownerId || booking?.customerId, { userId: req.userId, at: doc.saleDate })
+    await doc.save()
+
+    // Job cards opened before the vehicle was registered
+    // Matched on the normalized keys, the same way the service timeline finds them
+    const or = [{ 'vehicle.chassisKey': normalizeVehicleId(doc.chassisNo) }]
+    if (doc.regNo) or.push({ 'vehicle.regKey': normalizeVehicleId(doc.regNo) })
+    JobCard.updateMany({ vehicleId: { $exists: false }, $or: or }, { $set: { vehicleId: doc._id } }).catch((e) => {
+      console.warn('vehicle job card backlink failed', doc.chassisNo, e?.message || e)
+    })
+    // Free services count from the sale date
+    if (doc.saleDate) {
+      refreshServiceDue({ vehicle: doc }).catch((e) => console.warn('service due refresh failed', doc.chassisNo, e?.message || e))
+    }
+    return res.status(201).json({ success: true, message: 'Vehicle registered', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /vehicles failed', 'Failed to register vehicle')
+  }
+})
+
+// Update details (e.g. the registration number once the RTO assigns it)
+router.put('/:key', auth, async (req, res) => {
+  try {
+    const doc = await findVehicle(req.params.key)
+    if (!doc) return res.status(404).json({ success: false, message: 'Vehicle not found' })
+    for (const [path, value] of Object.entries(vehiclePathsFromInput(req.body || {}))) doc.set(path, value)
+    if (req.body?.branchId || req.body?.branchCode) {
+      const { branchId, branchCode } = await resolveBranch(req.body)
+      if (branchId) doc.sellingBranch = branchId
+      if (branchCode) doc.sellingBranchCode = branchCode
+    }
+    await doc.save()
+    return res.json({ success: true, message: 'Vehicle updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'PUT /vehicles/:key failed', 'Failed to update vehicle')
+  }
+})
+
+// Change of ownership (resale); the previous owner stays in ownerHistory
+router.post('/:key/owner', auth, async (req, res) => {
+  try {
+    const doc = await findVehicle(req.params.key)
+    if (!doc) return res.status(404).json({ success: false, message: 'Vehicle not found' })
+    const ownerId = await ownerFromInput(req.body || {}, { userId: req.userId })
+    if (!ownerId) return res.status(400).json({ success: false, message: 'ownerId or owner.mobile is required' })
+    setOwner(doc, ownerId, { userId: req.userId, note: req.body?.note })
+    await doc.save()
+    await doc.populate('owner', 'name mobile')
+    return res.json({ success: true, message: 'Owner updated', data: doc })
+  } catch (err) {
+    return sendError(res, err, 'POST /vehicles/:key/owner failed', 'Failed to change owner')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,318 @@
+const express = require('express')
+const router = express.Router()
+const Message = require('../models/messageModel')
+const Conversation = require('../models/conversationModel')
+const User = require('../models/userModel')
+const auth = require('../middlewares/authMiddleware')
+const { isObjectId, normalizeString } = require('../utils/normalize')
+const { resolveBranch } = require('../utils/branchLookup')
+const { DOCUMENT_TYPES, getDocumentPdf } = require('../utils/documents')
+const {
+  sendWhatsappText,
+  sendWhatsappTemplate,
+  sendWhatsappDocument,
+  sendWhatsappImage,
+  uploadWhatsappMedia,
+  normalizeE164NoPlus,
+} = require('../utils/whatsapp')
+const { isWebhookConfigured, verifyWebhookSignature, handleWhatsappWebhook } = require('../utils/whatsappWebhook')
+const {
+  sessionOpen,
+  replyToConversation,
+  conversationMessages,
+  conversationListFilter,
+} = require('../utils/whatsappInbox')
+
+// utils/whatsapp errors carry a code instead of an HTTP status
+const WHATSAPP_ERROR_STATUS = {
+  WA_NOT_CONFIGURED: 503,
+  INVALID_TO: 400,
+  WA_MEDIA_REQUIRED: 400,
+  WA_TEMPLATE_REQUIRED: 400,
+  WA_BAD_HEADER: 400,
+  WA_API_ERROR: 502,
+}
+
+function sendError(res, err, label, message) {
+  if (err?.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(e => e?.message).join('; ')
+    return res.status(400).json({ success: false, message: details || 'Validation failed' })
+  }
+  if (err?.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${err?.path || 'value'}: ${err?.value}` })
+  }
+  if (WHATSAPP_ERROR_STATUS[err?.code]) {
+    return res.status(WHATSAPP_ERROR_STATUS[err.code]).json({ success: false, message: err.message, code: err.code })
+  }
+  if (err?.status && err.status < 500) {
+    return res.status(err.status).json({ success: false, message: err.message })
+  }
+  console.error(label, err)
+  return res.status(500).json({ success: false, message })
+}
+
+// ---- Webhook (called by Meta, no auth) ----
+
+// Subscription handshake: echo hub.challenge when the verify token matches WHATSAPP_VERIFY_TOKEN
+router.get('/webhook', (req, res) => {
+  const mode = req.query['hub.mode']
+  const token = req.query['hub.verify_token']
+  const expected = process.env.WHATSAPP_VERIFY_TOKEN
+  if (mode === 'subscribe' && expected && token === expected) {
+    return res.status(200).type('text/plain').send(String(req.query['hub.challenge'] || ''))
+  }
+  return res.sendStatus(403)
+})
+
+// Delivery statuses (sent/delivered/read/failed) for messages in the log, and inbound customer messages
+router.post('/webhook', async (req, res) => {
+  // Unsigned deliveries could forge statuses and inbound messages; refuse until the secret is set
+  if (!isWebhookConfigured()) return res.sendStatus(503)
+  if (!verifyWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    return res.sendStatus(401)
+  }
+  try {
+    await handleWhatsappWebhook(req.body)
+    return res.sendStatus(200)
+  } catch (err) {
+    // Non-200 makes Meta retry the delivery later
+    console.error('POST /whatsapp/webhook failed', err)
+    return res.sendStatus(500)
+  }
+})
+
+// ---- Sending ----
+
+function contextFromInput(ref = {}, userId) {
+  const context = { userId }
+  if (Message.schema.path('refModel').enumValues.includes(ref.model)) context.refModel = ref.model
+  if (isObjectId(ref.id)) context.refId = ref.id
+  if (ref.number) context.refNo = String(ref.number)
+  if (isObjectId(ref.customerId)) context.customerId = ref.customerId
+  return context
+}
+
+/**
+ * Send one message:
+ *   { to, type: 'text', text }
+ *   { to, type: 'template', template: { name, language, params: [...], header } }
+ *   { to, type: 'document', document: { link | mediaId, filename, caption } }
+ *   { to, type: 'image', image: { link | mediaId, caption } }
+ * Optional ref: { model, id, number, customerId } links the message log entry.
+ */
+router.post('/send', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const to = normalizeString(body.to)
+    if (!to) return res.status(400).json({ success: false, message: 'to is required' })
+    const context = contextFromInput(body.ref, req.userId)
+    const type = String(body.type || 'text').toLowerCase()
+    let data
+    if (type === 'text') {
+      if (!normalizeString(body.text)) return res.status(400).json({ success: false, message: 'text is required' })
+      data = await sendWhatsappText({ to, text: body.text, preview_url: body.previewUrl, context })
+    } else if (type === 'template') {
+      data = await sendWhatsappTemplate({ to, ...(body.template || {}), context })
+    } else if (type === 'document') {
+      data = await sendWhatsappDocument({ to, ...(body.document || {}), context })
+    } else if (type === 'image') {
+      data = await sendWhatsappImage({ to, ...(body.image || {}), context })
+    } else {
+      return res.status(400).json({ success: false, message: 'type must be text, template, document or image' })
+    }
+    const item = data?.logId ? await Message.findById(data.logId) : null
+    return res.status(201).json({ success: true, message: 'Message accepted by WhatsApp', data: item || data })
+  } catch (err) {
+    return sendError(res, err, 'POST /whatsapp/send failed', 'Failed to send WhatsApp message')
+  }
+})
+
+/**
+ * Send a document PDF (quotation, jobcard, booking, receipt) to the customer on it, or to body.to.
+ * Inside the 24-hour session a plain document message is used; pass template: { name, language, params }
+ * to send it as the header of an approved template instead (required to reach customers outside the session).
+ */
+router.post('/documents/:type/:number/send', auth, async (req, res) => {
+  try {
+    const body = req.body || {}
+    const def = DOCUMENT_TYPES[req.params.type]
+    if (!def) return res.status(400).json({ success: false, message: `Unknown document type "${req.params.type}"` })
+    const loaded = await def.load(req.params.number)
+    if (!loaded) return res.status(404).json({ success: false, message: `${req.params.type} ${req.params.number} not found` })
+    const to = normalizeE164NoPlus(body.to || loaded.doc.customer?.mobile)
+    if (!to) return res.status(400).json({ success: false, message: 'No customer mobile on this document; pass to' })
+
+    const pdf = await getDocumentPdf(req.params.type, loaded.number, { userId: req.userId, baseUrl: `${req.protocol}://${req.get('host')}` })
+    const filename = `${String(pdf.number).replace(/[^A-Za-z0-9_-]+/g, '-')}.pdf`
+    const mediaId = await uploadWhatsappMedia({ data: pdf.data, mimeType: 'application/pdf', filename })
+    const context = {
+      refModel: def.refModel,
+      refId: loaded.doc._id,
+      refNo: pdf.number,
+      customerId: loaded.doc.customerId,
+      userId: req.userId,
+    }
+    const data = body.template?.name
+      ? await sendWhatsappTemplate({ to, ...body.template, header: { type: 'document', mediaId, filename }, context })
+      : await sendWhatsappDocument({ to, mediaId, filename, caption: body.caption, context })
+    const item = data?.logId ? await Message.findById(data.logId) : null
+    return res.status(201).json({ success: true, message: 'Document sent on WhatsApp', data: item || data })
+  } catch (err) {
+    return sendError(res, err, 'POST /whatsapp/documents/:type/:number/send failed', 'Failed to send document on WhatsApp')
+  }
+})
+
+// ---- Message log ----
+
+// Filters: refModel + refId, refNo (e.g. a quotation number), to, status, type
+router.get('/messages', auth, async (req, res) => {
+  try {
+    const { refModel, refId, refNo, to, status, type, limit = 50, page = 1 } = req.query
+    const filter = {}
+    if (refModel) filter.refModel = String(refModel)
+    if (refId) {
+      if (!isObjectId(refId)) return res.status(400).json({ success: false, message: 'Invalid refId' })
+      filter.refId = refId
+    }
+    if (refNo) filter.refNo = String(refNo).trim()
+    if (to) filter.to = normalizeE164NoPlus(to)
+    if (status) filter.status = String(status)
+    if (type) filter.type = String(type)
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Message.find(filter).sort({ createdAt: -1 }).skip(skip).limit(lim).populate('sentBy', 'name'),
+      Message.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items, total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /whatsapp/messages failed', 'Failed to fetch messages')
+  }
+})
+
+router.get('/messages/:id', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const item = await Message.findById(req.params.id).populate('sentBy', 'name')
+    if (!item) return res.status(404).json({ success: false, message: 'Message not found' })
+    return res.json({ success: true, data: item })
+  } catch (err) {
+    return sendError(res, err, 'GET /whatsapp/messages/:id failed', 'Failed to fetch message')
+  }
+})
+
+// ---- Inbox ----
+
+function withSession(conversation) {
+  return { ...conversation.toJSON(), sessionOpen: sessionOpen(conversation) }
+}
+
+/**
+ * Conversations, latest activity first:
+ *   GET /api/whatsapp/conversations?mine=true            (my branches or assigned to me, open only)
+ *   &status=open|resolved|all, &branchCode=BLR, &unassigned=true (no branch found), &q=name or number
+ */
+router.get('/conversations', auth, async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query
+    const user = String(req.query.mine) === 'true' ? await User.findById(req.userId).select('primaryBranch branches').lean() : null
+    const filter = conversationListFilter(req.query, user)
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    const skip = (Math.max(parseInt(page, 10) || 1, 1) - 1) * lim
+    const [items, total] = await Promise.all([
+      Conversation.find(filter).sort({ lastMessageAt: -1 }).skip(skip).limit(lim).populate('customerId', 'name mobile').populate('assignedTo', 'name'),
+      Conversation.countDocuments(filter),
+    ])
+    return res.json({ success: true, data: { items: items.map(withSession), total } })
+  } catch (err) {
+    return sendError(res, err, 'GET /whatsapp/conversations failed', 'Failed to fetch conversations')
+  }
+})
+
+// Thread with its messages (newest first; ?before=<date> pages back). Opening it clears the unread count.
+router.get('/conversations/:id', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const conversation = await Conversation.findByIdAndUpdate(req.params.id, { $set: { unreadCount: 0 } }, { new: true })
+      .populate('customerId', 'name mobile email lastBranchCode')
+      .populate('assignedTo', 'name')
+    if (!conversation) return res.status(404).json({ success: false, message: 'Conversation not found' })
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500)
+    const before = req.query.before ? new Date(req.query.before) : undefined
+    const messages = await conversationMessages(conversation, { limit, before: before && !isNaN(before) ? before : undefined })
+    return res.json({ success: true, data: { conversation: withSession(conversation), messages } })
+  } catch (err) {
+    return sendError(res, err, 'GET /whatsapp/conversations/:id failed', 'Failed to fetch conversation')
+  }
+})
+
+// Reply: same body as /send without `to`; free-form types only inside the 24-hour window
+router.post('/conversations/:id/reply', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const conversation = await Conversation.findById(req.params.id)
+    if (!conversation) return res.status(404).json({ success: false, message: 'Conversation not found' })
+    const item = await replyToConversation(conversation, req.body || {}, { userId: req.userId })
+    return res.status(201).json({ success: true, message: 'Reply sent', data: item })
+  } catch (err) {
+    return sendError(res, err, 'POST /whatsapp/conversations/:id/reply failed', 'Failed to send reply')
+  }
+})
+
+// Route to another branch and/or a staff member: { branchId | branchCode, assignedTo }
+router.post('/conversations/:id/assign', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const body = req.body || {}
+    const set = {}
+    if (body.branchId || body.branchCode) {
+      const { branchId, branchCode } = await resolveBranch(body)
+      if (!branchId) return res.status(400).json({ success: false, message: 'Branch not found' })
+      set.branch = branchId
+      set.branchCode = branchCode
+    }
+    if (body.assignedTo !== undefined) {
+      if (body.assignedTo && !isObjectId(body.assignedTo)) return res.status(400).json({ success: false, message: 'Invalid assignedTo' })
+      set.assignedTo = body.assignedTo || null
+    }
+    if (!Object.keys(set).length) return res.status(400).json({ success: false, message: 'branchId, branchCode or assignedTo is required' })
+    const conversation = await Conversation.findByIdAndUpdate(req.params.id, { $set: set }, { new: true, runValidators: true })
+    if (!conversation) return res.status(404).json({ success: false, message: 'Conversation not found' })
+    return res.json({ success: true, message: 'Conversation assigned', data: withSession(conversation) })
+  } catch (err) {
+    return sendError(res, err, 'POST /whatsapp/conversations/:id/assign failed', 'Failed to assign conversation')
+  }
+})
+
+// Resolved threads reopen by themselves when the customer writes again
+router.post('/conversations/:id/resolve', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const conversation = await Conversation.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy: req.userId, unreadCount: 0 } },
+      { new: true }
+    )
+    if (!conversation) return res.status(404).json({ success: false, message: 'Conversation not found' })
+    return res.json({ success: true, message: 'Conversation resolved', data: withSession(conversation) })
+  } catch (err) {
+    return sendError(res, err, 'POST /whatsapp/conversations/:id/resolve failed', 'Failed to resolve conversation')
+  }
+})
+
+router.post('/conversations/:id/reopen', auth, async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid id' })
+    const conversation = await Conversation.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: 'open' }, $unset: { resolvedAt: 1, resolvedBy: 1 } },
+      { new: true }
+    )
+    if (!conversation) return res.status(404).json({ success: false, message: 'Conversation not found' })
+    return res.json({ success: true, message: 'Conversation reopened', data: withSession(conversation) })
+  } catch (err) {
+    return sendError(res, err, 'POST /whatsapp/conversations/:id/reopen failed', 'Failed to reopen conversation')
+  }
+})
+
+module.exports = router
@@ -0,0 +1,45 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { PassThrough } = require('node:stream')
+const Quotation = require('../models/quotationModel')
+const router = require('../routes/analyticsRoutes')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The handler behind GET <path>, without the auth middleware in front of it
+function handler(path) {
+  const layer = router.stack.find((l) => l.route?.path === path)
+  return layer.route.stack[layer.route.stack.length - 1].handle
+}
+
+function fakeResponse() {
+  const res = new PassThrough()
+  res.headers = {}
+  res.set = (name, value) => { res.headers[name] = value }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => { res.jsonBody = body; res.end(); return res }
+  const chunks = []
+  res.on('data', (chunk) => chunks.push(chunk))
+  res.body = () => new Promise((resolve) => res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8'))))
+  return res
+}
+
+test('GET /funnel?format=csv downloads every group row followed by the totals row', async (t) => {
+  t.mock.method(Quotation, 'aggregate', async () => [
+    { _id: 'BLR', label: 'BLR', quotations: 10, bookings: 5, deliveries: 2, cancelled: 1, quotedValue: 1000, bookedValue: 500, toBookMs: 2 * DAY_MS, toDeliverMs: DAY_MS },
+    { _id: 'MYS', label: 'MYS', quotations: 10, bookings: 0, deliveries: 0, cancelled: 0, quotedValue: 800, bookedValue: 0, toBookMs: null, toDeliverMs: null },
+  ])
+  const res = fakeResponse()
+  const body = res.body()
+  await handler('/funnel')({ query: { format: 'csv', groupBy: 'branch' } }, res)
+  assert.strictEqual(res.statusCode, undefined, 'no error response')
+  assert.strictEqual(res.headers['X-Total-Count'], '3')
+
+  const lines = (await body).replace(/^\uFEFF/, '').trim().split('\r\n')
+  assert.match(lines[0], /^Branch,Quotations,Bookings,Deliveries,/)
+  assert.deepStrictEqual(lines.slice(1), [
+    'BLR,10,5,2,1,50.00,40.00,20.00,2.00,1.00,1000.00,500.00',
+    'MYS,10,0,0,0,0.00,0.00,0.00,,,800.00,0.00',
+    'Total,20,5,2,1,25.00,40.00,10.00,2.00,1.00,1800.00,500.00',
+  ])
+})
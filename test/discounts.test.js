@@ -0,0 +1,38 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const DiscountApproval = require('../models/discountApprovalModel')
+const Quotation = require('../models/quotationModel')
+const { decideDiscountApproval } = require('../utils/discounts')
+
+const owner = { _id: 'u-owner', role: 'owner', name: 'Owner' }
+const pending = { _id: 'da1', status: 'pending', docType: 'quotation', docId: 'q1', docNo: 'Q-1', amount: 500, requestedBy: 'u-sales' }
+
+function findById(t, ...answers) {
+  t.mock.method(DiscountApproval, 'findById', () => {
+    const q = { select: () => q, lean: async () => answers.shift() }
+    return q
+  })
+}
+
+test('decideDiscountApproval claims the pending request before touching the document', async (t) => {
+  findById(t, pending, { status: 'rejected' })
+  let claim
+  t.mock.method(DiscountApproval, 'findOneAndUpdate', async (filter, update) => { claim = { filter, update }; return null })
+  const docs = t.mock.method(Quotation, 'findOneAndUpdate', async () => ({}))
+  await assert.rejects(
+    decideDiscountApproval('da1', 'approved', { user: owner }),
+    (err) => err.status === 409 && err.code === 'DS_ALREADY_DECIDED' && /already rejected/.test(err.message)
+  )
+  assert.deepStrictEqual(claim.filter, { _id: 'da1', status: 'pending' })
+  assert.strictEqual(claim.update.$set.status, 'approved')
+  assert.strictEqual(docs.mock.callCount(), 0)
+})
+
+test('a claimed request whose document moved on is marked superseded', async (t) => {
+  findById(t, pending)
+  t.mock.method(DiscountApproval, 'findOneAndUpdate', async (filter, update) => ({ ...pending, ...update.$set }))
+  t.mock.method(Quotation, 'findOneAndUpdate', async () => null)
+  const released = t.mock.method(DiscountApproval, 'updateOne', async () => ({ modifiedCount: 1 }))
+  await assert.rejects(decideDiscountApproval('da1', 'approved', { user: owner }), (err) => err.code === 'DS_SUPERSEDED')
+  assert.deepStrictEqual(released.mock.calls[0].arguments, [{ _id: 'da1', status: 'approved' }, { $set: { status: 'superseded' } }])
+})
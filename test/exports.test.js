@@ -0,0 +1,41 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { PassThrough } = require('node:stream')
+const { sendTable } = require('../utils/exports')
+
+// A response stand-in: headers land in res.headers, the body is collected as text
+function fakeResponse() {
+  const res = new PassThrough()
+  res.headers = {}
+  res.set = (name, value) => { res.headers[name] = value }
+  const chunks = []
+  res.on('data', (chunk) => chunks.push(chunk))
+  res.body = () => new Promise((resolve) => res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8'))))
+  return res
+}
+
+const columns = [
+  { key: 'name', header: 'Name', type: 'text', value: (r) => r.name },
+  { key: 'count', header: 'Count', type: 'number', value: (r) => r.count },
+]
+
+test('sendTable writes an in-memory array as CSV', async () => {
+  const res = fakeResponse()
+  const body = res.body()
+  const written = await sendTable(res, 'report', { format: 'csv', columns, rows: [{ name: 'A', count: 1 }, { name: 'B, C', count: 2 }] })
+  assert.strictEqual(written, 2)
+  assert.strictEqual(res.headers['X-Total-Count'], '2')
+  assert.match(res.headers['Content-Disposition'], /filename="report-\d{4}-\d{2}-\d{2}\.csv"/)
+  assert.strictEqual(await body, '\uFEFFName,Count\r\nA,1\r\n"B, C",2\r\n')
+})
+
+test('sendTable writes an in-memory array as XLSX', async () => {
+  const res = fakeResponse()
+  const body = res.body()
+  assert.strictEqual(await sendTable(res, 'report', { format: 'xlsx', columns, rows: [{ name: 'A', count: 1 }] }), 1)
+  assert.ok((await body).startsWith('PK'), 'a zip container')
+})
+
+test('sendTable rejects unknown formats', async () => {
+  await assert.rejects(sendTable(fakeResponse(), 'report', { format: 'pdf', columns, rows: [] }), (err) => err.status === 400)
+})
@@ -0,0 +1,123 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const IdempotencyKey = require('../models/idempotencyKeyModel')
+const idempotency = require('../middlewares/idempotency')
+
+// In-memory stand-in for the IdempotencyKey collection (unique on scope + key)
+function fakeStore(t) {
+  const rows = new Map()
+  let nextId = 1
+  const id = (f) => [...rows.values()].find((r) => String(r._id) === String(f._id))
+  t.mock.method(IdempotencyKey, 'create', async (doc) => {
+    const k = `${doc.scope}|${doc.key}`
+    if (rows.has(k)) throw Object.assign(new Error('dup'), { code: 11000 })
+    const row = { ...doc, _id: nextId++, createdAt: new Date() }
+    rows.set(k, row)
+    return row
+  })
+  t.mock.method(IdempotencyKey, 'findOne', (f) => ({ lean: async () => rows.get(`${f.scope}|${f.key}`) || null }))
+  t.mock.method(IdempotencyKey, 'updateOne', async (f, u) => { Object.assign(id(f), u.$set); return {} })
+  t.mock.method(IdempotencyKey, 'deleteOne', async (f) => { const r = id(f); if (r) rows.delete(`${r.scope}|${r.key}`); return {} })
+  return rows
+}
+
+function fakeRes() {
+  const res = { statusCode: 200, headers: {}, body: undefined }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.set = (k, v) => { res.headers[k] = v; return res }
+  res.json = (body) => { res.body = body; return res }
+  return res
+}
+
+// Run the middleware and, when it passes through, the handler; resolves with the response
+async function run(mw, { body = {}, key, handler }) {
+  const req = { body, get: (h) => (h === 'Idempotency-Key' ? key : undefined) }
+  const res = fakeRes()
+  let passed = false
+  await mw(req, res, () => { passed = true })
+  if (passed) handler(req, res)
+  await new Promise((r) => setImmediate(r))
+  return { res, passed }
+}
+
+const ok = (req, res) => res.status(201).json({ success: true, id: 'q1' })
+const rejected = (req, res) => res.status(400).json({ success: false, message: 'customer.mobile must be 10 digits' })
+
+test('an explicit key replays the stored response with its status', async (t) => {
+  fakeStore(t)
+  const mw = idempotency('test')
+  const first = await run(mw, { key: 'k1', body: { a: 1 }, handler: rejected })
+  assert.strictEqual(first.res.statusCode, 400)
+  const replay = await run(mw, { key: 'k1', body: { a: 1 }, handler: ok })
+  assert.strictEqual(replay.passed, false)
+  assert.strictEqual(replay.res.statusCode, 400)
+  assert.strictEqual(replay.res.body.success, false)
+  assert.strictEqual(replay.res.headers['Idempotent-Replayed'], 'true')
+})
+
+test('an explicit key reused with a different body is refused', async (t) => {
+  fakeStore(t)
+  const mw = idempotency('test')
+  await run(mw, { key: 'k1', body: { a: 1 }, handler: ok })
+  const other = await run(mw, { key: 'k1', body: { a: 2 }, handler: ok })
+  assert.deepStrictEqual([other.passed, other.res.statusCode], [false, 409])
+})
+
+test('a 5xx releases an explicit key so the client can retry', async (t) => {
+  const rows = fakeStore(t)
+  const mw = idempotency('test')
+  await run(mw, { key: 'k1', handler: (req, res) => res.status(500).json({ success: false }) })
+  assert.strictEqual(rows.size, 0)
+  assert.strictEqual((await run(mw, { key: 'k1', handler: ok })).passed, true)
+})
+
+test('a serial-derived key lets a corrected retry through after a rejected save', async (t) => {
+  const rows = fakeStore(t)
+  const mw = idempotency('test', { implicitKey: (req) => req.body.serialNo })
+  const bad = await run(mw, { body: { serialNo: 'Q/1', mobile: '1' }, handler: rejected })
+  assert.strictEqual(bad.res.statusCode, 400)
+  assert.strictEqual(rows.size, 0)
+  const fixed = await run(mw, { body: { serialNo: 'Q/1', mobile: '9876543210' }, handler: ok })
+  assert.strictEqual(fixed.passed, true)
+  assert.strictEqual(fixed.res.statusCode, 201)
+})
+
+test('a serial-derived key suppresses a repeat of a successful save', async (t) => {
+  fakeStore(t)
+  const mw = idempotency('test', { implicitKey: (req) => req.body.serialNo })
+  await run(mw, { body: { serialNo: 'Q/1' }, handler: ok })
+  const again = await run(mw, { body: { serialNo: 'Q/1', extra: true }, handler: ok })
+  assert.strictEqual(again.passed, false)
+  assert.strictEqual(again.res.statusCode, 201)
+  assert.strictEqual(again.res.body.duplicateSuppressed, true)
+  assert.strictEqual(again.res.body.id, 'q1')
+})
+
+test('a serial-derived repeat while the first save is running is not reported as saved', async (t) => {
+  fakeStore(t)
+  const mw = idempotency('test', { implicitKey: (req) => req.body.serialNo })
+  await run(mw, { body: { serialNo: 'Q/1' }, handler: () => {} })
+  const again = await run(mw, { body: { serialNo: 'Q/1' }, handler: ok })
+  assert.strictEqual(again.passed, false)
+  assert.strictEqual(again.res.statusCode, 409)
+  assert.strictEqual(again.res.body.success, false)
+})
+
+test('an expired or stale record that cannot be cleared is retried once, not forever', async (t) => {
+  const rows = fakeStore(t)
+  const mw = idempotency('test')
+  const creates = IdempotencyKey.create.mock
+  // Deletes that never take effect (e.g. a replica lagging behind)
+  t.mock.method(IdempotencyKey, 'deleteOne', async () => ({ deletedCount: 0 }))
+  rows.set('test|old', { _id: 'x1', scope: 'test', key: 'old', requestHash: 'h', status: 'completed', expiresAt: new Date(Date.now() - 1000) })
+  const expired = await run(mw, { key: 'old', handler: ok })
+  assert.strictEqual(expired.passed, true, 'runs without the guard')
+  assert.strictEqual(creates.callCount(), 2)
+
+  // A request that never answered, started well past the stale window
+  await run(mw, { key: 'busy', handler: () => {} })
+  rows.get('test|busy').createdAt = new Date(Date.now() - 10 * 60 * 1000)
+  const stale = await run(mw, { key: 'busy', handler: ok })
+  assert.deepStrictEqual([stale.passed, stale.res.statusCode], [false, 409])
+  assert.strictEqual(creates.callCount(), 5)
+})
@@ -0,0 +1,28 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('node:http')
+const IntegrationCall = require('../models/integrationCallModel')
+const { callTarget } = require('../utils/integrations')
+const { assertPublicRedirect } = require('../utils/netGuard')
+
+test('assertPublicRedirect refuses private IP literals and odd schemes, and lets public hosts through', () => {
+  for (const href of ['http://127.0.0.1/', 'http://10.1.2.3/x', 'http://[::1]/', 'http://169.254.169.254/latest']) {
+    assert.throws(() => assertPublicRedirect({ href }), (err) => err.code === 'EBLOCKEDADDRESS', href)
+  }
+  assert.throws(() => assertPublicRedirect({ href: 'ftp://203.0.113.10/' }), /http or https/)
+  assert.doesNotThrow(() => assertPublicRedirect({ href: 'https://203.0.113.10/exec' }))
+  assert.doesNotThrow(() => assertPublicRedirect({ href: 'https://script.googleusercontent.com/macros/echo' }))
+})
+
+test('callTarget does not follow a redirect to a private IP literal', async (t) => {
+  t.mock.method(IntegrationCall, 'create', async () => ({}))
+  const server = http.createServer((req, res) => {
+    res.writeHead(302, { Location: 'http://10.255.255.1/internal' })
+    res.end()
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => new Promise((resolve) => server.close(resolve)))
+
+  const target = { _id: 't1', name: 'redirector', url: `http://127.0.0.1:${server.address().port}/exec` }
+  await assert.rejects(callTarget(target, { method: 'GET' }), /private\/internal network/)
+})
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const mongoose = require('mongoose')
+const JobCard = require('../models/jobCardModel')
+const router = require('../routes/jobCardRoutes')
+const { jobCardListFilter, backfillVehicleKeys } = require('../utils/jobCards')
+
+// The handler behind <method> <path>, without the auth middleware in front of it
+function handler(method, path) {
+  const layer = router.stack.find((l) => l.route?.path === path && l.route.methods[method])
+  return layer.route.stack[layer.route.stack.length - 1].handle
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200 }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => { res.body = body; return res }
+  return res
+}
+
+test('job cards are saved with optimistic concurrency', () => {
+  assert.strictEqual(JobCard.schema.options.optimisticConcurrency, true)
+})
+
+test('a transition saved from a stale copy answers 409 instead of overwriting', async (t) => {
+  const doc = new JobCard({ jcNo: 'JC/BLR/2026-27/000001', status: 'received' })
+  t.mock.method(JobCard, 'findById', async () => doc)
+  t.mock.method(doc, 'save', async () => { throw new mongoose.Error.VersionError(doc, 0, ['status']) })
+  const res = fakeResponse()
+  await handler('post', '/:id/transition')({ params: { id: String(doc._id) }, body: { to: 'estimated', estimateAmount: 1200 }, userId: 'u1' }, res)
+  assert.strictEqual(res.statusCode, 409)
+  assert.match(res.body.message, /changed by someone else/)
+})
+
+test('job cards carry normalized vehicle keys that lookups match exactly', async () => {
+  const doc = new JobCard({ jcNo: 'JC/BLR/2026-27/000002', customer: { name: 'Asha', mobile: '9876543210' }, vehicle: { regNo: 'ka-01 ab 1234', chassisNo: 'me4 jf50' } })
+  await doc.validate()
+  assert.strictEqual(doc.vehicle.regKey, 'KA01AB1234')
+  assert.strictEqual(doc.vehicle.chassisKey, 'ME4JF50')
+  assert.strictEqual(jobCardListFilter({ regNo: 'KA 01-AB-1234' })['vehicle.regKey'], 'KA01AB1234')
+})
+
+test('backfillVehicleKeys sets the keys on old job cards without touching updatedAt', async (t) => {
+  const old = [{ _id: 'j1', vehicle: { regNo: 'KA-01-AB-1234' } }, { _id: 'j2', vehicle: { regNo: '--', chassisNo: 'me4 jf50' } }]
+  t.mock.method(JobCard, 'find', () => {
+    const q = { select: () => q, lean: () => q, cursor: async function * () { yield * old } }
+    return q
+  })
+  const updates = t.mock.method(JobCard, 'updateOne', async () => ({ modifiedCount: 1 }))
+  assert.deepStrictEqual(await backfillVehicleKeys(), { updated: 2 })
+  assert.deepStrictEqual(updates.mock.calls.map((c) => c.arguments), [
+    [{ _id: 'j1' }, { $set: { 'vehicle.regKey': 'KA01AB1234' } }, { timestamps: false }],
+    [{ _id: 'j2' }, { $set: { 'vehicle.chassisKey': 'ME4JF50' } }, { timestamps: false }],
+  ])
+})
@@ -0,0 +1,126 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const axios = require('axios')
+const OutboxMessage = require('../models/outboxMessageModel')
+const { claim, processMessage, drainOnce, backoffMs, registerDeliveryHooks, LEASE_MS } = require('../utils/outbox')
+
+const formMessage = (extra = {}) => ({ _id: 'm1', kind: 'google-form', target: 'FORM', payload: { 'entry.1': 'x' }, attempts: 1, maxAttempts: 8, ...extra })
+
+function captureUpdates(t) {
+  const updates = []
+  t.mock.method(OutboxMessage, 'updateOne', async (filter, update) => { updates.push(update); return { modifiedCount: 1 } })
+  return updates
+}
+
+test('backoffMs grows with attempts and stays within equal-jitter bounds', () => {
+  for (let attempts = 1; attempts <= 4; attempts++) {
+    const exp = 10000 * 2 ** (attempts - 1)
+    for (let i = 0; i < 20; i++) {
+      const ms = backoffMs(attempts)
+      assert.ok(ms >= exp / 2 && ms <= exp, `${ms} outside [${exp / 2}, ${exp}]`)
+    }
+  }
+  assert.ok(backoffMs(50) <= 60 * 60 * 1000)
+})
+
+test('claim leases due messages and re-claims ones whose lease expired', async (t) => {
+  let call
+  t.mock.method(OutboxMessage, 'findOneAndUpdate', async (filter, update, options) => { call = { filter, update, options }; return null })
+  const before = Date.now()
+  await claim({ _id: 'm1' })
+  assert.strictEqual(call.filter._id, 'm1')
+  assert.deepStrictEqual(call.filter.$or[0].status, { $in: ['pending', 'retrying'] })
+  assert.strictEqual(call.filter.$or[1].status, 'processing')
+  assert.ok(call.filter.$or[1].lockedUntil.$lt instanceof Date)
+  assert.strictEqual(call.update.$set.status, 'processing')
+  assert.deepStrictEqual(call.update.$inc, { attempts: 1 })
+  const lease = call.update.$set.lockedUntil.getTime() - before
+  assert.ok(lease >= LEASE_MS - 50 && lease <= LEASE_MS + 50)
+  assert.strictEqual(call.options.new, true)
+})
+
+test('a successful attempt marks the message delivered', async (t) => {
+  const updates = captureUpdates(t)
+  let config
+  t.mock.method(axios, 'post', async (url, body, cfg) => { config = cfg; return { status: 200 } })
+  const result = await processMessage(formMessage())
+  assert.strictEqual(result.ok, true)
+  assert.strictEqual(updates[0].$set.status, 'delivered')
+  assert.deepStrictEqual(updates[0].$unset, { lockedUntil: 1, lastError: 1 })
+  // Submits are bounded well below the lease
+  assert.ok(config.timeout > 0 && config.timeout < LEASE_MS)
+})
+
+test('a transient failure is retried later', async (t) => {
+  const updates = captureUpdates(t)
+  t.mock.method(axios, 'post', async () => { const e = new Error('bad gateway'); e.response = { status: 503 }; throw e })
+  const before = Date.now()
+  const result = await processMessage(formMessage({ attempts: 2 }))
+  assert.deepStrictEqual([result.ok, result.dead], [false, false])
+  assert.strictEqual(updates[0].$set.status, 'retrying')
+  assert.strictEqual(updates[0].$set.lastHttpStatus, 503)
+  assert.ok(updates[0].$set.nextAttemptAt.getTime() > before)
+  assert.deepStrictEqual(updates[0].$unset, { lockedUntil: 1 })
+})
+
+test('a permanent 4xx or the last allowed attempt makes the message dead', async (t) => {
+  const updates = captureUpdates(t)
+  t.mock.method(axios, 'post', async () => { const e = new Error('not found'); e.response = { status: 404 }; throw e })
+  assert.strictEqual((await processMessage(formMessage())).dead, true)
+  t.mock.method(axios, 'post', async () => { throw new Error('socket hang up') })
+  assert.strictEqual((await processMessage(formMessage({ attempts: 8, maxAttempts: 8 }))).dead, true)
+  assert.deepStrictEqual(updates.map((u) => u.$set.status), ['dead', 'dead'])
+})
+
+test('drainOnce works through claimed messages until none are due', async (t) => {
+  captureUpdates(t)
+  const queue = [formMessage({ _id: 'a' }), formMessage({ _id: 'b' })]
+  t.mock.method(OutboxMessage, 'findOneAndUpdate', async () => queue.shift() || null)
+  const sent = []
+  t.mock.method(axios, 'post', async (url, body) => { sent.push(body); return { status: 200 } })
+  assert.strictEqual(await drainOnce(), 2)
+  assert.strictEqual(sent.length, 2)
+})
+
+function fakeAdapter(t, respond) {
+  const original = axios.defaults.adapter
+  axios.defaults.adapter = async (config) => ({ status: 200, statusText: 'OK', headers: {}, config, ...(await respond(config)) })
+  t.after(() => { axios.defaults.adapter = original })
+}
+
+const webhookMessage = (extra = {}) => ({ _id: 'w1', kind: 'webhook', target: 'https://203.0.113.10/exec', payload: { action: 'create' }, attempts: 1, maxAttempts: 8, ...extra })
+
+test('a 200 answer with ok: false is a failed delivery, not a delivered one', async (t) => {
+  const updates = captureUpdates(t)
+  fakeAdapter(t, async () => ({ data: { ok: false, message: 'Movement not found' } }))
+  const result = await processMessage(webhookMessage())
+  assert.strictEqual(result.ok, false)
+  assert.match(result.error, /Movement not found/)
+  assert.strictEqual(updates[0].$set.status, 'retrying')
+})
+
+test('source hooks prepare the payload and see the delivered answer', async (t) => {
+  captureUpdates(t)
+  let sent
+  fakeAdapter(t, async (config) => { sent = JSON.parse(config.data); return { data: { ok: true, data: { movementId: 'SHEET-9' } } } })
+  const seen = []
+  registerDeliveryHooks('test-hooks', {
+    prepare: async (msg) => ({ ...msg.payload, movementId: 'resolved' }),
+    delivered: async (msg, data) => { seen.push(data.data.movementId) },
+  })
+  const result = await processMessage(webhookMessage({ source: 'test-hooks' }))
+  assert.strictEqual(result.ok, true)
+  assert.deepStrictEqual(sent, { action: 'create', movementId: 'resolved' })
+  assert.deepStrictEqual(seen, ['SHEET-9'])
+})
+
+test('a legacy raw-URL message to a private address is dead-lettered without a call', async (t) => {
+  const updates = captureUpdates(t)
+  let called = false
+  fakeAdapter(t, async () => { called = true; return { data: { ok: true } } })
+  const result = await processMessage(webhookMessage({ target: 'http://169.254.169.254/latest/meta-data' }))
+  assert.strictEqual(called, false)
+  assert.strictEqual(result.dead, true)
+  assert.match(result.error, /private\/internal network/)
+  assert.strictEqual(updates[0].$set.status, 'dead')
+})
@@ -0,0 +1,45 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const PriceList = require('../models/priceListModel')
+const router = require('../routes/pricingRoutes')
+
+// The handler behind <method> <path>, without the auth/role middleware in front of it
+function handler(method, path) {
+  const layer = router.stack.find((l) => l.route?.path === path && l.route.methods[method])
+  return layer.route.stack[layer.route.stack.length - 1].handle
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200 }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => { res.body = body; return res }
+  return res
+}
+
+const draft = { version: 5, status: 'draft', items: [{ model: 'Scooter' }] }
+const activate = (res) => handler('post', '/price-lists/:version/activate')({ params: { version: '5' }, userId: 'u1' }, res)
+
+test('activation claims the draft first, then archives every other active list', async (t) => {
+  t.mock.method(PriceList, 'findOne', async () => draft)
+  const calls = []
+  t.mock.method(PriceList, 'findOneAndUpdate', async (filter, update) => { calls.push(['claim', filter]); return { ...draft, ...update.$set } })
+  t.mock.method(PriceList, 'updateMany', async (filter) => { calls.push(['archive', filter]); return { modifiedCount: 1 } })
+  const res = fakeResponse()
+  await activate(res)
+  assert.strictEqual(res.statusCode, 200)
+  assert.strictEqual(res.body.data.status, 'active')
+  assert.deepStrictEqual(calls.map(([step]) => step), ['claim', 'archive'])
+  assert.strictEqual(calls[0][1].status, 'draft')
+  assert.deepStrictEqual(calls[1][1].version, { $ne: 5 })
+  assert.strictEqual(calls[1][1].status, 'active')
+})
+
+test('a draft claimed by a concurrent activation answers 409 and archives nothing', async (t) => {
+  t.mock.method(PriceList, 'findOne', async () => draft)
+  t.mock.method(PriceList, 'findOneAndUpdate', async () => null)
+  const archived = t.mock.method(PriceList, 'updateMany', async () => ({ modifiedCount: 0 }))
+  const res = fakeResponse()
+  await activate(res)
+  assert.strictEqual(res.statusCode, 409)
+  assert.strictEqual(archived.mock.callCount(), 0)
+})
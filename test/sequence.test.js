@@ -0,0 +1,85 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const Counter = require('../models/counterModel')
+const SerialAllocation = require('../models/serialAllocationModel')
+const Quotation = require('../models/quotationModel')
+const { reserveSerial, peekSerial, markSerialUsed, formatSerial, financialYear } = require('../utils/sequence')
+
+// findOne(...).sort(...).lean() chain resolving to `value`
+const chain = (value) => ({ sort: () => ({ lean: async () => value }) })
+
+function stubCounter(t) {
+  let seq = 0
+  t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: ++seq }))
+  const created = []
+  t.mock.method(SerialAllocation, 'create', async (doc) => { created.push(doc); return doc })
+  return created
+}
+
+test('financialYear starts in April (IST)', () => {
+  assert.strictEqual(financialYear(new Date('2026-03-31T18:30:00Z')), '2026-27')
+  assert.strictEqual(financialYear(new Date('2026-03-31T18:29:00Z')), '2025-26')
+})
+
+test('formatSerial pads the sequence', () => {
+  assert.strictEqual(formatSerial('quotation', { branchCode: 'blr', seq: 7, date: new Date('2026-05-01') }), 'Q/BLR/2026-27/000007')
+})
+
+test('reserveSerial issues consecutive numbers and records an allocation for each', async (t) => {
+  const created = stubCounter(t)
+  const a = await reserveSerial('jobcard', { branchCode: 'BLR' })
+  const b = await reserveSerial('jobcard', { branchCode: 'BLR' })
+  assert.strictEqual(a.seq, 1)
+  assert.strictEqual(b.seq, 2)
+  assert.deepStrictEqual(created.map((c) => c.serial), [a.serial, b.serial])
+  assert.ok(created.every((c) => c.status === 'reserved'))
+})
+
+test('reserveSerial rejects a missing branch', async () => {
+  await assert.rejects(reserveSerial('quotation', {}), { status: 400 })
+})
+
+test('reserveSerial reuses an unused reservation for the same mobile', async (t) => {
+  const created = stubCounter(t)
+  t.mock.method(SerialAllocation, 'findOne', () => chain({ serial: 'Q/BLR/2026-27/000004', seq: 4 }))
+  t.mock.method(Quotation, 'exists', async () => null)
+  const r = await reserveSerial('quotation', { branchCode: 'BLR', mobile: '9876543210' })
+  assert.deepStrictEqual([r.serial, r.reused], ['Q/BLR/2026-27/000004', true])
+  assert.strictEqual(created.length, 0)
+})
+
+test('reserveSerial does not reuse a reservation that a saved document already carries', async (t) => {
+  const created = stubCounter(t)
+  t.mock.method(SerialAllocation, 'findOne', () => chain({ serial: 'Q/BLR/2026-27/000004', seq: 4 }))
+  t.mock.method(Quotation, 'exists', async () => ({ _id: 'q1' }))
+  const marked = []
+  t.mock.method(SerialAllocation, 'updateOne', async (filter) => { marked.push(filter.serial); return { modifiedCount: 1 } })
+  const r = await reserveSerial('quotation', { branchCode: 'BLR', mobile: '9876543210' })
+  assert.strictEqual(r.reused, false)
+  assert.notStrictEqual(r.serial, 'Q/BLR/2026-27/000004')
+  assert.deepStrictEqual(marked, ['Q/BLR/2026-27/000004'])
+  assert.strictEqual(created.length, 1)
+})
+
+test('markSerialUsed only flips reserved rows', async (t) => {
+  t.mock.method(SerialAllocation, 'updateOne', async (filter) => {
+    assert.strictEqual(filter.status, 'reserved')
+    return { modifiedCount: 0 }
+  })
+  assert.strictEqual(await markSerialUsed('Q/BLR/2026-27/000009'), false)
+  assert.strictEqual(await markSerialUsed(''), false)
+})
+
+test('peekSerial reads the counter without taking a number', async (t) => {
+  const date = new Date('2026-05-01')
+  const taken = t.mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 99 }))
+  const created = t.mock.method(SerialAllocation, 'create', async (doc) => doc)
+  const counters = { 'jobcard:BLR:2026-27': { seq: 41 } }
+  t.mock.method(Counter, 'findOne', (filter) => ({ select: () => ({ lean: async () => counters[filter.key] || null }) }))
+  const a = await peekSerial('jobcard', { branchCode: 'blr', date })
+  const b = await peekSerial('jobcard', { branchCode: 'blr', date })
+  assert.deepStrictEqual([a.serial, b.serial], ['JC/BLR/2026-27/000042', 'JC/BLR/2026-27/000042'])
+  assert.strictEqual((await peekSerial('jobcard', { branchCode: 'MYS', date })).seq, 1)
+  assert.strictEqual(taken.mock.callCount(), 0)
+  assert.strictEqual(created.mock.callCount(), 0)
+})
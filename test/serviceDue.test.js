@@ -0,0 +1,105 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const ServiceDue = require('../models/serviceDueModel')
+const Vehicle = require('../models/vehicleModel')
+const JobCard = require('../models/jobCardModel')
+const { DEFAULT_SCHEDULE, computeNextService, reminderLeadDue, sendServiceReminder, refreshServiceDue, runServiceReminders } = require('../utils/serviceDue')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const daysFrom = (date, days) => new Date(date.getTime() + days * DAY_MS)
+
+const dueEntry = (now, days, reminders = []) => ({
+  _id: 'sd1',
+  nextService: { label: '1st free service', dueDate: daysFrom(now, days) },
+  reminders,
+})
+
+test('computeNextService counts numbered services from the sale date, then repeats from the last visit', () => {
+  const saleDate = new Date('2026-01-01T00:00:00Z')
+  const first = computeNextService({ saleDate, visits: [], schedule: DEFAULT_SCHEDULE })
+  assert.strictEqual(first.next.label, '1st free service')
+  assert.strictEqual(first.next.dueDate.getTime(), daysFrom(saleDate, 30).getTime())
+
+  const visits = DEFAULT_SCHEDULE.services.map((s) => ({ at: daysFrom(saleDate, s.days) }))
+  const periodic = computeNextService({ saleDate, visits, schedule: DEFAULT_SCHEDULE })
+  assert.strictEqual(periodic.next.label, 'Periodic service')
+  assert.strictEqual(periodic.next.dueDate.getTime(), daysFrom(visits[2].at, DEFAULT_SCHEDULE.repeatEveryDays).getTime())
+  assert.strictEqual(computeNextService({ visits: [], schedule: DEFAULT_SCHEDULE }), null)
+})
+
+test('reminderLeadDue picks the closest lead once and stops after repeated failures', () => {
+  const now = new Date('2026-03-01T06:00:00Z')
+  assert.strictEqual(reminderLeadDue(dueEntry(now, 10), now), null)
+  assert.strictEqual(reminderLeadDue(dueEntry(now, 5), now), 7)
+  assert.strictEqual(reminderLeadDue(dueEntry(now, 1), now), 1)
+
+  const entry = dueEntry(now, 5)
+  const cycle = `${entry.nextService.label}|${entry.nextService.dueDate.toISOString().slice(0, 10)}`
+  entry.reminders = [{ cycle, leadDays: 7, status: 'sent' }]
+  assert.strictEqual(reminderLeadDue(entry, now), null)
+  entry.reminders = Array.from({ length: 3 }, () => ({ cycle, leadDays: 7, status: 'failed' }))
+  assert.strictEqual(reminderLeadDue(entry, now), null)
+  entry.reminders = [{ cycle: 'older|2025-01-01', leadDays: 7, status: 'sent' }]
+  assert.strictEqual(reminderLeadDue(entry, now), 7)
+})
+
+test('long-overdue services are not reminded automatically', async (t) => {
+  const now = new Date('2026-03-01T06:00:00Z')
+  assert.strictEqual(reminderLeadDue(dueEntry(now, -3), now), 1, 'recently overdue still gets the closest lead')
+  assert.strictEqual(reminderLeadDue(dueEntry(now, -400), now), null)
+
+  let filter
+  t.mock.method(ServiceDue, 'find', (f) => { filter = f; return { cursor: async function * () {} } })
+  const claims = t.mock.method(ServiceDue, 'findOneAndUpdate', async () => null)
+  assert.deepStrictEqual(await runServiceReminders({ now }), { checked: 0, reminded: 0, skipped: 0, failed: 0 })
+  assert.strictEqual(filter['nextService.dueDate'].$gte.getTime(), daysFrom(now, -30).getTime())
+  assert.strictEqual(claims.mock.callCount(), 0)
+})
+
+test('sendServiceReminder claims lastRemindedAt atomically and sends nothing when the claim is lost', async (t) => {
+  const now = new Date('2026-03-01T06:00:00Z')
+  let claim
+  t.mock.method(ServiceDue, 'findOneAndUpdate', async (filter, update) => { claim = { filter, update }; return null })
+  const updates = t.mock.method(ServiceDue, 'updateOne', async () => ({ modifiedCount: 1 }))
+  await assert.rejects(sendServiceReminder(dueEntry(now, 1), { now }), (err) => err.status === 409 && err.code === 'SR_TOO_SOON')
+  assert.strictEqual(claim.filter._id, 'sd1')
+  assert.deepStrictEqual(claim.filter.$or[1], { lastRemindedAt: null })
+  assert.strictEqual(claim.filter.$or[0].lastRemindedAt.$lt.getTime(), now.getTime() - 24 * 60 * 60 * 1000)
+  assert.strictEqual(claim.update.$set.lastRemindedAt, now)
+  assert.strictEqual(updates.mock.callCount(), 0)
+})
+
+test('sendServiceReminder releases the claim when no channel delivered', async (t) => {
+  const now = new Date('2026-03-01T06:00:00Z')
+  const previous = new Date('2026-02-01T06:00:00Z')
+  t.mock.method(ServiceDue, 'findOneAndUpdate', async () => ({ _id: 'sd1', lastRemindedAt: previous }))
+  const calls = []
+  t.mock.method(ServiceDue, 'updateOne', async (filter, update) => { calls.push({ filter, update }); return { modifiedCount: 1 } })
+  const attempts = await sendServiceReminder({ ...dueEntry(now, 1), customer: {} }, { now })
+  assert.deepStrictEqual(attempts.map((a) => a.status), ['skipped'])
+  assert.ok(calls[0].update.$push)
+  assert.deepStrictEqual(calls[1].filter, { _id: 'sd1', lastRemindedAt: now })
+  assert.deepStrictEqual(calls[1].update, { $set: { lastRemindedAt: previous } })
+})
+
+test('refreshServiceDue moves a chassis-keyed entry to the registry key and drops superseded keys', async (t) => {
+  const vehicle = { _id: 'v1', chassisNo: 'CH123', regNo: 'KA01AB1234', model: 'Scooter', saleDate: new Date('2026-01-01T00:00:00Z') }
+  const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: async () => [] }
+  t.mock.method(JobCard, 'find', () => chain)
+  t.mock.method(Vehicle, 'findOne', () => ({ lean: async () => vehicle }))
+  t.mock.method(ServiceDue, 'exists', async () => null)
+  t.mock.method(ServiceDue, 'findOne', (filter) => {
+    assert.deepStrictEqual(filter, { vehicleKey: { $in: ['CH:CH123', 'RG:KA01AB1234'] } })
+    const q = { sort: () => q, select: () => q, lean: async () => ({ _id: 'old' }) }
+    return q
+  })
+  const rekeyed = t.mock.method(ServiceDue, 'updateOne', async () => ({ modifiedCount: 1 }))
+  const dropped = t.mock.method(ServiceDue, 'deleteMany', async () => ({ deletedCount: 1 }))
+  const upserts = t.mock.method(ServiceDue, 'findOneAndUpdate', async (filter) => ({ vehicleKey: filter.vehicleKey }))
+
+  const entry = await refreshServiceDue({ chassisNo: 'CH123' }, { schedules: [] })
+  assert.strictEqual(entry.vehicleKey, 'v1')
+  assert.deepStrictEqual(rekeyed.mock.calls[0].arguments, [{ _id: 'old' }, { $set: { vehicleKey: 'v1' } }])
+  assert.deepStrictEqual(dropped.mock.calls[0].arguments[0], { vehicleKey: { $in: ['CH:CH123', 'RG:KA01AB1234'] } })
+  assert.deepStrictEqual(upserts.mock.calls[0].arguments[0], { vehicleKey: 'v1' })
+})
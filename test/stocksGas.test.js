@@ -0,0 +1,74 @@
+const test = require('node:test')
+const assert = require('node:assert')
+
+process.env.STOCKS_GAS_BREAKER_THRESHOLD = '3'
+process.env.STOCKS_GAS_BREAKER_COOLDOWN_MS = '200'
+
+const axios = require('axios')
+const StockSnapshot = require('../models/stockSnapshotModel')
+const { gasRead, gasStatus } = require('../utils/stocksGas')
+
+const realAdapter = axios.defaults.adapter
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Answers every Apps Script call with respond(config); returns the list of configs seen
+function fakeSheet(t, respond) {
+  const calls = []
+  axios.defaults.adapter = async (config) => {
+    calls.push(config)
+    const out = await respond(config, calls.length)
+    if (out instanceof Error) throw out
+    return { status: 200, statusText: 'OK', headers: {}, config, ...out }
+  }
+  t.after(() => { axios.defaults.adapter = realAdapter })
+  return calls
+}
+
+const upstream = (status) => Object.assign(new Error(`status ${status}`), { response: { status } })
+
+async function circuit(t) {
+  t.mock.method(StockSnapshot, 'findOne', () => ({ select: () => ({ lean: async () => null }) }))
+  return (await gasStatus()).circuit
+}
+
+test('gasRead retries upstream failures and returns the first good answer', async (t) => {
+  const calls = fakeSheet(t, (config, n) => (n < 3 ? upstream(503) : { data: { ok: true, data: [1] } }))
+  const data = await gasRead({ action: 'current' }, { timeout: 1000 })
+  assert.deepStrictEqual(data, { ok: true, data: [1] })
+  assert.strictEqual(calls.length, 3)
+  assert.strictEqual(calls[0].params.action, 'current')
+})
+
+test('gasRead does not retry answers that retrying cannot fix', async (t) => {
+  const calls = fakeSheet(t, () => upstream(404))
+  await assert.rejects(gasRead({ action: 'list' }), /status 404/)
+  assert.strictEqual(calls.length, 1)
+})
+
+test('gasRead stops retrying at the overall deadline and bounds each attempt by it', async (t) => {
+  const calls = fakeSheet(t, () => upstream(502))
+  const started = Date.now()
+  await assert.rejects(gasRead({ action: 'list' }, { retries: 10, timeout: 5000, deadline: 1200 }), /status 502/)
+  assert.ok(Date.now() - started < 1200, 'no attempt starts past the deadline')
+  assert.ok(calls.length < 11)
+  assert.ok(calls.every((c) => c.timeout <= 1200))
+  // The failure count is shared module state; a success resets it for the next test
+  fakeSheet(t, () => ({ data: { ok: true } }))
+  await gasRead({ action: 'list' })
+})
+
+test('the breaker opens after repeated failures, fails fast, then lets one trial through', async (t) => {
+  const calls = fakeSheet(t, () => upstream(500))
+  for (let i = 0; i < 3; i++) await assert.rejects(gasRead({ action: 'list' }, { retries: 0 }))
+  assert.strictEqual((await circuit(t)).state, 'open')
+
+  await assert.rejects(gasRead({ action: 'list' }), (err) => err.status === 503 && err.code === 'GAS_CIRCUIT_OPEN')
+  assert.strictEqual(calls.length, 3, 'no call goes out while open')
+
+  await sleep(250)
+  fakeSheet(t, () => ({ data: { ok: true, data: [] } }))
+  assert.deepStrictEqual(await gasRead({ action: 'list' }), { ok: true, data: [] })
+  const after = await circuit(t)
+  assert.strictEqual(after.state, 'closed')
+  assert.strictEqual(after.failures, 0)
+})
@@ -0,0 +1,30 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const crypto = require('node:crypto')
+const { verifyWebhookSignature } = require('../utils/whatsappWebhook')
+
+const SECRET = 'test-app-secret'
+const body = Buffer.from('{"entry":[]}')
+const sign = (raw) => `sha256=${crypto.createHmac('sha256', SECRET).update(raw).digest('hex')}`
+
+test('verifyWebhookSignature accepts the right HMAC and refuses anything else', (t) => {
+  const previous = process.env.WHATSAPP_APP_SECRET
+  process.env.WHATSAPP_APP_SECRET = SECRET
+  t.after(() => {
+    if (previous === undefined) delete process.env.WHATSAPP_APP_SECRET
+    else process.env.WHATSAPP_APP_SECRET = previous
+  })
+  const good = sign(body)
+  assert.strictEqual(verifyWebhookSignature(body, good), true)
+  assert.strictEqual(verifyWebhookSignature(body, sign(Buffer.from('other'))), false)
+  assert.strictEqual(verifyWebhookSignature(body, 'sha256=short'), false)
+  // Same length in characters, longer in bytes: must be false, not a timingSafeEqual throw
+  assert.strictEqual(verifyWebhookSignature(body, `${good.slice(0, -1)}é`), false)
+})
+
+test('verifyWebhookSignature never passes without a secret', (t) => {
+  const previous = process.env.WHATSAPP_APP_SECRET
+  delete process.env.WHATSAPP_APP_SECRET
+  t.after(() => { if (previous !== undefined) process.env.WHATSAPP_APP_SECRET = previous })
+  assert.strictEqual(verifyWebhookSignature(body, sign(body)), false)
+})
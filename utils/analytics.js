@@ -0,0 +1,209 @@
+const Quotation = require('../models/quotationModel')
+const Lead = require('../models/leadModel')
+const { toDate } = require('./normalize')
+const { exportQuery } = require('./exports')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_RANGE_DAYS = 90
+const GROUP_BY_OPTIONS = ['branch', 'staff', 'model', 'period', 'total']
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' }
+const LOST_REASONS = Lead.schema.path('lostReason').enumValues
+
+function analyticsError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+// from/to as in exports (date-only = whole IST day); defaults to the last 90 days
+function reportRange(query = {}) {
+  const q = exportQuery({ from: query.from, to: query.to })
+  const to = toDate(q.to) || new Date()
+  const from = toDate(q.from) || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS)
+  if (from > to) throw analyticsError(400, 'from must be before to')
+  return { from, to }
+}
+
+/**
+ * $group key and display label for a dimension. fields names the document paths:
+ * { branch, staff, staffName, model, date }. Models are grouped case-insensitively.
+ */
+function groupSpec(groupBy, period, fields) {
+  const by = String(groupBy || 'branch').toLowerCase()
+  if (!GROUP_BY_OPTIONS.includes(by)) throw analyticsError(400, `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}`)
+  if (by === 'branch') return { key: { $ifNull: [fields.branch, ''] }, label: fields.branch }
+  if (by === 'staff') return { key: { $ifNull: [fields.staff, { $ifNull: [fields.staffName, ''] }] }, label: fields.staffName }
+  if (by === 'model') return { key: { $toUpper: { $trim: { input: { $ifNull: [fields.model, ''] } } } }, label: fields.model }
+  if (by === 'period') {
+    const format = PERIOD_FORMATS[String(period || 'month').toLowerCase()]
+    if (!format) throw analyticsError(400, `period must be one of ${Object.keys(PERIOD_FORMATS).join(', ')}`)
+    const key = { $dateToString: { format, date: fields.date, timezone: 'Asia/Kolkata' } }
+    return { key, label: key }
+  }
+  return { key: 'all', label: 'All' }
+}
+
+const pct = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0)
+const days = (ms) => (typeof ms === 'number' ? Math.round((ms / DAY_MS) * 10) / 10 : null)
+
+// Average of group averages weighted by how many values each one covered
+function weightedAvg(rows, avgKey, countKey) {
+  let sum = 0
+  let count = 0
+  for (const r of rows) {
+    if (typeof r[avgKey] === 'number' && r[countKey] > 0) {
+      sum += r[avgKey] * r[countKey]
+      count += r[countKey]
+    }
+  }
+  return count ? sum / count : null
+}
+
+function funnelRow(key, g) {
+  return {
+    key,
+    quotations: g.quotations,
+    bookings: g.bookings,
+    deliveries: g.deliveries,
+    cancelled: g.cancelled,
+    bookingRate: pct(g.bookings, g.quotations),
+    deliveryRate: pct(g.deliveries, g.bookings),
+    overallRate: pct(g.deliveries, g.quotations),
+    avgDaysToBook: days(g.toBookMs),
+    avgDaysToDeliver: days(g.toDeliverMs),
+    quotedValue: Math.round((g.quotedValue || 0) * 100) / 100,
+    bookedValue: Math.round((g.bookedValue || 0) * 100) / 100,
+  }
+}
+
+/**
+ * Quotation -> booking -> delivery for quotations created in the range (a cohort: their bookings
+ * and deliveries count whenever they happened). Bookings made without a quotation are not included.
+ * Rates are percentages; times are average days (quotation -> booking, booking -> delivery).
+ */
+async function conversionFunnel(query = {}) {
+  const { from, to } = reportRange(query)
+  const match = { createdAt: { $gte: from, $lte: to } }
+  if (query.branchCode) match.branchCode = String(query.branchCode).trim().toUpperCase()
+  if (query.model) match['vehicle.model'] = new RegExp(`^${String(query.model).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+  const { key, label } = groupSpec(query.groupBy, query.period, {
+    branch: '$branchCode', staff: '$staff', staffName: '$staffName', model: '$vehicle.model', date: '$createdAt',
+  })
+
+  const groups = await Quotation.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'bookings',
+        let: { qid: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$quotation', '$$qid'] }, status: { $ne: 'cancelled' } } },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { createdAt: 1, deliveredAt: 1, totalAmount: 1 } },
+        ],
+        as: 'booking',
+      },
+    },
+    { $addFields: { booking: { $first: '$booking' } } },
+    {
+      $group: {
+        _id: key,
+        label: { $first: label },
+        quotations: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        bookings: { $sum: { $cond: [{ $ifNull: ['$booking._id', false] }, 1, 0] } },
+        deliveries: { $sum: { $cond: [{ $ifNull: ['$booking.deliveredAt', false] }, 1, 0] } },
+        quotedValue: { $sum: { $ifNull: ['$price.onRoad', 0] } },
+        bookedValue: { $sum: { $ifNull: ['$booking.totalAmount', 0] } },
+        // $avg skips the nulls of quotations that were not booked/delivered
+        toBookMs: { $avg: { $cond: [{ $ifNull: ['$booking._id', false] }, { $subtract: ['$booking.createdAt', '$createdAt'] }, null] } },
+        toDeliverMs: { $avg: { $cond: [{ $ifNull: ['$booking.deliveredAt', false] }, { $subtract: ['$booking.deliveredAt', '$booking.createdAt'] }, null] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ])
+
+  const rows = groups.map((g) => funnelRow(g.label || g._id || '(none)', g))
+  const sum = (k) => groups.reduce((n, g) => n + (g[k] || 0), 0)
+  const totals = funnelRow('Total', {
+    quotations: sum('quotations'),
+    bookings: sum('bookings'),
+    deliveries: sum('deliveries'),
+    cancelled: sum('cancelled'),
+    quotedValue: sum('quotedValue'),
+    bookedValue: sum('bookedValue'),
+    toBookMs: weightedAvg(groups, 'toBookMs', 'bookings'),
+    toDeliverMs: weightedAvg(groups, 'toDeliverMs', 'deliveries'),
+  })
+  return { from, to, groupBy: query.groupBy || 'branch', rows, totals }
+}
+
+/**
+ * Why leads were lost in the range (by lostAt), per group: { key, total, reasons: { price: n, ... }, shares: { price: % } }.
+ */
+async function lostReasonBreakdown(query = {}) {
+  const { from, to } = reportRange(query)
+  const match = { stage: 'lost', lostAt: { $gte: from, $lte: to } }
+  if (query.branchCode) match.branchCode = String(query.branchCode).trim().toUpperCase()
+  const { key, label } = groupSpec(query.groupBy, query.period, {
+    branch: '$branchCode', staff: '$owner', staffName: '$ownerName', model: '$vehicle.model', date: '$lostAt',
+  })
+
+  const groups = await Lead.aggregate([
+    { $match: match },
+    { $group: { _id: { key, reason: { $ifNull: ['$lostReason', 'other'] } }, label: { $first: label }, count: { $sum: 1 } } },
+    { $group: { _id: '$_id.key', label: { $first: '$label' }, total: { $sum: '$count' }, reasons: { $push: { k: '$_id.reason', v: '$count' } } } },
+    { $sort: { _id: 1 } },
+  ])
+
+  const toRow = (rowKey, total, reasons) => ({
+    key: rowKey,
+    total,
+    reasons,
+    shares: Object.fromEntries(Object.entries(reasons).map(([k, v]) => [k, pct(v, total)])),
+  })
+  const rows = groups.map((g) => toRow(g.label || g._id || '(none)', g.total, Object.fromEntries(g.reasons.map((r) => [r.k, r.v]))))
+  const all = {}
+  for (const r of rows) for (const [k, v] of Object.entries(r.reasons)) all[k] = (all[k] || 0) + v
+  const totals = toRow('Total', rows.reduce((n, r) => n + r.total, 0), all)
+  return { from, to, groupBy: query.groupBy || 'branch', rows, totals }
+}
+
+// Download columns (utils/exports sendTable) for the two reports
+function funnelColumns(groupBy) {
+  return [
+    { key: 'key', header: groupHeader(groupBy), type: 'text', value: (r) => r.key },
+    { key: 'quotations', header: 'Quotations', type: 'number', value: (r) => r.quotations },
+    { key: 'bookings', header: 'Bookings', type: 'number', value: (r) => r.bookings },
+    { key: 'deliveries', header: 'Deliveries', type: 'number', value: (r) => r.deliveries },
+    { key: 'cancelled', header: 'Cancelled Quotations', type: 'number', value: (r) => r.cancelled },
+    { key: 'bookingRate', header: 'Quotation to Booking %', type: 'decimal', value: (r) => r.bookingRate },
+    { key: 'deliveryRate', header: 'Booking to Delivery %', type: 'decimal', value: (r) => r.deliveryRate },
+    { key: 'overallRate', header: 'Quotation to Delivery %', type: 'decimal', value: (r) => r.overallRate },
+    { key: 'avgDaysToBook', header: 'Avg Days to Book', type: 'decimal', value: (r) => r.avgDaysToBook },
+    { key: 'avgDaysToDeliver', header: 'Avg Days to Deliver', type: 'decimal', value: (r) => r.avgDaysToDeliver },
+    { key: 'quotedValue', header: 'Quoted Value', type: 'amount', value: (r) => r.quotedValue },
+    { key: 'bookedValue', header: 'Booked Value', type: 'amount', value: (r) => r.bookedValue },
+  ]
+}
+
+function lostReasonColumns(groupBy) {
+  return [
+    { key: 'key', header: groupHeader(groupBy), type: 'text', value: (r) => r.key },
+    { key: 'total', header: 'Lost Leads', type: 'number', value: (r) => r.total },
+    ...LOST_REASONS.map((reason) => ({ key: reason, header: reason, type: 'number', value: (r) => r.reasons[reason] || 0 })),
+  ]
+}
+
+function groupHeader(groupBy) {
+  return { branch: 'Branch', staff: 'Sales Executive', model: 'Model', period: 'Period', total: 'Scope' }[String(groupBy || 'branch').toLowerCase()] || 'Group'
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  conversionFunnel,
+  lostReasonBreakdown,
+  funnelColumns,
+  lostReasonColumns,
+}
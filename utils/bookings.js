@@ -0,0 +1,330 @@
+const Booking = require('../models/bookingModel')
+const Quotation = require('../models/quotationModel')
+const { reserveSerial, markSerialUsed, voidSerial } = require('./sequence')
+const { normalizeString, normalizeMobile10, pick, toAmount, toDate, isObjectId } = require('./normalize')
+const { assertDiscountCleared, prepareDiscountApproval, openDiscountApproval } = require('./discounts')
+const { resolveBranch } = require('./branchLookup')
+const { linkCustomer } = require('./customers')
+const { markLeadWon } = require('./leads')
+const { notify } = require('./notifications')
+
+const PAYMENT_MODES = ['cash', 'upi', 'card', 'finance', 'bank-transfer', 'cheque']
+
+function bookingError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+// Map client payload (structured or flat formValues) to Booking paths; only present paths are returned
+function bookingPathsFromInput(input = {}) {
+  const fv = input.formValues && typeof input.formValues === 'object' ? { ...input.formValues, ...input } : input
+  const c = fv.customer && typeof fv.customer === 'object' ? fv.customer : {}
+  const v = fv.vehicle && typeof fv.vehicle === 'object' ? fv.vehicle : {}
+  const out = {}
+  const set = (path, value) => { if (value !== undefined && value !== '') out[path] = value }
+
+  set('customer.name', normalizeString(pick(c, 'name') ?? pick(fv, 'customerName', 'name')))
+  const mobile = pick(c, 'mobile') ?? pick(fv, 'mobile', 'customerMobile', 'phone')
+  if (mobile !== undefined) set('customer.mobile', normalizeMobile10(mobile) || normalizeString(mobile))
+  set('customer.email', normalizeString(pick(c, 'email') ?? pick(fv, 'email', 'customerEmail')))
+  set('customer.address', normalizeString(pick(c, 'address') ?? pick(fv, 'address', 'customerAddress')))
+  set('vehicle.model', normalizeString(pick(v, 'model') ?? pick(fv, 'vehicleModel', 'model', 'bikeModel')))
+  set('vehicle.variant', normalizeString(pick(v, 'variant') ?? pick(fv, 'variant')))
+  set('vehicle.colour', normalizeString(pick(v, 'colour', 'color') ?? pick(fv, 'colour', 'color')))
+  set('totalAmount', toAmount(pick(fv, 'totalAmount', 'onRoadPrice', 'onRoad')))
+  set('discount', toAmount(pick(fv, 'discount')))
+  set('expectedDeliveryDate', toDate(pick(fv, 'expectedDeliveryDate', 'deliveryDate')))
+  set('staffName', normalizeString(pick(fv, 'staffName', 'executive', 'executiveName')))
+  const staffId = pick(fv, 'staffId', 'staff')
+  if (isObjectId(staffId)) set('staff', String(staffId))
+  set('notes', normalizeString(pick(fv, 'notes', 'remarks')))
+  return out
+}
+
+// Defaults copied from the originating quotation (booking input wins where both are given)
+async function quotationDefaults({ quotationId, quotationNo } = {}) {
+  let q = null
+  if (isObjectId(quotationId)) q = await Quotation.findById(quotationId)
+  else if (quotationNo) q = await Quotation.findOne({ serialNo: String(quotationNo).trim() })
+  if (!q) {
+    if (quotationId || quotationNo) throw bookingError(404, 'BK_QUOTATION_NOT_FOUND', 'Quotation not found')
+    return { quotation: null, paths: {} }
+  }
+  if (q.status === 'cancelled') throw bookingError(409, 'BK_QUOTATION_CANCELLED', `Quotation ${q.serialNo} is cancelled`)
+  assertDiscountCleared(q, `Quotation ${q.serialNo}`)
+  const paths = {
+    quotation: q._id,
+    quotationNo: q.serialNo,
+    'customer.name': q.customer?.name,
+    'customer.mobile': q.customer?.mobile,
+    'customer.email': q.customer?.email,
+    'customer.address': q.customer?.address,
+    'vehicle.model': q.vehicle?.model,
+    'vehicle.variant': q.vehicle?.variant,
+    'vehicle.colour': q.vehicle?.colour,
+    totalAmount: q.price?.onRoad,
+    discount: q.price?.discount,
+    ...(q.branch ? { branch: q.branch } : {}),
+    ...(q.branchCode ? { branchCode: q.branchCode } : {}),
+    ...(q.staff ? { staff: q.staff } : {}),
+    ...(q.staffName ? { staffName: q.staffName } : {}),
+  }
+  for (const k of Object.keys(paths)) if (paths[k] === undefined || paths[k] === null || paths[k] === '') delete paths[k]
+  return { quotation: q, paths }
+}
+
+function parsePayment(input = {}, kind) {
+  const amount = toAmount(input.amount)
+  if (!(amount > 0)) throw bookingError(400, 'BK_BAD_AMOUNT', `${kind} amount must be greater than zero`)
+  const mode = String(input.mode || '').trim().toLowerCase()
+  if (!PAYMENT_MODES.includes(mode)) {
+    throw bookingError(400, 'BK_BAD_MODE', `mode must be one of ${PAYMENT_MODES.join('|')}`)
+  }
+  return { amount: Math.round(amount * 100) / 100, mode, reference: normalizeString(input.reference) || undefined }
+}
+
+// Receipt fields from client input; throws before any number is reserved
+function checkReceipt(booking, input = {}) {
+  if (booking.status === 'cancelled') throw bookingError(409, 'BK_CANCELLED', 'Booking is cancelled; receipts are closed')
+  const { amount, mode, reference } = parsePayment(input, 'Receipt')
+  if (mode === 'finance' && !normalizeString(input.financier || reference)) {
+    throw bookingError(400, 'BK_FINANCIER_REQUIRED', 'financier or reference is required for finance receipts')
+  }
+  return { amount, mode, reference }
+}
+
+async function buildReceipt(booking, input = {}, { userId } = {}) {
+  const { amount, mode, reference } = checkReceipt(booking, input)
+  const { serial } = await reserveSerial('receipt', { branchCode: booking.branchCode, userId })
+  return {
+    receiptNo: serial,
+    amount,
+    mode,
+    reference,
+    financier: normalizeString(input.financier) || undefined,
+    receivedAt: toDate(input.receivedAt) || new Date(),
+    ...(userId ? { receivedBy: userId } : {}),
+    notes: normalizeString(input.notes) || undefined,
+  }
+}
+
+const heldAmount = (booking) => (Number(booking.paidAmount) || 0) - (Number(booking.refundedAmount) || 0)
+
+async function buildRefund(booking, input = {}, { userId } = {}) {
+  const { amount, mode, reference } = parsePayment(input, 'Refund')
+  const held = heldAmount(booking)
+  if (amount > held + 0.001) {
+    throw bookingError(400, 'BK_REFUND_EXCEEDS_PAID', `Refund ${amount} exceeds amount held (${Math.round(held * 100) / 100})`)
+  }
+  const { serial } = await reserveSerial('refund', { branchCode: booking.branchCode, userId })
+  return {
+    refundNo: serial,
+    amount,
+    mode,
+    reference,
+    reason: normalizeString(input.reason) || undefined,
+    refundedAt: toDate(input.refundedAt) || new Date(),
+    ...(userId ? { refundedBy: userId } : {}),
+  }
+}
+
+/**
+ * Append an advance receipt to an unsaved booking (creation). Caller saves, then calls
+ * markSerialUsed(receipt.receiptNo). Saved bookings take payments through recordReceipt.
+ */
+async function addReceipt(booking, input = {}, { userId } = {}) {
+  booking.receipts.push(await buildReceipt(booking, input, { userId }))
+  return booking.receipts[booking.receipts.length - 1]
+}
+
+// A number reserved for an update that did not apply is voided, so the audit can explain it
+function releaseSerial(serial, reason) {
+  voidSerial(serial, { reason }).catch(() => {})
+}
+
+// Explain why a guarded booking update matched nothing, from the booking as it is now
+async function updateConflict(id, { expectStatus, amount } = {}) {
+  const now = await Booking.findById(id).select('bookingNo status paidAmount refundedAmount').lean()
+  if (!now) return bookingError(404, 'BK_NOT_FOUND', 'Booking not found')
+  if (expectStatus && now.status !== expectStatus) {
+    return bookingError(409, `BK_${now.status.toUpperCase()}`, `Booking ${now.bookingNo} is ${now.status}`)
+  }
+  if (amount !== undefined && amount > heldAmount(now) + 0.001) {
+    return bookingError(400, 'BK_REFUND_EXCEEDS_PAID', `Refund ${amount} exceeds amount held (${Math.round(heldAmount(now) * 100) / 100})`)
+  }
+  return bookingError(409, 'BK_CHANGED', `Booking ${now.bookingNo} was changed by someone else; reload and try again`)
+}
+
+// Running totals move with $inc in the same guarded update as the entry, so concurrent payments
+// both count. __v is bumped so a stale doc.save() elsewhere fails instead of rewriting the totals.
+const refundGuard = (amount) => ({ $expr: { $gte: [{ $subtract: ['$paidAmount', '$refundedAmount'] }, amount - 0.001] } })
+
+// Record a receipt on a saved booking; returns { booking, receipt } with the updated booking
+async function recordReceipt(booking, input = {}, { userId } = {}) {
+  const entry = await buildReceipt(booking, input, { userId })
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $ne: 'cancelled' } },
+    { $push: { receipts: entry }, $inc: { paidAmount: entry.amount, balanceDue: -entry.amount, __v: 1 } },
+    { new: true, runValidators: true }
+  )
+  if (!updated) {
+    releaseSerial(entry.receiptNo, 'Booking changed before the receipt was saved')
+    throw await updateConflict(booking._id, { expectStatus: booking.status })
+  }
+  markUsed(entry.receiptNo)
+  return { booking: updated, receipt: updated.receipts.find((r) => r.receiptNo === entry.receiptNo) }
+}
+
+// Record a refund on a saved booking; never more than what is held at the moment it is written
+async function recordRefund(booking, input = {}, { userId } = {}) {
+  const entry = await buildRefund(booking, input, { userId })
+  // A cancelled booking owes nothing, so its balance stays at zero
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status, ...refundGuard(entry.amount) },
+    { $push: { refunds: entry }, $inc: { refundedAmount: entry.amount, balanceDue: booking.status === 'cancelled' ? 0 : entry.amount, __v: 1 } },
+    { new: true, runValidators: true }
+  )
+  if (!updated) {
+    releaseSerial(entry.refundNo, 'Booking changed before the refund was saved')
+    throw await updateConflict(booking._id, { expectStatus: booking.status, amount: entry.amount })
+  }
+  markUsed(entry.refundNo)
+  return { booking: updated, refund: updated.refunds.find((r) => r.refundNo === entry.refundNo) }
+}
+
+// Cancel a booked booking, optionally refunding in the same update. Returns { booking, refund }.
+async function cancelBooking(booking, { reason, refund: refundInput, userId } = {}) {
+  const entry = refundInput ? await buildRefund(booking, { reason, ...refundInput }, { userId }) : null
+  const update = {
+    $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId, cancelReason: String(reason).slice(0, 500), balanceDue: 0 },
+    $inc: { __v: 1, ...(entry ? { refundedAmount: entry.amount } : {}) },
+    ...(entry ? { $push: { refunds: entry } } : {}),
+  }
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: 'booked', ...(entry ? refundGuard(entry.amount) : {}) },
+    update,
+    { new: true, runValidators: true }
+  )
+  if (!updated) {
+    if (entry) releaseSerial(entry.refundNo, 'Booking changed before the cancellation was saved')
+    throw await updateConflict(booking._id, { expectStatus: 'booked', amount: entry?.amount })
+  }
+  if (entry) markUsed(entry.refundNo)
+  return { booking: updated, refund: entry ? updated.refunds.find((r) => r.refundNo === entry.refundNo) : null }
+}
+
+/**
+ * Create a booking from a quotation (quotationId/quotationNo) and/or explicit fields, with an optional
+ * first advance ({ advance: { amount, mode, reference } }). Everything is validated before a number is
+ * reserved; `bookingNo` keeps a number the sheet already issued. Returns { booking, receipt, quotation }.
+ */
+async function createBooking(body = {}, { userId, bookingNo } = {}) {
+  const { quotation, paths: fromQuotation } = await quotationDefaults({ quotationId: body.quotationId, quotationNo: body.quotationNo })
+  if (quotation) {
+    const existing = await Booking.findOne({ quotation: quotation._id, status: { $ne: 'cancelled' } })
+    if (existing) {
+      const err = bookingError(409, 'BK_QUOTATION_BOOKED', `Quotation ${quotation.serialNo} is already booked as ${existing.bookingNo}`)
+      err.booking = existing
+      throw err
+    }
+  }
+
+  const doc = new Booking(userId ? { createdBy: userId, staff: userId } : {})
+  for (const [path, value] of Object.entries({ ...fromQuotation, ...bookingPathsFromInput(body) })) doc.set(path, value)
+  if (body.branchId || body.branchCode || !doc.branchCode) {
+    const { branchId, branchCode } = await resolveBranch(body)
+    if (branchId) doc.branch = branchId
+    if (branchCode) doc.branchCode = branchCode
+  }
+  if (!doc.branchCode) throw bookingError(400, 'BK_BRANCH_REQUIRED', 'branchCode is required')
+  if (body.formValues && typeof body.formValues === 'object') doc.formValues = body.formValues
+  await doc.validate({ pathsToSkip: ['bookingNo'] })
+  if (body.advance) checkReceipt(doc, body.advance)
+  await linkCustomer(doc, 'booking', { userId })
+
+  doc.bookingNo = bookingNo || (await reserveSerial('booking', { branchCode: doc.branchCode, userId })).serial
+  const receipt = body.advance ? await addReceipt(doc, body.advance, { userId }) : null
+  const discountRequest = await prepareDiscountApproval(doc, 'booking', { userId, reason: body.discountReason })
+  await doc.save()
+  await openDiscountApproval(doc, 'booking', discountRequest)
+  markUsed(doc.bookingNo, receipt?.receiptNo)
+  if (quotation && quotation.status === 'active') {
+    await Quotation.updateOne({ _id: quotation._id, status: 'active' }, { $set: { status: 'converted' } })
+  }
+  markLeadWon({ quotationId: quotation?._id, customerId: doc.customerId, booking: doc, userId })
+  notify('booking.created', { booking: doc }, {
+    customers: [doc.customerId || doc.customer],
+    ref: { model: 'Booking', id: doc._id, no: doc.bookingNo },
+    branch: doc.branch,
+    userId,
+  })
+  return { booking: doc, receipt, quotation }
+}
+
+/**
+ * Store a booking sent through the Google Form or sheet webhook paths (flat form values are fine).
+ * The sheet's own number (bookingNo/serialNo) is kept when sent; a repeat of a stored number or of an
+ * already booked quotation returns that booking. Returns { booking, created }.
+ */
+async function saveFormBooking(input = {}) {
+  const values = input.formValues && typeof input.formValues === 'object' ? { ...input.formValues, ...input } : input
+  const bookingNo = normalizeString(pick(values, 'bookingNo', 'serialNo')) || undefined
+  const stored = bookingNo ? await Booking.findOne({ bookingNo }) : null
+  if (stored) return { booking: stored, created: false }
+  try {
+    const { booking } = await createBooking(values, { bookingNo })
+    return { booking, created: true }
+  } catch (err) {
+    if (err?.code === 'BK_QUOTATION_BOOKED' && err.booking) return { booking: err.booking, created: false }
+    if (err?.code === 11000 && bookingNo) {
+      const raced = await Booking.findOne({ bookingNo })
+      if (raced) return { booking: raced, created: false }
+    }
+    throw err
+  }
+}
+
+function markUsed(...serials) {
+  for (const s of serials) if (s) markSerialUsed(s).catch(() => {})
+}
+
+// List filter shared by GET /api/bookings and exports
+function bookingListFilter(query = {}) {
+  const { branch, branchCode, staff, status, from, to, mobile, hasDue, quotation, q } = query
+  const filter = {}
+  if (branch && isObjectId(branch)) filter.branch = branch
+  if (branchCode) filter.branchCode = String(branchCode).trim().toUpperCase()
+  if (staff && isObjectId(staff)) filter.staff = staff
+  if (quotation && isObjectId(quotation)) filter.quotation = quotation
+  if (status) filter.status = status
+  if (String(hasDue) === 'true') filter.balanceDue = { $gt: 0 }
+  const fromDate = toDate(from)
+  const toDateValue = toDate(to)
+  if (fromDate || toDateValue) {
+    filter.createdAt = {}
+    if (fromDate) filter.createdAt.$gte = fromDate
+    if (toDateValue) filter.createdAt.$lte = toDateValue
+  }
+  if (mobile) filter['customer.mobile'] = String(mobile).replace(/\D/g, '').slice(-10)
+  if (q) {
+    const re = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+    filter.$or = [{ bookingNo: re }, { quotationNo: re }, { 'customer.name': re }, { 'customer.mobile': re }, { 'receipts.receiptNo': re }]
+  }
+  return filter
+}
+
+module.exports = {
+  PAYMENT_MODES,
+  bookingPathsFromInput,
+  quotationDefaults,
+  createBooking,
+  saveFormBooking,
+  addReceipt,
+  recordReceipt,
+  recordRefund,
+  cancelBooking,
+  markUsed,
+  bookingListFilter,
+}
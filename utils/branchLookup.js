@@ -0,0 +1,24 @@
+const Branch = require('../models/branchModel')
+const { isObjectId } = require('./normalize')
+
+/**
+ * Resolve a branch from any of { branchId, branchCode, branch } in a request body.
+ * Returns { branchId, branchCode } (either may be null when not resolvable).
+ */
+async function resolveBranch(input = {}) {
+  const rawId = input.branchId || (isObjectId(input.branch) ? input.branch : null)
+  let branchCode = String(input.branchCode || '').trim().toUpperCase()
+  let branchId = isObjectId(rawId) ? String(rawId) : null
+  try {
+    if (branchId && !branchCode) {
+      const br = await Branch.findById(branchId).select('code').lean()
+      if (br?.code) branchCode = String(br.code).toUpperCase()
+    } else if (branchCode && !branchId) {
+      const br = await Branch.findOne({ code: branchCode }).select('_id').lean()
+      if (br?._id) branchId = String(br._id)
+    }
+  } catch {}
+  return { branchId, branchCode: branchCode || null }
+}
+
+module.exports = { resolveBranch }
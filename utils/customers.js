@@ -0,0 +1,149 @@
+const Customer = require('../models/customerModel')
+const Quotation = require('../models/quotationModel')
+const JobCard = require('../models/jobCardModel')
+const Booking = require('../models/bookingModel')
+const { normalizeString, normalizeMobile10 } = require('./normalize')
+
+// Document kinds that link to a customer, newest interaction first in the history
+const LINKED = {
+  quotation: { model: Quotation, numberField: 'serialNo', select: 'serialNo branch branchCode staffName vehicle price.onRoad status validUntil createdAt' },
+  jobcard: { model: JobCard, numberField: 'jcNo', select: 'jcNo branch branchCode vehicle serviceType status finalAmount estimate.amount receivedAt deliveredAt createdAt' },
+  booking: { model: Booking, numberField: 'bookingNo', select: 'bookingNo branch branchCode staffName vehicle totalAmount paidAmount balanceDue status deliveredAt createdAt' },
+}
+
+/**
+ * Find-or-create the customer for a contact and record the interaction.
+ * Never overwrites a known name/email/address with blanks; fills them when missing.
+ * lastBranch/lastInteractionType follow the newest interaction, so a late or backfilled
+ * older document does not move them back.
+ * Returns the customer, or null when the mobile is not a valid 10-digit number.
+ */
+async function upsertCustomer(contact = {}, { branch, branchCode, type, at, userId } = {}) {
+  const mobile = normalizeMobile10(contact.mobile)
+  if (!mobile) return null
+  const name = normalizeString(contact.name)
+  const when = at || new Date()
+  const update = {
+    $setOnInsert: {
+      mobile,
+      name: name || 'Unknown',
+      ...(branch ? { firstBranch: branch } : {}),
+      ...(branchCode ? { firstBranchCode: branchCode } : {}),
+      ...(userId ? { createdBy: userId } : {}),
+    },
+    $max: { lastInteractionAt: when },
+  }
+  const set = {}
+  if (branch) set.lastBranch = branch
+  if (branchCode) set.lastBranchCode = branchCode
+  if (type) set.lastInteractionType = type
+
+  let customer
+  try {
+    customer = await Customer.findOneAndUpdate({ mobile }, update, { upsert: true, new: true, setDefaultsOnInsert: true })
+  } catch (err) {
+    // Two saves for a new mobile at the same moment: the loser just reads the winner's record
+    if (err?.code !== 11000) throw err
+    customer = await Customer.findOne({ mobile })
+  }
+  // lastInteractionAt only grows, so it still equals `when` only if nothing newer was recorded meanwhile
+  if (Object.keys(set).length) {
+    const newest = await Customer.findOneAndUpdate({ _id: customer._id, lastInteractionAt: { $lte: when } }, { $set: set }, { new: true })
+    if (newest) customer = newest
+  }
+
+  // Fill in details we did not have yet
+  const fill = {}
+  if (name && (!customer.name || customer.name === 'Unknown')) fill.name = name
+  const email = normalizeString(contact.email).toLowerCase()
+  if (email && !customer.email) fill.email = email
+  const address = normalizeString(contact.address)
+  if (address && !customer.address) fill.address = address
+  if (Object.keys(fill).length) {
+    customer.set(fill)
+    await customer.save()
+  }
+  return customer
+}
+
+/**
+ * Link a quotation/jobcard/booking (not yet saved) to its customer by doc.customer.mobile.
+ * A failure here never blocks saving the document; it can be re-linked by the backfill.
+ */
+async function linkCustomer(doc, type, { userId } = {}) {
+  try {
+    const customer = await upsertCustomer(doc.customer || {}, {
+      branch: doc.branch,
+      branchCode: doc.branchCode,
+      type,
+      at: doc.createdAt || new Date(),
+      userId,
+    })
+    if (customer) doc.customerId = customer._id
+    return customer
+  } catch (err) {
+    console.warn('customer link failed', type, doc.customer?.mobile, err?.message || err)
+    return null
+  }
+}
+
+function historyItem(type, d) {
+  const base = {
+    type,
+    id: d._id,
+    number: d[LINKED[type].numberField],
+    branch: d.branch,
+    branchCode: d.branchCode,
+    at: d.createdAt,
+    status: d.status,
+    vehicle: d.vehicle,
+  }
+  if (type === 'quotation') return { ...base, staffName: d.staffName, amount: d.price?.onRoad, validUntil: d.validUntil }
+  if (type === 'jobcard') return { ...base, at: d.receivedAt || d.createdAt, serviceType: d.serviceType, amount: d.finalAmount ?? d.estimate?.amount, deliveredAt: d.deliveredAt }
+  return { ...base, staffName: d.staffName, amount: d.totalAmount, paidAmount: d.paidAmount, balanceDue: d.balanceDue, deliveredAt: d.deliveredAt }
+}
+
+/**
+ * Every quotation, job card and booking for a customer across all branches, newest first.
+ * Documents saved before linking are matched by mobile as well.
+ */
+async function customerHistory(customer, { limit = 200 } = {}) {
+  const match = { $or: [{ customerId: customer._id }, { 'customer.mobile': customer.mobile }] }
+  const results = await Promise.all(Object.entries(LINKED).map(async ([type, def]) => {
+    const docs = await def.model.find(match).select(def.select).sort({ createdAt: -1 }).limit(limit).lean()
+    return docs.map((d) => historyItem(type, d))
+  }))
+  const items = results.flat().sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, limit)
+  const counts = { quotation: results[0].length, jobcard: results[1].length, booking: results[2].length }
+  const branches = Array.from(new Set(items.map((i) => i.branchCode).filter(Boolean)))
+  return { items, counts, branches, lastInteraction: items[0] || null }
+}
+
+// Link documents saved before the customer master existed (or whose link failed)
+async function backfillCustomerLinks({ batchSize = 500 } = {}) {
+  const summary = {}
+  for (const [type, def] of Object.entries(LINKED)) {
+    let linked = 0
+    let skipped = 0
+    const cursor = def.model.find({ customerId: { $exists: false } })
+      .select('customer branch branchCode createdAt').sort({ createdAt: 1 }).lean().cursor({ batchSize })
+    for await (const d of cursor) {
+      const customer = await upsertCustomer(d.customer || {}, { branch: d.branch, branchCode: d.branchCode, type, at: d.createdAt })
+      if (!customer) {
+        skipped += 1
+        continue
+      }
+      await def.model.updateOne({ _id: d._id }, { $set: { customerId: customer._id } })
+      linked += 1
+    }
+    summary[type] = { linked, skipped }
+  }
+  return summary
+}
+
+module.exports = {
+  upsertCustomer,
+  linkCustomer,
+  customerHistory,
+  backfillCustomerLinks,
+}
@@ -0,0 +1,391 @@
+const mongoose = require('mongoose')
+const DailyRollup = require('../models/dailyRollupModel')
+const JobCard = require('../models/jobCardModel')
+const Booking = require('../models/bookingModel')
+const User = require('../models/userModel')
+const Branch = require('../models/branchModel')
+const { fetchCurrentStock } = require('./stocksGas')
+const { stocksSource, stockOnHandByBranch } = require('./stocks')
+
+const IST_OFFSET_MS = 330 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_RANGE_DAYS = 366
+const WORKER_INTERVAL_MS = Number(process.env.DASHBOARD_ROLLUP_INTERVAL_MS) || 15 * 60 * 1000
+// Missing days computed inside a dashboard request; older gaps are left to the background fill
+const INLINE_COMPUTE_DAYS = 3
+
+const FLOW_FIELDS = {
+  jobCards: ['opened', 'closed', 'cancelled', 'revenue'],
+  bookings: ['created', 'value', 'delivered', 'cancelled'],
+  collections: ['receipts', 'receiptCount', 'refunds', 'net'],
+}
+
+let timer = null
+let running = false
+// Days a request found missing, oldest first when filled
+const pendingDays = new Set()
+let filling = false
+
+function dashboardError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100
+const upper = (v) => String(v || '').trim().toUpperCase()
+
+// IST calendar day of a moment, YYYY-MM-DD
+function istDateKey(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10)
+}
+
+function dayBounds(key) {
+  const start = new Date(`${key}T00:00:00.000+05:30`)
+  return { start, end: new Date(start.getTime() + DAY_MS - 1) }
+}
+
+// Every IST day from..to (YYYY-MM-DD, both default to today), capped at MAX_RANGE_DAYS
+function dateKeys(from, to) {
+  const today = istDateKey()
+  const last = String(to || today)
+  const first = String(from || last)
+  if (![first, last].every((k) => /^\d{4}-\d{2}-\d{2}$/.test(k) && !Number.isNaN(Date.parse(k)))) {
+    throw dashboardError(400, 'from and to must be dates (YYYY-MM-DD)')
+  }
+  if (first > last) throw dashboardError(400, 'from must be before to')
+  const keys = []
+  for (let t = Date.parse(first); t <= Date.parse(last); t += DAY_MS) {
+    keys.push(new Date(t).toISOString().slice(0, 10))
+    if (keys.length > MAX_RANGE_DAYS) throw dashboardError(400, `Range is limited to ${MAX_RANGE_DAYS} days`)
+  }
+  return keys
+}
+
+const branchKey = { $ifNull: ['$branchCode', ''] }
+
+// { [branchCode]: { count, amount } } for documents whose `field` falls in the day
+async function countByBranch(Model, field, { start, end }, { match = {}, amount } = {}) {
+  const rows = await Model.aggregate([
+    { $match: { [field]: { $gte: start, $lte: end }, ...match } },
+    { $group: { _id: branchKey, count: { $sum: 1 }, amount: { $sum: amount ? { $ifNull: [amount, 0] } : 0 } } },
+  ])
+  return Object.fromEntries(rows.map((r) => [r._id, { count: r.count, amount: r.amount }]))
+}
+
+// Receipts or refunds in the day per branch and payment mode
+async function paymentsByBranch(list, dateField, { start, end }) {
+  const path = `${list}.${dateField}`
+  const rows = await Booking.aggregate([
+    { $match: { [path]: { $gte: start, $lte: end } } },
+    { $unwind: `$${list}` },
+    { $match: { [path]: { $gte: start, $lte: end } } },
+    { $group: { _id: { branch: branchKey, mode: `$${list}.mode` }, amount: { $sum: `$${list}.amount` }, count: { $sum: 1 } } },
+  ])
+  const out = {}
+  for (const r of rows) {
+    const b = (out[r._id.branch] = out[r._id.branch] || { amount: 0, count: 0, byMode: {} })
+    b.amount += r.amount
+    b.count += r.count
+    b.byMode[r._id.mode] = round2((b.byMode[r._id.mode] || 0) + r.amount)
+  }
+  return out
+}
+
+async function inWorkshopByBranch({ end }) {
+  const rows = await JobCard.aggregate([
+    {
+      $match: {
+        receivedAt: { $lte: end },
+        $and: [
+          { $or: [{ deliveredAt: null }, { deliveredAt: { $gt: end } }] },
+          { $or: [{ cancelledAt: null }, { cancelledAt: { $gt: end } }] },
+        ],
+      },
+    },
+    { $group: { _id: branchKey, count: { $sum: 1 } } },
+  ])
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]))
+}
+
+async function staffByBranch(branches, { start, end }) {
+  const codeById = new Map(branches.map((b) => [String(b._id), b.code]))
+  const users = await User.find({ status: 'active' }).select('primaryBranch branches lastLoginAt').lean()
+  const out = {}
+  for (const u of users) {
+    const code = codeById.get(String(u.primaryBranch || u.branches?.[0] || '')) || ''
+    const s = (out[code] = out[code] || { active: 0, loggedIn: 0 })
+    s.active += 1
+    if (u.lastLoginAt && u.lastLoginAt >= start && u.lastLoginAt <= end) s.loggedIn += 1
+  }
+  return out
+}
+
+// Vehicles in stock per branch: the stock ledger, or the sheet while STOCKS_SOURCE=gas (rows name the branch by code or name)
+async function stockByBranch(branches) {
+  if (stocksSource() === 'mongo') return stockOnHandByBranch()
+  const byName = new Map()
+  for (const b of branches) {
+    byName.set(upper(b.code), b.code)
+    byName.set(upper(b.name), b.code)
+  }
+  const rows = await fetchCurrentStock()
+  const out = {}
+  for (const r of rows) {
+    const code = byName.get(upper(r?.branchCode || r?.branch || r?.Branch)) || ''
+    out[code] = (out[code] || 0) + 1
+  }
+  return out
+}
+
+/**
+ * Recompute the rollups of one IST day for every branch. Snapshot figures (stock, staff)
+ * are only taken while the day is current; a recompute of a past day keeps what was recorded.
+ */
+async function computeDay(key) {
+  const bounds = dayBounds(key)
+  const isToday = key === istDateKey()
+  const branches = await Branch.find().select('code name status').lean()
+
+  const [opened, closed, jcCancelled, inWorkshop, created, delivered, bkCancelled, receipts, refunds] = await Promise.all([
+    countByBranch(JobCard, 'receivedAt', bounds),
+    countByBranch(JobCard, 'deliveredAt', bounds, { match: { status: 'delivered' }, amount: '$finalAmount' }),
+    countByBranch(JobCard, 'cancelledAt', bounds, { match: { status: 'cancelled' } }),
+    inWorkshopByBranch(bounds),
+    countByBranch(Booking, 'createdAt', bounds, { amount: '$totalAmount' }),
+    countByBranch(Booking, 'deliveredAt', bounds, { match: { status: 'delivered' } }),
+    countByBranch(Booking, 'cancelledAt', bounds, { match: { status: 'cancelled' } }),
+    paymentsByBranch('receipts', 'receivedAt', bounds),
+    paymentsByBranch('refunds', 'refundedAt', bounds),
+  ])
+  const staff = isToday ? await staffByBranch(branches, bounds) : null
+  let stock = null
+  if (isToday) {
+    try {
+      stock = await stockByBranch(branches)
+    } catch (e) {
+      console.warn('dashboard stock snapshot failed', e?.message || e)
+    }
+  }
+
+  // Every active branch gets a row (zeros included), plus any code seen in the data or already stored
+  const existing = await DailyRollup.distinct('branchCode', { date: key })
+  const codes = new Set([
+    ...branches.filter((b) => b.status !== 'inactive').map((b) => b.code),
+    ...existing,
+    ...[opened, closed, jcCancelled, inWorkshop, created, delivered, bkCancelled, receipts, refunds].flatMap(Object.keys),
+  ])
+  const idByCode = new Map(branches.map((b) => [b.code, b._id]))
+  const now = new Date()
+
+  const ops = [...codes].map((code) => {
+    const paid = receipts[code] || { amount: 0, count: 0, byMode: {} }
+    const refunded = refunds[code] || { amount: 0, byMode: {} }
+    const byMode = { ...paid.byMode }
+    for (const [mode, amount] of Object.entries(refunded.byMode)) byMode[mode] = round2((byMode[mode] || 0) - amount)
+    const set = {
+      ...(idByCode.has(code) ? { branch: idByCode.get(code) } : {}),
+      'jobCards.opened': opened[code]?.count || 0,
+      'jobCards.closed': closed[code]?.count || 0,
+      'jobCards.cancelled': jcCancelled[code]?.count || 0,
+      'jobCards.revenue': round2(closed[code]?.amount),
+      'jobCards.inWorkshop': inWorkshop[code] || 0,
+      'bookings.created': created[code]?.count || 0,
+      'bookings.value': round2(created[code]?.amount),
+      'bookings.delivered': delivered[code]?.count || 0,
+      'bookings.cancelled': bkCancelled[code]?.count || 0,
+      'collections.receipts': round2(paid.amount),
+      'collections.receiptCount': paid.count,
+      'collections.refunds': round2(refunded.amount),
+      'collections.net': round2(paid.amount - refunded.amount),
+      'collections.byMode': byMode,
+      computedAt: now,
+    }
+    if (staff) set.staff = staff[code] || { active: 0, loggedIn: 0 }
+    if (stock) set.stock = { onHand: stock[code] || 0, source: stocksSource() === 'mongo' ? 'ledger' : 'sheet', at: now }
+    return { updateOne: { filter: { date: key, branchCode: code }, update: { $set: set }, upsert: true } }
+  })
+  if (ops.length) await DailyRollup.bulkWrite(ops, { ordered: false })
+  return { date: key, branches: ops.length }
+}
+
+// Recompute a range of days, oldest first
+async function refreshRollups({ from, to } = {}) {
+  const days = []
+  for (const key of dateKeys(from, to)) days.push(await computeDay(key))
+  return { days: days.length, rows: days.reduce((n, d) => n + d.branches, 0) }
+}
+
+function emptyTotals() {
+  return {
+    jobCards: { opened: 0, closed: 0, cancelled: 0, revenue: 0, inWorkshop: 0 },
+    bookings: { created: 0, value: 0, delivered: 0, cancelled: 0 },
+    collections: { receipts: 0, receiptCount: 0, refunds: 0, net: 0, byMode: {} },
+    stock: { onHand: null, at: null },
+    staff: { active: null, loggedIn: null },
+  }
+}
+
+// Add a rollup's flows to t; snapshots are taken from the latest day that has them (docs come oldest first)
+function accumulate(t, doc, { snapshots = true } = {}) {
+  for (const [group, fields] of Object.entries(FLOW_FIELDS)) {
+    for (const f of fields) t[group][f] = round2(t[group][f] + (doc[group]?.[f] || 0))
+  }
+  const byMode = doc.collections?.byMode instanceof Map ? Object.fromEntries(doc.collections.byMode) : doc.collections?.byMode || {}
+  for (const [mode, amount] of Object.entries(byMode)) t.collections.byMode[mode] = round2((t.collections.byMode[mode] || 0) + amount)
+  if (!snapshots) return t
+  t.jobCards.inWorkshop = doc.jobCards?.inWorkshop || 0
+  if (typeof doc.stock?.onHand === 'number') t.stock = { onHand: doc.stock.onHand, at: doc.stock.at || null }
+  if (typeof doc.staff?.active === 'number') t.staff = { active: doc.staff.active, loggedIn: doc.staff.loggedIn || 0 }
+  return t
+}
+
+// Snapshot totals across branches: sum each branch's latest value
+function addSnapshots(total, branch) {
+  total.jobCards.inWorkshop += branch.jobCards.inWorkshop
+  if (branch.stock.onHand !== null) {
+    total.stock.onHand = (total.stock.onHand || 0) + branch.stock.onHand
+    if (!total.stock.at || branch.stock.at > total.stock.at) total.stock.at = branch.stock.at
+  }
+  if (branch.staff.active !== null) {
+    total.staff.active = (total.staff.active || 0) + branch.staff.active
+    total.staff.loggedIn = (total.staff.loggedIn || 0) + branch.staff.loggedIn
+  }
+}
+
+// Compute queued days one at a time in the background (never more than one fill running)
+async function fillPendingDays() {
+  if (filling) return
+  filling = true
+  try {
+    for (const key of [...pendingDays].sort()) {
+      await computeDay(key)
+      pendingDays.delete(key)
+    }
+  } catch (e) {
+    console.warn('dashboard backfill failed', e?.message || e)
+  } finally {
+    filling = false
+  }
+}
+
+/**
+ * Rollups for the range. Days never computed (worker off, first use) are filled in: the newest
+ * INLINE_COMPUTE_DAYS right away, the rest in the background. Returns { docs, pending } where
+ * pending lists the days still missing from docs.
+ */
+async function loadRollups(keys, branchCode) {
+  const filter = { date: { $gte: keys[0], $lte: keys[keys.length - 1] } }
+  if (branchCode) filter.branchCode = upper(branchCode)
+  const computed = new Set(await DailyRollup.distinct('date', { date: filter.date }))
+  const missing = keys.filter((key) => !computed.has(key))
+  const inline = missing.slice(-INLINE_COMPUTE_DAYS)
+  for (const key of inline) await computeDay(key)
+  const pending = missing.slice(0, missing.length - inline.length)
+  if (pending.length) {
+    for (const key of pending) pendingDays.add(key)
+    fillPendingDays()
+  }
+  const docs = await DailyRollup.find(filter).sort({ date: 1, branchCode: 1 }).lean()
+  return { docs, pending }
+}
+
+/**
+ * KPIs per branch for a date range (IST days, default today):
+ * { from, to, computedAt, branches: [{ branchCode, jobCards, bookings, collections, stock, staff }], totals, pending }
+ * pending: days not computed yet (being filled in the background); totals leave them out.
+ */
+async function dashboardSummary({ from, to, branchCode } = {}) {
+  const keys = dateKeys(from, to)
+  const { docs, pending } = await loadRollups(keys, branchCode)
+  const byBranch = new Map()
+  for (const doc of docs) {
+    if (!byBranch.has(doc.branchCode)) byBranch.set(doc.branchCode, { branchCode: doc.branchCode, branch: doc.branch || null, ...emptyTotals() })
+    accumulate(byBranch.get(doc.branchCode), doc)
+  }
+  const branches = [...byBranch.values()]
+  const totals = emptyTotals()
+  for (const b of branches) {
+    accumulate(totals, b, { snapshots: false })
+    addSnapshots(totals, b)
+  }
+  const computedAt = docs.reduce((min, d) => (!min || d.computedAt < min ? d.computedAt : min), null)
+  return { from: keys[0], to: keys[keys.length - 1], computedAt, branches, totals, pending }
+}
+
+// Day-by-day totals (all branches, or one) for charts: { items, pending }; pending days show as zero
+async function dashboardDaily({ from, to, branchCode } = {}) {
+  const keys = dateKeys(from, to)
+  const { docs, pending } = await loadRollups(keys, branchCode)
+  const byDate = new Map(keys.map((k) => [k, { date: k, ...emptyTotals() }]))
+  const snapshotsByDate = new Map()
+  for (const doc of docs) {
+    const day = byDate.get(doc.date)
+    accumulate(day, doc, { snapshots: false })
+    if (!snapshotsByDate.has(doc.date)) snapshotsByDate.set(doc.date, [])
+    snapshotsByDate.get(doc.date).push(accumulate(emptyTotals(), doc))
+  }
+  for (const [date, list] of snapshotsByDate) for (const b of list) addSnapshots(byDate.get(date), b)
+  return { items: [...byDate.values()], pending }
+}
+
+// Live list of active staff with their last login (the users collection is small)
+async function staffActivity({ branchCode } = {}) {
+  const filter = { status: 'active' }
+  if (branchCode) {
+    const branch = await Branch.findOne({ code: upper(branchCode) }).select('_id').lean()
+    if (!branch) throw dashboardError(404, 'Branch not found')
+    filter.$or = [{ primaryBranch: branch._id }, { branches: branch._id }]
+  }
+  const users = await User.find(filter)
+    .select('name role primaryBranch lastLoginAt')
+    .populate('primaryBranch', 'code name')
+    .sort({ lastLoginAt: -1 })
+    .lean()
+  const now = Date.now()
+  return users.map((u) => ({
+    id: u._id,
+    name: u.name,
+    role: u.role,
+    branchCode: u.primaryBranch?.code || '',
+    lastLoginAt: u.lastLoginAt || null,
+    daysSinceLogin: u.lastLoginAt ? Math.floor((now - new Date(u.lastLoginAt).getTime()) / DAY_MS) : null,
+  }))
+}
+
+/**
+ * Background refresh of today's and yesterday's rollups (yesterday catches late edits
+ * after midnight). Disable with DASHBOARD_WORKER_ENABLED=false.
+ */
+function startDashboardWorker() {
+  if (timer || process.env.DASHBOARD_WORKER_ENABLED === 'false') return
+  timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return
+    running = true
+    try {
+      await refreshRollups({ from: istDateKey(new Date(Date.now() - DAY_MS)), to: istDateKey() })
+      await fillPendingDays()
+    } catch (e) {
+      console.warn('dashboard rollup tick failed', e?.message || e)
+    } finally {
+      running = false
+    }
+  }, WORKER_INTERVAL_MS)
+  if (typeof timer.unref === 'function') timer.unref()
+}
+
+function stopDashboardWorker() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  istDateKey,
+  computeDay,
+  refreshRollups,
+  dashboardSummary,
+  dashboardDaily,
+  staffActivity,
+  startDashboardWorker,
+  stopDashboardWorker,
+}
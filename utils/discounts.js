@@ -0,0 +1,244 @@
+const DiscountLimit = require('../models/discountLimitModel')
+const DiscountApproval = require('../models/discountApprovalModel')
+const Quotation = require('../models/quotationModel')
+const Booking = require('../models/bookingModel')
+const Branch = require('../models/branchModel')
+const User = require('../models/userModel')
+const { normalizeString, isObjectId } = require('./normalize')
+const { notify } = require('./notifications')
+
+// Roles whose discounts never need approval (they are the approvers)
+const UNLIMITED_ROLES = new Set(['owner', 'admin'])
+// Limit when no DiscountLimit row matches (0 = every discount needs approval)
+const DEFAULT_MAX_AMOUNT = Number(process.env.DISCOUNT_DEFAULT_MAX_AMOUNT || 0)
+
+const DOC_MODELS = { quotation: Quotation, booking: Booking }
+const DOC_REF_MODELS = { quotation: 'Quotation', booking: 'Booking' }
+
+function discountError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100
+
+// Discount and the price it was taken from, per document type
+function discountOf(doc, type) {
+  if (type === 'quotation') {
+    // price.onRoad is only derived on validate, so add up the components here
+    const p = doc.price || {}
+    const base = ['exShowroom', 'rto', 'insurance', 'extendedWarranty', 'accessories', 'handling', 'otherCharges']
+      .reduce((sum, k) => sum + (Number(p[k]) || 0), 0)
+    return { amount: Number(p.discount) || 0, base }
+  }
+  const amount = Number(doc.discount) || 0
+  return { amount, base: (Number(doc.totalAmount) || 0) + amount }
+}
+
+// Most specific limit for role + branch: role+branch, role, branch, then the catch-all row
+async function discountLimitFor(role, branchCode) {
+  const r = String(role || '').toLowerCase()
+  if (UNLIMITED_ROLES.has(r)) return { unlimited: true, role: r }
+  const code = String(branchCode || '').toUpperCase()
+  const rows = await DiscountLimit.find({ role: { $in: [r, '*'] }, branchCode: { $in: [code, ''] } }).lean()
+  const rank = (row) => (row.role === r ? 2 : 0) + (row.branchCode === code && code ? 1 : 0)
+  const best = rows.sort((a, b) => rank(b) - rank(a))[0]
+  if (!best) return { maxAmount: DEFAULT_MAX_AMOUNT, role: '*', branchCode: '' }
+  return { maxAmount: best.maxAmount, maxPercent: best.maxPercent, role: best.role, branchCode: best.branchCode }
+}
+
+function exceedsLimit(limit, amount, percent) {
+  if (limit.unlimited || !(amount > 0)) return false
+  if (typeof limit.maxAmount === 'number' && amount > limit.maxAmount) return true
+  if (typeof limit.maxPercent === 'number' && percent > limit.maxPercent) return true
+  return false
+}
+
+// Branch manager, unless the requester is the manager (or there is none): then any owner
+async function routeApproval(doc, requesterId) {
+  const branch = doc.branch
+    ? await Branch.findById(doc.branch).select('manager').lean()
+    : doc.branchCode ? await Branch.findOne({ code: doc.branchCode }).select('manager').lean() : null
+  const manager = branch?.manager
+  if (manager && String(manager) !== String(requesterId || '')) return { approver: manager, approverRole: 'manager' }
+  return { approverRole: 'owner' }
+}
+
+// A booking made from a quotation inherits the quotation's approval up to the approved amount
+async function approvedViaQuotation(doc, amount) {
+  if (!doc.quotation) return null
+  const q = await Quotation.findById(doc.quotation).select('discountApproval').lean()
+  const a = q?.discountApproval
+  if (a?.status === 'approved' && amount <= (a.approvedAmount || 0) + 0.001) return a
+  return null
+}
+
+/**
+ * Check the document's discount against the creator's limit before it is saved.
+ * Sets doc.discountApproval and returns an unsaved DiscountApproval when one must be raised;
+ * pass it to openDiscountApproval() after the document is saved.
+ */
+async function prepareDiscountApproval(doc, type, { userId, reason } = {}) {
+  const { amount, base } = discountOf(doc, type)
+  const current = doc.discountApproval || {}
+  if (!(amount > 0)) {
+    doc.discountApproval = { status: 'not-required' }
+    return null
+  }
+  // Still covered by an earlier approval
+  if (current.status === 'approved' && amount <= (current.approvedAmount || 0) + 0.001) return null
+  if (type === 'booking') {
+    const inherited = await approvedViaQuotation(doc, amount)
+    if (inherited) {
+      doc.discountApproval = { status: 'approved', request: inherited.request, approvedAmount: inherited.approvedAmount, decidedBy: inherited.decidedBy, decidedAt: inherited.decidedAt }
+      return null
+    }
+  }
+
+  const user = isObjectId(userId) ? await User.findById(userId).select('role name').lean() : null
+  const percent = base > 0 ? round2((amount / base) * 100) : 100
+  const limit = await discountLimitFor(user?.role, doc.branchCode)
+  if (!exceedsLimit(limit, amount, percent)) {
+    doc.discountApproval = { status: 'not-required' }
+    return null
+  }
+  // Same amount already waiting for a decision
+  if (current.status === 'pending' && current.request) {
+    const open = await DiscountApproval.findOne({ _id: current.request, status: 'pending' }).select('amount').lean()
+    if (open && Math.abs(open.amount - amount) < 0.001) return null
+  }
+
+  const route = await routeApproval(doc, userId)
+  const request = new DiscountApproval({
+    docType: type,
+    docId: doc._id,
+    docNo: type === 'quotation' ? doc.serialNo : doc.bookingNo,
+    branch: doc.branch,
+    branchCode: doc.branchCode,
+    customerName: doc.customer?.name,
+    vehicleModel: doc.vehicle?.model,
+    amount,
+    baseAmount: base,
+    percent,
+    limit: { maxAmount: limit.maxAmount, maxPercent: limit.maxPercent, role: limit.role, branchCode: limit.branchCode },
+    ...(user ? { requestedBy: user._id, requestedByName: user.name } : {}),
+    requestReason: normalizeString(reason).slice(0, 500) || undefined,
+    ...route,
+  })
+  doc.discountApproval = { status: 'pending', request: request._id }
+  return request
+}
+
+// After the document is saved: store the request from prepareDiscountApproval (if any) and
+// supersede pending requests the document no longer waits on
+async function openDiscountApproval(doc, type, request) {
+  if (request) {
+    await request.save()
+    notify('discount.requested', { request }, {
+      users: request.approver ? [request.approver] : [],
+      roles: request.approver ? [] : ['owner'],
+      ref: { model: DOC_REF_MODELS[type], id: doc._id, no: request.docNo },
+      userId: request.requestedBy,
+    })
+  }
+  const waitingOn = doc.discountApproval?.status === 'pending' ? doc.discountApproval.request : null
+  await DiscountApproval.updateMany(
+    { docType: type, docId: doc._id, status: 'pending', ...(waitingOn ? { _id: { $ne: waitingOn } } : {}) },
+    { $set: { status: 'superseded', decidedAt: new Date() } }
+  )
+  return request
+}
+
+function canDecide(request, user) {
+  const role = String(user?.role || '').toLowerCase()
+  if (UNLIMITED_ROLES.has(role)) return true
+  return !!request.approver && String(request.approver) === String(user?._id)
+}
+
+/**
+ * Approve or reject a pending request and update the document it belongs to.
+ * decision: 'approved' | 'rejected'; a reason is required to reject.
+ */
+async function decideDiscountApproval(id, decision, { user, reason } = {}) {
+  if (!['approved', 'rejected'].includes(decision)) throw discountError(400, 'DS_BAD_DECISION', 'decision must be approved or rejected')
+  const request = await DiscountApproval.findById(id).lean()
+  if (!request) throw discountError(404, 'DS_NOT_FOUND', 'Approval request not found')
+  if (request.status !== 'pending') throw discountError(409, 'DS_ALREADY_DECIDED', `Approval request is already ${request.status}`)
+  if (!canDecide(request, user)) throw discountError(403, 'DS_NOT_APPROVER', 'Only the branch manager or an owner can decide this request')
+  if (request.requestedBy && String(request.requestedBy) === String(user?._id) && !UNLIMITED_ROLES.has(String(user?.role))) {
+    throw discountError(403, 'DS_SELF_APPROVAL', 'You cannot decide your own discount request')
+  }
+  const why = normalizeString(reason).slice(0, 500)
+  if (decision === 'rejected' && !why) throw discountError(400, 'DS_REASON_REQUIRED', 'reason is required to reject')
+
+  const now = new Date()
+  // Claim the request first so two approvers deciding at once cannot both go through
+  const decided = await DiscountApproval.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    {
+      $set: {
+        status: decision,
+        decidedBy: user._id,
+        decidedByName: user.name,
+        decidedAt: now,
+        ...(why ? { decisionReason: why } : {}),
+      },
+    },
+    { new: true }
+  )
+  if (!decided) {
+    const current = await DiscountApproval.findById(request._id).select('status').lean()
+    throw discountError(409, 'DS_ALREADY_DECIDED', `Approval request is already ${current?.status || 'decided'}`)
+  }
+
+  const Model = DOC_MODELS[decided.docType]
+  // Only touch the document while this request is still the one it is waiting on
+  const updated = await Model.findOneAndUpdate(
+    { _id: decided.docId, 'discountApproval.request': decided._id, 'discountApproval.status': 'pending' },
+    {
+      $set: {
+        'discountApproval.status': decision,
+        'discountApproval.decidedBy': user._id,
+        'discountApproval.decidedAt': now,
+        ...(decision === 'approved' ? { 'discountApproval.approvedAmount': decided.amount } : {}),
+      },
+    },
+    { new: true }
+  )
+  if (!updated) {
+    await DiscountApproval.updateOne({ _id: decided._id, status: decision }, { $set: { status: 'superseded' } })
+    throw discountError(409, 'DS_SUPERSEDED', 'The discount has changed since this request; it no longer applies')
+  }
+  notify('discount.decided', { request: decided }, {
+    users: [decided.requestedBy],
+    ref: { model: DOC_REF_MODELS[decided.docType], id: decided.docId, no: decided.docNo },
+    userId: user._id,
+  })
+  return decided
+}
+
+// Thrown by finalising actions (booking a quotation, delivering a booking) while a discount is not approved
+function assertDiscountCleared(doc, label) {
+  const status = doc?.discountApproval?.status
+  if (status === 'pending') throw discountError(409, 'DS_APPROVAL_PENDING', `${label} has a discount waiting for approval`)
+  if (status === 'rejected') throw discountError(409, 'DS_APPROVAL_REJECTED', `${label} has a rejected discount; lower it to continue`)
+}
+
+// Requests the user can act on: assigned to them, or (owners/admins) every pending request
+function approvalQueueFilter(user) {
+  const role = String(user?.role || '').toLowerCase()
+  if (UNLIMITED_ROLES.has(role)) return { status: 'pending' }
+  return { status: 'pending', approver: user?._id }
+}
+
+module.exports = {
+  UNLIMITED_ROLES,
+  discountLimitFor,
+  prepareDiscountApproval,
+  openDiscountApproval,
+  decideDiscountApproval,
+  assertDiscountCleared,
+  approvalQueueFilter,
+}
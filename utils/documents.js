@@ -0,0 +1,373 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const Branch = require('../models/branchModel')
+const Quotation = require('../models/quotationModel')
+const JobCard = require('../models/jobCardModel')
+const Booking = require('../models/bookingModel')
+const DocumentPdf = require('../models/documentPdfModel')
+const { renderPdf, formatAmount, formatDate } = require('./pdfRenderer')
+
+// Bump when a template changes so stored PDFs are re-rendered on next download
+// (2: QR links carry an expiry)
+const TEMPLATE_VERSION = 2
+
+// Base URL printed in QR codes (public address of this API); falls back to the request host
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || '').replace(/\/$/, '')
+// Signed QR links need a configured secret (the development JWT default does not count);
+// without one PDFs are printed without a QR link and signed access is off
+const LINK_SECRET = process.env.DOCUMENT_LINK_SECRET || (process.env.JWT_SECRET !== 'shantha_motors' && process.env.JWT_SECRET) || ''
+if (!LINK_SECRET) console.warn('DOCUMENT_LINK_SECRET not set; PDFs are generated without a QR link')
+// A QR link opens the document for this long after the document was created
+const LINK_TTL_DAYS = Number(process.env.DOCUMENT_LINK_TTL_DAYS) || 180
+
+// Default terms per document; a branch can override them with Branch.metadata.pdfTerms.<type> (array of lines)
+const DEFAULT_TERMS = {
+  quotation: [
+    'Prices are indicative and subject to change by the manufacturer without notice.',
+    'Price applicable is the one prevailing on the date of invoice/delivery.',
+    'Registration, insurance and accessories charges are as per actuals.',
+    'This quotation is valid until the date mentioned above.',
+  ],
+  jobcard: [
+    'Vehicle is accepted for service at the owner\'s risk.',
+    'Estimates are approximate; additional work is done only with the customer\'s consent.',
+    'Please collect the vehicle within 3 days of the ready intimation.',
+    'Valuables left in the vehicle are the owner\'s responsibility.',
+  ],
+  booking: [
+    'Booking amount is adjusted against the final invoice.',
+    'Delivery dates are indicative and depend on manufacturer supply.',
+    'Cancellation and refunds are subject to the dealership cancellation policy.',
+  ],
+  receipt: [
+    'Cheque/online payments are subject to realisation.',
+    'Please keep this receipt for future reference.',
+  ],
+}
+
+function documentError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+// Expiry (unix seconds) of the link for a document created at issuedAt; fixed per document so re-renders match
+function linkExpiry(issuedAt) {
+  const from = issuedAt ? new Date(issuedAt).getTime() : Date.now()
+  return Math.floor((from + LINK_TTL_DAYS * 24 * 60 * 60 * 1000) / 1000)
+}
+
+function signDocumentLink(type, number, exp) {
+  if (!LINK_SECRET) return null
+  return crypto.createHmac('sha256', LINK_SECRET).update(`${type}:${number}:${exp}`).digest('hex').slice(0, 32)
+}
+
+function verifyDocumentLink(type, number, sig, exp) {
+  const expiresAt = parseInt(exp, 10)
+  if (!LINK_SECRET || !Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now()) return false
+  const expected = signDocumentLink(type, number, expiresAt)
+  const given = String(sig || '')
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+}
+
+// Null when no link secret is configured
+function publicDocumentUrl(type, number, baseUrl, { issuedAt } = {}) {
+  if (!LINK_SECRET) return null
+  const base = PUBLIC_API_URL || String(baseUrl || '').replace(/\/$/, '')
+  const exp = linkExpiry(issuedAt)
+  return `${base}/api/documents/${type}/${encodeURIComponent(number)}/pdf?exp=${exp}&sig=${signDocumentLink(type, number, exp)}`
+}
+
+async function loadBranch(doc) {
+  if (doc.branch && mongoose.Types.ObjectId.isValid(String(doc.branch))) {
+    const b = await Branch.findById(doc.branch).select('code name phone email address metadata updatedAt').lean()
+    if (b) return b
+  }
+  if (doc.branchCode) {
+    return Branch.findOne({ code: String(doc.branchCode).toUpperCase() }).select('code name phone email address metadata updatedAt').lean()
+  }
+  return null
+}
+
+function termsFor(type, branch) {
+  const custom = branch?.metadata?.pdfTerms?.[type]
+  return Array.isArray(custom) && custom.length ? custom.map(String) : DEFAULT_TERMS[type]
+}
+
+// --- Per-type loaders and templates ---
+
+function quotationSpec(q) {
+  const p = q.price || {}
+  const priceLines = [
+    ['Ex-showroom', p.exShowroom],
+    ['RTO / Registration', p.rto],
+    ['Insurance', p.insurance],
+    ['Extended warranty', p.extendedWarranty],
+    ['Accessories', p.accessories],
+    ['Handling', p.handling],
+    ['Other charges', p.otherCharges],
+  ].filter(([, v]) => Number(v) > 0)
+  return {
+    title: 'Quotation',
+    number: q.serialNo,
+    date: formatDate(q.createdAt),
+    sections: [
+      {
+        heading: 'Customer',
+        fields: [
+          ['Name', q.customer?.name],
+          ['Mobile', q.customer?.mobile],
+          ['Email', q.customer?.email],
+          ['Address', q.customer?.address],
+        ],
+      },
+      {
+        heading: 'Vehicle',
+        fields: [
+          ['Model', q.vehicle?.model],
+          ['Variant', q.vehicle?.variant],
+          ['Colour', q.vehicle?.colour],
+          ['Valid until', formatDate(q.validUntil)],
+          ['Sales executive', q.staffName],
+        ],
+      },
+      {
+        heading: 'Price breakup',
+        totals: [
+          ...priceLines.map(([label, amount]) => ({ label, amount })),
+          ...(Number(p.discount) > 0 ? [{ label: 'Discount', amount: -Number(p.discount) }] : []),
+          { label: 'On-road price', amount: p.onRoad, strong: true },
+        ],
+      },
+      ...(q.notes ? [{ heading: 'Notes', text: q.notes }] : []),
+    ],
+  }
+}
+
+function jobCardSpec(jc) {
+  return {
+    title: 'Job Card',
+    number: jc.jcNo,
+    date: formatDate(jc.receivedAt || jc.createdAt, true),
+    sections: [
+      {
+        heading: 'Customer & vehicle',
+        fields: [
+          ['Name', jc.customer?.name],
+          ['Mobile', jc.customer?.mobile],
+          ['Reg. no', jc.vehicle?.regNo],
+          ['Model', jc.vehicle?.model],
+          ['Chassis no', jc.vehicle?.chassisNo],
+          ['Odometer', jc.vehicle?.odometer !== undefined && jc.vehicle?.odometer !== null ? `${jc.vehicle.odometer} km` : ''],
+        ],
+      },
+      {
+        heading: 'Service',
+        fields: [
+          ['Service type', jc.serviceType],
+          ['Status', jc.status],
+          ['Mechanic', jc.mechanicName],
+          ['Expected delivery', formatDate(jc.expectedDeliveryAt, true)],
+        ],
+      },
+      ...(jc.complaints ? [{ heading: 'Customer complaints', text: jc.complaints }] : []),
+      ...(typeof jc.estimate?.amount === 'number' || typeof jc.finalAmount === 'number'
+        ? [{
+          heading: 'Charges',
+          totals: [
+            ...(typeof jc.estimate?.amount === 'number' ? [{ label: 'Estimate', amount: jc.estimate.amount }] : []),
+            ...(typeof jc.finalAmount === 'number' ? [{ label: 'Final amount', amount: jc.finalAmount, strong: true }] : []),
+          ],
+        }]
+        : []),
+      ...(jc.estimate?.notes ? [{ heading: 'Estimate notes', text: jc.estimate.notes }] : []),
+    ],
+    signatory: 'Service Advisor',
+  }
+}
+
+function bookingSpec(b) {
+  return {
+    title: 'Booking Confirmation',
+    number: b.bookingNo,
+    date: formatDate(b.createdAt),
+    sections: [
+      {
+        heading: 'Customer',
+        fields: [
+          ['Name', b.customer?.name],
+          ['Mobile', b.customer?.mobile],
+          ['Email', b.customer?.email],
+          ['Address', b.customer?.address],
+        ],
+      },
+      {
+        heading: 'Vehicle',
+        fields: [
+          ['Model', b.vehicle?.model],
+          ['Variant', b.vehicle?.variant],
+          ['Colour', b.vehicle?.colour],
+          ['Quotation no', b.quotationNo],
+          ['Expected delivery', formatDate(b.expectedDeliveryDate)],
+          ['Status', b.status],
+        ],
+      },
+      ...((b.receipts || []).length
+        ? [{
+          heading: 'Payments received',
+          table: {
+            columns: [
+              { label: 'Receipt no', key: 'no', width: 0.3 },
+              { label: 'Date', key: 'date', width: 0.2 },
+              { label: 'Mode', key: 'mode', width: 0.25 },
+              { label: 'Amount', key: 'amount', width: 0.25, align: 'right' },
+            ],
+            rows: b.receipts.map((r) => ({ no: r.receiptNo, date: formatDate(r.receivedAt), mode: r.mode, amount: formatAmount(r.amount) })),
+          },
+        }]
+        : []),
+      {
+        heading: 'Account',
+        totals: [
+          { label: 'Total amount', amount: b.totalAmount },
+          { label: 'Paid', amount: b.paidAmount },
+          ...(Number(b.refundedAmount) > 0 ? [{ label: 'Refunded', amount: b.refundedAmount }] : []),
+          { label: 'Balance due', amount: b.balanceDue, strong: true },
+        ],
+      },
+    ],
+  }
+}
+
+function receiptSpec(b, r) {
+  return {
+    title: 'Payment Receipt',
+    number: r.receiptNo,
+    date: formatDate(r.receivedAt),
+    sections: [
+      {
+        heading: 'Received from',
+        fields: [
+          ['Name', b.customer?.name],
+          ['Mobile', b.customer?.mobile],
+          ['Booking no', b.bookingNo],
+          ['Vehicle', [b.vehicle?.model, b.vehicle?.variant, b.vehicle?.colour].filter(Boolean).join(' / ')],
+        ],
+      },
+      {
+        heading: 'Payment',
+        fields: [
+          ['Mode', r.mode],
+          ['Reference', r.reference],
+          ['Financier', r.financier],
+          ['Notes', r.notes],
+        ],
+      },
+      {
+        totals: [
+          { label: 'Amount received', amount: r.amount, strong: true },
+          { label: 'Balance due on booking', amount: b.balanceDue },
+        ],
+      },
+    ],
+  }
+}
+
+const DOCUMENT_TYPES = {
+  quotation: {
+    refModel: 'Quotation',
+    async load(number) {
+      const key = String(number || '').trim()
+      const doc = mongoose.Types.ObjectId.isValid(key) ? await Quotation.findById(key).lean() : await Quotation.findOne({ serialNo: key }).lean()
+      return doc ? { doc, number: doc.serialNo, spec: quotationSpec(doc) } : null
+    },
+  },
+  jobcard: {
+    refModel: 'JobCard',
+    async load(number) {
+      const key = String(number || '').trim()
+      const doc = mongoose.Types.ObjectId.isValid(key) ? await JobCard.findById(key).lean() : await JobCard.findOne({ jcNo: key }).lean()
+      return doc ? { doc, number: doc.jcNo, spec: jobCardSpec(doc) } : null
+    },
+  },
+  booking: {
+    refModel: 'Booking',
+    async load(number) {
+      const key = String(number || '').trim()
+      const doc = mongoose.Types.ObjectId.isValid(key) ? await Booking.findById(key).lean() : await Booking.findOne({ bookingNo: key }).lean()
+      return doc ? { doc, number: doc.bookingNo, spec: bookingSpec(doc) } : null
+    },
+  },
+  receipt: {
+    refModel: 'Booking',
+    async load(number) {
+      const key = String(number || '').trim()
+      const doc = await Booking.findOne({ 'receipts.receiptNo': key }).lean()
+      const receipt = doc && (doc.receipts || []).find((r) => r.receiptNo === key)
+      return receipt ? { doc, number: receipt.receiptNo, spec: receiptSpec(doc, receipt) } : null
+    },
+  },
+}
+
+function sourceStamp(doc, branch) {
+  const t = (d) => (d ? new Date(d).getTime() : 0)
+  return `${t(doc.updatedAt)}:${t(branch?.updatedAt)}:v${TEMPLATE_VERSION}`
+}
+
+/**
+ * PDF for a document number: the stored copy when still current, otherwise a fresh
+ * render (which replaces the stored copy). force: true always re-renders.
+ * Returns { record, data, number, rendered }.
+ */
+async function getDocumentPdf(type, number, { force = false, userId, baseUrl } = {}) {
+  const def = DOCUMENT_TYPES[type]
+  if (!def) throw documentError(400, `Unknown document type "${type}" (use ${Object.keys(DOCUMENT_TYPES).join(', ')})`)
+  const loaded = await def.load(number)
+  if (!loaded) throw documentError(404, `${type} ${number} not found`)
+  const branch = await loadBranch(loaded.doc)
+  const stamp = sourceStamp(loaded.doc, branch)
+  const publicUrl = publicDocumentUrl(type, loaded.number, baseUrl, { issuedAt: loaded.doc.createdAt })
+
+  if (!force) {
+    const stored = await DocumentPdf.findOne({ docType: type, docNo: loaded.number }).select('+data')
+    if (stored && stored.sourceStamp === stamp) return { record: stored, data: stored.data, number: loaded.number, publicUrl, rendered: false }
+  }
+
+  // Creation date is pinned to the source's last change so re-renders of an unchanged document match byte for byte
+  const data = await renderPdf({
+    ...loaded.spec,
+    branch,
+    terms: termsFor(type, branch),
+    qrUrl: publicUrl,
+    generatedAt: loaded.doc.updatedAt ? new Date(loaded.doc.updatedAt) : new Date(0),
+  })
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex')
+  const record = await DocumentPdf.findOneAndUpdate(
+    { docType: type, docNo: loaded.number },
+    {
+      $set: {
+        refModel: def.refModel,
+        refId: loaded.doc._id,
+        ...(branch?._id ? { branch: branch._id } : {}),
+        sourceStamp: stamp,
+        sha256,
+        size: data.length,
+        data,
+        generatedAt: new Date(),
+        ...(userId ? { generatedBy: userId } : {}),
+      },
+      ...(force ? { $inc: { regenerations: 1 } } : {}),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+  return { record, data, number: loaded.number, publicUrl, rendered: true }
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  TEMPLATE_VERSION,
+  signDocumentLink,
+  verifyDocumentLink,
+  publicDocumentUrl,
+  getDocumentPdf,
+}
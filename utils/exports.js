@@ -0,0 +1,294 @@
+const ExcelJS = require('exceljs')
+const Quotation = require('../models/quotationModel')
+const JobCard = require('../models/jobCardModel')
+const Booking = require('../models/bookingModel')
+const { quotationListFilter } = require('./quotations')
+const { jobCardListFilter } = require('./jobCards')
+const { bookingListFilter } = require('./bookings')
+
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS || '100000', 10) || 100000
+
+// Column: { key, header, type: 'text' | 'date' | 'datetime' | 'amount' | 'number', value(doc), default }
+// Columns without default: false are exported when the client does not choose any.
+const text = (key, header, value, extra = {}) => ({ key, header, type: 'text', value, ...extra })
+const date = (key, header, value, extra = {}) => ({ key, header, type: 'date', value, ...extra })
+const datetime = (key, header, value, extra = {}) => ({ key, header, type: 'datetime', value, ...extra })
+const amount = (key, header, value, extra = {}) => ({ key, header, type: 'amount', value, ...extra })
+const number = (key, header, value, extra = {}) => ({ key, header, type: 'number', value, ...extra })
+
+const EXPORTS = {
+  quotations: {
+    model: Quotation,
+    filter: quotationListFilter,
+    select: '-formValues -googleForm',
+    columns: [
+      text('serialNo', 'Quotation No', (d) => d.serialNo),
+      date('date', 'Date', (d) => d.createdAt),
+      text('branchCode', 'Branch', (d) => d.branchCode),
+      text('staffName', 'Sales Executive', (d) => d.staffName),
+      text('customerName', 'Customer Name', (d) => d.customer?.name),
+      text('mobile', 'Mobile', (d) => d.customer?.mobile),
+      text('email', 'Email', (d) => d.customer?.email, { default: false }),
+      text('address', 'Address', (d) => d.customer?.address, { default: false }),
+      text('model', 'Model', (d) => d.vehicle?.model),
+      text('variant', 'Variant', (d) => d.vehicle?.variant),
+      text('colour', 'Colour', (d) => d.vehicle?.colour),
+      amount('exShowroom', 'Ex-showroom', (d) => d.price?.exShowroom),
+      amount('rto', 'RTO', (d) => d.price?.rto, { default: false }),
+      amount('insurance', 'Insurance', (d) => d.price?.insurance, { default: false }),
+      amount('extendedWarranty', 'Extended Warranty', (d) => d.price?.extendedWarranty, { default: false }),
+      amount('accessories', 'Accessories', (d) => d.price?.accessories, { default: false }),
+      amount('handling', 'Handling', (d) => d.price?.handling, { default: false }),
+      amount('discount', 'Discount', (d) => d.price?.discount),
+      amount('onRoad', 'On-road Price', (d) => d.price?.onRoad),
+      date('validUntil', 'Valid Until', (d) => d.validUntil),
+      text('status', 'Status', (d) => d.status),
+      text('notes', 'Notes', (d) => d.notes, { default: false }),
+    ],
+  },
+  jobcards: {
+    model: JobCard,
+    filter: jobCardListFilter,
+    select: '-formValues -googleForm -history',
+    columns: [
+      text('jcNo', 'Job Card No', (d) => d.jcNo),
+      datetime('receivedAt', 'Received', (d) => d.receivedAt || d.createdAt),
+      text('branchCode', 'Branch', (d) => d.branchCode),
+      text('customerName', 'Customer Name', (d) => d.customer?.name),
+      text('mobile', 'Mobile', (d) => d.customer?.mobile),
+      text('regNo', 'Reg. No', (d) => d.vehicle?.regNo),
+      text('model', 'Model', (d) => d.vehicle?.model),
+      text('chassisNo', 'Chassis No', (d) => d.vehicle?.chassisNo, { default: false }),
+      number('odometer', 'Odometer (km)', (d) => d.vehicle?.odometer, { default: false }),
+      text('serviceType', 'Service Type', (d) => d.serviceType),
+      text('complaints', 'Complaints', (d) => d.complaints, { default: false }),
+      text('mechanicName', 'Mechanic', (d) => d.mechanicName),
+      amount('estimate', 'Estimate', (d) => d.estimate?.amount),
+      amount('finalAmount', 'Final Amount', (d) => d.finalAmount),
+      text('status', 'Status', (d) => d.status),
+      datetime('expectedDeliveryAt', 'Expected Delivery', (d) => d.expectedDeliveryAt, { default: false }),
+      datetime('deliveredAt', 'Delivered', (d) => d.deliveredAt),
+      text('cancelReason', 'Cancel Reason', (d) => d.cancelReason, { default: false }),
+    ],
+  },
+  bookings: {
+    model: Booking,
+    filter: bookingListFilter,
+    select: '-formValues',
+    columns: [
+      text('bookingNo', 'Booking No', (d) => d.bookingNo),
+      date('date', 'Date', (d) => d.createdAt),
+      text('branchCode', 'Branch', (d) => d.branchCode),
+      text('staffName', 'Sales Executive', (d) => d.staffName),
+      text('quotationNo', 'Quotation No', (d) => d.quotationNo, { default: false }),
+      text('customerName', 'Customer Name', (d) => d.customer?.name),
+      text('mobile', 'Mobile', (d) => d.customer?.mobile),
+      text('model', 'Model', (d) => d.vehicle?.model),
+      text('variant', 'Variant', (d) => d.vehicle?.variant),
+      text('colour', 'Colour', (d) => d.vehicle?.colour),
+      amount('totalAmount', 'Total Amount', (d) => d.totalAmount),
+      amount('paidAmount', 'Paid', (d) => d.paidAmount),
+      amount('refundedAmount', 'Refunded', (d) => d.refundedAmount, { default: false }),
+      amount('balanceDue', 'Balance Due', (d) => d.balanceDue),
+      number('receiptCount', 'Receipts', (d) => (d.receipts || []).length, { default: false }),
+      text('paymentModes', 'Payment Modes', (d) => Array.from(new Set((d.receipts || []).map((r) => r.mode))).join(', '), { default: false }),
+      date('expectedDeliveryDate', 'Expected Delivery', (d) => d.expectedDeliveryDate, { default: false }),
+      text('status', 'Status', (d) => d.status),
+      date('deliveredAt', 'Delivered', (d) => d.deliveredAt),
+      text('cancelReason', 'Cancel Reason', (d) => d.cancelReason, { default: false }),
+    ],
+  },
+}
+
+function exportError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function getExport(kind) {
+  const def = EXPORTS[String(kind || '').toLowerCase()]
+  if (!def) throw exportError(404, `Unknown export "${kind}" (use ${Object.keys(EXPORTS).join(', ')})`)
+  return def
+}
+
+// ?columns=serialNo,mobile,onRoad keeps the client's order; unknown keys are rejected
+function pickColumns(def, columns) {
+  const wanted = String(columns || '').split(',').map((s) => s.trim()).filter(Boolean)
+  if (!wanted.length) return def.columns.filter((c) => c.default !== false)
+  const byKey = new Map(def.columns.map((c) => [c.key, c]))
+  const unknown = wanted.filter((k) => !byKey.has(k))
+  if (unknown.length) throw exportError(400, `Unknown column(s): ${unknown.join(', ')}`)
+  return wanted.map((k) => byKey.get(k))
+}
+
+// A date-only `to` (2025-10-31) means the whole day in IST, so month-end reports include the last day
+function exportQuery(query = {}) {
+  const out = { ...query }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(out.to || ''))) out.to = `${out.to}T23:59:59.999+05:30`
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(out.from || ''))) out.from = `${out.from}T00:00:00.000+05:30`
+  return out
+}
+
+function istDateString(d, withTime) {
+  const value = d instanceof Date ? d : new Date(d)
+  if (Number.isNaN(value.getTime())) return ''
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Asia/Kolkata', day: '2-digit', month: '2-digit', year: 'numeric',
+    ...(withTime ? { hour: '2-digit', minute: '2-digit', hour12: false } : {}),
+  }).format(value)
+  return parts.replace(',', '')
+}
+
+function csvCell(col, raw) {
+  if (raw === undefined || raw === null || raw === '') return ''
+  let v
+  if (col.type === 'date' || col.type === 'datetime') v = istDateString(raw, col.type === 'datetime')
+  else if (col.type === 'amount' || col.type === 'decimal') v = (Number(raw) || 0).toFixed(2)
+  else v = String(raw)
+  // Neutralise spreadsheet formulas in free text (=, +, -, @)
+  if (col.type === 'text' && /^[=+\-@]/.test(v)) v = `'${v}`
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v
+}
+
+// Excel stores dates as local wall-clock values: shift to IST so the sheet shows IST dates/times
+function xlsxCell(col, raw) {
+  if (raw === undefined || raw === null || raw === '') return null
+  if (col.type === 'date' || col.type === 'datetime') {
+    const d = raw instanceof Date ? raw : new Date(raw)
+    return Number.isNaN(d.getTime()) ? null : new Date(d.getTime() + 330 * 60 * 1000)
+  }
+  if (col.type === 'amount' || col.type === 'number' || col.type === 'decimal') return Number(raw) || 0
+  return String(raw)
+}
+
+const XLSX_FORMATS = { date: 'dd-mm-yyyy', datetime: 'dd-mm-yyyy hh:mm', amount: '#,##0.00', number: '0', decimal: '0.00' }
+
+// Resolves true once the response drains, false if the client disconnects first
+function drained(res) {
+  if (res.destroyed) return Promise.resolve(false)
+  return new Promise((resolve) => {
+    const done = (ok) => {
+      res.off('drain', onDrain)
+      res.off('close', onClose)
+      resolve(ok)
+    }
+    const onDrain = () => done(true)
+    const onClose = () => done(false)
+    res.once('drain', onDrain)
+    res.once('close', onClose)
+  })
+}
+
+// Mongo cursors are closed when the loop ends early; sendTable passes plain arrays
+async function closeSource(source) {
+  if (typeof source?.close === 'function') await Promise.resolve(source.close()).catch(() => {})
+}
+
+// A client that goes away mid-export stops the loop; the cursor is closed either way
+async function writeCsv(res, cursor, columns) {
+  // BOM so Excel opens UTF-8 names correctly
+  res.write(`\uFEFF${columns.map((c) => csvCell({ type: 'text' }, c.header)).join(',')}\r\n`)
+  let rows = 0
+  try {
+    for await (const doc of cursor) {
+      if (res.destroyed) break
+      const line = `${columns.map((c) => csvCell(c, c.value(doc))).join(',')}\r\n`
+      rows += 1
+      if (!res.write(line) && !(await drained(res))) break
+    }
+  } finally {
+    await closeSource(cursor)
+  }
+  if (!res.destroyed) res.end()
+  return rows
+}
+
+async function writeXlsx(res, cursor, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true })
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] })
+  sheet.columns = columns.map((c) => ({
+    header: c.header,
+    key: c.key,
+    width: Math.max(12, c.header.length + 4),
+    ...(XLSX_FORMATS[c.type] ? { style: { numFmt: XLSX_FORMATS[c.type] } } : {}),
+  }))
+  sheet.getRow(1).font = { bold: true }
+  sheet.getRow(1).commit()
+  let rows = 0
+  try {
+    for await (const doc of cursor) {
+      if (res.destroyed) break
+      const values = {}
+      for (const c of columns) values[c.key] = xlsxCell(c, c.value(doc))
+      sheet.addRow(values).commit()
+      rows += 1
+    }
+  } finally {
+    await closeSource(cursor)
+  }
+  if (res.destroyed) return rows
+  sheet.commit()
+  await workbook.commit()
+  return rows
+}
+
+/**
+ * Stream an export straight from a Mongo cursor to the response, so memory stays flat
+ * however many rows a month has. format: 'csv' | 'xlsx'.
+ */
+async function streamExport(res, kind, { format = 'csv', columns, query = {} } = {}) {
+  const def = getExport(kind)
+  const fmt = String(format || 'csv').toLowerCase()
+  if (!['csv', 'xlsx'].includes(fmt)) throw exportError(400, 'format must be csv or xlsx')
+  const cols = pickColumns(def, columns)
+  const filter = def.filter(exportQuery(query))
+  const total = await def.model.countDocuments(filter)
+  if (total > EXPORT_MAX_ROWS) {
+    throw exportError(413, `Export has ${total} rows; narrow the date range or branch (limit ${EXPORT_MAX_ROWS})`)
+  }
+  const cursor = def.model.find(filter).select(def.select).sort({ createdAt: 1 }).lean().cursor({ batchSize: 500 })
+
+  const stamp = new Date().toISOString().slice(0, 10)
+  const filename = `${String(kind).toLowerCase()}-${stamp}.${fmt}`
+  res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  res.set('X-Total-Count', String(total))
+  if (fmt === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8')
+    return writeCsv(res, cursor, cols)
+  }
+  res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+  return writeXlsx(res, cursor, cols, kind)
+}
+
+/**
+ * Download rows that are already in memory (e.g. an analytics report) with the same CSV/XLSX
+ * writers. columns: [{ key, header, type, value(row) }] as in EXPORTS.
+ */
+async function sendTable(res, name, { format = 'csv', columns, rows }) {
+  const fmt = String(format || 'csv').toLowerCase()
+  if (!['csv', 'xlsx'].includes(fmt)) throw exportError(400, 'format must be csv or xlsx')
+  const stamp = new Date().toISOString().slice(0, 10)
+  res.set('Content-Disposition', `attachment; filename="${name}-${stamp}.${fmt}"`)
+  res.set('X-Total-Count', String(rows.length))
+  if (fmt === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8')
+    return writeCsv(res, rows, columns)
+  }
+  res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+  return writeXlsx(res, rows, columns, name.slice(0, 31))
+}
+
+function describeExports() {
+  return Object.fromEntries(Object.entries(EXPORTS).map(([kind, def]) => [
+    kind,
+    def.columns.map((c) => ({ key: c.key, header: c.header, type: c.type, default: c.default !== false })),
+  ]))
+}
+
+module.exports = {
+  streamExport,
+  sendTable,
+  exportQuery,
+  describeExports,
+}
@@ -0,0 +1,150 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+const jwt = require('jsonwebtoken')
+
+// Storage backends for uploaded files. Each backend implements:
+//   put(buffer, { fileName, mimeType }) -> { key, link? }
+//   get(key) -> Readable stream
+//   remove(key)
+// Local disk is the default; GOOGLE_DRIVE_ENABLED=true stores new uploads in Drive.
+
+const LOCAL_DIR = path.resolve(process.env.FILE_STORAGE_DIR || path.join(__dirname, '..', 'uploads'))
+
+function storageError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const localBackend = {
+  name: 'local',
+  async put(buffer, { fileName } = {}) {
+    // <yyyy>/<mm>/<random>.<ext>; the original name only lives in the File record
+    const now = new Date()
+    const dir = path.join(String(now.getFullYear()), String(now.getMonth() + 1).padStart(2, '0'))
+    const ext = path.extname(String(fileName || '')).toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10)
+    const key = path.join(dir, `${crypto.randomBytes(16).toString('hex')}${ext}`)
+    await fs.promises.mkdir(path.join(LOCAL_DIR, dir), { recursive: true })
+    await fs.promises.writeFile(path.join(LOCAL_DIR, key), buffer, { flag: 'wx' })
+    return { key }
+  },
+  async get(key) {
+    const full = path.resolve(LOCAL_DIR, String(key || ''))
+    if (!full.startsWith(LOCAL_DIR + path.sep)) throw storageError(400, 'Invalid storage key')
+    await fs.promises.access(full).catch(() => { throw storageError(404, 'Stored file is missing') })
+    return fs.createReadStream(full)
+  },
+  async remove(key) {
+    const full = path.resolve(LOCAL_DIR, String(key || ''))
+    if (!full.startsWith(LOCAL_DIR + path.sep)) return
+    await fs.promises.unlink(full).catch(() => {})
+  },
+}
+
+// --- Google Drive (service account, Drive v3 REST) ---
+
+const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive.file'
+let driveToken = null // { token, expiresAt }
+
+function driveCredentials() {
+  if (process.env.GOOGLE_DRIVE_CREDENTIALS_BASE64) {
+    const json = JSON.parse(Buffer.from(process.env.GOOGLE_DRIVE_CREDENTIALS_BASE64, 'base64').toString('utf8'))
+    return { email: json.client_email, key: json.private_key }
+  }
+  const email = process.env.GOOGLE_DRIVE_SERVICE_ACCOUNT_EMAIL
+  const key = String(process.env.GOOGLE_DRIVE_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+  if (!email || !key) throw storageError(500, 'Google Drive credentials are not configured')
+  return { email, key }
+}
+
+async function driveAccessToken() {
+  if (driveToken && driveToken.expiresAt > Date.now() + 60 * 1000) return driveToken.token
+  const { email, key } = driveCredentials()
+  const now = Math.floor(Date.now() / 1000)
+  const assertion = jwt.sign(
+    { iss: email, scope: DRIVE_SCOPE, aud: 'https://oauth2.googleapis.com/token', iat: now, exp: now + 3600 },
+    key,
+    { algorithm: 'RS256' }
+  )
+  const resp = await axios.post(
+    'https://oauth2.googleapis.com/token',
+    new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 15000 }
+  )
+  driveToken = { token: resp.data.access_token, expiresAt: Date.now() + (Number(resp.data.expires_in) || 3600) * 1000 }
+  return driveToken.token
+}
+
+const driveBackend = {
+  name: 'drive',
+  async put(buffer, { fileName, mimeType } = {}) {
+    const token = await driveAccessToken()
+    const boundary = `file-${crypto.randomBytes(8).toString('hex')}`
+    const metadata = { name: fileName || 'upload', ...(process.env.GOOGLE_DRIVE_FOLDER_ID ? { parents: [process.env.GOOGLE_DRIVE_FOLDER_ID] } : {}) }
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(metadata)}\r\n`),
+      Buffer.from(`--${boundary}\r\nContent-Type: ${mimeType || 'application/octet-stream'}\r\n\r\n`),
+      buffer,
+      Buffer.from(`\r\n--${boundary}--`),
+    ])
+    const resp = await axios.post(
+      'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&supportsAllDrives=true&fields=id,webViewLink',
+      body,
+      {
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': `multipart/related; boundary=${boundary}` },
+        maxBodyLength: Infinity,
+        timeout: 60000,
+      }
+    )
+    return { key: resp.data.id, link: resp.data.webViewLink }
+  },
+  async get(key) {
+    const token = await driveAccessToken()
+    const resp = await axios.get(`https://www.googleapis.com/drive/v3/files/${encodeURIComponent(key)}?alt=media&supportsAllDrives=true`, {
+      headers: { Authorization: `Bearer ${token}` },
+      responseType: 'stream',
+      validateStatus: () => true,
+      timeout: 60000,
+    })
+    if (resp.status === 404) throw storageError(404, 'Stored file is missing')
+    if (resp.status >= 400) throw storageError(502, `Google Drive download failed with status ${resp.status}`)
+    return resp.data
+  },
+  async remove(key) {
+    const token = await driveAccessToken()
+    await axios.delete(`https://www.googleapis.com/drive/v3/files/${encodeURIComponent(key)}?supportsAllDrives=true`, {
+      headers: { Authorization: `Bearer ${token}` },
+      validateStatus: () => true,
+      timeout: 15000,
+    })
+  },
+}
+
+const BACKENDS = { local: localBackend, drive: driveBackend }
+
+function registerStorageBackend(backend) {
+  for (const m of ['put', 'get', 'remove']) {
+    if (typeof backend?.[m] !== 'function') throw new Error(`storage backend must implement ${m}()`)
+  }
+  BACKENDS[backend.name] = backend
+}
+
+// Backend for new uploads; existing files are always read from the backend they were stored in
+function defaultStorageName() {
+  if (process.env.FILE_STORAGE_BACKEND) return process.env.FILE_STORAGE_BACKEND
+  return String(process.env.GOOGLE_DRIVE_ENABLED || '').toLowerCase() === 'true' ? 'drive' : 'local'
+}
+
+function getStorage(name) {
+  const backend = BACKENDS[name || defaultStorageName()]
+  if (!backend) throw storageError(500, `Unknown file storage backend "${name}"`)
+  return backend
+}
+
+module.exports = {
+  getStorage,
+  defaultStorageName,
+  registerStorageBackend,
+}
@@ -0,0 +1,111 @@
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const File = require('../models/fileModel')
+const Quotation = require('../models/quotationModel')
+const JobCard = require('../models/jobCardModel')
+const Booking = require('../models/bookingModel')
+const { getStorage, defaultStorageName } = require('./fileStorage')
+
+const FILE_UPLOAD_LIMIT_BYTES = parseInt(process.env.FILE_UPLOAD_LIMIT_BYTES || String(10 * 1024 * 1024), 10) || 10 * 1024 * 1024
+
+// Declared MIME type must be allowed and match the file's leading bytes
+const MIME_SIGNATURES = {
+  'application/pdf': (b) => b.slice(0, 5).toString('latin1') === '%PDF-',
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (b) => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WEBP',
+}
+const ALLOWED_MIME_TYPES = (process.env.FILE_ALLOWED_MIME_TYPES || Object.keys(MIME_SIGNATURES).join(','))
+  .split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)
+
+// refType (as sent by clients) -> owning model and its document number field
+const OWNER_TYPES = {
+  quotation: { model: Quotation, refModel: 'Quotation', numberField: 'serialNo' },
+  jobcard: { model: JobCard, refModel: 'JobCard', numberField: 'jcNo' },
+  booking: { model: Booking, refModel: 'Booking', numberField: 'bookingNo' },
+}
+
+function fileError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+// Accepts plain base64 or a data: URI (data:application/pdf;base64,....)
+function decodeBase64Upload(data, mimeType) {
+  const raw = String(data || '')
+  const m = raw.match(/^data:([^;,]+)?(;base64)?,(.*)$/s)
+  const payload = m ? m[3] : raw
+  const buffer = Buffer.from(payload.replace(/\s+/g, ''), 'base64')
+  return { buffer, mimeType: mimeType || m?.[1] || '' }
+}
+
+function checkFile(buffer, mimeType) {
+  if (!buffer || !buffer.length) throw fileError(400, 'File is empty')
+  if (buffer.length > FILE_UPLOAD_LIMIT_BYTES) throw fileError(413, `File exceeds the ${FILE_UPLOAD_LIMIT_BYTES} byte limit`)
+  const type = String(mimeType || '').toLowerCase().split(';')[0].trim()
+  if (!ALLOWED_MIME_TYPES.includes(type)) {
+    throw fileError(415, `File type ${type || 'unknown'} is not allowed (allowed: ${ALLOWED_MIME_TYPES.join(', ')})`)
+  }
+  const matches = MIME_SIGNATURES[type]
+  if (matches && !matches(buffer)) throw fileError(415, `File content does not look like ${type}`)
+  return type
+}
+
+// Owning quotation/jobcard/booking by Mongo id or document number
+async function resolveOwner({ refType, refId, refNo } = {}) {
+  if (!refType && !refId && !refNo) return null
+  const owner = OWNER_TYPES[String(refType || '').toLowerCase()]
+  if (!owner) throw fileError(400, `refType must be one of ${Object.keys(OWNER_TYPES).join(', ')}`)
+  const key = String(refId || refNo || '').trim()
+  if (!key) throw fileError(400, 'refId or refNo is required with refType')
+  const doc = mongoose.Types.ObjectId.isValid(key)
+    ? await owner.model.findById(key).select(`${owner.numberField} branch`).lean()
+    : await owner.model.findOne({ [owner.numberField]: key }).select(`${owner.numberField} branch`).lean()
+  if (!doc) throw fileError(404, `${refType} ${key} not found`)
+  return { refModel: owner.refModel, refId: doc._id, refNo: doc[owner.numberField], branch: doc.branch }
+}
+
+/**
+ * Store an upload and record its File metadata. The same bytes uploaded again for
+ * the same owner return the existing record instead of a second copy.
+ */
+async function saveUpload({ buffer, mimeType, originalName, purpose, owner, userId }) {
+  const type = checkFile(buffer, mimeType)
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex')
+  if (owner?.refId) {
+    const existing = await File.findOne({ sha256, refId: owner.refId, deletedAt: { $exists: false } })
+    if (existing) return { file: existing, duplicate: true }
+  }
+  const storageName = defaultStorageName()
+  const stored = await getStorage(storageName).put(buffer, { fileName: originalName, mimeType: type })
+  try {
+    const file = await File.create({
+      originalName: String(originalName || 'upload').slice(0, 255),
+      mimeType: type,
+      size: buffer.length,
+      sha256,
+      ...(purpose ? { purpose } : {}),
+      storage: storageName,
+      storageKey: stored.key,
+      ...(stored.link ? { externalLink: stored.link } : {}),
+      ...(owner || {}),
+      uploadedBy: userId,
+    })
+    return { file, duplicate: false }
+  } catch (err) {
+    // Do not leave orphaned bytes behind when the metadata cannot be saved
+    getStorage(storageName).remove(stored.key).catch(() => {})
+    throw err
+  }
+}
+
+module.exports = {
+  FILE_UPLOAD_LIMIT_BYTES,
+  ALLOWED_MIME_TYPES,
+  OWNER_TYPES,
+  decodeBase64Upload,
+  checkFile,
+  resolveOwner,
+  saveUpload,
+}
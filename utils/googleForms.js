@@ -0,0 +1,37 @@
+const axios = require('axios')
+
+const GOOGLE_FORM_DEFAULTS = {
+  fvv: '1',
+  draftResponse: '[]',
+  pageHistory: '0',
+}
+
+// A hung submit must end well before the outbox lease (2 min) lets another worker re-claim it
+const SUBMIT_TIMEOUT_MS = 20000
+
+function ensureEntries(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return {}
+  }
+  return obj
+}
+
+function buildFormUrl(formId) {
+  return `https://docs.google.com/forms/d/e/${formId}/formResponse`
+}
+
+async function submitToGoogleForm(formId, entriesInput, { timeout = SUBMIT_TIMEOUT_MS } = {}) {
+  const entries = { ...GOOGLE_FORM_DEFAULTS, ...ensureEntries(entriesInput) }
+  const params = new URLSearchParams()
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value === undefined || value === null) return
+    params.append(key, value === '' ? '' : String(value))
+  })
+
+  await axios.post(buildFormUrl(formId), params.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout,
+  })
+}
+
+module.exports = { ensureEntries, submitToGoogleForm }
@@ -0,0 +1,144 @@
+const axios = require('axios')
+const http = require('http')
+const https = require('https')
+const IntegrationTarget = require('../models/integrationTargetModel')
+const IntegrationCall = require('../models/integrationCallModel')
+const { safeLookup, assertPublicRedirect } = require('./netGuard')
+
+// Agents resolve through safeLookup, so no call (or redirect) can land on a private address;
+// redirects to IP literals skip the lookup and are refused by assertPublicRedirect instead
+const HTTP_AGENT = new http.Agent({ keepAlive: true, maxSockets: 100, lookup: safeLookup })
+const HTTPS_AGENT = new https.Agent({ keepAlive: true, maxSockets: 100, lookup: safeLookup })
+const CALL_TIMEOUT_MS = 30000
+
+// Short-lived cache of active targets (with secrets) so proxy reads do not hit Mongo each time
+const TARGET_CACHE_MS = 30 * 1000
+const targetCache = new Map() // name -> { t, target }
+
+function integrationError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function clearTargetCache(name) {
+  if (name) targetCache.delete(String(name).toLowerCase())
+  else targetCache.clear()
+}
+
+async function getTarget(name) {
+  const key = String(name || '').trim().toLowerCase()
+  if (!key) return null
+  const hit = targetCache.get(key)
+  if (hit && Date.now() - hit.t < TARGET_CACHE_MS) return hit.target
+  const target = await IntegrationTarget.findOne({ name: key, active: true }).select('+secrets').lean()
+  if (target) targetCache.set(key, { t: Date.now(), target })
+  else targetCache.delete(key)
+  return target
+}
+
+/**
+ * Resolve the target a client asked for. `target` (registry name) is preferred;
+ * a legacy `webhookUrl` is only accepted when it is exactly a registered target's URL.
+ */
+async function resolveTarget({ target, webhookUrl } = {}) {
+  if (target) {
+    const t = await getTarget(target)
+    if (!t) throw integrationError(403, `Unknown or inactive integration target "${target}"`)
+    return t
+  }
+  if (webhookUrl) {
+    const t = await IntegrationTarget.findOne({ url: String(webhookUrl).trim(), active: true }).select('name').lean()
+    if (!t) throw integrationError(403, 'webhookUrl is not a registered integration target; send "target" instead')
+    return getTarget(t.name)
+  }
+  throw integrationError(400, 'target is required.')
+}
+
+function assertMethodAllowed(target, method) {
+  const m = String(method || 'POST').toUpperCase()
+  const allowed = (target.allowedMethods && target.allowedMethods.length) ? target.allowedMethods : ['GET', 'POST']
+  if (!allowed.includes(m)) {
+    throw integrationError(405, `Method ${m} is not allowed for target "${target.name}" (allowed: ${allowed.join(', ')})`)
+  }
+  return m
+}
+
+// URL/headers/body for a call, with the target's default headers and secrets applied
+function buildRequest(target, { method, payload }) {
+  const u = new URL(target.url)
+  const defaults = target.defaultHeaders instanceof Map ? Object.fromEntries(target.defaultHeaders) : (target.defaultHeaders || {})
+  const headers = { 'Content-Type': 'application/json', ...defaults }
+  let data = payload && typeof payload === 'object' ? { ...payload } : {}
+  if (method === 'GET') {
+    Object.entries(data).forEach(([k, v]) => u.searchParams.append(k, String(v)))
+    data = undefined
+  }
+  for (const s of target.secrets || []) {
+    if (s.in === 'query') u.searchParams.set(s.name, s.value)
+    else if (s.in === 'body' && data) data[s.name] = s.value
+    else if (s.in !== 'body') headers[s.name] = s.value
+  }
+  return { url: u.toString(), headers, data }
+}
+
+function audit(target, entry) {
+  IntegrationCall.create({ target: target._id, targetName: target.name, ...entry })
+    .catch((e) => console.warn('integration audit write failed', target.name, e?.message || e))
+}
+
+/**
+ * Call a registered target. Resolves with the axios response for any HTTP status
+ * (caller decides what 2xx/4xx mean) and rejects on network/timeout/blocked errors.
+ * Every call is audited per target. context: { source, userId, ip, outboxId }
+ */
+async function callTarget(target, { method = 'POST', payload, context = {} } = {}) {
+  const m = assertMethodAllowed(target, method)
+  const { url, headers, data } = buildRequest(target, { method: m, payload })
+  const startedAt = Date.now()
+  let resp
+  let error
+  try {
+    resp = await axios({
+      method: m,
+      url,
+      headers,
+      data,
+      validateStatus: () => true,
+      timeout: CALL_TIMEOUT_MS,
+      httpAgent: HTTP_AGENT,
+      httpsAgent: HTTPS_AGENT,
+      beforeRedirect: assertPublicRedirect,
+      // allow large JSON payloads (e.g., base64 PDF) to pass through
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    })
+    return resp
+  } catch (e) {
+    error = e
+    throw e
+  } finally {
+    audit(target, {
+      method: m,
+      action: payload?.action ? String(payload.action) : undefined,
+      source: context.source,
+      ok: !error && !!resp && String(resp.status).startsWith('2'),
+      httpStatus: resp?.status,
+      durationMs: Date.now() - startedAt,
+      error: error ? String(error.message || error).slice(0, 500) : undefined,
+      ...(context.userId ? { userId: context.userId } : {}),
+      ...(context.ip ? { ip: context.ip } : {}),
+      ...(context.outboxId ? { outboxId: context.outboxId } : {}),
+    })
+  }
+}
+
+module.exports = {
+  HTTP_AGENT,
+  HTTPS_AGENT,
+  getTarget,
+  resolveTarget,
+  assertMethodAllowed,
+  callTarget,
+  clearTargetCache,
+}
@@ -0,0 +1,169 @@
+const Branch = require('../models/branchModel')
+const User = require('../models/userModel')
+const JobCard = require('../models/jobCardModel')
+const { queueGoogleFormMirror } = require('./outbox')
+const { normalizeString, normalizeMobile10, normalizeVehicleId, pick, toAmount, toDate, isObjectId } = require('./normalize')
+
+// Allowed next states. delivered/cancelled are terminal.
+const TRANSITIONS = {
+  received: ['estimated', 'cancelled'],
+  estimated: ['in-progress', 'cancelled'],
+  'in-progress': ['waiting-parts', 'ready', 'cancelled'],
+  'waiting-parts': ['in-progress', 'cancelled'],
+  ready: ['delivered', 'in-progress'],
+  delivered: [],
+  cancelled: [],
+}
+const OPEN_STATES = ['received', 'estimated', 'in-progress', 'waiting-parts', 'ready']
+const STATE_TIMESTAMP_FIELDS = {
+  received: 'receivedAt',
+  estimated: 'estimatedAt',
+  'in-progress': 'inProgressAt',
+  'waiting-parts': 'waitingPartsAt',
+  ready: 'readyAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+}
+
+function jobCardError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+/**
+ * Move a job card to `to`, enforcing TRANSITIONS and per-state preconditions.
+ * Mutates the document (status, <state>At, history); caller saves.
+ */
+function applyTransition(doc, to, { userId, note, estimateAmount, finalAmount, reason } = {}) {
+  const target = String(to || '').trim().toLowerCase()
+  const from = doc.status
+  if (!STATE_TIMESTAMP_FIELDS[target]) {
+    throw jobCardError(400, 'JC_UNKNOWN_STATE', `Unknown state "${to}". Valid states: ${Object.keys(TRANSITIONS).join(', ')}`)
+  }
+  const allowed = TRANSITIONS[from] || []
+  if (!allowed.includes(target)) {
+    const hint = allowed.length ? `Allowed from "${from}": ${allowed.join(', ')}` : `"${from}" is a final state`
+    throw jobCardError(409, 'JC_ILLEGAL_TRANSITION', `Cannot move job card ${doc.jcNo} from "${from}" to "${target}". ${hint}`)
+  }
+
+  const amount = toAmount(estimateAmount)
+  if (amount !== undefined) doc.set('estimate.amount', amount)
+  if (target === 'estimated' && typeof doc.estimate?.amount !== 'number') {
+    throw jobCardError(400, 'JC_ESTIMATE_REQUIRED', 'estimateAmount is required to mark a job card as estimated')
+  }
+  if (target === 'in-progress' && !doc.mechanic) {
+    throw jobCardError(400, 'JC_MECHANIC_REQUIRED', 'Assign a mechanic before starting work')
+  }
+  const final = toAmount(finalAmount)
+  if (final !== undefined) doc.finalAmount = final
+  if (target === 'cancelled') doc.cancelReason = normalizeString(reason || note).slice(0, 500) || undefined
+
+  const at = new Date()
+  doc.status = target
+  doc[STATE_TIMESTAMP_FIELDS[target]] = at
+  doc.history.push({ from, to: target, at, ...(userId ? { by: userId } : {}), ...(note ? { note: normalizeString(note).slice(0, 500) } : {}) })
+  return doc
+}
+
+// Assign a mechanic; only users listed in the job card branch's `mechanics` qualify.
+async function assignMechanic(doc, mechanicId, { userId } = {}) {
+  if (!isObjectId(mechanicId)) throw jobCardError(400, 'JC_BAD_MECHANIC', 'Valid mechanicId is required')
+  if (!doc.isOpen) throw jobCardError(409, 'JC_CLOSED', `Job card is ${doc.status}; mechanic cannot be changed`)
+  const branch = doc.branch
+    ? await Branch.findById(doc.branch).select('code mechanics').lean()
+    : await Branch.findOne({ code: doc.branchCode }).select('code mechanics').lean()
+  if (!branch) throw jobCardError(400, 'JC_NO_BRANCH', 'Job card has no valid branch; cannot assign a mechanic')
+  const onBranch = (branch.mechanics || []).some((m) => String(m) === String(mechanicId))
+  if (!onBranch) {
+    throw jobCardError(400, 'JC_MECHANIC_NOT_IN_BRANCH', `User ${mechanicId} is not a mechanic of branch ${branch.code}`)
+  }
+  const mechanic = await User.findById(mechanicId).select('name').lean()
+  doc.mechanic = mechanicId
+  doc.mechanicName = mechanic?.name || undefined
+  doc.assignedAt = new Date()
+  if (!doc.branch) doc.branch = branch._id
+  doc.history.push({ from: doc.status, to: doc.status, at: doc.assignedAt, ...(userId ? { by: userId } : {}), note: `Assigned to ${mechanic?.name || mechanicId}` })
+  return doc
+}
+
+// Map client payload (structured or flat formValues) to JobCard paths; only present paths are returned
+function jobCardPathsFromInput(input = {}) {
+  const fv = input.formValues && typeof input.formValues === 'object' ? { ...input.formValues, ...input } : input
+  const c = fv.customer && typeof fv.customer === 'object' ? fv.customer : {}
+  const v = fv.vehicle && typeof fv.vehicle === 'object' ? fv.vehicle : {}
+  const out = {}
+  const set = (path, value) => { if (value !== undefined && value !== '') out[path] = value }
+
+  set('jcNo', normalizeString(pick(fv, 'jcNo', 'jobCardNo', 'serialNo')))
+  set('customer.name', normalizeString(pick(c, 'name') ?? pick(fv, 'customerName', 'name')))
+  const mobile = pick(c, 'mobile') ?? pick(fv, 'mobile', 'customerMobile', 'phone')
+  if (mobile !== undefined) set('customer.mobile', normalizeMobile10(mobile) || normalizeString(mobile))
+  set('vehicle.regNo', normalizeVehicleId(pick(v, 'regNo') ?? pick(fv, 'regNo', 'vehicleNo', 'registrationNo')))
+  set('vehicle.model', normalizeString(pick(v, 'model') ?? pick(fv, 'vehicleModel', 'model')))
+  set('vehicle.chassisNo', normalizeVehicleId(pick(v, 'chassisNo') ?? pick(fv, 'chassisNo', 'chassis')))
+  set('vehicle.odometer', toAmount(pick(v, 'odometer') ?? pick(fv, 'odometer', 'km', 'kms')))
+  set('serviceType', normalizeString(pick(fv, 'serviceType')))
+  set('complaints', normalizeString(pick(fv, 'complaints', 'complaint', 'remarks')))
+  set('estimate.amount', toAmount(pick(fv.estimate || {}, 'amount') ?? pick(fv, 'estimateAmount', 'estimate')))
+  set('expectedDeliveryAt', toDate(pick(fv, 'expectedDeliveryAt', 'expectedDelivery')))
+  return out
+}
+
+// Google Form copy of a saved job card, delivered via the outbox (status lands on jobCard.googleForm)
+function mirrorJobCardToGoogleForm(jobCard, formId, entries) {
+  return queueGoogleFormMirror(JobCard, jobCard, formId, entries, { source: 'jobcard', serial: jobCard.jcNo })
+}
+
+// List filter shared by GET /api/jobcards and exports
+function jobCardListFilter(query = {}) {
+  const { branch, branchCode, mechanic, status, open, from, to, mobile, regNo } = query
+  const filter = {}
+  if (branch && isObjectId(branch)) filter.branch = branch
+  if (branchCode) filter.branchCode = String(branchCode).trim().toUpperCase()
+  if (mechanic === 'none') filter.mechanic = { $exists: false }
+  else if (mechanic && isObjectId(mechanic)) filter.mechanic = mechanic
+  if (status) filter.status = { $in: String(status).split(',').map(s => s.trim()).filter(Boolean) }
+  else if (String(open) === 'true') filter.status = { $in: OPEN_STATES }
+  const fromDate = toDate(from)
+  const toDateValue = toDate(to)
+  if (fromDate || toDateValue) {
+    filter.createdAt = {}
+    if (fromDate) filter.createdAt.$gte = fromDate
+    if (toDateValue) filter.createdAt.$lte = toDateValue
+  }
+  if (mobile) filter['customer.mobile'] = String(mobile).replace(/\D/g, '').slice(-10)
+  if (regNo && normalizeVehicleId(regNo)) filter['vehicle.regKey'] = normalizeVehicleId(regNo)
+  return filter
+}
+
+// One-time fill of vehicle.regKey/chassisKey on job cards saved before the keys existed
+async function backfillVehicleKeys({ batchSize = 500 } = {}) {
+  const missing = (field, key) => ({ [`vehicle.${field}`]: { $nin: [null, ''] }, [`vehicle.${key}`]: { $exists: false } })
+  const cursor = JobCard.find({ $or: [missing('regNo', 'regKey'), missing('chassisNo', 'chassisKey')] })
+    .select('vehicle.regNo vehicle.chassisNo').lean().cursor({ batchSize })
+  let updated = 0
+  for await (const d of cursor) {
+    const set = {}
+    const regKey = normalizeVehicleId(d.vehicle?.regNo)
+    const chassisKey = normalizeVehicleId(d.vehicle?.chassisNo)
+    if (regKey) set['vehicle.regKey'] = regKey
+    if (chassisKey) set['vehicle.chassisKey'] = chassisKey
+    if (!Object.keys(set).length) continue
+    await JobCard.updateOne({ _id: d._id }, { $set: set }, { timestamps: false })
+    updated += 1
+  }
+  return { updated }
+}
+
+module.exports = {
+  TRANSITIONS,
+  OPEN_STATES,
+  applyTransition,
+  assignMechanic,
+  jobCardPathsFromInput,
+  mirrorJobCardToGoogleForm,
+  jobCardListFilter,
+  backfillVehicleKeys,
+}
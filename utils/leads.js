@@ -0,0 +1,354 @@
+const mongoose = require('mongoose')
+const Lead = require('../models/leadModel')
+const Quotation = require('../models/quotationModel')
+const Branch = require('../models/branchModel')
+const User = require('../models/userModel')
+const { isObjectId, normalizeString, toDate } = require('./normalize')
+const { notify } = require('./notifications')
+
+const HOUR_MS = 60 * 60 * 1000
+const IST_OFFSET_MS = 330 * 60 * 1000
+const OPEN_STAGES = ['new', 'contacted', 'test-ride', 'negotiating']
+const LEAD_STAGES = [...OPEN_STAGES, 'won', 'lost']
+const LOST_REASONS = Lead.schema.path('lostReason').enumValues
+// First call this many hours after the quotation
+const FIRST_FOLLOW_UP_HOURS = Number(process.env.LEAD_FIRST_FOLLOWUP_HOURS || 24)
+// A pending follow-up this many hours past due goes to the branch manager
+const ESCALATE_AFTER_HOURS = Number(process.env.LEAD_ESCALATE_AFTER_HOURS || 4)
+const WORKER_INTERVAL_MS = Number(process.env.LEAD_ESCALATION_INTERVAL_MS || 15 * 60 * 1000)
+
+function leadError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+// Last millisecond of the IST calendar day containing `date`
+function endOfDayIST(date = new Date()) {
+  const local = new Date(date.getTime() + IST_OFFSET_MS)
+  local.setUTCHours(23, 59, 59, 999)
+  return new Date(local.getTime() - IST_OFFSET_MS)
+}
+
+function refreshNextFollowUp(lead) {
+  const due = lead.followUps.filter((f) => f.status === 'pending').map((f) => f.dueAt.getTime())
+  lead.nextFollowUpAt = due.length ? new Date(Math.min(...due)) : undefined
+}
+
+function cancelPendingFollowUps(lead, outcome) {
+  for (const f of lead.followUps) {
+    if (f.status === 'pending') {
+      f.status = 'cancelled'
+      f.outcome = outcome
+    }
+  }
+}
+
+/**
+ * Open the lead for a new quotation with a first call for the quoting staff member.
+ * Idempotent per quotation; never throws (a lead problem must not fail the quotation).
+ */
+async function openLeadForQuotation(quotation, { userId } = {}) {
+  try {
+    const existing = await Lead.findOne({ quotation: quotation._id })
+    if (existing) return existing
+    const owner = quotation.staff || quotation.createdBy || (isObjectId(userId) ? userId : undefined)
+    const ownerName = quotation.staffName || (owner ? (await User.findById(owner).select('name').lean())?.name : undefined)
+    const now = new Date()
+    const lead = new Lead({
+      quotation: quotation._id,
+      quotationNo: quotation.serialNo,
+      customerId: quotation.customerId,
+      customer: { name: quotation.customer?.name, mobile: quotation.customer?.mobile },
+      vehicle: { model: quotation.vehicle?.model, variant: quotation.vehicle?.variant },
+      onRoadPrice: quotation.price?.onRoad,
+      branch: quotation.branch,
+      branchCode: quotation.branchCode,
+      owner,
+      ownerName,
+      stage: 'new',
+      stageHistory: [{ to: 'new', at: quotation.createdAt || now, by: userId }],
+    })
+    // Without an owner the follow-up shows up on the branch call list only
+    lead.followUps.push({
+      dueAt: new Date((quotation.createdAt || now).getTime() + FIRST_FOLLOW_UP_HOURS * HOUR_MS),
+      type: 'call',
+      note: 'First call after the quotation',
+      assignedTo: owner,
+      createdBy: userId,
+    })
+    refreshNextFollowUp(lead)
+    await lead.save()
+    return lead
+  } catch (err) {
+    if (err?.code === 11000) return await Lead.findOne({ quotation: quotation._id })
+    console.warn('lead open failed', quotation?.serialNo, err?.message || err)
+    return null
+  }
+}
+
+/**
+ * Move a lead to `to`. lost needs a lostReason; won and lost cancel pending follow-ups.
+ * A won lead is final; a lost one can be reopened to any open stage. Mutates; caller saves.
+ */
+function setStage(lead, to, { userId, note, lostReason, lostNote } = {}) {
+  const target = String(to || '').trim().toLowerCase()
+  if (!LEAD_STAGES.includes(target)) throw leadError(400, 'LD_UNKNOWN_STAGE', `Unknown stage "${to}". Valid stages: ${LEAD_STAGES.join(', ')}`)
+  if (lead.stage === 'won') throw leadError(409, 'LD_WON', `Lead is already won${lead.bookingNo ? ` (booking ${lead.bookingNo})` : ''}`)
+  if (target === lead.stage) return lead
+  const now = new Date()
+  if (target === 'lost') {
+    const reason = String(lostReason || '').trim().toLowerCase()
+    if (!LOST_REASONS.includes(reason)) {
+      throw leadError(400, 'LD_REASON_REQUIRED', `lostReason is required (${LOST_REASONS.join(', ')})`)
+    }
+    lead.lostReason = reason
+    lead.lostNote = normalizeString(lostNote || note).slice(0, 500) || undefined
+    lead.lostAt = now
+    cancelPendingFollowUps(lead, 'Lead lost')
+  } else if (target === 'won') {
+    lead.wonAt = now
+    cancelPendingFollowUps(lead, 'Lead won')
+  } else if (lead.stage === 'lost') {
+    lead.lostReason = undefined
+    lead.lostNote = undefined
+    lead.lostAt = undefined
+  }
+  lead.stageHistory.push({ from: lead.stage, to: target, at: now, by: userId, note: normalizeString(note).slice(0, 500) || undefined })
+  lead.stage = target
+  refreshNextFollowUp(lead)
+  return lead
+}
+
+function assertOpen(lead) {
+  if (!OPEN_STAGES.includes(lead.stage)) throw leadError(409, 'LD_CLOSED', `Lead is ${lead.stage}; reopen it before scheduling follow-ups`)
+}
+
+// { dueAt, type?, note?, assignedTo? (defaults to the lead owner) }; returns the new follow-up
+function addFollowUp(lead, input = {}, { userId } = {}) {
+  assertOpen(lead)
+  const dueAt = toDate(input.dueAt)
+  if (!dueAt) throw leadError(400, 'LD_DUE_REQUIRED', 'dueAt is required')
+  if (input.assignedTo && !isObjectId(input.assignedTo)) throw leadError(400, 'LD_BAD_ASSIGNEE', 'Invalid assignedTo')
+  lead.followUps.push({
+    dueAt,
+    type: input.type || 'call',
+    note: normalizeString(input.note).slice(0, 500) || undefined,
+    assignedTo: input.assignedTo || lead.owner,
+    createdBy: userId,
+  })
+  refreshNextFollowUp(lead)
+  return lead.followUps[lead.followUps.length - 1]
+}
+
+function pendingFollowUp(lead, followUpId) {
+  const f = isObjectId(followUpId) ? lead.followUps.id(followUpId) : null
+  if (!f) throw leadError(404, 'LD_FOLLOWUP_NOT_FOUND', 'Follow-up not found')
+  if (f.status !== 'pending') throw leadError(409, 'LD_FOLLOWUP_CLOSED', `Follow-up is already ${f.status}`)
+  return f
+}
+
+// Record the outcome of a follow-up; the first one done on a new lead marks it contacted
+function completeFollowUp(lead, followUpId, { outcome, userId } = {}) {
+  const f = pendingFollowUp(lead, followUpId)
+  f.status = 'done'
+  f.doneAt = new Date()
+  f.doneBy = userId
+  f.outcome = normalizeString(outcome).slice(0, 500) || undefined
+  if (lead.stage === 'new') setStage(lead, 'contacted', { userId, note: 'Follow-up done' })
+  refreshNextFollowUp(lead)
+  return f
+}
+
+// A new due time also re-arms escalation
+function rescheduleFollowUp(lead, followUpId, { dueAt, note } = {}) {
+  const f = pendingFollowUp(lead, followUpId)
+  const due = toDate(dueAt)
+  if (!due) throw leadError(400, 'LD_DUE_REQUIRED', 'dueAt is required')
+  f.dueAt = due
+  if (note !== undefined) f.note = normalizeString(note).slice(0, 500) || undefined
+  f.escalatedAt = undefined
+  f.escalatedTo = undefined
+  refreshNextFollowUp(lead)
+  return f
+}
+
+// Hand the lead to another staff member along with their pending follow-ups
+async function reassignLead(lead, ownerId) {
+  if (!isObjectId(ownerId)) throw leadError(400, 'LD_BAD_OWNER', 'ownerId is required')
+  const user = await User.findById(ownerId).select('name').lean()
+  if (!user) throw leadError(404, 'LD_OWNER_NOT_FOUND', 'User not found')
+  const previous = lead.owner ? String(lead.owner) : null
+  for (const f of lead.followUps) {
+    if (f.status === 'pending' && (!f.assignedTo || String(f.assignedTo) === previous)) f.assignedTo = user._id
+  }
+  lead.owner = user._id
+  lead.ownerName = user.name
+  return lead
+}
+
+/**
+ * A booking wins the quotation's lead, or (booking without a quotation) the customer's latest open lead.
+ * Never throws.
+ */
+async function markLeadWon({ quotationId, customerId, booking, userId } = {}) {
+  try {
+    const filter = quotationId ? { quotation: quotationId } : customerId ? { customerId, stage: { $in: OPEN_STAGES } } : null
+    const lead = filter ? await Lead.findOne(filter).sort({ createdAt: -1 }) : null
+    if (!lead || lead.stage === 'won') return lead
+    setStage(lead, 'won', { userId, note: booking?.bookingNo ? `Booked as ${booking.bookingNo}` : undefined })
+    if (booking?._id) lead.booking = booking._id
+    if (booking?.bookingNo) lead.bookingNo = booking.bookingNo
+    await lead.save()
+    return lead
+  } catch (err) {
+    console.warn('lead win failed', booking?.bookingNo, err?.message || err)
+    return null
+  }
+}
+
+// Cancelling the quotation loses its open lead. Never throws.
+async function markLeadLostForQuotation(quotation, { userId, reason } = {}) {
+  try {
+    const lead = await Lead.findOne({ quotation: quotation._id, stage: { $in: OPEN_STAGES } })
+    if (!lead) return null
+    setStage(lead, 'lost', { userId, lostReason: 'quotation-cancelled', lostNote: reason })
+    await lead.save()
+    return lead
+  } catch (err) {
+    console.warn('lead close failed', quotation?.serialNo, err?.message || err)
+    return null
+  }
+}
+
+/**
+ * Call list: one row per pending follow-up due by `until` (overdue included), soonest first.
+ * assignedTo: one user's list; branchCode: the branch's list (for the sales manager).
+ */
+async function followUpsDue({ assignedTo, branchCode, until = endOfDayIST(), overdueOnly = false, limit = 200 } = {}) {
+  const now = new Date()
+  const match = { stage: { $in: OPEN_STAGES }, 'followUps.status': 'pending' }
+  if (branchCode) match.branchCode = String(branchCode).trim().toUpperCase()
+  const fMatch = { 'followUps.status': 'pending', 'followUps.dueAt': { $lte: overdueOnly ? now : until } }
+  if (assignedTo) fMatch['followUps.assignedTo'] = new mongoose.Types.ObjectId(String(assignedTo))
+  const rows = await Lead.aggregate([
+    { $match: match },
+    { $unwind: '$followUps' },
+    { $match: fMatch },
+    { $sort: { 'followUps.dueAt': 1 } },
+    { $limit: limit },
+    { $lookup: { from: 'users', localField: 'followUps.assignedTo', foreignField: '_id', as: 'assignee' } },
+    {
+      $project: {
+        _id: 0,
+        leadId: '$_id',
+        quotation: 1,
+        quotationNo: 1,
+        customerId: 1,
+        customer: 1,
+        vehicle: 1,
+        onRoadPrice: 1,
+        stage: 1,
+        branchCode: 1,
+        ownerName: 1,
+        followUp: '$followUps',
+        assigneeName: { $first: '$assignee.name' },
+      },
+    },
+  ])
+  return rows.map((r) => ({ ...r, overdue: new Date(r.followUp.dueAt) < now }))
+}
+
+/**
+ * Tell the branch manager (owners when the branch has none) about follow-ups that are
+ * ESCALATE_AFTER_HOURS past due. Each follow-up is escalated once; one notification per lead.
+ * Marking the follow-ups is the claim: a conditional update, so two instances never both notify.
+ */
+async function escalateOverdueFollowUps(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ESCALATE_AFTER_HOURS * HOUR_MS)
+  const pendingOverdue = { status: 'pending', dueAt: { $lt: cutoff }, escalatedAt: { $exists: false } }
+  const leads = await Lead.find({ stage: { $in: OPEN_STAGES }, followUps: { $elemMatch: pendingOverdue } })
+    .select('branch branchCode').limit(200).lean()
+  const managers = new Map()
+  const summary = { leads: 0, followUps: 0 }
+  for (const lead of leads) {
+    const key = String(lead.branch || lead.branchCode || '')
+    if (!managers.has(key)) {
+      const branch = lead.branch
+        ? await Branch.findById(lead.branch).select('manager').lean()
+        : lead.branchCode ? await Branch.findOne({ code: lead.branchCode }).select('manager').lean() : null
+      managers.set(key, branch?.manager || null)
+    }
+    const manager = managers.get(key)
+    const claimed = await Lead.findOneAndUpdate(
+      { _id: lead._id, stage: { $in: OPEN_STAGES }, followUps: { $elemMatch: pendingOverdue } },
+      { $set: { 'followUps.$[f].escalatedAt': now, ...(manager ? { 'followUps.$[f].escalatedTo': manager } : {}) } },
+      { new: true, arrayFilters: [{ 'f.status': 'pending', 'f.dueAt': { $lt: cutoff }, 'f.escalatedAt': { $exists: false } }] }
+    )
+    // Another instance escalated them first
+    if (!claimed) continue
+    const overdue = claimed.followUps.filter((f) => f.escalatedAt && f.escalatedAt.getTime() === now.getTime())
+    notify('lead.followup-overdue', { lead: claimed, followUp: overdue[0], count: overdue.length }, {
+      users: manager ? [manager] : [],
+      roles: manager ? [] : ['owner'],
+      ref: { model: 'Lead', id: claimed._id, no: claimed.quotationNo },
+    })
+    summary.leads += 1
+    summary.followUps += overdue.length
+  }
+  return summary
+}
+
+// Leads for quotations saved before the pipeline existed (active quotations only)
+async function backfillLeads({ limit = 1000 } = {}) {
+  const withLead = await Lead.distinct('quotation')
+  const quotations = await Quotation.find({ status: 'active', _id: { $nin: withLead } }).limit(limit)
+  let created = 0
+  for (const q of quotations) if (await openLeadForQuotation(q)) created += 1
+  return { scanned: quotations.length, created }
+}
+
+let timer = null
+let running = false
+
+function startLeadEscalationWorker() {
+  if (timer || process.env.LEAD_ESCALATION_WORKER_ENABLED === 'false') return
+  timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return
+    running = true
+    try {
+      await escalateOverdueFollowUps()
+    } catch (e) {
+      console.warn('lead escalation tick failed', e?.message || e)
+    } finally {
+      running = false
+    }
+  }, WORKER_INTERVAL_MS)
+  if (typeof timer.unref === 'function') timer.unref()
+}
+
+function stopLeadEscalationWorker() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  OPEN_STAGES,
+  LEAD_STAGES,
+  LOST_REASONS,
+  endOfDayIST,
+  openLeadForQuotation,
+  setStage,
+  addFollowUp,
+  completeFollowUp,
+  rescheduleFollowUp,
+  reassignLead,
+  markLeadWon,
+  markLeadLostForQuotation,
+  followUpsDue,
+  escalateOverdueFollowUps,
+  backfillLeads,
+  startLeadEscalationWorker,
+  stopLeadEscalationWorker,
+}
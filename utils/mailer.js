@@ -1,5 +1,15 @@
 const nodemailer = require('nodemailer')
-hedTransporter = null
+
+const {
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  SMTP_FROM,
+} = process.env
+
+let cachedTransporter = null
 
 function isMailConfigured() {
   return Boolean(SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS && SMTP_FROM)
@@ -0,0 +1,126 @@
+const dns = require('dns')
+const net = require('net')
+
+// Outbound calls to integration targets must never reach our own network
+// (loopback, RFC1918, link-local/cloud metadata, CGNAT, ULA, multicast...).
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((acc, part) => ((acc << 8) | (parseInt(part, 10) & 255)) >>> 0, 0)
+}
+
+function isBlockedV4(ip) {
+  const n = v4ToInt(ip)
+  return BLOCKED_V4.some(([base, bits]) => {
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0
+    return (n & mask) === (v4ToInt(base) & mask)
+  })
+}
+
+function isBlockedV6(ip) {
+  const a = ip.toLowerCase()
+  if (a === '::' || a === '::1') return true
+  const mapped = a.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+  if (mapped) return isBlockedV4(mapped[1])
+  const first = parseInt(a.split(':')[0] || '0', 16)
+  if ((first & 0xfe00) === 0xfc00) return true // fc00::/7 unique local
+  if ((first & 0xffc0) === 0xfe80) return true // fe80::/10 link local
+  if ((first & 0xff00) === 0xff00) return true // ff00::/8 multicast
+  return false
+}
+
+function isBlockedAddress(ip) {
+  const family = net.isIP(String(ip || ''))
+  if (family === 4) return isBlockedV4(ip)
+  if (family === 6) return isBlockedV6(ip)
+  return true
+}
+
+function blockedError(host, address) {
+  const err = new Error(`Destination ${host}${address && address !== host ? ` (${address})` : ''} is on a private/internal network`)
+  err.code = 'EBLOCKEDADDRESS'
+  err.status = 400
+  return err
+}
+
+/**
+ * Drop-in for dns.lookup that refuses private addresses. Used as the `lookup`
+ * of the HTTP agents, so it also covers redirects and DNS rebinding between
+ * registration and call time.
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+  const opts = typeof options === 'number' ? { family: options } : (options || {})
+  dns.lookup(hostname, opts, (err, address, family) => {
+    if (err) return callback(err)
+    if (Array.isArray(address)) {
+      const bad = address.find((a) => isBlockedAddress(a.address))
+      if (bad) return callback(blockedError(hostname, bad.address))
+      return callback(null, address)
+    }
+    if (isBlockedAddress(address)) return callback(blockedError(hostname, address))
+    return callback(null, address, family)
+  })
+}
+
+function urlError(message, code) {
+  const err = new Error(message)
+  err.status = 400
+  if (code) err.code = code
+  return err
+}
+
+// The checks that need no DNS: http(s) only, no credentials, no private IP literal
+function checkUrl(rawUrl) {
+  let u
+  try {
+    u = new URL(String(rawUrl || ''))
+  } catch {
+    throw urlError('url must be an absolute http(s) URL')
+  }
+  if (u.protocol !== 'https:' && u.protocol !== 'http:') throw urlError('url must use http or https')
+  if (u.username || u.password) throw urlError('url must not embed credentials; use target secrets instead')
+  const host = u.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host) && isBlockedAddress(host)) throw blockedError(host)
+  return { u, host }
+}
+
+/**
+ * Validate a target URL at registration time: http(s) only, no credentials,
+ * and every address the host resolves to must be public.
+ */
+async function assertPublicUrl(rawUrl) {
+  const { u, host } = checkUrl(rawUrl)
+  if (net.isIP(host)) return u
+  const addresses = await dns.promises.lookup(host, { all: true }).catch(() => [])
+  if (!addresses.length) throw urlError(`Could not resolve host ${host}`, 'EUNRESOLVED')
+  const bad = addresses.find((a) => isBlockedAddress(a.address))
+  if (bad) throw blockedError(host, bad.address)
+  return u
+}
+
+/**
+ * axios `beforeRedirect` hook, run for every hop. An IP literal never reaches the
+ * agents' safeLookup, so it is checked here; hostnames still resolve through safeLookup.
+ * follow-redirects calls this synchronously, which rules out the DNS half of assertPublicUrl.
+ */
+function assertPublicRedirect(options) {
+  checkUrl(options.href)
+}
+
+module.exports = { isBlockedAddress, safeLookup, assertPublicUrl, assertPublicRedirect }
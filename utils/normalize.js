@@ -0,0 +1,52 @@
+// Small input normalizers shared by the form/document routes
+
+function normalizeString(value) {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'string') return value.trim()
+  return String(value).trim()
+}
+
+function normalizeMobile10(raw) {
+  const d = String(raw || '').replace(/\D/g, '').slice(-10)
+  return d.length === 10 ? d : ''
+}
+
+// Registration/chassis/engine numbers: uppercase, no spaces or separators ("ka-01 ab 1234" -> "KA01AB1234")
+function normalizeVehicleId(raw) {
+  return String(raw || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+// First non-empty value among `keys` on `obj`
+function pick(obj, ...keys) {
+  if (!obj || typeof obj !== 'object') return undefined
+  for (const k of keys) {
+    const v = obj[k]
+    if (v !== undefined && v !== null && v !== '') return v
+  }
+  return undefined
+}
+
+// Number or undefined (accepts "1,23,456.00" style strings)
+function toAmount(value) {
+  if (value === undefined || value === null || value === '') return undefined
+  const n = Number(String(value).replace(/[^0-9.-]/g, ''))
+  return Number.isFinite(n) ? n : undefined
+}
+
+function toDate(value) {
+  if (!value) return undefined
+  const d = new Date(value)
+  return Number.isNaN(d.getTime()) ? undefined : d
+}
+
+const isObjectId = (v) => /^[0-9a-fA-F]{24}$/.test(String(v || ''))
+
+module.exports = {
+  normalizeString,
+  normalizeMobile10,
+  normalizeVehicleId,
+  pick,
+  toAmount,
+  toDate,
+  isObjectId,
+}
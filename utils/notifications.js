@@ -0,0 +1,268 @@
+const NotificationTemplate = require('../models/notificationTemplateModel')
+const Notification = require('../models/notificationModel')
+const NotificationLog = require('../models/notificationLogModel')
+const User = require('../models/userModel')
+const Customer = require('../models/customerModel')
+const Branch = require('../models/branchModel')
+const { sendMail, isMailConfigured } = require('./mailer')
+const { sendWhatsappText, sendWhatsappTemplate } = require('./whatsapp')
+const { formatAmount, formatDate } = require('./pdfRenderer')
+const { isObjectId, normalizeMobile10 } = require('./normalize')
+
+/**
+ * Templates that ship with the server. A stored NotificationTemplate with the same
+ * event/channel/audience replaces one of these (or switches it off with active: false).
+ */
+const BUILTIN_TEMPLATES = [
+  {
+    event: 'discount.requested',
+    channel: 'inapp',
+    audience: 'user',
+    subject: 'Discount approval needed',
+    body: '{{request.requestedByName}} asks for a discount of {{request.amount | amount}} ({{request.percent}}%) on {{request.docType}} {{request.docNo}}.',
+    link: '/discounts/approvals/{{request.id}}',
+  },
+  {
+    event: 'discount.requested',
+    channel: 'email',
+    audience: 'user',
+    subject: 'Discount approval needed: {{request.docNo}}',
+    body: 'Hello {{user.name}},\n\n{{request.requestedByName}} asks for a discount of {{request.amount | amount}} ({{request.percent}}%) on {{request.docType}} {{request.docNo}} for {{request.customerName}}.\nReason: {{request.requestReason}}\n\nPlease approve or reject it in the app.',
+  },
+  {
+    event: 'discount.decided',
+    channel: 'inapp',
+    audience: 'user',
+    subject: 'Discount {{request.status}}',
+    body: 'Your discount of {{request.amount | amount}} on {{request.docType}} {{request.docNo}} was {{request.status}} by {{request.decidedByName}}. {{request.decisionReason}}',
+    link: '/discounts/approvals/{{request.id}}',
+  },
+  {
+    event: 'lead.followup-overdue',
+    channel: 'inapp',
+    audience: 'user',
+    subject: 'Follow-up overdue: {{lead.customer.name}}',
+    body: '{{count}} follow-up(s) overdue for {{lead.customer.name}} ({{lead.customer.mobile}}), {{lead.vehicle.model}} quotation {{lead.quotationNo}}. Owner: {{lead.ownerName}}, was due {{followUp.dueAt | datetime}}.',
+    link: '/leads/{{lead.id}}',
+  },
+  {
+    event: 'lead.followup-overdue',
+    channel: 'email',
+    audience: 'user',
+    subject: 'Follow-up overdue: {{lead.customer.name}} ({{lead.quotationNo}})',
+    body: 'Hello {{user.name}},\n\n{{count}} follow-up(s) for {{lead.customer.name}} ({{lead.customer.mobile}}) are overdue.\nVehicle: {{lead.vehicle.model}}\nQuotation: {{lead.quotationNo}}\nOwner: {{lead.ownerName}}\nWas due: {{followUp.dueAt | datetime}}\n\nPlease check the call list in the app.',
+  },
+  {
+    // Business-initiated WhatsApp to a customer needs a Meta-approved template: store this one
+    // with whatsappTemplate set and active: true to switch it on
+    event: 'jobcard.ready',
+    channel: 'whatsapp',
+    audience: 'customer',
+    active: false,
+    body: 'Dear {{customer.name}}, your {{jobCard.vehicle.model}} {{jobCard.vehicle.regNo}} is ready for pickup at {{branch.name}}. Job card {{jobCard.jcNo}}, amount {{jobCard.finalAmount | amount}}. - Shantha Motors',
+  },
+  {
+    event: 'jobcard.ready',
+    channel: 'email',
+    audience: 'customer',
+    subject: 'Your vehicle is ready: {{jobCard.jcNo}}',
+    body: 'Dear {{customer.name}},\n\nYour {{jobCard.vehicle.model}} {{jobCard.vehicle.regNo}} is ready for pickup at {{branch.name}}.\nJob card: {{jobCard.jcNo}}\nAmount: {{jobCard.finalAmount | amount}}\n\nFor queries call {{branch.phone}}.\n\nShantha Motors',
+  },
+]
+
+const FORMATTERS = {
+  amount: (v) => formatAmount(v),
+  date: (v) => formatDate(v),
+  datetime: (v) => formatDate(v, true),
+  upper: (v) => String(v).toUpperCase(),
+}
+
+function valueAt(data, path) {
+  return path.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), data)
+}
+
+// {{path}} or {{path | amount}}; missing values render as ''
+function renderTemplate(text, data = {}) {
+  return String(text || '').replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (_, path, format) => {
+    const value = valueAt(data, path)
+    if (value === null || value === undefined || value === '') return ''
+    if (format && FORMATTERS[format]) return FORMATTERS[format](value)
+    if (value instanceof Date) return formatDate(value)
+    return String(value)
+  })
+}
+
+// Built-ins overlaid with stored templates for an event; inactive ones dropped
+async function templatesFor(event) {
+  const key = (t) => `${t.channel}:${t.audience}`
+  const byKey = new Map(BUILTIN_TEMPLATES.filter((t) => t.event === event).map((t) => [key(t), { ...t, builtin: true }]))
+  const stored = await NotificationTemplate.find({ event }).lean()
+  for (const t of stored) byKey.set(key(t), t)
+  return [...byKey.values()].filter((t) => t.active !== false)
+}
+
+async function resolveUsers(ids = [], roles = []) {
+  const or = []
+  const validIds = ids.filter(isObjectId).map(String)
+  if (validIds.length) or.push({ _id: { $in: validIds } })
+  if (roles.length) or.push({ role: { $in: roles } })
+  if (!or.length) return []
+  return User.find({ $or: or, status: 'active' }).select('name email phone role notificationPrefs').lean()
+}
+
+// Customer ids or contacts ({ name, mobile, email }); contacts are matched to the master by mobile
+async function resolveCustomers(list = []) {
+  const out = []
+  const seen = new Set()
+  for (const item of list) {
+    if (!item) continue
+    let customer = null
+    if (isObjectId(item)) {
+      customer = await Customer.findById(item).select('name mobile email consent').lean()
+    } else if (typeof item === 'object') {
+      const mobile = normalizeMobile10(item.mobile)
+      customer = (mobile && (await Customer.findOne({ mobile }).select('name mobile email consent').lean())) || { name: item.name, mobile, email: item.email }
+    }
+    const key = customer?._id ? String(customer._id) : customer?.mobile || customer?.email
+    if (!key || seen.has(key)) continue
+    seen.add(key)
+    out.push(customer)
+  }
+  return out
+}
+
+// Why a recipient does not get this channel, or null when they do
+function optOutReason(event, channel, audience, recipient) {
+  if (audience === 'user') {
+    const prefs = recipient.notificationPrefs || {}
+    if (prefs[channel] === false) return `${channel} notifications are turned off`
+    if ((prefs.mutedEvents || []).includes(event)) return `${event} is muted`
+    return null
+  }
+  if (channel === 'inapp') return 'Customers have no in-app inbox'
+  if (recipient.consent?.[channel] === false) return `Customer opted out of ${channel}`
+  return null
+}
+
+function addressFor(channel, audience, recipient) {
+  if (channel === 'inapp') return String(recipient._id || '')
+  if (channel === 'email') return recipient.email || ''
+  return audience === 'user' ? recipient.phone || '' : recipient.mobile || ''
+}
+
+async function deliver(template, audience, recipient, data, { event, ref = {}, userId, once }) {
+  const scope = { ...data, [audience]: recipient }
+  const channel = template.channel
+  const entry = {
+    event,
+    channel,
+    audience,
+    ...(template._id ? { template: template._id } : {}),
+    ...(audience === 'user' ? { user: recipient._id } : recipient._id ? { customerId: recipient._id } : {}),
+    ...(ref.model ? { refModel: ref.model } : {}),
+    ...(isObjectId(ref.id) ? { refId: ref.id } : {}),
+    ...(ref.no ? { refNo: String(ref.no) } : {}),
+    ...(userId ? { raisedBy: userId } : {}),
+  }
+  // Free text only reaches a customer inside the 24h window after they wrote to us
+  const needsTemplate = channel === 'whatsapp' && audience === 'customer' && !template.whatsappTemplate?.name
+  const skip = optOutReason(event, channel, audience, recipient) || (needsTemplate ? 'Customer WhatsApp needs an approved whatsappTemplate' : null)
+  const to = addressFor(channel, audience, recipient)
+  if (skip || !to) {
+    return NotificationLog.create({ ...entry, to, status: 'skipped', error: skip || `No ${channel === 'email' ? 'email address' : 'mobile number'}` })
+  }
+  if (once && entry.refId) {
+    const recipientKey = audience === 'user' ? { user: entry.user } : entry.customerId ? { customerId: entry.customerId } : { to }
+    const already = await NotificationLog.exists({ event, channel, refModel: entry.refModel, refId: entry.refId, status: 'sent', ...recipientKey })
+    if (already) return NotificationLog.create({ ...entry, to, status: 'skipped', error: `Already sent for ${ref.no || 'this record'}` })
+  }
+
+  const subject = renderTemplate(template.subject, scope)
+  const body = renderTemplate(template.body, scope).trim()
+  try {
+    let deliveryId
+    if (channel === 'inapp') {
+      const note = await Notification.create({
+        user: recipient._id,
+        event,
+        title: subject,
+        body,
+        link: renderTemplate(template.link, scope) || undefined,
+        ...(ref.model ? { refModel: ref.model } : {}),
+        ...(isObjectId(ref.id) ? { refId: ref.id } : {}),
+      })
+      deliveryId = String(note._id)
+    } else if (channel === 'email') {
+      if (!isMailConfigured()) throw new Error('SMTP settings are not configured')
+      const info = await sendMail({ to, subject, text: body })
+      deliveryId = info?.messageId
+    } else {
+      const context = {
+        userId,
+        ...(audience === 'customer' && recipient._id ? { customerId: recipient._id } : {}),
+        ...(ref.model === 'Quotation' || ref.model === 'JobCard' || ref.model === 'Booking' ? { refModel: ref.model, refId: ref.id, refNo: ref.no } : {}),
+      }
+      const wt = template.whatsappTemplate
+      const result = wt?.name
+        ? await sendWhatsappTemplate({ to, name: wt.name, language: wt.language || undefined, params: (wt.params || []).map((p) => renderTemplate(p, scope)), context })
+        : await sendWhatsappText({ to, text: body, context })
+      deliveryId = result?.logId ? String(result.logId) : undefined
+    }
+    return NotificationLog.create({ ...entry, to, subject, status: 'sent', deliveryId })
+  } catch (err) {
+    return NotificationLog.create({ ...entry, to, subject, status: 'failed', error: String(err?.message || err).slice(0, 500) })
+  }
+}
+
+/**
+ * Raise an event: every active template for it is rendered with `data` and sent to the
+ * recipients of its audience, honouring user preferences and customer consent.
+ *   notify('jobcard.ready', { jobCard }, { customers: [jobCard.customerId], ref: { model: 'JobCard', id, no }, branch })
+ * users: user ids; roles: add every active user with these roles; customers: ids or { name, mobile, email }.
+ * branch (id) adds { branch: { name, phone, code } } to the data. once: skip recipients who already got
+ * this event for the same ref on that channel. Never throws; returns the delivery log entries.
+ */
+async function notify(event, data = {}, { users = [], roles = [], customers = [], ref, branch, userId, once = false } = {}) {
+  try {
+    const name = String(event || '').trim().toLowerCase()
+    const templates = await templatesFor(name)
+    if (!templates.length) return []
+    const scope = { ...data }
+    if (branch && !scope.branch && isObjectId(branch)) {
+      scope.branch = await Branch.findById(branch).select('name code phone email').lean()
+    }
+
+    const forUsers = templates.filter((t) => t.audience === 'user')
+    const forCustomers = templates.filter((t) => t.audience === 'customer')
+    const extraRoles = [...new Set(forUsers.flatMap((t) => t.roles || []))]
+    const userList = forUsers.length ? await resolveUsers(users.filter(Boolean), [...roles, ...extraRoles]) : []
+    const customerList = forCustomers.length ? await resolveCustomers(customers) : []
+
+    const logs = []
+    for (const template of forUsers) {
+      // Role fan-out is per template; explicit recipients get every user template
+      const explicit = new Set(users.filter(Boolean).map(String))
+      const templateRoles = new Set([...roles, ...(template.roles || [])])
+      for (const user of userList) {
+        if (!explicit.has(String(user._id)) && !templateRoles.has(user.role)) continue
+        logs.push(await deliver(template, 'user', user, scope, { event: name, ref: ref || {}, userId, once }))
+      }
+    }
+    for (const template of forCustomers) {
+      for (const customer of customerList) {
+        logs.push(await deliver(template, 'customer', customer, scope, { event: name, ref: ref || {}, userId, once }))
+      }
+    }
+    return logs
+  } catch (err) {
+    console.warn('notify failed', event, err?.message || err)
+    return []
+  }
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  renderTemplate,
+  templatesFor,
+  notify,
+}
@@ -0,0 +1,349 @@
+const mongoose = require('mongoose')
+const axios = require('axios')
+const OutboxMessage = require('../models/outboxMessageModel')
+const { submitToGoogleForm } = require('./googleForms')
+const { HTTP_AGENT, HTTPS_AGENT, getTarget, callTarget } = require('./integrations')
+const { invalidateWebhookCache } = require('./webhookCache')
+const { assertPublicUrl, assertPublicRedirect } = require('./netGuard')
+
+const POLL_MS = parseInt(process.env.OUTBOX_POLL_MS || '5000', 10) || 5000
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10) || 8
+const BASE_DELAY_MS = parseInt(process.env.OUTBOX_BASE_DELAY_MS || '10000', 10) || 10000
+const MAX_DELAY_MS = parseInt(process.env.OUTBOX_MAX_DELAY_MS || String(60 * 60 * 1000), 10) || 60 * 60 * 1000
+// How long a request waits for the first delivery attempt before answering 202 + outboxId
+const INLINE_WAIT_MS = parseInt(process.env.OUTBOX_INLINE_WAIT_MS || '8000', 10)
+const LEASE_MS = 2 * 60 * 1000
+// Every delivery call is bounded well below the lease, so a hung request cannot be re-claimed and sent twice
+const DELIVERY_TIMEOUT_MS = 30000
+const MAX_STORED_RESPONSE_CHARS = 50000
+
+// Per-source hooks: prepare(msg) -> payload to send now, delivered(msg, data) after a 2xx (see registerDeliveryHooks)
+const DELIVERY_HOOKS = new Map()
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoffMs(attempts) {
+  const exp = Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS)
+  return Math.round(exp / 2 + Math.random() * (exp / 2))
+}
+
+function truncateResponse(data) {
+  if (data === undefined || data === null) return data
+  try {
+    const text = typeof data === 'string' ? data : JSON.stringify(data)
+    if (text.length <= MAX_STORED_RESPONSE_CHARS) return data
+    return { truncated: true, preview: text.slice(0, 2000) }
+  } catch {
+    return { truncated: true }
+  }
+}
+
+// 4xx (other than timeout/rate limit) will not get better by retrying
+function isPermanentStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429
+}
+
+/**
+ * Let the module that queues a source adjust its messages at delivery time:
+ *   prepare(msg): payload for this attempt (throw to retry later, e.g. an id not known yet)
+ *   delivered(msg, data): record what the target answered (never fails the delivery)
+ */
+function registerDeliveryHooks(source, hooks = {}) {
+  DELIVERY_HOOKS.set(source, hooks)
+}
+
+async function performDelivery(msg) {
+  if (msg.kind === 'google-form') {
+    try {
+      await submitToGoogleForm(msg.target, msg.payload, { timeout: DELIVERY_TIMEOUT_MS })
+      return { httpStatus: 200, data: null }
+    } catch (error) {
+      const status = error?.response?.status
+      const err = new Error(status ? `Google Form responded ${status}` : (error?.message || 'Google Form submit failed'))
+      err.httpStatus = status
+      err.permanent = !!status && isPermanentStatus(status)
+      throw err
+    }
+  }
+
+  const hooks = DELIVERY_HOOKS.get(msg.source)
+  const payload = hooks?.prepare ? await hooks.prepare(msg) : msg.payload || {}
+  let resp
+  if (msg.integration) {
+    const target = await getTarget(msg.integration)
+    if (!target) {
+      const err = new Error(`Integration target "${msg.integration}" no longer exists or is inactive`)
+      err.permanent = true
+      throw err
+    }
+    resp = await callTarget(target, {
+      method: msg.method || 'POST',
+      payload,
+      context: { source: msg.source ? `outbox:${msg.source}` : 'outbox', outboxId: msg._id },
+    })
+  } else {
+    // Messages queued before the integration registry carried a raw URL; it never went
+    // through registration, so it gets the same public-address check here
+    try {
+      await assertPublicUrl(msg.target)
+    } catch (e) {
+      e.permanent = e.code !== 'EUNRESOLVED'
+      throw e
+    }
+    resp = await axios({
+      method: msg.method || 'POST',
+      url: msg.target,
+      data: payload,
+      headers: { 'Content-Type': 'application/json', ...(msg.headers || {}) },
+      validateStatus: () => true,
+      timeout: DELIVERY_TIMEOUT_MS,
+      httpAgent: HTTP_AGENT,
+      httpsAgent: HTTPS_AGENT,
+      beforeRedirect: assertPublicRedirect,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    })
+  }
+  if (!String(resp.status).startsWith('2')) {
+    const err = new Error(`Webhook call failed with status ${resp.status}`)
+    err.httpStatus = resp.status
+    err.permanent = isPermanentStatus(resp.status)
+    err.data = resp.data
+    throw err
+  }
+  // Apps Script answers 200 with { ok: false, message } when it rejects a write
+  if (resp.data && typeof resp.data === 'object' && resp.data.ok === false) {
+    const err = new Error(`Webhook rejected the request: ${String(resp.data.message || resp.data.error || 'ok: false').slice(0, 300)}`)
+    err.httpStatus = resp.status
+    err.data = resp.data
+    throw err
+  }
+  return { httpStatus: resp.status, data: resp.data }
+}
+
+// Reflect Google Form delivery on the owning document (Quotation/JobCard googleForm.*)
+async function updateRef(msg, set, unset) {
+  if (!msg.refModel || !msg.refId || msg.kind !== 'google-form') return
+  try {
+    const Model = mongoose.model(msg.refModel)
+    await Model.updateOne({ _id: msg.refId }, { $set: set, ...(unset ? { $unset: unset } : {}) })
+  } catch (e) {
+    console.warn('outbox ref update failed', msg.refModel, String(msg.refId), e?.message || e)
+  }
+}
+
+/**
+ * Run one delivery attempt for a claimed message and persist the outcome.
+ * Never throws for delivery errors; returns { ok, httpStatus, data, error, dead }.
+ */
+async function processMessage(msg) {
+  const startedAt = new Date()
+  try {
+    const { httpStatus, data } = await performDelivery(msg)
+    const durationMs = Date.now() - startedAt.getTime()
+    await OutboxMessage.updateOne(
+      { _id: msg._id },
+      {
+        $set: { status: 'delivered', deliveredAt: new Date(), lastHttpStatus: httpStatus, response: truncateResponse(data) },
+        $unset: { lockedUntil: 1, lastError: 1 },
+        $push: { attemptLog: { $each: [{ at: startedAt, durationMs, ok: true, httpStatus }], $slice: -20 } },
+      }
+    )
+    await updateRef(msg, { 'googleForm.status': 'submitted', 'googleForm.submittedAt': new Date() }, { 'googleForm.error': 1 })
+    const hooks = DELIVERY_HOOKS.get(msg.source)
+    if (hooks?.delivered) {
+      await Promise.resolve()
+        .then(() => hooks.delivered(msg, data))
+        .catch((e) => console.warn('outbox delivered hook failed', msg.source, String(msg._id), e?.message || e))
+    }
+    // The sheet changed: cached list reads for this kind + target are now stale
+    if (msg.kind === 'webhook' && msg.integration) await invalidateWebhookCache(msg.source, msg.integration)
+    return { ok: true, httpStatus, data }
+  } catch (error) {
+    const durationMs = Date.now() - startedAt.getTime()
+    const message = String(error?.message || error).slice(0, 1000)
+    const dead = !!error?.permanent || error?.code === 'EBLOCKEDADDRESS' || msg.attempts >= msg.maxAttempts
+    await OutboxMessage.updateOne(
+      { _id: msg._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'retrying',
+          nextAttemptAt: new Date(Date.now() + backoffMs(msg.attempts)),
+          lastError: message,
+          ...(error?.httpStatus ? { lastHttpStatus: error.httpStatus } : {}),
+        },
+        $unset: { lockedUntil: 1 },
+        $push: { attemptLog: { $each: [{ at: startedAt, durationMs, ok: false, httpStatus: error?.httpStatus, error: message }], $slice: -20 } },
+      }
+    )
+    if (dead) await updateRef(msg, { 'googleForm.status': 'failed', 'googleForm.error': message.slice(0, 500) })
+    return { ok: false, httpStatus: error?.httpStatus, data: error?.data, error: message, dead }
+  }
+}
+
+// Atomically take the next due message (or a specific one) and lease it to this process
+function claim(extra = {}) {
+  const now = new Date()
+  return OutboxMessage.findOneAndUpdate(
+    {
+      ...extra,
+      $or: [
+        { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lt: now } },
+      ],
+    },
+    { $set: { status: 'processing', lockedUntil: new Date(now.getTime() + LEASE_MS) }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  )
+}
+
+function enqueue(job = {}) {
+  return OutboxMessage.create({
+    kind: job.kind,
+    target: job.target,
+    integration: job.integration,
+    method: job.method || 'POST',
+    headers: job.headers,
+    payload: job.payload,
+    source: job.source,
+    serial: job.serial || undefined,
+    refModel: job.refModel,
+    refId: job.refId,
+    createdBy: job.createdBy,
+    maxAttempts: job.maxAttempts || MAX_ATTEMPTS,
+  })
+}
+
+/**
+ * Store first, then make the first attempt right away. Waits up to `waitMs` for
+ * that attempt; after that the caller answers with the outbox id and the
+ * attempt (and any retries) carries on in the background.
+ * Returns { message, delivered, pending, result }.
+ */
+async function enqueueAndTryDeliver(job, { waitMs = INLINE_WAIT_MS } = {}) {
+  const message = await enqueue(job)
+  const claimed = await claim({ _id: message._id })
+  if (!claimed) return { message, delivered: false, pending: true, result: null }
+  const run = processMessage(claimed).catch((e) => {
+    console.error('outbox delivery crashed', String(claimed._id), e)
+    return null
+  })
+  if (!(waitMs > 0)) return { message: claimed, delivered: false, pending: true, result: null }
+  const result = await Promise.race([run, sleep(waitMs).then(() => null)])
+  if (!result) return { message: claimed, delivered: false, pending: true, result: null }
+  return { message: claimed, delivered: result.ok, pending: !result.ok && !result.dead, result }
+}
+
+// Queue a Google Form copy of a saved document; delivery status lands on doc.googleForm
+async function queueGoogleFormMirror(Model, doc, formId, entries, { source, serial } = {}) {
+  if (!formId) return { queued: false, skipped: true }
+  // Pending goes on before delivery starts, so it can never overwrite the attempt's own outcome
+  await Model.updateOne({ _id: doc._id }, { $set: { 'googleForm.formId': formId, 'googleForm.status': 'pending' }, $unset: { 'googleForm.error': 1 } })
+  const { message } = await enqueueAndTryDeliver(
+    { kind: 'google-form', target: formId, payload: entries || {}, source, serial, refModel: Model.modelName, refId: doc._id },
+    { waitMs: 0 }
+  )
+  await Model.updateOne({ _id: doc._id }, { $set: { 'googleForm.outboxId': message._id } })
+  return { queued: true, outboxId: message._id }
+}
+
+async function retryMessage(id) {
+  const msg = await OutboxMessage.findById(id)
+  if (!msg) return null
+  if (!['dead', 'retrying', 'discarded'].includes(msg.status)) {
+    const err = new Error(`Message is ${msg.status}; only dead/retrying/discarded messages can be retried`)
+    err.status = 409
+    throw err
+  }
+  msg.status = 'pending'
+  msg.attempts = 0
+  msg.nextAttemptAt = new Date()
+  msg.discardedAt = undefined
+  msg.discardedBy = undefined
+  await msg.save()
+  return msg
+}
+
+async function discardMessage(id, { userId } = {}) {
+  const msg = await OutboxMessage.findById(id)
+  if (!msg) return null
+  if (!['pending', 'retrying', 'dead'].includes(msg.status)) {
+    const err = new Error(`Message is ${msg.status}; it cannot be discarded`)
+    err.status = 409
+    throw err
+  }
+  msg.status = 'discarded'
+  msg.discardedAt = new Date()
+  if (userId) msg.discardedBy = userId
+  await msg.save()
+  await updateRef(msg, { 'googleForm.status': 'failed', 'googleForm.error': 'Discarded by admin' })
+  return msg
+}
+
+// Fields a client polling its outbox id may see
+function publicStatus(msg) {
+  return {
+    id: msg._id,
+    status: msg.status,
+    attempts: msg.attempts,
+    nextAttemptAt: ['pending', 'retrying'].includes(msg.status) ? msg.nextAttemptAt : null,
+    deliveredAt: msg.deliveredAt || null,
+    lastError: msg.lastError || null,
+    ...(msg.status === 'delivered' ? { data: msg.response } : {}),
+  }
+}
+
+// --- Background worker ---
+let timer = null
+let draining = false
+
+async function drainOnce(limit = 25) {
+  let processed = 0
+  while (processed < limit) {
+    const msg = await claim()
+    if (!msg) break
+    await processMessage(msg)
+    processed += 1
+  }
+  return processed
+}
+
+function startOutboxWorker() {
+  if (timer || process.env.OUTBOX_WORKER_ENABLED === 'false') return
+  timer = setInterval(async () => {
+    // Skip ticks while Mongo is (re)connecting instead of piling up buffered queries
+    if (draining || mongoose.connection.readyState !== 1) return
+    draining = true
+    try {
+      await drainOnce()
+    } catch (e) {
+      console.warn('outbox worker tick failed', e?.message || e)
+    } finally {
+      draining = false
+    }
+  }, POLL_MS)
+  if (typeof timer.unref === 'function') timer.unref()
+}
+
+function stopOutboxWorker() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  enqueue,
+  enqueueAndTryDeliver,
+  queueGoogleFormMirror,
+  retryMessage,
+  discardMessage,
+  publicStatus,
+  registerDeliveryHooks,
+  claim,
+  processMessage,
+  drainOnce,
+  startOutboxWorker,
+  stopOutboxWorker,
+  backoffMs,
+  LEASE_MS,
+}
@@ -0,0 +1,229 @@
+const PDFDocument = require('pdfkit')
+const QRCode = require('qrcode')
+
+// Letterhead details shared by every document; branch details come from the Branch model
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Shantha Motors'
+const COMPANY_TAGLINE = process.env.COMPANY_TAGLINE || ''
+const COMPANY_GSTIN = process.env.COMPANY_GSTIN || ''
+
+const PAGE_MARGIN = 40
+const BRAND_COLOR = '#b71c1c'
+const MUTED_COLOR = '#555555'
+const RULE_COLOR = '#cccccc'
+
+// The built-in PDF fonts have no rupee glyph, so amounts are printed as "Rs. 1,23,456.00"
+function formatAmount(n) {
+  const v = Number(n) || 0
+  return `Rs. ${v.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+function formatDate(d, withTime = false) {
+  if (!d) return ''
+  const date = d instanceof Date ? d : new Date(d)
+  if (Number.isNaN(date.getTime())) return ''
+  const opts = { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' }
+  if (withTime) Object.assign(opts, { hour: '2-digit', minute: '2-digit', hour12: true })
+  return date.toLocaleString('en-IN', opts)
+}
+
+function branchAddressLines(branch) {
+  const a = branch?.address || {}
+  const lines = [
+    [a.line1, a.line2].filter(Boolean).join(', '),
+    [a.area, a.city, a.state].filter(Boolean).join(', ') + (a.pincode ? ` - ${a.pincode}` : ''),
+    [branch?.phone ? `Ph: ${branch.phone}` : '', branch?.email || ''].filter(Boolean).join('  |  '),
+  ]
+  return lines.filter((l) => l && l.trim())
+}
+
+function drawLetterhead(doc, branch) {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(20).text(COMPANY_NAME, PAGE_MARGIN, PAGE_MARGIN, { width })
+  if (COMPANY_TAGLINE) doc.fillColor(MUTED_COLOR).font('Helvetica-Oblique').fontSize(9).text(COMPANY_TAGLINE, { width })
+  doc.fillColor('#000000').font('Helvetica').fontSize(9)
+  if (branch?.name) doc.font('Helvetica-Bold').text(`${branch.name}${branch.code ? ` (${branch.code})` : ''}`, { width })
+  doc.font('Helvetica')
+  for (const line of branchAddressLines(branch)) doc.text(line, { width })
+  if (COMPANY_GSTIN) doc.text(`GSTIN: ${COMPANY_GSTIN}`, { width })
+  const y = doc.y + 6
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + width, y).lineWidth(1.5).strokeColor(BRAND_COLOR).stroke()
+  doc.y = y + 10
+}
+
+function drawTitle(doc, { title, number, date }) {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  const top = doc.y
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(14).text(title, PAGE_MARGIN, top, { width: width / 2 })
+  doc.font('Helvetica').fontSize(9)
+  doc.text(`No: ${number}`, PAGE_MARGIN + width / 2, top, { width: width / 2, align: 'right' })
+  if (date) doc.text(`Date: ${date}`, { width: width / 2, align: 'right' })
+  doc.x = PAGE_MARGIN
+  doc.y = Math.max(doc.y, top + 20) + 8
+}
+
+function ensureSpace(doc, needed) {
+  if (doc.y + needed > doc.page.height - PAGE_MARGIN - 30) doc.addPage()
+}
+
+function drawHeading(doc, heading) {
+  ensureSpace(doc, 40)
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(10).text(heading.toUpperCase(), PAGE_MARGIN, doc.y)
+  doc.fillColor('#000000').moveDown(0.3)
+}
+
+// Two label/value columns side by side
+function drawFields(doc, fields) {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  const colWidth = width / 2
+  const labelWidth = 95
+  const rows = fields.filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== '')
+  for (let i = 0; i < rows.length; i += 2) {
+    ensureSpace(doc, 16)
+    const top = doc.y
+    let bottom = top
+    rows.slice(i, i + 2).forEach(([label, value], j) => {
+      const x = PAGE_MARGIN + j * colWidth
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(label, x, top, { width: labelWidth })
+      doc.fillColor('#000000').text(String(value), x + labelWidth, top, { width: colWidth - labelWidth - 8 })
+      bottom = Math.max(bottom, doc.y)
+    })
+    doc.y = bottom + 3
+  }
+  doc.x = PAGE_MARGIN
+  doc.moveDown(0.5)
+}
+
+// columns: [{ label, key, width (fraction), align }]
+function drawTable(doc, { columns, rows }) {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  const widths = columns.map((c) => (c.width || 1 / columns.length) * width)
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, 18)
+    const top = doc.y
+    let bottom = top
+    let x = PAGE_MARGIN
+    cells.forEach((cell, i) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000')
+        .text(String(cell ?? ''), x + 3, top + 3, { width: widths[i] - 6, align: columns[i].align || 'left' })
+      bottom = Math.max(bottom, doc.y)
+      x += widths[i]
+    })
+    doc.moveTo(PAGE_MARGIN, bottom + 3).lineTo(PAGE_MARGIN + width, bottom + 3).lineWidth(0.5).strokeColor(RULE_COLOR).stroke()
+    doc.y = bottom + 4
+  }
+  drawRow(columns.map((c) => c.label), true)
+  for (const row of rows) drawRow(columns.map((c) => row[c.key]), false)
+  doc.x = PAGE_MARGIN
+  doc.moveDown(0.5)
+}
+
+// Right-aligned label/amount lines; the `strong` line is highlighted (e.g. on-road price, balance)
+function drawTotals(doc, lines) {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  const x = PAGE_MARGIN + width / 2
+  for (const { label, amount, strong } of lines) {
+    ensureSpace(doc, 16)
+    const top = doc.y
+    doc.font(strong ? 'Helvetica-Bold' : 'Helvetica').fontSize(strong ? 11 : 9).fillColor('#000000')
+    doc.text(label, x, top, { width: width / 4 })
+    doc.text(formatAmount(amount), x + width / 4, top, { width: width / 4, align: 'right' })
+    doc.y = Math.max(doc.y, top + 12) + 2
+  }
+  doc.x = PAGE_MARGIN
+  doc.moveDown(0.5)
+}
+
+function drawTerms(doc, terms) {
+  if (!terms || !terms.length) return
+  drawHeading(doc, 'Terms & Conditions')
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+  terms.forEach((t, i) => {
+    ensureSpace(doc, 12)
+    doc.text(`${i + 1}. ${t}`, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 - 110 })
+  })
+  doc.fillColor('#000000')
+}
+
+// QR + signature block at the bottom of the last page
+async function drawFooter(doc, { qrUrl, signatory }) {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  const qrSize = 90
+  ensureSpace(doc, qrSize + 30)
+  const top = Math.max(doc.y + 10, doc.page.height - PAGE_MARGIN - qrSize - 30)
+  if (qrUrl) {
+    const png = await QRCode.toBuffer(qrUrl, { type: 'png', margin: 1, width: 240, errorCorrectionLevel: 'M' })
+    doc.image(png, PAGE_MARGIN, top, { width: qrSize, height: qrSize })
+    doc.font('Helvetica').fontSize(7).fillColor(MUTED_COLOR).text('Scan to view this document', PAGE_MARGIN, top + qrSize + 2, { width: qrSize + 40 })
+  }
+  doc.font('Helvetica').fontSize(9).fillColor('#000000')
+  doc.text(`For ${COMPANY_NAME}`, PAGE_MARGIN + width - 180, top + 10, { width: 180, align: 'right' })
+  doc.text(signatory || 'Authorised Signatory', PAGE_MARGIN + width - 180, top + qrSize - 10, { width: 180, align: 'right' })
+}
+
+/**
+ * Render a document spec to a PDF Buffer:
+ *   { title, number, date, branch, sections: [{ heading, fields | table | totals | text }],
+ *     terms: [..], qrUrl, signatory, generatedAt }
+ * Output only depends on the spec (creation date is fixed by the caller), so every
+ * device downloading the same document gets the same bytes.
+ */
+async function renderPdf(spec) {
+  const generatedAt = spec.generatedAt || new Date()
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${spec.title} ${spec.number}`,
+      Author: COMPANY_NAME,
+      Creator: COMPANY_NAME,
+      CreationDate: generatedAt,
+      ModDate: generatedAt,
+    },
+  })
+  const chunks = []
+  doc.on('data', (c) => chunks.push(c))
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  drawLetterhead(doc, spec.branch)
+  drawTitle(doc, spec)
+  for (const section of spec.sections || []) {
+    if (section.heading) drawHeading(doc, section.heading)
+    if (section.fields) drawFields(doc, section.fields)
+    if (section.table) drawTable(doc, section.table)
+    if (section.totals) drawTotals(doc, section.totals)
+    if (section.text) {
+      doc.font('Helvetica').fontSize(9).fillColor('#000000').text(section.text, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 })
+      doc.moveDown(0.5)
+    }
+  }
+  drawTerms(doc, spec.terms)
+  await drawFooter(doc, spec)
+
+  // Page numbers once the page count is known
+  const range = doc.bufferedPageRange()
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i)
+    // Footer sits inside the bottom margin; lift the margin so pdfkit does not start a new page
+    const bottomMargin = doc.page.margins.bottom
+    doc.page.margins.bottom = 0
+    doc.font('Helvetica').fontSize(7).fillColor(MUTED_COLOR)
+      .text(`${spec.number}  |  Page ${i + 1} of ${range.count}`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, {
+        width: doc.page.width - PAGE_MARGIN * 2,
+        align: 'center',
+        lineBreak: false,
+      })
+    doc.page.margins.bottom = bottomMargin
+  }
+  doc.end()
+  return done
+}
+
+module.exports = {
+  formatAmount,
+  formatDate,
+  renderPdf,
+}
@@ -0,0 +1,242 @@
+const PriceList = require('../models/priceListModel')
+const Branch = require('../models/branchModel')
+const { normalizeString, toAmount, toDate, isObjectId } = require('./normalize')
+
+// Price components in the order they are printed; keys match quotation.price
+const COMPONENT_LABELS = {
+  exShowroom: 'Ex-showroom',
+  rto: 'Road tax & registration',
+  insurance: 'Insurance',
+  extendedWarranty: 'Extended warranty',
+  accessories: 'Accessories',
+  handling: 'Handling',
+  otherCharges: 'Other charges',
+}
+
+// The active list is read on every quote; keep it briefly instead of hitting Mongo each time.
+// Activation clears this instance's cache only: other instances quote from the old list for up to 30 s
+const ACTIVE_CACHE_MS = 30 * 1000
+let activeCache = null
+
+function pricingError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+const same = (a, b) => normalizeString(a).toLowerCase() === normalizeString(b).toLowerCase()
+const round = (n) => Math.round(Number(n) || 0)
+
+async function getActivePriceList() {
+  if (activeCache && Date.now() - activeCache.t < ACTIVE_CACHE_MS) return activeCache.list
+  const list = await PriceList.findOne({ status: 'active' }).sort({ version: -1 }).lean()
+  activeCache = { list, t: Date.now() }
+  return list
+}
+
+function clearPriceListCache() {
+  activeCache = null
+}
+
+// A specific version (any status, so old quotations can be recomputed) or the active one
+async function loadPriceList(version) {
+  if (version !== undefined && version !== null && version !== '') {
+    const v = parseInt(version, 10)
+    if (!(v > 0)) throw pricingError(400, 'PR_BAD_VERSION', 'version must be a positive number')
+    const list = await PriceList.findOne({ version: v }).lean()
+    if (!list) throw pricingError(404, 'PR_VERSION_NOT_FOUND', `Price list version ${v} not found`)
+    return list
+  }
+  const list = await getActivePriceList()
+  if (!list) throw pricingError(404, 'PR_NO_ACTIVE_LIST', 'No active price list')
+  return list
+}
+
+/**
+ * Most specific item for model/variant/colour. Items with an empty variant or
+ * colour act as wildcards; an exact variant beats an exact colour.
+ */
+function findItem(list, { model, variant, colour }) {
+  let best = null
+  let bestScore = -1
+  for (const item of list.items || []) {
+    if (!same(item.model, model)) continue
+    let score = 0
+    if (item.variant) {
+      if (!same(item.variant, variant)) continue
+      score += 2
+    }
+    if (item.colour) {
+      if (!same(item.colour, colour)) continue
+      score += 1
+    }
+    if (score > bestScore) {
+      best = item
+      bestScore = score
+    }
+  }
+  return best
+}
+
+async function stateFor({ state, branchId, branchCode }, list) {
+  const explicit = normalizeString(state).toUpperCase()
+  if (explicit) return explicit
+  if (branchId || branchCode) {
+    const br = isObjectId(branchId)
+      ? await Branch.findById(branchId).select('address.state').lean()
+      : await Branch.findOne({ code: String(branchCode).trim().toUpperCase() }).select('address.state').lean()
+    const fromBranch = normalizeString(br?.address?.state).toUpperCase()
+    if (fromBranch) return fromBranch
+  }
+  return list.defaultState || ''
+}
+
+// Pick one option by code; "none"/false opts out; nothing given falls back to the default
+function pickOption(options, requested, kind, { required }) {
+  if (requested === false || same(requested, 'none')) {
+    if (required && options.length) throw pricingError(400, 'PR_OPTION_REQUIRED', `${kind} cannot be skipped`)
+    return null
+  }
+  if (requested) {
+    const found = options.find((o) => same(o.code, requested))
+    if (!found) {
+      const codes = options.map((o) => o.code).join(', ') || 'none available'
+      throw pricingError(400, 'PR_UNKNOWN_OPTION', `Unknown ${kind} "${requested}" (options: ${codes})`)
+    }
+    return found
+  }
+  return options.find((o) => o.isDefault) || (required ? options[0] : null) || null
+}
+
+function requestedCodes(value) {
+  if (Array.isArray(value)) return value.map((v) => normalizeString(v)).filter(Boolean)
+  return normalizeString(value).split(',').map((s) => s.trim()).filter(Boolean)
+}
+
+/**
+ * Itemised on-road price.
+ * input: { model, variant, colour, state | branchId | branchCode, insurance, extendedWarranty,
+ *          accessories: [codes], otherCharges, discount, version }
+ * otherCharges is not on the price list; it is carried as entered by the staff.
+ * `price` has the same keys as quotation.price, so it can be stored as-is.
+ */
+async function quotePrice(input = {}) {
+  const model = normalizeString(input.model)
+  if (!model) throw pricingError(400, 'PR_MODEL_REQUIRED', 'model is required')
+  const list = await loadPriceList(input.version)
+  const item = findItem(list, { model, variant: input.variant, colour: input.colour })
+  if (!item) {
+    const label = [model, input.variant, input.colour].map(normalizeString).filter(Boolean).join(' / ')
+    throw pricingError(404, 'PR_NO_PRICE', `No price for ${label} in price list v${list.version}`)
+  }
+
+  const state = await stateFor(input, list)
+  if (!state) throw pricingError(400, 'PR_STATE_REQUIRED', 'state is required to compute RTO')
+  const rule = (item.rto || []).find((r) => r.state === state) || (list.rtoRules || []).find((r) => r.state === state)
+  if (!rule) throw pricingError(400, 'PR_NO_RTO_RULE', `No RTO rule for state ${state} in price list v${list.version}`)
+
+  const insurance = pickOption(item.insurance || [], input.insurance, 'insurance', { required: true })
+  const ew = pickOption(item.extendedWarranty || [], input.extendedWarranty, 'extended warranty', { required: false })
+  const accessories = (item.accessories || []).filter((a) => a.isDefault)
+  for (const code of requestedCodes(input.accessories)) {
+    const found = (item.accessories || []).find((a) => same(a.code, code))
+    if (!found) throw pricingError(400, 'PR_UNKNOWN_OPTION', `Unknown accessory "${code}"`)
+    if (!accessories.includes(found)) accessories.push(found)
+  }
+
+  const exShowroom = round(item.exShowroom)
+  const rto = round((exShowroom * (rule.ratePercent || 0)) / 100 + (rule.fixed || 0))
+  const lines = [
+    { component: 'exShowroom', label: COMPONENT_LABELS.exShowroom, amount: exShowroom },
+    { component: 'rto', label: `${COMPONENT_LABELS.rto} (${state})`, amount: rto },
+  ]
+  if (insurance) lines.push({ component: 'insurance', code: insurance.code, label: insurance.name, amount: round(insurance.amount) })
+  if (ew) lines.push({ component: 'extendedWarranty', code: ew.code, label: ew.name, amount: round(ew.amount) })
+  for (const a of accessories) lines.push({ component: 'accessories', code: a.code, label: a.name, amount: round(a.amount) })
+  if (item.handling) lines.push({ component: 'handling', label: COMPONENT_LABELS.handling, amount: round(item.handling) })
+  const otherCharges = round(toAmount(input.otherCharges) || 0)
+  if (otherCharges < 0) throw pricingError(400, 'PR_BAD_OTHER_CHARGES', 'otherCharges cannot be negative')
+  if (otherCharges) lines.push({ component: 'otherCharges', label: COMPONENT_LABELS.otherCharges, amount: otherCharges })
+
+  const price = { exShowroom: 0, rto: 0, insurance: 0, extendedWarranty: 0, accessories: 0, handling: 0, otherCharges: 0 }
+  for (const l of lines) price[l.component] += l.amount
+  const gross = Object.values(price).reduce((s, n) => s + n, 0)
+  const discount = round(toAmount(input.discount) || 0)
+  if (discount < 0 || discount > gross) throw pricingError(400, 'PR_BAD_DISCOUNT', `discount must be between 0 and ${gross}`)
+  price.discount = discount
+  price.onRoad = gross - discount
+
+  return {
+    priceList: { id: list._id, version: list.version, name: list.name },
+    vehicle: { model: item.model, variant: item.variant || normalizeString(input.variant), colour: item.colour || normalizeString(input.colour) },
+    state,
+    lines,
+    price,
+    selections: { insurance: insurance?.code || null, extendedWarranty: ew?.code || null, accessories: accessories.map((a) => a.code) },
+    available: {
+      insurance: item.insurance || [],
+      extendedWarranty: item.extendedWarranty || [],
+      accessories: item.accessories || [],
+    },
+  }
+}
+
+/**
+ * Price a quotation (not yet saved) from the price list and record which version was used.
+ * `options` are the quote selections ({ state, insurance, extendedWarranty, accessories, version }).
+ */
+async function applyQuotationPricing(doc, options = {}) {
+  const quote = await quotePrice({
+    ...options,
+    model: doc.vehicle?.model,
+    variant: doc.vehicle?.variant,
+    colour: doc.vehicle?.colour,
+    branchId: doc.branch,
+    branchCode: doc.branchCode,
+    discount: options.discount ?? doc.price?.discount,
+    otherCharges: options.otherCharges ?? doc.price?.otherCharges,
+  })
+  for (const [key, value] of Object.entries(quote.price)) doc.set(`price.${key}`, value)
+  doc.pricing = {
+    priceList: quote.priceList.id,
+    version: quote.priceList.version,
+    state: quote.state,
+    selections: quote.selections,
+    lines: quote.lines,
+    computedAt: new Date(),
+  }
+  return quote
+}
+
+// Normalise an admin payload into price list fields (items replace the whole list)
+function priceListFromInput(input = {}) {
+  const out = {}
+  const name = normalizeString(input.name)
+  if (name) out.name = name
+  if (input.effectiveFrom !== undefined) out.effectiveFrom = toDate(input.effectiveFrom) || null
+  if (input.defaultState !== undefined) out.defaultState = normalizeString(input.defaultState).toUpperCase() || undefined
+  if (input.notes !== undefined) out.notes = normalizeString(input.notes) || undefined
+  if (Array.isArray(input.rtoRules)) out.rtoRules = input.rtoRules
+  if (Array.isArray(input.items)) {
+    const seen = new Set()
+    for (const item of input.items) {
+      const key = ['model', 'variant', 'colour'].map((k) => normalizeString(item?.[k]).toLowerCase()).join('|')
+      if (seen.has(key)) throw pricingError(400, 'PR_DUPLICATE_ITEM', `Duplicate price list item ${key.replace(/\|+$/, '')}`)
+      seen.add(key)
+    }
+    out.items = input.items
+  }
+  return out
+}
+
+module.exports = {
+  COMPONENT_LABELS,
+  getActivePriceList,
+  clearPriceListCache,
+  loadPriceList,
+  findItem,
+  quotePrice,
+  applyQuotationPricing,
+  priceListFromInput,
+}
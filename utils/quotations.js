@@ -0,0 +1,93 @@
+const Quotation = require('../models/quotationModel')
+const { queueGoogleFormMirror } = require('./outbox')
+const { normalizeString, normalizeMobile10, pick, toAmount, toDate, isObjectId } = require('./normalize')
+
+const QUOTATION_VALIDITY_DAYS = parseInt(process.env.QUOTATION_VALIDITY_DAYS || '7', 10) || 7
+const PRICE_KEYS = {
+  exShowroom: ['exShowroom', 'exShowroomPrice'],
+  rto: ['rto', 'roadTax', 'rtoCharges'],
+  insurance: ['insurance'],
+  extendedWarranty: ['extendedWarranty', 'ew'],
+  accessories: ['accessories'],
+  handling: ['handling', 'handlingCharges'],
+  otherCharges: ['otherCharges', 'others'],
+  discount: ['discount'],
+}
+
+/**
+ * Map a client payload to Quotation paths. Accepts the structured shape
+ * ({ customer: {...}, vehicle: {...}, price: {...} }) as well as the flat
+ * formValues the frontend already posts to the Google Form flow.
+ * Only paths present in the input are returned, so the result works for updates.
+ */
+function quotationPathsFromInput(input = {}) {
+  const fv = input.formValues && typeof input.formValues === 'object' ? { ...input.formValues, ...input } : input
+  const c = fv.customer && typeof fv.customer === 'object' ? fv.customer : {}
+  const v = fv.vehicle && typeof fv.vehicle === 'object' ? fv.vehicle : {}
+  const pr = fv.price && typeof fv.price === 'object' ? fv.price : fv
+  const out = {}
+  const set = (path, value) => { if (value !== undefined && value !== '') out[path] = value }
+
+  set('serialNo', normalizeString(pick(fv, 'serialNo', 'serial', 'quotationNo')))
+  set('customer.name', normalizeString(pick(c, 'name') ?? pick(fv, 'customerName', 'name')))
+  const mobile = pick(c, 'mobile') ?? pick(fv, 'mobile', 'customerMobile', 'phone')
+  if (mobile !== undefined) set('customer.mobile', normalizeMobile10(mobile) || normalizeString(mobile))
+  set('customer.email', normalizeString(pick(c, 'email') ?? pick(fv, 'email', 'customerEmail')))
+  set('customer.address', normalizeString(pick(c, 'address') ?? pick(fv, 'address', 'customerAddress')))
+  set('vehicle.model', normalizeString(pick(v, 'model') ?? pick(fv, 'vehicleModel', 'model', 'bikeModel')))
+  set('vehicle.variant', normalizeString(pick(v, 'variant') ?? pick(fv, 'variant')))
+  set('vehicle.colour', normalizeString(pick(v, 'colour', 'color') ?? pick(fv, 'colour', 'color')))
+  for (const [key, aliases] of Object.entries(PRICE_KEYS)) {
+    set(`price.${key}`, toAmount(pick(pr, ...aliases)))
+  }
+  set('validUntil', toDate(pick(fv, 'validUntil', 'validTill')))
+  set('notes', normalizeString(pick(fv, 'notes', 'remarks')))
+  set('staffName', normalizeString(pick(fv, 'staffName', 'executive', 'executiveName')))
+  const staffId = pick(fv, 'staffId', 'staff')
+  if (isObjectId(staffId)) set('staff', String(staffId))
+  return out
+}
+
+function defaultValidUntil(from = new Date()) {
+  return new Date(from.getTime() + QUOTATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+}
+
+// Google Form copy of a saved quotation, delivered via the outbox (status lands on quotation.googleForm)
+function mirrorQuotationToGoogleForm(quotation, formId, entries) {
+  return queueGoogleFormMirror(Quotation, quotation, formId, entries, { source: 'quotation', serial: quotation.serialNo })
+}
+
+// List filter shared by GET /api/quotations and exports
+function quotationListFilter(query = {}) {
+  const { branch, branchCode, staff, status, from, to, mobile, q } = query
+  const filter = {}
+  if (branch && isObjectId(branch)) filter.branch = branch
+  if (branchCode) filter.branchCode = String(branchCode).trim().toUpperCase()
+  if (staff && isObjectId(staff)) filter.staff = staff
+  if (status === 'expired') {
+    filter.status = 'active'
+    filter.validUntil = { $lt: new Date() }
+  } else if (status) {
+    filter.status = status
+  }
+  const fromDate = toDate(from)
+  const toDateValue = toDate(to)
+  if (fromDate || toDateValue) {
+    filter.createdAt = {}
+    if (fromDate) filter.createdAt.$gte = fromDate
+    if (toDateValue) filter.createdAt.$lte = toDateValue
+  }
+  if (mobile) filter['customer.mobile'] = String(mobile).replace(/\D/g, '').slice(-10)
+  if (q) {
+    const re = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+    filter.$or = [{ serialNo: re }, { 'customer.name': re }, { 'customer.mobile': re }, { 'vehicle.model': re }]
+  }
+  return filter
+}
+
+module.exports = {
+  quotationPathsFromInput,
+  defaultValidUntil,
+  mirrorQuotationToGoogleForm,
+  quotationListFilter,
+}
@@ -0,0 +1,228 @@
+const Counter = require('../models/counterModel')
+const SerialAllocation = require('../models/serialAllocationModel')
+
+// Document types that draw numbers from a counter. `format` can be overridden
+// per type via env (e.g. JOBCARD_SERIAL_FORMAT=JC/{BRANCH}/{FY}/{SEQ:6}).
+// Tokens: {PREFIX} {BRANCH} {FY} (2026-27) {FYSHORT} (2627) {SEQ} / {SEQ:n} (zero padded)
+const DOC_TYPES = {
+  quotation: { prefix: 'Q', formatEnv: 'QUOTATION_SERIAL_FORMAT', resetEnv: 'QUOTATION_SERIAL_RESET' },
+  jobcard: { prefix: 'JC', formatEnv: 'JOBCARD_SERIAL_FORMAT', resetEnv: 'JOBCARD_SERIAL_RESET' },
+  booking: { prefix: 'BK', formatEnv: 'BOOKING_SERIAL_FORMAT', resetEnv: 'BOOKING_SERIAL_RESET' },
+  receipt: { prefix: 'RC', formatEnv: 'RECEIPT_SERIAL_FORMAT', resetEnv: 'RECEIPT_SERIAL_RESET' },
+  refund: { prefix: 'RF', formatEnv: 'REFUND_SERIAL_FORMAT', resetEnv: 'REFUND_SERIAL_RESET' },
+  stockmovement: { prefix: 'MV', formatEnv: 'STOCK_MOVEMENT_SERIAL_FORMAT', resetEnv: 'STOCK_MOVEMENT_SERIAL_RESET' },
+}
+const DEFAULT_FORMAT = '{PREFIX}/{BRANCH}/{FY}/{SEQ:6}'
+
+// Financial year boundaries are computed in IST regardless of server TZ
+const IST_OFFSET_MS = 330 * 60 * 1000
+const FY_START_MONTH = Math.min(Math.max(parseInt(process.env.FY_START_MONTH || '4', 10) || 4, 1), 12)
+
+function badRequest(message) {
+  const err = new Error(message)
+  err.status = 400
+  err.code = 'SEQ_BAD_REQUEST'
+  return err
+}
+
+function getDocType(docType) {
+  const key = String(docType || '').trim().toLowerCase()
+  const def = DOC_TYPES[key]
+  if (!def) throw badRequest(`Unknown docType: ${docType}`)
+  return { key, ...def }
+}
+
+function financialYear(date = new Date()) {
+  const d = new Date(new Date(date).getTime() + IST_OFFSET_MS)
+  const month = d.getUTCMonth() + 1
+  const start = month >= FY_START_MONTH ? d.getUTCFullYear() : d.getUTCFullYear() - 1
+  // Calendar-year FY (start month 1) is labelled by the single year
+  if (FY_START_MONTH === 1) return String(start)
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`
+}
+
+// A date that falls inside a period label, for re-formatting serials of past years
+function dateInPeriod(period) {
+  const m = String(period || '').match(/^(\d{4})/)
+  if (!m) return new Date()
+  return new Date(Date.UTC(parseInt(m[1], 10), FY_START_MONTH - 1, 15))
+}
+
+// Counter period: one sequence per financial year unless reset is disabled
+function periodFor(docType, date = new Date()) {
+  const def = getDocType(docType)
+  const reset = String(process.env[def.resetEnv] || 'fy').toLowerCase()
+  return reset === 'never' ? 'ALL' : financialYear(date)
+}
+
+function formatSerial(docType, { branchCode, seq, date = new Date() }) {
+  const def = getDocType(docType)
+  const format = process.env[def.formatEnv] || DEFAULT_FORMAT
+  const fy = financialYear(date)
+  return format
+    .replace(/\{PREFIX\}/g, def.prefix)
+    .replace(/\{BRANCH\}/g, String(branchCode || '').toUpperCase())
+    .replace(/\{FYSHORT\}/g, fy.replace(/\D/g, '').slice(-4))
+    .replace(/\{FY\}/g, fy)
+    .replace(/\{SEQ(?::(\d+))?\}/g, (_, pad) => String(seq).padStart(parseInt(pad || '0', 10), '0'))
+}
+
+// Where a docType's saved documents keep their number (types reserved per mobile only)
+const SAVED_ON = {
+  quotation: { model: '../models/quotationModel', field: 'serialNo' },
+  jobcard: { model: '../models/jobCardModel', field: 'jcNo' },
+}
+
+async function isSerialSaved(docType, serial) {
+  const where = SAVED_ON[docType]
+  if (!where) return false
+  // Required lazily: the models are not needed for the other docTypes
+  const Model = require(where.model)
+  return Boolean(await Model.exists({ [where.field]: serial }))
+}
+
+async function nextSeq({ docType, branchCode, period }) {
+  const key = `${docType}:${branchCode}:${period}`
+  const run = () => Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 }, $setOnInsert: { docType, branchCode, period } },
+    { upsert: true, new: true }
+  )
+  try {
+    return (await run()).seq
+  } catch (err) {
+    // Two first-ever reservations can race on the upsert; the loser retries as a plain $inc
+    if (err?.code === 11000) return (await run()).seq
+    throw err
+  }
+}
+
+/**
+ * Reserve the next number for a docType/branch. Re-uses an unused reservation
+ * for the same mobile in the same period so repeated opens of a form do not burn numbers.
+ * Returns { serial, seq, period, reused }.
+ */
+async function reserveSerial(docType, { branchCode, mobile, userId, date = new Date() } = {}) {
+  const { key } = getDocType(docType)
+  const bc = String(branchCode || '').trim().toUpperCase()
+  if (!bc) throw badRequest('branchCode is required')
+  const period = periodFor(key, date)
+
+  if (mobile) {
+    const existing = await SerialAllocation.findOne({ docType: key, branchCode: bc, period, mobile, status: 'reserved' })
+      .sort({ seq: -1 })
+      .lean()
+    // markSerialUsed runs after the save, so the row can still say reserved for a number that is taken
+    if (existing && !(await isSerialSaved(key, existing.serial))) {
+      return { serial: existing.serial, seq: existing.seq, period, reused: true }
+    }
+    if (existing) await markSerialUsed(existing.serial)
+  }
+
+  const seq = await nextSeq({ docType: key, branchCode: bc, period })
+  const serial = formatSerial(key, { branchCode: bc, seq, date })
+  await SerialAllocation.create({
+    docType: key,
+    branchCode: bc,
+    period,
+    seq,
+    serial,
+    status: 'reserved',
+    ...(mobile ? { mobile } : {}),
+    ...(userId ? { reservedBy: userId } : {}),
+  })
+  return { serial, seq, period, reused: false }
+}
+
+/**
+ * The number the next reservation would get, without taking it (the counter is only read).
+ * A preview: another reservation can claim it first, so forms still reserve before saving.
+ */
+async function peekSerial(docType, { branchCode, date = new Date() } = {}) {
+  const { key } = getDocType(docType)
+  const bc = String(branchCode || '').trim().toUpperCase()
+  if (!bc) throw badRequest('branchCode is required')
+  const period = periodFor(key, date)
+  const counter = await Counter.findOne({ key: `${key}:${bc}:${period}` }).select('seq').lean()
+  const seq = (counter?.seq || 0) + 1
+  return { serial: formatSerial(key, { branchCode: bc, seq, date }), seq, period }
+}
+
+// Mark a reserved serial as consumed by a saved document. Unknown serials (legacy/sheet numbers) are ignored.
+async function markSerialUsed(serial) {
+  const s = String(serial || '').trim()
+  if (!s) return false
+  const r = await SerialAllocation.updateOne({ serial: s, status: 'reserved' }, { $set: { status: 'used', usedAt: new Date() } })
+  return r.modifiedCount > 0
+}
+
+// Void a reserved-but-never-used serial with a reason accounts can read back in the audit.
+async function voidSerial(serial, { reason, userId } = {}) {
+  const s = String(serial || '').trim()
+  const why = String(reason || '').trim()
+  if (!s) throw badRequest('serial is required')
+  if (!why) throw badRequest('reason is required')
+  const doc = await SerialAllocation.findOne({ serial: s })
+  if (!doc) {
+    const err = new Error('Serial not found')
+    err.status = 404
+    throw err
+  }
+  if (doc.status !== 'reserved') {
+    const err = new Error(`Serial is already ${doc.status}`)
+    err.status = 409
+    throw err
+  }
+  doc.status = 'void'
+  doc.voidReason = why.slice(0, 500)
+  doc.voidedAt = new Date()
+  if (userId) doc.voidedBy = userId
+  await doc.save()
+  return doc
+}
+
+/**
+ * Gap/void audit for one counter. Walks 1..seq and explains every number that
+ * did not end up on a saved document: `reserved` (never used), `void` (with reason)
+ * or `missing` (counter advanced but the allocation row was never written).
+ */
+async function auditSerials(docType, { branchCode, period } = {}) {
+  const { key } = getDocType(docType)
+  const bc = String(branchCode || '').trim().toUpperCase()
+  if (!bc) throw badRequest('branchCode is required')
+  const p = String(period || '').trim() || periodFor(key)
+
+  const counter = await Counter.findOne({ key: `${key}:${bc}:${p}` }).lean()
+  const issued = counter?.seq || 0
+  const rows = await SerialAllocation.find({ docType: key, branchCode: bc, period: p })
+    .select('seq serial status mobile reservedBy createdAt usedAt voidedAt voidedBy voidReason')
+    .sort({ seq: 1 })
+    .lean()
+  const bySeq = new Map(rows.map((r) => [r.seq, r]))
+
+  const summary = { issued, used: 0, reserved: 0, void: 0, missing: 0 }
+  const gaps = []
+  for (let seq = 1; seq <= issued; seq++) {
+    const row = bySeq.get(seq)
+    if (!row) {
+      summary.missing += 1
+      gaps.push({ seq, serial: formatSerial(key, { branchCode: bc, seq, date: dateInPeriod(p) }), status: 'missing' })
+      continue
+    }
+    summary[row.status] += 1
+    if (row.status !== 'used') gaps.push(row)
+  }
+  return { docType: key, branchCode: bc, period: p, summary, gaps }
+}
+
+module.exports = {
+  DOC_TYPES,
+  financialYear,
+  periodFor,
+  formatSerial,
+  reserveSerial,
+  peekSerial,
+  markSerialUsed,
+  voidSerial,
+  auditSerials,
+}
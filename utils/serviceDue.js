@@ -0,0 +1,402 @@
+const mongoose = require('mongoose')
+const ServiceDue = require('../models/serviceDueModel')
+const ServiceSchedule = require('../models/serviceScheduleModel')
+const Vehicle = require('../models/vehicleModel')
+const JobCard = require('../models/jobCardModel')
+const Customer = require('../models/customerModel')
+const Branch = require('../models/branchModel')
+const { serviceTimeline } = require('./vehicles')
+const { backfillVehicleKeys } = require('./jobCards')
+const { normalizeVehicleId } = require('./normalize')
+const { sendWhatsappText } = require('./whatsapp')
+const { sendMail, isMailConfigured } = require('./mailer')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Shantha Motors'
+
+// Days before the due date to remind (negative = after it is overdue); only the closest applicable one is sent
+const LEAD_DAYS = String(process.env.SERVICE_REMINDER_LEAD_DAYS || '7,1')
+  .split(',').map((s) => parseInt(s, 10)).filter(Number.isFinite).sort((a, b) => b - a)
+// Entries overdue by more than this many days are left to staff (the customer has likely moved on)
+const MAX_OVERDUE_DAYS = Number(process.env.SERVICE_REMINDER_MAX_OVERDUE_DAYS || 30)
+// Never remind the same customer twice within this many hours, whatever the cycle
+const MIN_GAP_HOURS = Number(process.env.SERVICE_REMINDER_MIN_GAP_HOURS || 24)
+// Failed sends for one lead are retried this many times
+const MAX_ATTEMPTS_PER_LEAD = 3
+// Local hours (IST) in which automatic reminders go out, e.g. "9-19"
+const SEND_HOURS = String(process.env.SERVICE_REMINDER_HOURS || '9-19').split('-').map((s) => parseInt(s, 10))
+const WORKER_INTERVAL_MS = Number(process.env.SERVICE_REMINDER_INTERVAL_MS || 60 * 60 * 1000)
+const RECOMPUTE_EVERY_MS = DAY_MS
+
+// Used when neither the model nor "*" has a ServiceSchedule
+const DEFAULT_SCHEDULE = {
+  model: '*',
+  services: [
+    { label: '1st free service', days: 30, km: 750 },
+    { label: '2nd free service', days: 120, km: 3000 },
+    { label: '3rd free service', days: 210, km: 6000 },
+  ],
+  repeatEveryDays: 120,
+  repeatEveryKm: 3000,
+}
+
+function serviceDueError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS)
+
+async function scheduleFor(model, cache) {
+  const key = String(model || '').trim().toLowerCase()
+  const all = cache || await ServiceSchedule.find({ active: true }).lean()
+  return all.find((s) => s.modelKey === key) || all.find((s) => s.modelKey === '*') || DEFAULT_SCHEDULE
+}
+
+/**
+ * Next service from the sale date and delivered job cards (oldest first: { at, odometer }).
+ * The schedule's numbered services count from the sale date; after them (or when the sale date
+ * is unknown) the next one is a fixed interval after the last visit. A km limit reached earlier
+ * at the vehicle's average usage moves the due date forward.
+ */
+function computeNextService({ saleDate, visits = [], schedule }) {
+  const done = visits.length
+  const last = visits[done - 1]
+  const readings = [
+    ...(saleDate ? [{ at: new Date(saleDate), odometer: 0 }] : []),
+    ...visits.filter((v) => typeof v.odometer === 'number'),
+  ]
+  let kmPerDay
+  if (readings.length >= 2) {
+    const first = readings[0]
+    const latest = readings[readings.length - 1]
+    const days = (new Date(latest.at) - new Date(first.at)) / DAY_MS
+    if (days >= 7 && latest.odometer > first.odometer) kmPerDay = (latest.odometer - first.odometer) / days
+  }
+  const lastOdometer = readings.length ? readings[readings.length - 1].odometer : undefined
+  const lastReadingAt = readings.length ? readings[readings.length - 1].at : undefined
+
+  let label
+  let byDate
+  let dueKm
+  const numbered = (schedule.services || [])[done]
+  if (saleDate && numbered) {
+    label = numbered.label
+    if (typeof numbered.days === 'number') byDate = addDays(saleDate, numbered.days)
+    if (typeof numbered.km === 'number') dueKm = numbered.km
+  } else {
+    const base = last?.at || saleDate
+    if (!base) return null
+    label = 'Periodic service'
+    byDate = addDays(base, schedule.repeatEveryDays || DEFAULT_SCHEDULE.repeatEveryDays)
+    if (typeof lastOdometer === 'number') dueKm = lastOdometer + (schedule.repeatEveryKm || DEFAULT_SCHEDULE.repeatEveryKm)
+  }
+
+  let dueDate = byDate
+  let basis = 'date'
+  if (typeof dueKm === 'number' && kmPerDay > 0 && typeof lastOdometer === 'number') {
+    const byKm = addDays(lastReadingAt, Math.max(dueKm - lastOdometer, 0) / kmPerDay)
+    if (!dueDate || byKm < dueDate) {
+      dueDate = byKm
+      basis = 'km'
+    }
+  }
+  if (!dueDate) return null
+  return {
+    next: { label, dueDate, dueKm, basis },
+    servicesDone: done,
+    lastServiceAt: last?.at,
+    lastOdometer,
+    kmPerDay: kmPerDay ? Math.round(kmPerDay * 10) / 10 : undefined,
+  }
+}
+
+// Keys the same vehicle was stored under before it was registered or its chassis was known
+function supersededKeys(key, { vehicle, regNo, chassisNo }) {
+  const chassis = vehicle?.chassisNo || chassisNo
+  const reg = vehicle?.regNo || regNo
+  return [chassis && `CH:${chassis}`, reg && `RG:${reg}`].filter((k) => k && k !== key)
+}
+
+// Move the newest superseded entry (reminder history, snooze) to `key` and drop the rest
+async function rekeyServiceDue(key, stale) {
+  if (!stale.length) return
+  if (!(await ServiceDue.exists({ vehicleKey: key }))) {
+    const prev = await ServiceDue.findOne({ vehicleKey: { $in: stale } }).sort({ updatedAt: -1 }).select('_id').lean()
+    if (prev) {
+      try {
+        await ServiceDue.updateOne({ _id: prev._id }, { $set: { vehicleKey: key } })
+      } catch (err) {
+        // A concurrent refresh created `key` first; the old entry is dropped below
+        if (err?.code !== 11000) throw err
+      }
+    }
+  }
+  await ServiceDue.deleteMany({ vehicleKey: { $in: stale } })
+}
+
+// Recompute and store the entry for one vehicle (registry record and/or identifiers from job cards)
+async function refreshServiceDue({ vehicle, regNo, chassisNo }, { schedules } = {}) {
+  if (!vehicle && (chassisNo || regNo)) {
+    // Unlinked job cards of a registered vehicle belong to its registry entry
+    const or = [chassisNo && { chassisNo }, regNo && { regNo }].filter(Boolean)
+    vehicle = await Vehicle.findOne({ $or: or }).lean()
+  }
+  const key = vehicle ? String(vehicle._id) : chassisNo ? `CH:${chassisNo}` : regNo ? `RG:${regNo}` : null
+  if (!key) return null
+  const stale = supersededKeys(key, { vehicle, regNo, chassisNo })
+  const { visits } = await serviceTimeline({ vehicle, regNo, chassisNo })
+  const delivered = visits
+    .filter((v) => v.status === 'delivered')
+    .map((v) => ({ ...v, at: v.deliveredAt || v.receivedAt }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+  const latest = delivered[delivered.length - 1] || visits[0]
+  const model = vehicle?.model || visits.find((v) => v.model)?.model
+  const schedule = await scheduleFor(model, schedules)
+  const computed = computeNextService({ saleDate: vehicle?.saleDate, visits: delivered, schedule })
+  if (!computed) {
+    await ServiceDue.deleteMany({ vehicleKey: { $in: [key, ...stale] } })
+    return null
+  }
+  await rekeyServiceDue(key, stale)
+
+  let customer = latest?.customer || {}
+  let customerId = latest?.customerId
+  if (vehicle?.owner) {
+    const owner = await Customer.findById(vehicle.owner).select('name mobile email').lean()
+    if (owner) {
+      customer = owner
+      customerId = owner._id
+    }
+  }
+  const set = {
+    vehicle: vehicle?._id,
+    regNo: vehicle?.regNo || regNo || latest?.regNo,
+    chassisNo: vehicle?.chassisNo || chassisNo || latest?.chassisNo,
+    model,
+    customer: { name: customer.name, mobile: customer.mobile, email: customer.email },
+    customerId,
+    branch: latest?.branch || vehicle?.sellingBranch,
+    branchCode: latest?.branchCode || vehicle?.sellingBranchCode,
+    saleDate: vehicle?.saleDate,
+    servicesDone: computed.servicesDone,
+    lastServiceAt: computed.lastServiceAt,
+    lastJobCardNo: delivered[delivered.length - 1]?.jcNo,
+    lastOdometer: computed.lastOdometer,
+    kmPerDay: computed.kmPerDay,
+    nextService: computed.next,
+    computedAt: new Date(),
+  }
+  for (const k of Object.keys(set)) if (set[k] === undefined) delete set[k]
+  return ServiceDue.findOneAndUpdate({ vehicleKey: key }, { $set: set }, { upsert: true, new: true })
+}
+
+// After a job card is delivered: refresh its vehicle's entry (never blocks the caller)
+async function refreshServiceDueForJobCard(jobCard) {
+  try {
+    const vehicle = jobCard.vehicleId ? await Vehicle.findById(jobCard.vehicleId).lean() : null
+    const regNo = normalizeVehicleId(jobCard.vehicle?.regNo) || undefined
+    const chassisNo = normalizeVehicleId(jobCard.vehicle?.chassisNo) || undefined
+    return await refreshServiceDue({ vehicle, regNo, chassisNo })
+  } catch (err) {
+    console.warn('service due refresh failed', jobCard.jcNo, err?.message || err)
+    return null
+  }
+}
+
+// Every registered vehicle with a sale date, plus vehicles only known from delivered job cards
+async function recomputeAllServiceDue() {
+  const schedules = await ServiceSchedule.find({ active: true }).lean()
+  let count = 0
+  for await (const vehicle of Vehicle.find({ saleDate: { $exists: true } }).lean().cursor({ batchSize: 200 })) {
+    if (await refreshServiceDue({ vehicle }, { schedules })) count += 1
+  }
+  const unlinked = JobCard.aggregate([
+    { $match: { status: 'delivered', vehicleId: { $exists: false } } },
+    { $group: { _id: { chassisNo: { $ifNull: ['$vehicle.chassisKey', '$vehicle.chassisNo'] }, regNo: { $ifNull: ['$vehicle.regKey', '$vehicle.regNo'] } } } },
+  ]).cursor({ batchSize: 200 })
+  const seen = new Set()
+  for await (const row of unlinked) {
+    // Job cards not yet backfilled carry un-normalized numbers; key them the same way as new ones
+    const chassisNo = normalizeVehicleId(row._id?.chassisNo) || undefined
+    const regNo = normalizeVehicleId(row._id?.regNo) || undefined
+    const key = chassisNo || regNo
+    if (!key || seen.has(key)) continue
+    seen.add(key)
+    if (await refreshServiceDue({ chassisNo, regNo }, { schedules })) count += 1
+  }
+  return { count }
+}
+
+function reminderText(entry, branch) {
+  const when = new Date(entry.nextService.dueDate).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric' })
+  const vehicle = [entry.model, entry.regNo].filter(Boolean).join(' ')
+  const overdue = new Date(entry.nextService.dueDate) < new Date()
+  const where = branch ? ` Book a slot at ${branch.name}${branch.phone ? ` (${branch.phone})` : ''}.` : ''
+  return `Hi ${entry.customer?.name || 'there'}, your ${vehicle || 'vehicle'} ${overdue ? 'was' : 'is'} due for its ${entry.nextService.label} on ${when}.${where} - ${COMPANY_NAME}`
+}
+
+const cycleOf = (entry) => `${entry.nextService.label}|${new Date(entry.nextService.dueDate).toISOString().slice(0, 10)}`
+
+// The lead to remind for now (closest applicable), or null when none applies, it was already sent
+// or the service is more than MAX_OVERDUE_DAYS overdue
+function reminderLeadDue(entry, now = new Date()) {
+  if (!entry.nextService?.dueDate) return null
+  const daysLeft = Math.ceil((new Date(entry.nextService.dueDate) - now) / DAY_MS)
+  if (daysLeft < -MAX_OVERDUE_DAYS) return null
+  const applicable = LEAD_DAYS.filter((l) => daysLeft <= l)
+  if (!applicable.length) return null
+  const lead = applicable[applicable.length - 1]
+  const cycle = cycleOf(entry)
+  const inCycle = (entry.reminders || []).filter((r) => r.cycle === cycle)
+  // A reminder for this lead (or a closer one) already went out
+  if (inCycle.some((r) => r.status === 'sent' && r.leadDays <= lead)) return null
+  if (inCycle.filter((r) => r.leadDays === lead && r.status === 'failed').length >= MAX_ATTEMPTS_PER_LEAD) return null
+  return lead
+}
+
+/**
+ * Send one reminder over every channel the customer has not opted out of and record each attempt.
+ * Returns the attempts; throws 409 when the customer was reminded within MIN_GAP_HOURS.
+ * lastRemindedAt is claimed before sending, so the worker and a manual "remind" never both send.
+ */
+async function sendServiceReminder(entry, { leadDays, userId, now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - MIN_GAP_HOURS * 60 * 60 * 1000)
+  const claimed = await ServiceDue.findOneAndUpdate(
+    { _id: entry._id, $or: [{ lastRemindedAt: { $lt: cutoff } }, { lastRemindedAt: null }] },
+    { $set: { lastRemindedAt: now } },
+    { new: false, projection: { lastRemindedAt: 1 } }
+  )
+  if (!claimed) {
+    throw serviceDueError(409, 'SR_TOO_SOON', `Customer was reminded in the last ${MIN_GAP_HOURS}h; wait ${MIN_GAP_HOURS}h between reminders`)
+  }
+  const customer = entry.customerId ? await Customer.findById(entry.customerId).select('name mobile email consent').lean() : null
+  const consent = customer?.consent || {}
+  const mobile = customer?.mobile || entry.customer?.mobile
+  const email = customer?.email || entry.customer?.email
+  const branch = entry.branch ? await Branch.findById(entry.branch).select('name phone').lean() : null
+  const text = reminderText(entry, branch)
+  const cycle = cycleOf(entry)
+  const lead = typeof leadDays === 'number' ? leadDays : Math.ceil((new Date(entry.nextService.dueDate) - now) / DAY_MS)
+  const attempts = []
+  const record = (channel, status, to, error) => attempts.push({ cycle, leadDays: lead, channel, status, to, error, at: now, ...(userId ? { by: userId } : {}) })
+
+  if (mobile && consent.whatsapp !== false) {
+    try {
+      await sendWhatsappText({
+        to: mobile,
+        text,
+        context: { refModel: 'ServiceDue', refId: entry._id, refNo: entry.regNo || entry.chassisNo, customerId: entry.customerId, userId },
+      })
+      record('whatsapp', 'sent', mobile)
+    } catch (err) {
+      record('whatsapp', 'failed', mobile, String(err?.message || err).slice(0, 300))
+    }
+  }
+  if (email && consent.email !== false && isMailConfigured()) {
+    try {
+      await sendMail({ to: email, subject: `${entry.nextService.label} due for your ${entry.model || 'vehicle'}`, text })
+      record('email', 'sent', email)
+    } catch (err) {
+      record('email', 'failed', email, String(err?.message || err).slice(0, 300))
+    }
+  }
+  if (!attempts.length) record('whatsapp', 'skipped', mobile, 'No channel available (missing contact or opted out)')
+
+  await ServiceDue.updateOne({ _id: entry._id }, { $push: { reminders: { $each: attempts, $slice: -50 } } })
+  if (!attempts.some((a) => a.status === 'sent')) {
+    // Nothing went out: release the claim so a retry is not held back by the gap
+    const release = claimed.lastRemindedAt ? { $set: { lastRemindedAt: claimed.lastRemindedAt } } : { $unset: { lastRemindedAt: 1 } }
+    await ServiceDue.updateOne({ _id: entry._id, lastRemindedAt: now }, release)
+  }
+  return attempts
+}
+
+function withinSendHours(now = new Date()) {
+  const [from, to] = SEND_HOURS
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return true
+  const hour = Number(new Intl.DateTimeFormat('en-GB', { timeZone: 'Asia/Kolkata', hour: 'numeric', hourCycle: 'h23' }).format(now))
+  return hour >= from && hour < to
+}
+
+// One pass over entries coming due; returns counts
+async function runServiceReminders({ now = new Date() } = {}) {
+  const summary = { checked: 0, reminded: 0, skipped: 0, failed: 0 }
+  if (!LEAD_DAYS.length) return summary
+  const horizon = addDays(now, LEAD_DAYS[0])
+  const filter = {
+    'nextService.dueDate': { $gte: addDays(now, -MAX_OVERDUE_DAYS), $lte: horizon },
+    'customer.mobile': { $exists: true },
+    $or: [{ snoozedUntil: { $exists: false } }, { snoozedUntil: null }, { snoozedUntil: { $lte: now } }],
+  }
+  for await (const entry of ServiceDue.find(filter).cursor({ batchSize: 100 })) {
+    summary.checked += 1
+    const lead = reminderLeadDue(entry, now)
+    if (lead === null) {
+      summary.skipped += 1
+      continue
+    }
+    try {
+      const attempts = await sendServiceReminder(entry, { leadDays: lead, now })
+      if (attempts.some((a) => a.status === 'sent')) summary.reminded += 1
+      else summary.failed += 1
+    } catch (err) {
+      if (err?.code === 'SR_TOO_SOON') summary.skipped += 1
+      else throw err
+    }
+  }
+  return summary
+}
+
+let timer = null
+let running = false
+let lastRecomputeAt = 0
+let keysBackfilled = false
+
+// Hourly: recompute due dates once a day and (when SERVICE_REMINDERS_ENABLED=true) send reminders
+function startServiceReminderWorker() {
+  if (timer || process.env.SERVICE_REMINDER_WORKER_ENABLED === 'false') return
+  timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return
+    running = true
+    try {
+      if (Date.now() - lastRecomputeAt >= RECOMPUTE_EVERY_MS) {
+        // Old job cards only match a vehicle once they have their vehicle keys
+        if (!keysBackfilled) {
+          await backfillVehicleKeys()
+          keysBackfilled = true
+        }
+        await recomputeAllServiceDue()
+        lastRecomputeAt = Date.now()
+      }
+      if (process.env.SERVICE_REMINDERS_ENABLED === 'true' && withinSendHours()) await runServiceReminders()
+    } catch (e) {
+      console.warn('service reminder worker tick failed', e?.message || e)
+    } finally {
+      running = false
+    }
+  }, WORKER_INTERVAL_MS)
+  if (typeof timer.unref === 'function') timer.unref()
+}
+
+function stopServiceReminderWorker() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  LEAD_DAYS,
+  computeNextService,
+  refreshServiceDue,
+  refreshServiceDueForJobCard,
+  recomputeAllServiceDue,
+  reminderLeadDue,
+  sendServiceReminder,
+  withinSendHours,
+  runServiceReminders,
+  startServiceReminderWorker,
+  stopServiceReminderWorker,
+}
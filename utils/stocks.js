@@ -0,0 +1,572 @@
+const StockMovement = require('../models/stockMovementModel')
+const CurrentStock = require('../models/currentStockModel')
+const Branch = require('../models/branchModel')
+const { reserveSerial, markSerialUsed, voidSerial } = require('./sequence')
+const { enqueueAndTryDeliver, registerDeliveryHooks } = require('./outbox')
+const { GAS_URL, stocksSource, fetchCurrentStock } = require('./stocksGas')
+const { normalizeString, normalizeVehicleId, pick, toAmount, toDate, isObjectId } = require('./normalize')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Sheet-era screens page through up to 3000 rows at once
+const MAX_LIST_LIMIT = 3000
+// Movements that count towards the current stock
+const APPLIED_STATUSES = ['completed', 'pending']
+const TYPE_ALIASES = {
+  inward: 'inward',
+  in: 'inward',
+  purchase: 'inward',
+  transfer: 'transfer-out',
+  'transfer-out': 'transfer-out',
+  'transfer-in': 'transfer-in',
+  sale: 'sale',
+  sold: 'sale',
+  return: 'return',
+}
+const EDITABLE_FIELDS = ['at', 'engineNo', 'model', 'variant', 'colour', 'party', 'reference', 'amount', 'notes']
+
+function stockError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Branch by id, code or name (sheet rows carry names)
+async function resolveStockBranch(value, label = 'branch') {
+  const raw = normalizeString(value)
+  if (!raw) throw stockError(400, 'STOCK_BRANCH_REQUIRED', `${label} is required`)
+  const or = [{ code: raw.toUpperCase() }, { name: new RegExp(`^${escapeRegex(raw)}$`, 'i') }]
+  if (isObjectId(raw)) or.unshift({ _id: raw })
+  const branch = await Branch.findOne({ $or: or }).select('code name').lean()
+  if (!branch) throw stockError(400, 'STOCK_UNKNOWN_BRANCH', `Unknown ${label}: ${raw}`)
+  return branch
+}
+
+function describeState(state) {
+  if (!state) return 'not in stock'
+  if (state.status === 'in-stock') return `in stock at ${state.branchCode}`
+  if (state.status === 'in-transit') return `in transit from ${state.branchCode} to ${state.toBranchCode}`
+  return 'sold'
+}
+
+/**
+ * Fold one movement into the state of its chassis ({ status, branchCode, ... } or null before inward).
+ * Returns { state } or { error } when the movement does not fit (e.g. selling a vehicle that is in transit).
+ */
+function applyMovement(state, mv) {
+  const here = mv.branchCode
+  const fail = (expected) => ({ error: `${mv.chassisNo} is ${describeState(state)}; ${mv.type} needs it ${expected}` })
+  const details = {
+    engineNo: mv.engineNo || state?.engineNo,
+    model: mv.model || state?.model,
+    variant: mv.variant || state?.variant,
+    colour: mv.colour || state?.colour,
+  }
+  switch (mv.type) {
+    case 'inward':
+      if (state) return fail('not in stock yet')
+      return { state: { ...details, status: 'in-stock', branch: mv.branch, branchCode: here, inStockSince: mv.at } }
+    case 'transfer-out':
+      if (state?.status !== 'in-stock' || state.branchCode !== here) return fail(`in stock at ${here}`)
+      return { state: { ...state, ...details, status: 'in-transit', toBranchCode: mv.toBranchCode } }
+    case 'transfer-in':
+      if (state?.status !== 'in-transit' || state.toBranchCode !== here) return fail(`in transit to ${here}`)
+      return { state: { ...state, ...details, status: 'in-stock', branch: mv.branch, branchCode: here, toBranchCode: undefined, inStockSince: mv.at } }
+    case 'sale':
+      if (state?.status !== 'in-stock' || state.branchCode !== here) return fail(`in stock at ${here}`)
+      return { state: { ...state, ...details, status: 'sold', soldAt: mv.at } }
+    case 'return':
+      if (state?.status !== 'sold') return fail('sold')
+      return { state: { ...state, ...details, status: 'in-stock', branch: mv.branch, branchCode: here, soldAt: undefined, inStockSince: mv.at } }
+    default:
+      return { error: `Unknown movement type ${mv.type}` }
+  }
+}
+
+// Replay a chassis' ledger in order; entries that no longer fit are reported and skipped
+async function replayChassis(chassisNo) {
+  const movements = await StockMovement.find({ chassisNo, status: { $in: APPLIED_STATUSES } })
+    .sort({ at: 1, createdAt: 1, _id: 1 })
+    .lean()
+  let state = null
+  let last = null
+  let count = 0
+  const invalid = []
+  for (const mv of movements) {
+    const result = applyMovement(state, mv)
+    if (result.error) {
+      invalid.push({ movementId: mv.movementId, error: result.error })
+      continue
+    }
+    state = result.state
+    last = mv
+    count += 1
+  }
+  return { state, last, count, invalid }
+}
+
+async function saveCurrentStock(chassisNo, { state, last, count }) {
+  if (!state) {
+    await CurrentStock.deleteOne({ chassisNo })
+    return null
+  }
+  const set = {
+    status: state.status,
+    branchCode: state.branchCode,
+    lastMovementId: last.movementId,
+    lastMovementType: last.type,
+    lastMovementAt: last.at,
+    movementCount: count,
+  }
+  const unset = {}
+  for (const path of ['engineNo', 'model', 'variant', 'colour', 'branch', 'toBranchCode', 'inStockSince', 'soldAt']) {
+    if (state[path] === undefined || state[path] === null || state[path] === '') unset[path] = 1
+    else set[path] = state[path]
+  }
+  return CurrentStock.findOneAndUpdate(
+    { chassisNo },
+    { $set: set, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+    { upsert: true, new: true }
+  )
+}
+
+/**
+ * Rebuild the current stock of a chassis after a ledger write. If the write left entries
+ * that do not fit (all of them, or only `mine` when given), `rollback` undoes it and the
+ * call fails with 409. Two concurrent sales of one chassis: the later one is rolled back.
+ */
+async function commitChassis(chassisNo, { mine, rollback } = {}) {
+  const replay = await replayChassis(chassisNo)
+  const conflict = replay.invalid.find((i) => !mine || mine.includes(i.movementId))
+  if (conflict) {
+    if (rollback) await rollback()
+    await saveCurrentStock(chassisNo, await replayChassis(chassisNo))
+    throw stockError(409, 'STOCK_CONFLICT', conflict.error)
+  }
+  return saveCurrentStock(chassisNo, replay)
+}
+
+// Optional fields shared by create/update; only present ones are returned
+function detailsFromInput(input = {}) {
+  const out = {}
+  const set = (path, value) => { if (value !== undefined && value !== '') out[path] = value }
+  set('at', toDate(pick(input, 'at', 'date', 'movementDate', 'Date')))
+  set('engineNo', normalizeVehicleId(pick(input, 'engineNo', 'engine', 'Engine_No')))
+  set('model', normalizeString(pick(input, 'model', 'vehicleModel', 'Model')))
+  set('variant', normalizeString(pick(input, 'variant', 'Variant')))
+  set('colour', normalizeString(pick(input, 'colour', 'color', 'Colour', 'Color')))
+  set('party', normalizeString(pick(input, 'party', 'supplier', 'customerName', 'Party')))
+  set('reference', normalizeString(pick(input, 'reference', 'invoiceNo', 'challanNo', 'bookingNo', 'Reference')))
+  set('amount', toAmount(pick(input, 'amount', 'Amount')))
+  set('notes', normalizeString(pick(input, 'notes', 'remarks', 'Notes', 'Remarks')))
+  return out
+}
+
+// Stale id from an old screen: fall back to the latest movement of the chassis
+async function findMovement(movementId, { chassisNo } = {}) {
+  const id = normalizeString(movementId)
+  let mv = null
+  if (id) mv = await StockMovement.findOne(isObjectId(id) ? { $or: [{ movementId: id }, { _id: id }] } : { movementId: id })
+  const chassis = normalizeVehicleId(chassisNo)
+  if (!mv && chassis) {
+    const current = await CurrentStock.findOne({ chassisNo: chassis }).select('lastMovementId').lean()
+    if (current?.lastMovementId) mv = await StockMovement.findOne({ movementId: current.lastMovementId })
+  }
+  if (!mv) throw stockError(404, 'STOCK_MOVEMENT_NOT_FOUND', 'Movement not found')
+  return mv
+}
+
+async function newMovement(fields, { userId, userName, formValues } = {}) {
+  const { serial } = await reserveSerial('stockmovement', { branchCode: fields.branchCode, userId })
+  const doc = await StockMovement.create({
+    ...fields,
+    movementId: serial,
+    ...(formValues && typeof formValues === 'object' ? { formValues } : {}),
+    ...(userId ? { createdBy: userId } : {}),
+    ...(userName ? { createdByName: userName } : {}),
+  })
+  return doc
+}
+
+// Undo a movement that did not fit: drop it and void its number so the serial audit explains the gap
+async function discardMovement(doc, reason) {
+  await StockMovement.deleteOne({ _id: doc._id })
+  await voidSerial(doc.movementId, { reason }).catch(() => {})
+}
+
+/**
+ * Record inward, transfer-out (pending until admitted), sale or return:
+ *   { type, chassisNo, branch (code/name/id), toBranch (transfers), at?, engineNo?, model?, variant?, colour?, party?, reference?, amount?, notes? }
+ * Transfer-ins are recorded by admitTransfer. Returns { movement, stock }.
+ */
+async function recordMovement(input = {}, { userId, userName } = {}) {
+  const rawType = normalizeString(pick(input, 'type', 'movementType', 'Movement_Type')).toLowerCase()
+  const type = TYPE_ALIASES[rawType]
+  if (!type) throw stockError(400, 'STOCK_BAD_TYPE', 'type must be one of inward, transfer-out, sale, return')
+  if (type === 'transfer-in') throw stockError(400, 'STOCK_BAD_TYPE', 'A transfer is received by admitting its transfer-out')
+  const chassisNo = normalizeVehicleId(pick(input, 'chassisNo', 'chassis', 'Chassis_No'))
+  if (!chassisNo) throw stockError(400, 'STOCK_CHASSIS_REQUIRED', 'chassisNo is required')
+
+  const current = await CurrentStock.findOne({ chassisNo }).lean()
+  // Outgoing movements default to where the vehicle is
+  const branchInput = pick(input, 'branchCode', 'branch', 'Branch', 'fromBranch') || (['transfer-out', 'sale'].includes(type) ? current?.branchCode : undefined)
+  const branch = await resolveStockBranch(branchInput)
+  const fields = { type, chassisNo, branch: branch._id, branchCode: branch.code, ...detailsFromInput(input) }
+  if (type === 'transfer-out') {
+    const to = await resolveStockBranch(pick(input, 'toBranchCode', 'toBranch', 'targetBranch', 'To_Branch'), 'toBranch')
+    if (to.code === branch.code) throw stockError(400, 'STOCK_SAME_BRANCH', 'toBranch must differ from branch')
+    Object.assign(fields, { toBranch: to._id, toBranchCode: to.code, status: 'pending' })
+  }
+  if (!fields.at) fields.at = new Date()
+
+  // Quick check against the current state; the replay below is the authoritative one (back-dated entries, races)
+  if (!current || !current.lastMovementAt || fields.at >= current.lastMovementAt) {
+    const check = applyMovement(current, fields)
+    if (check.error) throw stockError(409, 'STOCK_CONFLICT', check.error)
+  }
+
+  const movement = await newMovement(fields, { userId, userName, formValues: input.formValues })
+  const stock = await commitChassis(chassisNo, {
+    mine: [movement.movementId],
+    rollback: () => discardMovement(movement, 'Stock movement conflicted with the ledger'),
+  })
+  markSerialUsed(movement.movementId).catch(() => {})
+  return { movement, stock }
+}
+
+// Correct details of a movement; type, chassis and branches are fixed (delete and record again instead)
+async function updateMovement(movementId, input = {}, { chassisNo } = {}) {
+  const movement = await findMovement(movementId, { chassisNo })
+  if (movement.status === 'voided') throw stockError(409, 'STOCK_MOVEMENT_VOIDED', 'Movement was deleted')
+  const changes = detailsFromInput(input)
+  const before = Object.fromEntries(EDITABLE_FIELDS.map((k) => [k, movement[k]]))
+  movement.set(changes)
+  await movement.save()
+  const stock = await commitChassis(movement.chassisNo, {
+    rollback: async () => {
+      movement.set(before)
+      await movement.save()
+    },
+  })
+  return { movement, stock }
+}
+
+/**
+ * Delete (void) a movement. Only possible while nothing later depends on it, e.g. a sold
+ * vehicle's inward cannot go. Deleting a transfer-in puts its transfer-out back to pending.
+ */
+async function deleteMovement(movementId, { userId } = {}) {
+  const movement = await findMovement(movementId)
+  if (movement.status === 'voided') return { movement, stock: await CurrentStock.findOne({ chassisNo: movement.chassisNo }) }
+  if (movement.type === 'transfer-out' && movement.status === 'completed') {
+    throw stockError(409, 'STOCK_CONFLICT', `Transfer was admitted; delete transfer-in ${movement.linkedMovementId} first`)
+  }
+  const previous = movement.status
+  movement.set({ status: 'voided', voidedAt: new Date(), ...(userId ? { voidedBy: userId } : {}) })
+  await movement.save()
+  const linked = movement.type === 'transfer-in' && movement.linkedMovementId
+    ? await StockMovement.findOneAndUpdate({ movementId: movement.linkedMovementId, status: 'completed' }, { $set: { status: 'pending' }, $unset: { linkedMovementId: 1 } })
+    : null
+  const stock = await commitChassis(movement.chassisNo, {
+    rollback: async () => {
+      await StockMovement.updateOne({ _id: movement._id }, { $set: { status: previous }, $unset: { voidedAt: 1, voidedBy: 1 } })
+      if (linked) await StockMovement.updateOne({ _id: linked._id }, { $set: { status: 'completed', linkedMovementId: movement.movementId } })
+    },
+  })
+  return { movement, stock }
+}
+
+async function claimPendingTransfer(movementId, set) {
+  const id = normalizeString(movementId)
+  const out = await StockMovement.findOneAndUpdate({ movementId: id, type: 'transfer-out', status: 'pending' }, { $set: set }, { new: true })
+  if (out) return out
+  const existing = await findMovement(id)
+  if (existing.type !== 'transfer-out') throw stockError(400, 'STOCK_NOT_TRANSFER', `${existing.movementId} is not a transfer-out`)
+  throw stockError(409, 'STOCK_TRANSFER_CLOSED', `Transfer is already ${existing.status}`)
+}
+
+// Receiving branch accepts the vehicle: { at?, notes? }. Records the transfer-in.
+async function admitTransfer(movementId, input = {}, { userId, userName } = {}) {
+  const out = await claimPendingTransfer(movementId, { status: 'completed' })
+  const details = detailsFromInput(input)
+  let movement
+  try {
+    movement = await newMovement({
+      type: 'transfer-in',
+      chassisNo: out.chassisNo,
+      engineNo: out.engineNo,
+      model: out.model,
+      variant: out.variant,
+      colour: out.colour,
+      branch: out.toBranch,
+      branchCode: out.toBranchCode,
+      fromBranchCode: out.branchCode,
+      linkedMovementId: out.movementId,
+      at: details.at && details.at >= out.at ? details.at : new Date(),
+      ...(details.notes ? { notes: details.notes } : {}),
+    }, { userId, userName })
+  } catch (err) {
+    await StockMovement.updateOne({ _id: out._id }, { $set: { status: 'pending' } })
+    throw err
+  }
+  await StockMovement.updateOne({ _id: out._id }, { $set: { linkedMovementId: movement.movementId } })
+  const stock = await commitChassis(out.chassisNo, {
+    mine: [movement.movementId],
+    rollback: async () => {
+      await discardMovement(movement, 'Transfer-in conflicted with the ledger')
+      await StockMovement.updateOne({ _id: out._id }, { $set: { status: 'pending' }, $unset: { linkedMovementId: 1 } })
+    },
+  })
+  markSerialUsed(movement.movementId).catch(() => {})
+  return { movement, transfer: await StockMovement.findById(out._id), stock }
+}
+
+// Receiving branch refuses the vehicle; it is back in stock at the sending branch
+async function rejectTransfer(movementId, { reason } = {}) {
+  const transfer = await claimPendingTransfer(movementId, { status: 'rejected', rejectedAt: new Date(), rejectReason: normalizeString(reason) || undefined })
+  const stock = await commitChassis(transfer.chassisNo)
+  return { movement: transfer, stock }
+}
+
+function pageArgs({ limit, page } = {}, defaultLimit = 100) {
+  const lim = Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), MAX_LIST_LIMIT)
+  const pg = Math.max(parseInt(page, 10) || 1, 1)
+  return { limit: lim, page: pg, skip: (pg - 1) * lim }
+}
+
+/**
+ * Ledger entries, newest first:
+ *   { branch, chassisNo, type, status (default: all but voided), from, to, q, page, limit }
+ * branch matches either side of a transfer.
+ */
+async function listMovements(query = {}) {
+  const filter = {}
+  const branch = pick(query, 'branchCode', 'branch')
+  if (branch) {
+    const b = await resolveStockBranch(branch)
+    filter.$or = [{ branchCode: b.code }, { toBranchCode: b.code }]
+  }
+  const chassisNo = normalizeVehicleId(pick(query, 'chassisNo', 'chassis'))
+  if (chassisNo) filter.chassisNo = chassisNo
+  if (query.type) filter.type = TYPE_ALIASES[String(query.type).toLowerCase()] || String(query.type)
+  filter.status = query.status ? String(query.status) : { $ne: 'voided' }
+  if (toDate(query.from) || toDate(query.to)) {
+    filter.at = {}
+    if (toDate(query.from)) filter.at.$gte = toDate(query.from)
+    if (toDate(query.to)) filter.at.$lte = toDate(query.to)
+  }
+  if (query.q) {
+    const rx = new RegExp(escapeRegex(String(query.q).trim()), 'i')
+    filter.$and = [{ $or: [{ chassisNo: rx }, { engineNo: rx }, { model: rx }, { party: rx }, { reference: rx }, { movementId: rx }] }]
+  }
+  const { limit, page, skip } = pageArgs(query)
+  const [items, total] = await Promise.all([
+    StockMovement.find(filter).sort({ at: -1, createdAt: -1 }).skip(skip).limit(limit).lean(),
+    StockMovement.countDocuments(filter),
+  ])
+  return { items, total, page, limit }
+}
+
+/**
+ * Current stock per chassis: { branch, status (default in-stock + in-transit; 'all'), model, q, page, limit }
+ */
+async function listCurrentStock(query = {}) {
+  const filter = {}
+  const status = String(query.status || '').trim().toLowerCase()
+  if (status && status !== 'all') filter.status = status
+  else if (!status) filter.status = { $in: ['in-stock', 'in-transit'] }
+  const branch = pick(query, 'branchCode', 'branch')
+  if (branch) filter.branchCode = (await resolveStockBranch(branch)).code
+  if (query.model) filter.model = new RegExp(`^${escapeRegex(String(query.model).trim())}`, 'i')
+  if (query.q) {
+    const rx = new RegExp(escapeRegex(String(query.q).trim()), 'i')
+    filter.$or = [{ chassisNo: rx }, { engineNo: rx }, { model: rx }]
+  }
+  const { limit, page, skip } = pageArgs(query, 500)
+  const [items, total] = await Promise.all([
+    CurrentStock.find(filter).sort({ branchCode: 1, model: 1, inStockSince: 1 }).skip(skip).limit(limit).lean(),
+    CurrentStock.countDocuments(filter),
+  ])
+  return { items: items.map(withAge), total, page, limit }
+}
+
+// Transfers waiting to be admitted; branch matches sender or receiver
+async function listPendingTransfers(query = {}) {
+  return listMovements({ ...query, type: 'transfer-out', status: 'pending' })
+}
+
+function withAge(stock) {
+  const since = stock.inStockSince ? new Date(stock.inStockSince).getTime() : null
+  return { ...stock, ageDays: since && stock.status !== 'sold' ? Math.floor((Date.now() - since) / DAY_MS) : null }
+}
+
+// A chassis with its full ledger (voided entries included, oldest first)
+async function stockHistory(chassisNo) {
+  const chassis = normalizeVehicleId(chassisNo)
+  const [stock, movements] = await Promise.all([
+    CurrentStock.findOne({ chassisNo: chassis }).lean(),
+    StockMovement.find({ chassisNo: chassis }).sort({ at: 1, createdAt: 1 }).lean(),
+  ])
+  if (!stock && !movements.length) throw stockError(404, 'STOCK_NOT_FOUND', 'Chassis not found in the stock ledger')
+  return { stock: stock ? withAge(stock) : null, movements }
+}
+
+// In-stock vehicles per branch code, for the dashboard
+async function stockOnHandByBranch() {
+  const rows = await CurrentStock.aggregate([
+    { $match: { status: 'in-stock' } },
+    { $group: { _id: { $ifNull: ['$branchCode', ''] }, count: { $sum: 1 } } },
+  ])
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]))
+}
+
+// Row shapes of the Apps Script API (/api/stocks/gas), so sheet-era screens keep working
+function movementRow(mv) {
+  return {
+    movementId: mv.movementId,
+    type: mv.type,
+    status: mv.status,
+    date: mv.at,
+    chassisNo: mv.chassisNo,
+    engineNo: mv.engineNo || '',
+    model: mv.model || '',
+    variant: mv.variant || '',
+    colour: mv.colour || '',
+    branch: mv.branchCode,
+    fromBranch: mv.type === 'transfer-in' ? mv.fromBranchCode || '' : mv.branchCode,
+    toBranch: mv.type === 'transfer-in' ? mv.branchCode : mv.toBranchCode || '',
+    party: mv.party || '',
+    reference: mv.reference || '',
+    amount: mv.amount ?? '',
+    notes: mv.notes || '',
+    linkedMovementId: mv.linkedMovementId || '',
+    createdBy: mv.createdByName || '',
+    createdAt: mv.createdAt,
+  }
+}
+
+function stockRow(stock) {
+  return {
+    chassisNo: stock.chassisNo,
+    engineNo: stock.engineNo || '',
+    model: stock.model || '',
+    variant: stock.variant || '',
+    colour: stock.colour || '',
+    status: stock.status,
+    branch: stock.branchCode || '',
+    toBranch: stock.toBranchCode || '',
+    inStockSince: stock.inStockSince || null,
+    ageDays: stock.ageDays ?? null,
+    movementId: stock.lastMovementId,
+    lastMovementId: stock.lastMovementId,
+    lastMovementType: stock.lastMovementType,
+    lastMovementAt: stock.lastMovementAt,
+  }
+}
+
+/**
+ * Copy a ledger write to the legacy sheet through the outbox (STOCKS_GAS_MIRROR=true).
+ * The sheet receives the same action as the old proxy did. It assigns its own movement ids, so
+ * later writes are sent with the id it answered to the create (see the delivery hooks below).
+ * Never fails the write.
+ */
+async function mirrorToSheet(action, movement, { userId, extra } = {}) {
+  if (process.env.STOCKS_GAS_MIRROR !== 'true' || !movement) return
+  try {
+    const { message } = await enqueueAndTryDeliver({
+      kind: 'webhook',
+      target: GAS_URL,
+      payload: { action, movementId: movement.movementId, ...(extra || {}), data: movementRow(movement) },
+      source: 'stock-movement',
+      serial: movement.movementId,
+      refModel: 'StockMovement',
+      refId: movement._id,
+      createdBy: userId,
+    }, { waitMs: 0 })
+    await StockMovement.updateOne({ _id: movement._id }, { $set: { 'sheetMirror.outboxId': message._id, 'sheetMirror.queuedAt': new Date() } })
+  } catch (e) {
+    console.warn('stock sheet mirror failed', movement.movementId, e?.message || e)
+  }
+}
+
+const sheetIdOf = (data) => String(pick(data?.data || {}, 'movementId', 'MovementId') || pick(data || {}, 'movementId', 'MovementId') || '').trim()
+
+registerDeliveryHooks('stock-movement', {
+  // update/delete/admit/reject wait (retrying) until the create of their row reached the sheet
+  async prepare(msg) {
+    const payload = msg.payload || {}
+    if (payload.action === 'create' || !msg.refId) return payload
+    const ref = await StockMovement.findById(msg.refId).select('movementId sheetMirror').lean()
+    const sheetId = ref?.sheetMirror?.movementId
+    if (!sheetId) throw new Error(`Sheet id of ${ref?.movementId || msg.refId} not known yet; waiting for its create to reach the sheet`)
+    return { ...payload, movementId: sheetId }
+  },
+  async delivered(msg, data) {
+    const sheetId = sheetIdOf(data)
+    if (!sheetId) return
+    const set = { 'sheetMirror.movementId': sheetId, 'sheetMirror.deliveredAt': new Date() }
+    const action = msg.payload?.action
+    if (action === 'create') {
+      await StockMovement.updateOne({ _id: msg.refId }, { $set: set })
+    } else if (action === 'admit') {
+      // Admitting adds the transfer-in row to the sheet; its id belongs to our transfer-in
+      const out = await StockMovement.findById(msg.refId).select('linkedMovementId sheetMirror').lean()
+      if (out?.linkedMovementId && sheetId !== out.sheetMirror?.movementId) {
+        await StockMovement.updateOne({ movementId: out.linkedMovementId }, { $set: set })
+      }
+    }
+  },
+})
+
+/**
+ * One-time migration: every vehicle in the sheet's current stock that the ledger does not know
+ * yet becomes an inward movement at its sheet branch. Safe to run again.
+ */
+async function importFromSheet({ userId, userName } = {}) {
+  const rows = await fetchCurrentStock()
+  const summary = { rows: rows.length, imported: 0, skipped: 0, errors: [] }
+  for (const row of rows) {
+    const chassisNo = normalizeVehicleId(pick(row, 'chassisNo', 'Chassis_No', 'chassis'))
+    try {
+      if (!chassisNo || (await StockMovement.exists({ chassisNo, status: { $ne: 'voided' } }))) {
+        summary.skipped += 1
+        continue
+      }
+      await recordMovement({
+        ...row,
+        type: 'inward',
+        chassisNo,
+        branch: pick(row, 'branchCode', 'branch', 'Branch'),
+        at: pick(row, 'inwardDate', 'Inward_Date', 'date', 'Date', 'at'),
+        notes: 'Opening stock from sheet',
+        formValues: row,
+      }, { userId, userName })
+      summary.imported += 1
+    } catch (err) {
+      if (summary.errors.length < 50) summary.errors.push({ chassisNo, message: err?.message || String(err) })
+    }
+  }
+  return summary
+}
+
+module.exports = {
+  stocksSource,
+  recordMovement,
+  updateMovement,
+  deleteMovement,
+  admitTransfer,
+  rejectTransfer,
+  listMovements,
+  listCurrentStock,
+  listPendingTransfers,
+  stockHistory,
+  stockOnHandByBranch,
+  movementRow,
+  stockRow,
+  mirrorToSheet,
+  importFromSheet,
+}
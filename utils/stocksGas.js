@@ -0,0 +1,247 @@
+const mongoose = require('mongoose')
+const axios = require('axios')
+const StockSnapshot = require('../models/stockSnapshotModel')
+
+// Point this to your deployed Apps Script Web App URL
+const GAS_URL = process.env.STOCKS_GAS_URL || 'https://script.google.com/macros/s/AKfycbzWT7aSLTZl-qW2peDaHMcsW_aA55ttVfheZThFfYpj7sMm09Mg_6Gp2xjc7Z0XNHmwpw/exec'
+
+// Per attempt, and for a whole read including retries, so a stale fallback is not far behind
+const READ_TIMEOUT_MS = Number(process.env.STOCKS_GAS_TIMEOUT_MS) || 8000
+const READ_DEADLINE_MS = Number(process.env.STOCKS_GAS_READ_DEADLINE_MS) || 20000
+// A retry is not started with less than this left before the deadline
+const MIN_ATTEMPT_MS = 1000
+const WRITE_TIMEOUT_MS = Number(process.env.STOCKS_GAS_WRITE_TIMEOUT_MS) || 30000
+// Extra attempts for reads only; writes are not idempotent and go out once
+const READ_RETRIES = Math.max(parseInt(process.env.STOCKS_GAS_READ_RETRIES ?? '2', 10) || 0, 0)
+const RETRY_BASE_MS = 500
+// Consecutive failures that open the breaker, and how long it stays open before one trial call
+const BREAKER_THRESHOLD = Number(process.env.STOCKS_GAS_BREAKER_THRESHOLD) || 5
+const BREAKER_COOLDOWN_MS = Number(process.env.STOCKS_GAS_BREAKER_COOLDOWN_MS) || 30000
+const SNAPSHOT_INTERVAL_MS = Number(process.env.STOCKS_GAS_SNAPSHOT_INTERVAL_MS) || 5 * 60 * 1000
+const SNAPSHOT_LIMIT = 3000
+const CURRENT_SNAPSHOT_KEY = 'current'
+
+const breaker = { state: 'closed', failures: 0, openedAt: null, openUntil: 0, trialInFlight: false, lastError: null }
+let timer = null
+let running = false
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function gasError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+// 'gas' (default): /api/stocks/gas proxies to the sheet; 'mongo' (opt-in): the stock ledger answers it
+function stocksSource() {
+  return String(process.env.STOCKS_SOURCE || 'gas').trim().toLowerCase() === 'mongo' ? 'mongo' : 'gas'
+}
+
+// Same "equal jitter" as the outbox: half fixed, half random
+function retryDelayMs(attempt) {
+  const exp = RETRY_BASE_MS * 2 ** attempt
+  return Math.round(exp / 2 + Math.random() * (exp / 2))
+}
+
+// Timeouts, network errors, 429 and 5xx mean Apps Script is struggling; other answers do not count
+function isUpstreamFailure(err) {
+  const status = err?.response?.status
+  return !status || status === 429 || status >= 500
+}
+
+// Throws 503 while the breaker is open; after the cooldown one trial call is let through
+function enterBreaker() {
+  if (breaker.state === 'closed') return
+  if (breaker.state === 'open' && Date.now() >= breaker.openUntil) {
+    breaker.state = 'half-open'
+    breaker.trialInFlight = false
+  }
+  if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+    breaker.trialInFlight = true
+    return
+  }
+  throw gasError(503, 'GAS_CIRCUIT_OPEN', `Stock sheet is unavailable (circuit open after ${breaker.failures} failures); retry in ${Math.max(Math.ceil((breaker.openUntil - Date.now()) / 1000), 1)}s`)
+}
+
+function recordSuccess() {
+  breaker.state = 'closed'
+  breaker.failures = 0
+  breaker.openedAt = null
+  breaker.trialInFlight = false
+}
+
+function recordFailure(err) {
+  breaker.lastError = String(err?.message || err).slice(0, 300)
+  if (!isUpstreamFailure(err)) {
+    // Apps Script answered; only the half-open trial slot needs releasing
+    if (breaker.state === 'half-open') recordSuccess()
+    return
+  }
+  breaker.failures += 1
+  if (breaker.state === 'half-open' || breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') console.warn(`stock sheet circuit opened after ${breaker.failures} failures: ${breaker.lastError}`)
+    breaker.state = 'open'
+    breaker.openedAt = new Date()
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS
+    breaker.trialInFlight = false
+  }
+}
+
+async function call(config) {
+  enterBreaker()
+  try {
+    const resp = await axios({ url: GAS_URL, ...config })
+    recordSuccess()
+    return resp
+  } catch (err) {
+    recordFailure(err)
+    throw err
+  }
+}
+
+/**
+ * GET the Apps Script with a bounded timeout, retrying upstream failures with jitter until
+ * `deadline` ms have passed. Returns the response body. Fails fast with 503 GAS_CIRCUIT_OPEN
+ * while the breaker is open.
+ */
+async function gasRead(params = {}, { retries = READ_RETRIES, timeout = READ_TIMEOUT_MS, deadline = READ_DEADLINE_MS } = {}) {
+  const endAt = Date.now() + deadline
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const { data } = await call({ method: 'GET', params, timeout: Math.max(Math.min(timeout, endAt - Date.now()), 1) })
+      return data
+    } catch (err) {
+      if (err?.code === 'GAS_CIRCUIT_OPEN' || !isUpstreamFailure(err) || attempt >= retries) throw err
+      const delay = retryDelayMs(attempt)
+      if (Date.now() + delay + MIN_ATTEMPT_MS > endAt) throw err
+      await sleep(delay)
+    }
+  }
+}
+
+// POST once (create/update/... are not safe to repeat); same timeout bound and breaker
+async function gasWrite(payload = {}, { timeout = WRITE_TIMEOUT_MS } = {}) {
+  const { data } = await call({ method: 'POST', data: payload, timeout })
+  return data
+}
+
+/**
+ * Refresh the stored copy of action=current. Called by the worker; a failed refresh keeps
+ * the previous copy and records the error on it.
+ */
+async function refreshCurrentSnapshot() {
+  const startedAt = Date.now()
+  try {
+    const response = await gasRead({ action: 'current', limit: SNAPSHOT_LIMIT, page: 1 })
+    if (response?.ok === false) throw new Error(response?.message || 'GAS returned an error')
+    const rowCount = Array.isArray(response?.data) ? response.data.length : 0
+    await StockSnapshot.updateOne(
+      { key: CURRENT_SNAPSHOT_KEY },
+      { $set: { response, rowCount, fetchedAt: new Date(), durationMs: Date.now() - startedAt }, $unset: { lastError: 1, lastErrorAt: 1 } },
+      { upsert: true }
+    )
+    return { ok: true, rowCount }
+  } catch (err) {
+    const message = String(err?.message || err).slice(0, 500)
+    await StockSnapshot.updateOne({ key: CURRENT_SNAPSHOT_KEY }, { $set: { lastError: message, lastErrorAt: new Date() } }).catch(() => {})
+    return { ok: false, error: message }
+  }
+}
+
+function currentSnapshot() {
+  return StockSnapshot.findOne({ key: CURRENT_SNAPSHOT_KEY }).lean()
+}
+
+/**
+ * The stored action=current rows in the Apps Script shape, flagged stale. Branch and page/limit
+ * params are applied here (best effort; other filters the script supports are not).
+ * Returns null when no snapshot was ever taken.
+ */
+async function staleCurrent(params = {}, reason) {
+  const snap = await currentSnapshot()
+  if (!snap?.response) return null
+  let rows = Array.isArray(snap.response.data) ? snap.response.data : []
+  const branch = String(params.branch || params.branchCode || '').trim().toUpperCase()
+  if (branch) rows = rows.filter((r) => [r?.branch, r?.Branch, r?.branchCode].some((v) => String(v || '').trim().toUpperCase() === branch))
+  const total = rows.length
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || total || 1, 1), SNAPSHOT_LIMIT)
+  const page = Math.max(parseInt(params.page, 10) || 1, 1)
+  return {
+    ...snap.response,
+    ok: true,
+    data: rows.slice((page - 1) * limit, page * limit),
+    total,
+    page,
+    limit,
+    stale: true,
+    staleReason: reason,
+    snapshotAt: snap.fetchedAt,
+  }
+}
+
+// Vehicles currently in stock per the sheet (action=current), as an array of rows
+async function fetchCurrentStock({ limit = SNAPSHOT_LIMIT } = {}) {
+  const data = await gasRead({ action: 'current', limit, page: 1 })
+  if (data?.ok === false) throw new Error(data?.message || 'GAS returned an error')
+  return Array.isArray(data?.data) ? data.data : []
+}
+
+async function gasStatus() {
+  const snap = await StockSnapshot.findOne({ key: CURRENT_SNAPSHOT_KEY }).select('-response').lean()
+  return {
+    source: stocksSource(),
+    circuit: {
+      state: breaker.state === 'open' && Date.now() >= breaker.openUntil ? 'half-open' : breaker.state,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt,
+      retryAt: breaker.state === 'open' ? new Date(breaker.openUntil) : null,
+      lastError: breaker.lastError,
+    },
+    snapshot: snap
+      ? { fetchedAt: snap.fetchedAt, rowCount: snap.rowCount, ageSeconds: Math.round((Date.now() - new Date(snap.fetchedAt).getTime()) / 1000), lastError: snap.lastError, lastErrorAt: snap.lastErrorAt }
+      : null,
+  }
+}
+
+/**
+ * Keep the action=current snapshot fresh while the sheet is the stock source (STOCKS_SOURCE=gas).
+ * Disable with STOCKS_GAS_SNAPSHOT_WORKER_ENABLED=false.
+ */
+function startStockSnapshotWorker() {
+  if (timer || process.env.STOCKS_GAS_SNAPSHOT_WORKER_ENABLED === 'false') return
+  const tick = async () => {
+    if (running || stocksSource() !== 'gas' || mongoose.connection.readyState !== 1) return
+    running = true
+    try {
+      const result = await refreshCurrentSnapshot()
+      if (!result.ok) console.warn('stock snapshot refresh failed', result.error)
+    } finally {
+      running = false
+    }
+  }
+  timer = setInterval(tick, SNAPSHOT_INTERVAL_MS)
+  if (typeof timer.unref === 'function') timer.unref()
+  // First copy shortly after boot instead of one interval later
+  setTimeout(tick, 10 * 1000).unref()
+}
+
+function stopStockSnapshotWorker() {
+  if (timer) clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  GAS_URL,
+  stocksSource,
+  gasRead,
+  gasWrite,
+  refreshCurrentSnapshot,
+  currentSnapshot,
+  staleCurrent,
+  fetchCurrentStock,
+  gasStatus,
+  startStockSnapshotWorker,
+  stopStockSnapshotWorker,
+}
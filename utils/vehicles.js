@@ -0,0 +1,237 @@
+const Vehicle = require('../models/vehicleModel')
+const Booking = require('../models/bookingModel')
+const JobCard = require('../models/jobCardModel')
+const { upsertCustomer } = require('./customers')
+const { normalizeString, normalizeVehicleId, pick, toAmount, toDate, isObjectId } = require('./normalize')
+
+// Standard warranty when a vehicle does not carry its own terms
+const DEFAULT_WARRANTY_MONTHS = Number(process.env.VEHICLE_WARRANTY_MONTHS || 60)
+const DEFAULT_WARRANTY_KM = Number(process.env.VEHICLE_WARRANTY_KM || 75000)
+
+function vehicleError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+// Resolve a vehicle by Mongo id, chassis, engine or registration number
+async function findVehicle(key) {
+  const raw = String(key || '').trim()
+  if (isObjectId(raw)) {
+    const byId = await Vehicle.findById(raw)
+    if (byId) return byId
+  }
+  const id = normalizeVehicleId(raw)
+  if (!id) return null
+  return Vehicle.findOne({ $or: [{ chassisNo: id }, { regNo: id }, { engineNo: id }] })
+}
+
+// Map client payload to Vehicle paths; only present paths are returned
+function vehiclePathsFromInput(input = {}) {
+  const out = {}
+  const set = (path, value) => { if (value !== undefined && value !== '') out[path] = value }
+  set('chassisNo', normalizeVehicleId(pick(input, 'chassisNo', 'chassis')))
+  set('engineNo', normalizeVehicleId(pick(input, 'engineNo', 'engine')))
+  set('regNo', normalizeVehicleId(pick(input, 'regNo', 'registrationNo', 'vehicleNo')))
+  set('model', normalizeString(pick(input, 'model', 'vehicleModel')))
+  set('variant', normalizeString(pick(input, 'variant')))
+  set('colour', normalizeString(pick(input, 'colour', 'color')))
+  set('saleDate', toDate(pick(input, 'saleDate')))
+  set('notes', normalizeString(pick(input, 'notes')))
+  const w = input.warranty && typeof input.warranty === 'object' ? input.warranty : {}
+  set('warranty.months', toAmount(pick(w, 'months') ?? pick(input, 'warrantyMonths')))
+  set('warranty.km', toAmount(pick(w, 'km') ?? pick(input, 'warrantyKm')))
+  set('warranty.extendedUntil', toDate(pick(w, 'extendedUntil') ?? pick(input, 'extendedWarrantyUntil')))
+  set('warranty.extendedKm', toAmount(pick(w, 'extendedKm') ?? pick(input, 'extendedWarrantyKm')))
+  return out
+}
+
+// Model/variant/colour, selling branch and owner taken from the booking the vehicle was sold against
+async function bookingDefaults({ bookingId, bookingNo } = {}) {
+  if (!bookingId && !bookingNo) return { booking: null, paths: {} }
+  const b = isObjectId(bookingId)
+    ? await Booking.findById(bookingId).lean()
+    : await Booking.findOne({ bookingNo: normalizeString(bookingNo || bookingId) }).lean()
+  if (!b) throw vehicleError(404, 'VH_BOOKING_NOT_FOUND', 'Booking not found')
+  if (b.status === 'cancelled') throw vehicleError(409, 'VH_BOOKING_CANCELLED', `Booking ${b.bookingNo} is cancelled`)
+  const paths = {
+    booking: b._id,
+    bookingNo: b.bookingNo,
+    model: b.vehicle?.model,
+    variant: b.vehicle?.variant,
+    colour: b.vehicle?.colour,
+    sellingBranch: b.branch,
+    sellingBranchCode: b.branchCode,
+  }
+  if (b.deliveredAt) paths.saleDate = b.deliveredAt
+  for (const k of Object.keys(paths)) if (paths[k] === undefined || paths[k] === null) delete paths[k]
+  return { booking: b, paths }
+}
+
+/**
+ * Make `customerId` the current owner, closing the previous ownership period.
+ * Mutates the document; caller saves.
+ */
+function setOwner(vehicle, customerId, { userId, at, note } = {}) {
+  if (!customerId || String(vehicle.owner || '') === String(customerId)) return vehicle
+  const when = at || new Date()
+  const current = vehicle.ownerHistory.find((o) => !o.to)
+  if (current) current.to = when
+  vehicle.ownerHistory.push({ customer: customerId, from: when, ...(userId ? { by: userId } : {}), ...(note ? { note: normalizeString(note).slice(0, 500) } : {}) })
+  vehicle.owner = customerId
+  return vehicle
+}
+
+// Owner from input: a customer id, or a name/mobile that is found-or-created in the customer master
+async function ownerFromInput(input = {}, { branch, branchCode, userId } = {}) {
+  const id = pick(input, 'ownerId', 'customerId')
+  if (id) {
+    if (!isObjectId(id)) throw vehicleError(400, 'VH_BAD_OWNER', 'ownerId must be a customer id')
+    return id
+  }
+  const o = input.owner && typeof input.owner === 'object' ? input.owner : {}
+  const mobile = pick(o, 'mobile') ?? pick(input, 'ownerMobile')
+  if (!mobile) return undefined
+  const customer = await upsertCustomer({ name: pick(o, 'name') ?? pick(input, 'ownerName'), mobile }, { branch, branchCode, userId, type: 'vehicle' })
+  if (!customer) throw vehicleError(400, 'VH_BAD_OWNER', 'owner mobile must be 10 digits')
+  return customer._id
+}
+
+/**
+ * Warranty on `asOf` given the highest odometer reading seen at service.
+ * state: active | extended | expired | unknown (no sale date recorded)
+ */
+function warrantyStatus(vehicle, { odometer, asOf = new Date() } = {}) {
+  const months = vehicle.warranty?.months ?? DEFAULT_WARRANTY_MONTHS
+  const kmLimit = vehicle.warranty?.km ?? DEFAULT_WARRANTY_KM
+  const out = { months, kmLimit, odometer: odometer ?? null }
+  if (!vehicle.saleDate) return { ...out, state: 'unknown', reason: 'Sale date not recorded' }
+
+  const expiresOn = new Date(vehicle.saleDate)
+  expiresOn.setMonth(expiresOn.getMonth() + months)
+  out.startsOn = vehicle.saleDate
+  out.expiresOn = expiresOn
+
+  const withinKm = (limit) => !limit || odometer === undefined || odometer === null || odometer <= limit
+  if (asOf <= expiresOn && withinKm(kmLimit)) return { ...out, state: 'active', daysLeft: Math.ceil((expiresOn - asOf) / 86400000) }
+
+  const ext = vehicle.warranty?.extendedUntil
+  if (ext && asOf <= ext && withinKm(vehicle.warranty?.extendedKm)) {
+    return { ...out, state: 'extended', extendedUntil: ext, daysLeft: Math.ceil((ext - asOf) / 86400000) }
+  }
+  const reason = asOf > expiresOn ? `Expired on ${expiresOn.toISOString().slice(0, 10)}` : `Odometer ${odometer} km is past the ${kmLimit} km limit`
+  return { ...out, state: 'expired', reason, ...(ext ? { extendedUntil: ext } : {}) }
+}
+
+// Job cards for a vehicle: linked ones plus any typed with its chassis or registration number
+function jobCardMatch({ vehicleId, chassisNo, regNo }) {
+  const or = []
+  const chassisKey = normalizeVehicleId(chassisNo)
+  const regKey = normalizeVehicleId(regNo)
+  if (vehicleId) or.push({ vehicleId })
+  if (chassisKey) or.push({ 'vehicle.chassisKey': chassisKey })
+  if (regKey) or.push({ 'vehicle.regKey': regKey })
+  return or.length ? { $or: or } : null
+}
+
+/**
+ * Service visits newest first, with warranty status from the latest odometer reading.
+ * Works for vehicles that are only known from job cards (no registry record) too.
+ */
+async function serviceTimeline({ vehicle, regNo, chassisNo }, { limit = 200 } = {}) {
+  const match = jobCardMatch({
+    vehicleId: vehicle?._id,
+    chassisNo: vehicle?.chassisNo || chassisNo,
+    regNo: vehicle?.regNo || regNo,
+  })
+  if (!match) return { visits: [], lastOdometer: null, warranty: null }
+  const cards = await JobCard.find(match)
+    .select('jcNo branch branchCode customer customerId vehicle serviceType complaints status estimate.amount finalAmount mechanicName receivedAt deliveredAt cancelledAt')
+    .sort({ receivedAt: -1 }).limit(limit).lean()
+  const visits = cards.map((c) => ({
+    id: c._id,
+    jcNo: c.jcNo,
+    branch: c.branch,
+    branchCode: c.branchCode,
+    receivedAt: c.receivedAt,
+    deliveredAt: c.deliveredAt,
+    status: c.status,
+    serviceType: c.serviceType,
+    complaints: c.complaints,
+    odometer: c.vehicle?.odometer,
+    model: c.vehicle?.model,
+    regNo: c.vehicle?.regNo,
+    chassisNo: c.vehicle?.chassisNo,
+    mechanicName: c.mechanicName,
+    amount: c.finalAmount ?? c.estimate?.amount,
+    customer: c.customer,
+    customerId: c.customerId,
+  }))
+  const readings = visits.map((v) => v.odometer).filter((n) => typeof n === 'number')
+  const lastOdometer = readings.length ? Math.max(...readings) : null
+  const warranty = vehicle ? warrantyStatus(vehicle, { odometer: lastOdometer ?? undefined }) : null
+  return { visits, lastOdometer, warranty }
+}
+
+/**
+ * Link a job card (not yet saved) to the registry by chassis or registration number and
+ * fill the chassis/model it was opened without. Never blocks saving the job card.
+ */
+async function linkVehicle(doc) {
+  try {
+    const chassisNo = doc.vehicle?.chassisNo
+    const regNo = doc.vehicle?.regNo
+    if (!chassisNo && !regNo) return null
+    const or = []
+    if (chassisNo) or.push({ chassisNo })
+    if (regNo) or.push({ regNo })
+    const vehicle = await Vehicle.findOne({ $or: or }).select('chassisNo regNo model')
+    if (!vehicle) return null
+    doc.vehicleId = vehicle._id
+    if (!chassisNo) doc.set('vehicle.chassisNo', vehicle.chassisNo)
+    if (!regNo && vehicle.regNo) doc.set('vehicle.regNo', vehicle.regNo)
+    if (!doc.vehicle?.model) doc.set('vehicle.model', vehicle.model)
+    return vehicle
+  } catch (err) {
+    console.warn('vehicle link failed', doc.jcNo, err?.message || err)
+    return null
+  }
+}
+
+// List filter for GET /api/vehicles
+function vehicleListFilter(query = {}) {
+  const { q, owner, sellingBranchCode, branchCode, model, from, to } = query
+  const filter = {}
+  if (owner && isObjectId(owner)) filter.owner = owner
+  const code = sellingBranchCode || branchCode
+  if (code) filter.sellingBranchCode = String(code).trim().toUpperCase()
+  if (model) filter.model = normalizeString(model)
+  const fromDate = toDate(from)
+  const toDateValue = toDate(to)
+  if (fromDate || toDateValue) {
+    filter.saleDate = {}
+    if (fromDate) filter.saleDate.$gte = fromDate
+    if (toDateValue) filter.saleDate.$lte = toDateValue
+  }
+  const id = normalizeVehicleId(q)
+  if (id) {
+    // Prefix match so a partly typed number still finds the vehicle
+    filter.$or = ['chassisNo', 'regNo', 'engineNo'].map((f) => ({ [f]: { $regex: `^${id}` } }))
+  }
+  return filter
+}
+
+module.exports = {
+  DEFAULT_WARRANTY_MONTHS,
+  DEFAULT_WARRANTY_KM,
+  findVehicle,
+  vehiclePathsFromInput,
+  bookingDefaults,
+  setOwner,
+  ownerFromInput,
+  warrantyStatus,
+  serviceTimeline,
+  linkVehicle,
+  vehicleListFilter,
+}
@@ -0,0 +1,185 @@
+// Shared cache for webhook proxy GET reads.
+//
+// Backends speak a small Redis-compatible subset so a real Redis (ioredis) or any
+// stand-in with the same methods can be plugged in:
+//   get(key) -> string | null
+//   set(key, value, 'PX', ttlMs)
+//   incr(key) -> number
+//   del(key)
+//
+// Invalidation is generation based: every cache key embeds the current generation of
+// its kind + target, and a write bumps that generation. Old entries simply stop being
+// read and expire on their own, which also works across several server instances.
+
+const BACKEND = String(process.env.WEBHOOK_CACHE_BACKEND || 'memory').toLowerCase()
+const PREFIX = process.env.WEBHOOK_CACHE_PREFIX || 'webhook-cache:'
+const MEMORY_MAX_ENTRIES = 500
+
+function createMemoryBackend() {
+  const store = new Map() // key -> { value, expiresAt }
+  function live(key) {
+    const e = store.get(key)
+    if (!e) return null
+    if (e.expiresAt && e.expiresAt <= Date.now()) {
+      store.delete(key)
+      return null
+    }
+    return e
+  }
+  return {
+    name: 'memory',
+    async get(key) {
+      const e = live(key)
+      return e ? e.value : null
+    },
+    async set(key, value, mode, ttlMs) {
+      const expiresAt = String(mode).toUpperCase() === 'PX' && ttlMs > 0 ? Date.now() + ttlMs : null
+      store.delete(key)
+      store.set(key, { value: String(value), expiresAt })
+      if (store.size > MEMORY_MAX_ENTRIES) {
+        // Map keeps insertion order: drop the oldest 10% of expiring entries (generation counters are kept)
+        const drop = Math.ceil(MEMORY_MAX_ENTRIES / 10)
+        const oldest = Array.from(store.entries()).filter(([, e]) => e.expiresAt).slice(0, drop)
+        for (const [k] of oldest) store.delete(k)
+      }
+      return 'OK'
+    },
+    async incr(key) {
+      const e = live(key)
+      const next = (parseInt(e?.value || '0', 10) || 0) + 1
+      store.set(key, { value: String(next), expiresAt: e?.expiresAt || null })
+      return next
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0
+    },
+    size() {
+      return store.size
+    },
+  }
+}
+
+function createRedisBackend() {
+  let Redis
+  try {
+    Redis = require('ioredis')
+  } catch {
+    console.warn('WEBHOOK_CACHE_BACKEND=redis but ioredis is not installed; using in-memory cache')
+    return createMemoryBackend()
+  }
+  const url = process.env.WEBHOOK_CACHE_REDIS_URL || process.env.REDIS_URL
+  const client = url ? new Redis(url) : new Redis()
+  client.on('error', (e) => console.warn('webhook cache redis error', e?.message || e))
+  client.name = 'redis'
+  return client
+}
+
+let backend = BACKEND === 'redis' ? createRedisBackend() : createMemoryBackend()
+
+// Swap the backend at runtime (e.g. a shared client created elsewhere)
+function setCacheBackend(next) {
+  for (const m of ['get', 'set', 'incr', 'del']) {
+    if (typeof next?.[m] !== 'function') throw new Error(`cache backend must implement ${m}()`)
+  }
+  backend = next
+}
+
+// Per-instance counters, per kind
+const stats = new Map() // kind -> { hits, misses, writes, invalidations, errors }
+function bump(kind, field) {
+  if (!stats.has(kind)) stats.set(kind, { hits: 0, misses: 0, writes: 0, invalidations: 0, errors: 0 })
+  stats.get(kind)[field] += 1
+}
+
+function generationKey(kind, targetName) {
+  return `${PREFIX}gen:${kind}|${targetName}`
+}
+
+async function currentGeneration(kind, targetName) {
+  return String((await backend.get(generationKey(kind, targetName))) || '0')
+}
+
+function entryKey(kind, targetName, generation, payload) {
+  let body
+  try { body = JSON.stringify(payload || {}) } catch { body = '' }
+  return `${PREFIX}${kind}|${targetName}|${generation}|${body}`
+}
+
+// Returns { data, generation }; data is null on a miss. Pass the generation back to
+// cachePut so a read that raced with a write is never stored as fresh.
+// Backend failures never break a read: they count as a miss.
+async function cacheGet(kind, targetName, payload) {
+  let generation = null
+  try {
+    generation = await currentGeneration(kind, targetName)
+    const raw = await backend.get(entryKey(kind, targetName, generation, payload))
+    if (raw === null || raw === undefined) {
+      bump(kind, 'misses')
+      return { data: null, generation }
+    }
+    bump(kind, 'hits')
+    return { data: JSON.parse(raw), generation }
+  } catch (e) {
+    bump(kind, 'errors')
+    bump(kind, 'misses')
+    console.warn('webhook cache read failed', kind, targetName, e?.message || e)
+    return { data: null, generation }
+  }
+}
+
+async function cachePut(kind, targetName, payload, data, { ttlMs, generation } = {}) {
+  if (!(ttlMs > 0) || generation === null || generation === undefined) return
+  try {
+    if ((await currentGeneration(kind, targetName)) !== generation) return
+    await backend.set(entryKey(kind, targetName, generation, payload), JSON.stringify(data), 'PX', ttlMs)
+    bump(kind, 'writes')
+  } catch (e) {
+    bump(kind, 'errors')
+    console.warn('webhook cache write failed', kind, targetName, e?.message || e)
+  }
+}
+
+// Called after a write reaches the target: all cached reads of that kind + target go stale
+async function invalidateWebhookCache(kind, targetName) {
+  if (!kind || !targetName) return
+  try {
+    await backend.incr(generationKey(kind, targetName))
+    bump(kind, 'invalidations')
+  } catch (e) {
+    bump(kind, 'errors')
+    console.warn('webhook cache invalidation failed', kind, targetName, e?.message || e)
+  }
+}
+
+function cacheStats() {
+  const byKind = {}
+  const totals = { hits: 0, misses: 0, writes: 0, invalidations: 0, errors: 0 }
+  for (const [kind, s] of stats) {
+    const lookups = s.hits + s.misses
+    byKind[kind] = { ...s, hitRate: lookups ? Number((s.hits / lookups).toFixed(3)) : null }
+    for (const k of Object.keys(totals)) totals[k] += s[k]
+  }
+  const lookups = totals.hits + totals.misses
+  return {
+    backend: backend.name || 'custom',
+    // Counters are per server instance; the cached data itself lives in the backend
+    instance: process.pid,
+    ...(typeof backend.size === 'function' ? { entries: backend.size() } : {}),
+    totals: { ...totals, hitRate: lookups ? Number((totals.hits / lookups).toFixed(3)) : null },
+    byKind,
+  }
+}
+
+function resetCacheStats() {
+  stats.clear()
+}
+
+module.exports = {
+  createMemoryBackend,
+  setCacheBackend,
+  cacheGet,
+  cachePut,
+  invalidateWebhookCache,
+  cacheStats,
+  resetCacheStats,
+}
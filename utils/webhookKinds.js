@@ -0,0 +1,45 @@
+// Document kinds served by POST /api/forms/:kind/webhook. Adding a kind here is all
+// it takes to proxy a new document type to its Apps Script target.
+//
+// Each kind declares:
+//   name         URL segment and outbox source
+//   serialFields fields holding the document number (used for de-duplication and serial bookkeeping)
+//   schema       payload field types, plus what a save must carry
+//   cacheTtlMs   how long GET reads are cached
+//   pageSize     page size the sheet script returns (drives auto-pagination)
+
+const DEFAULT_CACHE_TTL_MS = 20 * 1000
+const DEFAULT_PAGE_SIZE = 100
+
+// Common payload shape from the client: { action, page, pageSize, lite, data: { serialNo, formValues, payload } }
+const BASE_FIELDS = {
+  action: 'string',
+  page: 'number',
+  pageSize: 'number',
+  data: 'object',
+  formValues: 'object',
+}
+
+module.exports = [
+  {
+    name: 'booking',
+    serialFields: ['bookingNo', 'serialNo'],
+    schema: { fields: BASE_FIELDS, save: { requireSerial: false } },
+    cacheTtlMs: DEFAULT_CACHE_TTL_MS,
+    pageSize: DEFAULT_PAGE_SIZE,
+  },
+  {
+    name: 'jobcard',
+    serialFields: ['jcNo', 'serialNo'],
+    schema: { fields: BASE_FIELDS, save: { requireSerial: true } },
+    cacheTtlMs: DEFAULT_CACHE_TTL_MS,
+    pageSize: DEFAULT_PAGE_SIZE,
+  },
+  {
+    name: 'quotation',
+    serialFields: ['serialNo', 'quotationNo'],
+    schema: { fields: BASE_FIELDS, save: { requireSerial: true } },
+    cacheTtlMs: DEFAULT_CACHE_TTL_MS,
+    pageSize: DEFAULT_PAGE_SIZE,
+  },
+]
@@ -0,0 +1,298 @@
+const { markSerialUsed } = require('./sequence')
+const { enqueueAndTryDeliver } = require('./outbox')
+const { callTarget } = require('./integrations')
+const { cacheGet, cachePut } = require('./webhookCache')
+const DEFAULT_KINDS = require('./webhookKinds')
+
+// --- Kind registry ---
+const KINDS = new Map()
+
+// Serial extractor from a list of field names, checked in the shapes clients send:
+// { data: { serialNo } }, { serialNo }, { formValues: { serialNo } }, { payload: { formValues: { serialNo } } }
+function serialExtractor(fields) {
+  return function (payload) {
+    if (!payload || typeof payload !== 'object') return null
+    const holders = [payload.data, payload, payload.formValues, payload.payload?.formValues]
+    for (const holder of holders) {
+      if (!holder || typeof holder !== 'object') continue
+      for (const f of fields) {
+        if (holder[f] !== undefined && holder[f] !== null && String(holder[f]).trim()) return String(holder[f]).trim()
+      }
+    }
+    return null
+  }
+}
+
+function registerWebhookKind(def) {
+  const name = String(def?.name || '').trim().toLowerCase()
+  if (!name) throw new Error('webhook kind needs a name')
+  const kind = {
+    cacheTtlMs: 20 * 1000,
+    pageSize: 100,
+    schema: { fields: {}, save: {} },
+    ...def,
+    name,
+  }
+  if (typeof kind.extractSerial !== 'function') kind.extractSerial = serialExtractor(kind.serialFields || ['serialNo'])
+  KINDS.set(name, kind)
+  return kind
+}
+
+function getWebhookKind(name) {
+  return KINDS.get(String(name || '').trim().toLowerCase()) || null
+}
+
+function listWebhookKinds() {
+  return Array.from(KINDS.keys())
+}
+
+DEFAULT_KINDS.forEach(registerWebhookKind)
+
+// --- Request classification ---
+
+// POST actions that only read from the sheet; everything else is a write and goes through the outbox
+const READ_ACTIONS = new Set(['list', 'get', 'search', 'find', 'lookup', 'count', 'current', 'pending'])
+function isReadAction(action) {
+  return READ_ACTIONS.has(String(action || '').toLowerCase())
+}
+
+function isSaveRequest(payload, method) {
+  const httpMethod = String(method || 'POST').toUpperCase()
+  const action = String(payload?.action || '').toLowerCase()
+  return httpMethod !== 'GET' && (!action || action === 'save')
+}
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => Number.isFinite(Number(v)) && String(v).trim() !== '',
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  boolean: (v) => typeof v === 'boolean' || v === 'true' || v === 'false',
+}
+
+// Returns a list of problems with the payload (empty when valid)
+function validatePayload(kind, payload, method) {
+  const errors = []
+  if (payload !== undefined && payload !== null && !TYPE_CHECKS.object(payload)) {
+    return ['payload must be an object']
+  }
+  const body = payload || {}
+  for (const [field, type] of Object.entries(kind.schema?.fields || {})) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') continue
+    const check = TYPE_CHECKS[type]
+    if (check && !check(body[field])) errors.push(`payload.${field} must be a ${type}`)
+  }
+  if (isSaveRequest(body, method)) {
+    const rules = kind.schema?.save || {}
+    if (rules.requireSerial && !kind.extractSerial(body)) {
+      errors.push(`A ${kind.name} save must carry its document number (${(kind.serialFields || ['serialNo']).join(' or ')})`)
+    }
+    for (const field of rules.required || []) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') errors.push(`payload.${field} is required`)
+    }
+  }
+  return errors
+}
+
+// GET reads are cached per kind + target + payload (see utils/webhookCache.js); concurrent
+// identical reads on this instance share one upstream call.
+const WEBHOOK_INFLIGHT = new Map() // key -> Promise<any>
+
+function inflightKey(kind, target, payload) {
+  try { return `${kind.name}|${target.name}|${JSON.stringify(payload || {})}` } catch { return `${kind.name}|${target.name}` }
+}
+async function withInflight(key, run) {
+  const existing = WEBHOOK_INFLIGHT.get(key)
+  if (existing) return existing
+  const p = (async () => run())()
+  WEBHOOK_INFLIGHT.set(key, p)
+  try { return await p } finally { WEBHOOK_INFLIGHT.delete(key) }
+}
+
+// --- Response shaping ---
+
+function extractRowsFromWebhookData(data) {
+  if (!data) return []
+  if (Array.isArray(data)) return data
+  if (Array.isArray(data.rows)) return data.rows
+  if (Array.isArray(data.data)) return data.data
+  return []
+}
+
+function extractTotalFromWebhookData(data) {
+  if (!data || typeof data !== 'object') return null
+  const keys = ['total', 'count', 'totalRows', 'totalCount']
+  for (const key of keys) {
+    const n = Number(data[key])
+    if (Number.isFinite(n) && n >= 0) return n
+  }
+  if (data.meta && typeof data.meta === 'object') {
+    for (const key of keys) {
+      const n = Number(data.meta[key])
+      if (Number.isFinite(n) && n >= 0) return n
+    }
+  }
+  return null
+}
+
+function mergeRowsIntoWebhookData(data, rows) {
+  const out = (data && typeof data === 'object' && !Array.isArray(data))
+    ? { ...data }
+    : {}
+  if (Array.isArray(data)) return rows
+  if (Array.isArray(out.rows)) out.rows = rows
+  else if (Array.isArray(out.data)) out.data = rows
+  else out.rows = rows
+  const total = rows.length
+  if ('total' in out || out.total === undefined) out.total = total
+  if ('count' in out) out.count = total
+  if ('totalRows' in out) out.totalRows = total
+  if ('totalCount' in out) out.totalCount = total
+  if ('page' in out) out.page = 1
+  if ('pageNo' in out) out.pageNo = 1
+  return out
+}
+
+function stripHeavyFieldsFromRow(row) {
+  if (!row || typeof row !== 'object') return row
+  const out = { ...row }
+  delete out.payload
+  delete out.Payload
+  delete out.PAYLOAD
+  delete out.rawPayload
+  if (out.values && typeof out.values === 'object') {
+    out.values = { ...out.values }
+    delete out.values.payload
+    delete out.values.Payload
+    delete out.values.PAYLOAD
+    delete out.values.rawPayload
+  }
+  return out
+}
+
+function applyLiteWebhookData(data, lite) {
+  if (!lite) return data
+  if (Array.isArray(data)) return data.map(stripHeavyFieldsFromRow)
+  if (!data || typeof data !== 'object') return data
+  const out = { ...data }
+  if (Array.isArray(out.rows)) out.rows = out.rows.map(stripHeavyFieldsFromRow)
+  if (Array.isArray(out.data)) out.data = out.data.map(stripHeavyFieldsFromRow)
+  return out
+}
+
+// --- Engine ---
+
+async function readWithCache(kind, target, payload, context) {
+  const cached = await cacheGet(kind.name, target.name, payload)
+  if (cached.data !== null) return cached.data
+  return withInflight(inflightKey(kind, target, payload), async () => {
+    const resp = await callTarget(target, { method: 'GET', payload, context })
+    if (!String(resp.status).startsWith('2')) {
+      const err = new Error(`Webhook call failed with status ${resp.status}`)
+      err.status = resp.status
+      err.data = resp.data
+      throw err
+    }
+    await cachePut(kind.name, target.name, payload, resp.data, { ttlMs: kind.cacheTtlMs, generation: cached.generation })
+    return resp.data
+  })
+}
+
+// GET reads; large one-shot list reads (analytics/export style) are stitched from kind.pageSize pages.
+// Normal UI pagination (pageSize up to kind.pageSize) is passed through untouched.
+async function proxyRead(kind, target, payload, context) {
+  const liteMode = Boolean(payload?.lite)
+  const action = String(payload?.action || '').toLowerCase()
+  const chunk = kind.pageSize
+  const requestedPage = Math.max(parseInt(payload?.page || '1', 10) || 1, 1)
+  const requestedPageSizeRaw = Math.max(parseInt(payload?.pageSize || payload?.pagesize || '0', 10) || 0, 0)
+  const requestedPageSize = requestedPageSizeRaw > 0 ? requestedPageSizeRaw : 10000
+  const shouldAutoPaginate = action === 'list' && requestedPage === 1 && (requestedPageSizeRaw === 0 || requestedPageSizeRaw > chunk)
+
+  if (!shouldAutoPaginate) {
+    return applyLiteWebhookData(await readWithCache(kind, target, payload || {}, context), liteMode)
+  }
+
+  const cached = await cacheGet(kind.name, target.name, payload)
+  if (cached.data !== null) return cached.data
+
+  const basePayload = { ...(payload || {}) }
+  let page = 1
+  let allRows = []
+  let firstData = null
+  let total = null
+  const MAX_PAGES = Math.max(1, Math.ceil(requestedPageSize / chunk))
+
+  while (page <= MAX_PAGES && allRows.length < requestedPageSize) {
+    const pageData = await readWithCache(kind, target, { ...basePayload, page }, context)
+    if (page === 1) firstData = pageData
+    if (total === null) total = extractTotalFromWebhookData(pageData)
+    const pageRows = extractRowsFromWebhookData(pageData)
+    if (!pageRows.length) break
+    allRows = allRows.concat(pageRows)
+    if (total !== null && allRows.length >= total) break
+    if (pageRows.length < chunk) break
+    page += 1
+  }
+
+  if (allRows.length > requestedPageSize) allRows = allRows.slice(0, requestedPageSize)
+  const merged = applyLiteWebhookData(mergeRowsIntoWebhookData(firstData, allRows), liteMode)
+  await cachePut(kind.name, target.name, payload, merged, { ttlMs: kind.cacheTtlMs, generation: cached.generation })
+  return merged
+}
+
+/**
+ * Forward one webhook request for a kind to its registered target.
+ * GET reads are cached/paginated, POST read actions pass straight through and
+ * writes are stored in the outbox first so a slow/down Apps Script does not lose them.
+ * Resolves with { status, body } for the route to send.
+ */
+async function proxyWebhook(kind, target, { payload, method = 'POST', context = {} } = {}) {
+  const httpMethod = String(method || 'POST').toUpperCase()
+  const action = String(payload?.action || '').toLowerCase()
+  const liteMode = Boolean(payload?.lite)
+
+  if (httpMethod === 'GET') {
+    const data = await proxyRead(kind, target, payload, context)
+    return { status: 200, body: { success: true, forwarded: true, status: 200, data } }
+  }
+
+  if (isReadAction(action)) {
+    const resp = await callTarget(target, { method: 'POST', payload: payload || {}, context })
+    if (String(resp.status).startsWith('2')) {
+      return { status: 200, body: { success: true, forwarded: true, status: resp.status, data: applyLiteWebhookData(resp.data, liteMode) } }
+    }
+    return { status: 502, body: { success: false, message: 'Webhook call failed', status: resp.status, data: resp.data } }
+  }
+
+  const serialKey = kind.extractSerial(payload)
+  const { message, delivered, result } = await enqueueAndTryDeliver({
+    kind: 'webhook',
+    target: target.url,
+    integration: target.name,
+    method: 'POST',
+    payload: payload || {},
+    source: kind.name,
+    serial: serialKey,
+  })
+  if (result?.dead) {
+    return { status: 502, body: { success: false, message: 'Webhook call failed', status: result.httpStatus, data: result.data, outboxId: message._id } }
+  }
+  if (isSaveRequest(payload, httpMethod) && serialKey) {
+    markSerialUsed(serialKey).catch((e) => console.warn('markSerialUsed failed', serialKey, e?.message || e))
+  }
+  if (delivered) {
+    return { status: 200, body: { success: true, forwarded: true, status: result.httpStatus, data: applyLiteWebhookData(result.data, liteMode), outboxId: message._id } }
+  }
+  return { status: 202, body: { success: true, queued: true, outboxId: message._id, message: 'Accepted; delivery will be retried in the background.' } }
+}
+
+module.exports = {
+  registerWebhookKind,
+  getWebhookKind,
+  listWebhookKinds,
+  serialExtractor,
+  isReadAction,
+  isSaveRequest,
+  validatePayload,
+  proxyWebhook,
+}
@@ -1,4 +1,8 @@
+const Message = require('../models/messageModel')
+
 const DEFAULT_CC = (process.env.WHATSAPP_DEFAULT_CC || '91').replace(/\D/g, '')
+const GRAPH_VERSION = process.env.WHATSAPP_GRAPH_VERSION || 'v21.0'
+const DEFAULT_TEMPLATE_LANGUAGE = process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en'
 
 function normalizeE164NoPlus(raw) {
   const digits = String(raw || '').replace(/\D/g, '')
@@ -11,32 +15,56 @@ function normalizeE164NoPlus(raw) {
   return digits
 }
 
-async function sendWhatsappText({ to, text, preview_url = false }) {
+function whatsappError(code, message, details) {
+  const err = new Error(message)
+  err.code = code
+  if (details) err.details = details
+  return err
+}
+
+function whatsappConfig() {
   const token = process.env.WHATSAPP_ACCESS_TOKEN
   const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID
-
   if (!token || !phoneNumberId) {
     const why = !token ? 'WHATSAPP_ACCESS_TOKEN missing' : 'WHATSAPP_PHONE_NUMBER_ID missing'
-    const err = new Error(`WhatsApp API not configured: ${why}`)
-    err.code = 'WA_NOT_CONFIGURED'
-    throw err
+    throw whatsappError('WA_NOT_CONFIGURED', `WhatsApp API not configured: ${why}`)
   }
+  return { token, phoneNumberId }
+}
 
-  const toE164 = normalizeE164NoPlus(to)
-  if (!toE164) {
-    const err = new Error('Invalid destination number')
-    err.code = 'INVALID_TO'
-    throw err
+// Message log entries are best effort: a logging failure never fails the send
+async function logMessage(entry) {
+  try {
+    return await Message.create(entry)
+  } catch (e) {
+    console.warn('whatsapp message log failed', e?.message || e)
+    return null
   }
+}
 
-  const url = `https://graph.facebook.com/v21.0/${phoneNumberId}/messages`
-  const payload = {
-    messaging_product: 'whatsapp',
-    to: toE164,
-    type: 'text',
-    text: { body: String(text || ''), preview_url: !!preview_url },
-  }
+function contextFields(context = {}) {
+  const out = {}
+  if (context.refModel) out.refModel = context.refModel
+  if (context.refId) out.refId = context.refId
+  if (context.refNo) out.refNo = context.refNo
+  if (context.customerId) out.customerId = context.customerId
+  if (context.userId) out.sentBy = context.userId
+  if (context.conversationId) out.conversation = context.conversationId
+  return out
+}
+
+/**
+ * POST one message to the Cloud API and record it in the Message log.
+ * `log` holds the type-specific log fields (text/template/media); `context` links the
+ * message to what it was about ({ refModel, refId, refNo, customerId, userId }).
+ */
+async function sendMessage(to, type, content, { log = {}, context } = {}) {
+  const { token, phoneNumberId } = whatsappConfig()
+  const toE164 = normalizeE164NoPlus(to)
+  if (!toE164) throw whatsappError('INVALID_TO', 'Invalid destination number')
 
+  const url = `https://graph.facebook.com/${GRAPH_VERSION}/${phoneNumberId}/messages`
+  const payload = { messaging_product: 'whatsapp', to: toE164, type, [type]: content }
   const res = await fetch(url, {
     method: 'POST',
     headers: {
@@ -47,16 +75,112 @@ async function sendWhatsappText({ to, text, preview_url = false }) {
   })
 
   const data = await res.json().catch(() => ({}))
+  const base = { to: toE164, type, ...log, ...contextFields(context) }
+  const now = new Date()
   if (!res.ok) {
     const msg = data?.error?.message || `WhatsApp API error (${res.status})`
-    const err = new Error(msg)
-    err.code = 'WA_API_ERROR'
-    err.details = data
-    throw err
+    await logMessage({
+      ...base,
+      status: 'failed',
+      failedAt: now,
+      statusHistory: [{ status: 'failed', at: now, error: msg }],
+      error: { code: String(data?.error?.code || res.status), message: msg },
+    })
+    throw whatsappError('WA_API_ERROR', msg, data)
   }
 
+  const logged = await logMessage({
+    ...base,
+    waMessageId: data?.messages?.[0]?.id,
+    status: 'accepted',
+    statusHistory: [{ status: 'accepted', at: now }],
+  })
+  if (logged) data.logId = logged._id
   return data
 }
 
-module.exports = { sendWhatsappText, normalizeE164NoPlus }
+async function sendWhatsappText({ to, text, preview_url = false, context }) {
+  const body = String(text || '')
+  return sendMessage(to, 'text', { body, preview_url: !!preview_url }, { log: { text: body }, context })
+}
+
+// { link } for a public URL, or { mediaId } from uploadWhatsappMedia
+function mediaObject({ link, mediaId }) {
+  if (mediaId) return { id: String(mediaId) }
+  if (link) return { link: String(link) }
+  throw whatsappError('WA_MEDIA_REQUIRED', 'link or mediaId is required')
+}
+
+async function sendWhatsappDocument({ to, link, mediaId, filename, caption, context }) {
+  const content = { ...mediaObject({ link, mediaId }) }
+  if (filename) content.filename = String(filename)
+  if (caption) content.caption = String(caption)
+  return sendMessage(to, 'document', content, { log: { media: { link, mediaId, filename, caption } }, context })
+}
+
+async function sendWhatsappImage({ to, link, mediaId, caption, context }) {
+  const content = { ...mediaObject({ link, mediaId }) }
+  if (caption) content.caption = String(caption)
+  return sendMessage(to, 'image', content, { log: { media: { link, mediaId, caption } }, context })
+}
+
+/**
+ * Approved template (the only kind Meta delivers outside the 24-hour session window).
+ * params fill {{1}}, {{2}}, ... in the body; header is optional:
+ *   { type: 'document', link | mediaId, filename } | { type: 'image', link | mediaId } | { type: 'text', params: [...] }
+ */
+async function sendWhatsappTemplate({ to, name, language = DEFAULT_TEMPLATE_LANGUAGE, params = [], header, context }) {
+  const templateName = String(name || '').trim()
+  if (!templateName) throw whatsappError('WA_TEMPLATE_REQUIRED', 'Template name is required')
+  const components = []
+  if (header && typeof header === 'object') {
+    const kind = String(header.type || '').toLowerCase()
+    if (kind === 'document') {
+      const doc = { ...mediaObject(header), ...(header.filename ? { filename: String(header.filename) } : {}) }
+      components.push({ type: 'header', parameters: [{ type: 'document', document: doc }] })
+    } else if (kind === 'image') {
+      components.push({ type: 'header', parameters: [{ type: 'image', image: mediaObject(header) }] })
+    } else if (kind === 'text') {
+      components.push({ type: 'header', parameters: (header.params || []).map((p) => ({ type: 'text', text: String(p ?? '') })) })
+    } else {
+      throw whatsappError('WA_BAD_HEADER', 'header.type must be document, image or text')
+    }
+  }
+  const bodyParams = (Array.isArray(params) ? params : [params]).map((p) => String(p ?? ''))
+  if (bodyParams.length) components.push({ type: 'body', parameters: bodyParams.map((text) => ({ type: 'text', text })) })
 
+  const content = { name: templateName, language: { code: language }, ...(components.length ? { components } : {}) }
+  const log = {
+    template: { name: templateName, language, params: bodyParams },
+    ...(header?.link || header?.mediaId ? { media: { link: header.link, mediaId: header.mediaId, filename: header.filename } } : {}),
+  }
+  return sendMessage(to, 'template', content, { log, context })
+}
+
+// Upload a file (e.g. a rendered PDF) and get a media id to send; media ids stay valid for 30 days
+async function uploadWhatsappMedia({ data, mimeType, filename }) {
+  const { token, phoneNumberId } = whatsappConfig()
+  const form = new FormData()
+  form.append('messaging_product', 'whatsapp')
+  form.append('type', mimeType)
+  form.append('file', new Blob([data], { type: mimeType }), filename || 'file')
+  const res = await fetch(`https://graph.facebook.com/${GRAPH_VERSION}/${phoneNumberId}/media`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok || !body?.id) {
+    throw whatsappError('WA_API_ERROR', body?.error?.message || `WhatsApp media upload failed (${res.status})`, body)
+  }
+  return body.id
+}
+
+module.exports = {
+  sendWhatsappText,
+  sendWhatsappTemplate,
+  sendWhatsappDocument,
+  sendWhatsappImage,
+  uploadWhatsappMedia,
+  normalizeE164NoPlus,
+}
@@ -0,0 +1,215 @@
+const Conversation = require('../models/conversationModel')
+const Customer = require('../models/customerModel')
+const Message = require('../models/messageModel')
+const { normalizeMobile10 } = require('./normalize')
+const {
+  sendWhatsappText,
+  sendWhatsappTemplate,
+  sendWhatsappDocument,
+  sendWhatsappImage,
+  normalizeE164NoPlus,
+} = require('./whatsapp')
+
+// WhatsApp customer service window: free-form replies only within 24h of the customer's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000
+const MEDIA_TYPES = new Set(['image', 'document', 'audio', 'video', 'sticker'])
+
+function inboxError(status, code, message) {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+function sessionOpen(conversation, now = new Date()) {
+  return !!conversation?.lastInboundAt && now - new Date(conversation.lastInboundAt) < SESSION_WINDOW_MS
+}
+
+// Customer and the branch that last served them for a WhatsApp number
+async function routeConversation(waId) {
+  const mobile = normalizeMobile10(waId)
+  const customer = mobile ? await Customer.findOne({ mobile }).select('lastBranch lastBranchCode firstBranch firstBranchCode').lean() : null
+  if (!customer) return {}
+  return {
+    customerId: customer._id,
+    branch: customer.lastBranch || customer.firstBranch,
+    branchCode: customer.lastBranchCode || customer.firstBranchCode,
+  }
+}
+
+// Message log fields for one entry of value.messages[]
+function inboundContent(m) {
+  const type = String(m?.type || 'unsupported')
+  const out = { type }
+  if (type === 'text') {
+    out.text = m.text?.body
+  } else if (MEDIA_TYPES.has(type)) {
+    const media = m[type] || {}
+    out.media = { mediaId: media.id, mimeType: media.mime_type, filename: media.filename, caption: media.caption }
+    out.text = media.caption
+  } else if (type === 'location') {
+    const loc = m.location || {}
+    out.location = { latitude: loc.latitude, longitude: loc.longitude, name: loc.name, address: loc.address }
+  } else if (type === 'button') {
+    out.text = m.button?.text
+  } else if (type === 'interactive') {
+    out.text = m.interactive?.button_reply?.title || m.interactive?.list_reply?.title
+    out.payload = m.interactive
+  } else if (type === 'reaction') {
+    out.text = m.reaction?.emoji
+    out.replyTo = m.reaction?.message_id
+  } else if (type === 'contacts') {
+    out.payload = m.contacts
+  } else {
+    out.type = 'unsupported'
+    out.payload = m
+  }
+  if (m?.context?.id) out.replyTo = m.context.id
+  return out
+}
+
+function previewOf(type, text) {
+  const t = String(text || '').trim()
+  return t ? t.slice(0, 120) : `[${type}]`
+}
+
+async function findOrOpenConversation(waId, profileName) {
+  let conversation = await Conversation.findOne({ waId })
+  if (conversation) {
+    // The customer may have been registered since the thread started
+    if (!conversation.customerId || !conversation.branchCode) {
+      const routing = await routeConversation(waId)
+      for (const [key, value] of Object.entries(routing)) if (value && !conversation[key]) conversation[key] = value
+    }
+    if (profileName) conversation.profileName = profileName
+    if (conversation.isModified()) await conversation.save()
+    return conversation
+  }
+  try {
+    conversation = await Conversation.create({ waId, profileName, ...(await routeConversation(waId)) })
+  } catch (err) {
+    // Two webhook deliveries for a new number at once: use the winner's thread
+    if (err?.code !== 11000) throw err
+    conversation = await Conversation.findOne({ waId })
+  }
+  return conversation
+}
+
+/**
+ * Store one inbound message (value.messages[] entry) in its conversation and reopen the thread.
+ * Returns false for duplicates (Meta redelivers webhooks it thinks failed).
+ */
+async function recordInboundMessage(m, value = {}) {
+  const waId = normalizeE164NoPlus(m?.from)
+  if (!waId || !m?.id) return false
+  if (await Message.exists({ waMessageId: String(m.id) })) return false
+
+  const contact = (Array.isArray(value.contacts) ? value.contacts : []).find((c) => c?.wa_id === m.from)
+  const conversation = await findOrOpenConversation(waId, contact?.profile?.name)
+  const at = m.timestamp ? new Date(Number(m.timestamp) * 1000) : new Date()
+  const content = inboundContent(m)
+  try {
+    await Message.create({
+      ...content,
+      direction: 'inbound',
+      from: waId,
+      to: normalizeE164NoPlus(value.metadata?.display_phone_number) || String(value.metadata?.phone_number_id || 'business'),
+      waMessageId: String(m.id),
+      status: 'received',
+      statusHistory: [{ status: 'received', at }],
+      conversation: conversation._id,
+      ...(conversation.customerId ? { customerId: conversation.customerId, refModel: 'Customer', refId: conversation.customerId } : {}),
+    })
+  } catch (err) {
+    if (err?.code === 11000) return false
+    throw err
+  }
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: { status: 'open', lastDirection: 'inbound', lastMessagePreview: previewOf(content.type, content.text) },
+      $max: { lastMessageAt: at, lastInboundAt: at },
+      $inc: { unreadCount: 1 },
+      $unset: { resolvedAt: 1, resolvedBy: 1 },
+    }
+  )
+  return true
+}
+
+/**
+ * Staff reply from the inbox: { type: 'text' | 'template' | 'document' | 'image', ... } as for /api/whatsapp/send.
+ * Outside the 24-hour window only an approved template can be sent.
+ */
+async function replyToConversation(conversation, input = {}, { userId } = {}) {
+  const type = String(input.type || 'text').toLowerCase()
+  if (type !== 'template' && !sessionOpen(conversation)) {
+    throw inboxError(409, 'WA_SESSION_CLOSED', 'The 24-hour reply window has closed; send an approved template instead')
+  }
+  const to = conversation.waId
+  const context = {
+    userId,
+    conversationId: conversation._id,
+    ...(conversation.customerId ? { refModel: 'Customer', refId: conversation.customerId, customerId: conversation.customerId } : {}),
+  }
+  let data
+  if (type === 'text') {
+    if (!String(input.text || '').trim()) throw inboxError(400, 'WA_TEXT_REQUIRED', 'text is required')
+    data = await sendWhatsappText({ to, text: input.text, preview_url: input.previewUrl, context })
+  } else if (type === 'template') {
+    data = await sendWhatsappTemplate({ to, ...(input.template || {}), context })
+  } else if (type === 'document') {
+    data = await sendWhatsappDocument({ to, ...(input.document || {}), context })
+  } else if (type === 'image') {
+    data = await sendWhatsappImage({ to, ...(input.image || {}), context })
+  } else {
+    throw inboxError(400, 'WA_BAD_TYPE', 'type must be text, template, document or image')
+  }
+
+  const text = type === 'text' ? input.text : type === 'template' ? input.template?.name : input[type]?.caption
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: { lastDirection: 'outbound', lastMessagePreview: previewOf(type, text), lastMessageAt: new Date(), unreadCount: 0 },
+    }
+  )
+  return data?.logId ? Message.findById(data.logId) : data
+}
+
+// Thread for a conversation, newest first; includes messages sent to the number from elsewhere (quotation PDFs, reminders)
+function conversationMessages(conversation, { limit = 100, before } = {}) {
+  const filter = { $or: [{ conversation: conversation._id }, { from: conversation.waId }, { to: conversation.waId }] }
+  if (before) filter.createdAt = { $lt: before }
+  return Message.find(filter).sort({ createdAt: -1 }).limit(limit).populate('sentBy', 'name')
+}
+
+/**
+ * List filter for staff. mine: conversations of the user's branches or assigned to them;
+ * status defaults to open ("all" for every status).
+ */
+function conversationListFilter(query = {}, user) {
+  const filter = {}
+  const status = String(query.status || 'open')
+  if (status !== 'all') filter.status = status
+  if (query.branchCode) filter.branchCode = String(query.branchCode).trim().toUpperCase()
+  if (String(query.unassigned) === 'true') filter.branchCode = { $exists: false }
+  if (query.q) {
+    const q = String(query.q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    filter.$or = [{ waId: new RegExp(q.replace(/\D/g, '') || q) }, { profileName: new RegExp(q, 'i') }]
+  }
+  if (String(query.mine) === 'true' && user) {
+    const branches = [user.primaryBranch, ...(user.branches || [])].filter(Boolean)
+    filter.$and = [{ $or: [{ assignedTo: user._id }, ...(branches.length ? [{ branch: { $in: branches } }] : [])] }]
+  }
+  return filter
+}
+
+module.exports = {
+  SESSION_WINDOW_MS,
+  sessionOpen,
+  routeConversation,
+  recordInboundMessage,
+  replyToConversation,
+  conversationMessages,
+  conversationListFilter,
+}
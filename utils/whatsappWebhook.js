@@ -0,0 +1,76 @@
+const crypto = require('crypto')
+const Message = require('../models/messageModel')
+const { recordInboundMessage } = require('./whatsappInbox')
+
+// Statuses only move forward; Meta may deliver "delivered" after "read"
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3 }
+const STATUS_TIME_FIELD = { sent: 'sentAt', delivered: 'deliveredAt', read: 'readAt', failed: 'failedAt' }
+
+const isWebhookConfigured = () => !!process.env.WHATSAPP_APP_SECRET
+
+// X-Hub-Signature-256 is an HMAC of the raw body with the app secret; never passes without a secret
+function verifyWebhookSignature(rawBody, header) {
+  const secret = process.env.WHATSAPP_APP_SECRET
+  if (!secret) return false
+  if (!rawBody || !header) return false
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  // Compare byte lengths: a non-ASCII header can match in characters and still differ in bytes
+  const given = Buffer.from(String(header))
+  const wanted = Buffer.from(expected)
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted)
+}
+
+/**
+ * Apply one entry of value.statuses[] to the Message log.
+ * Returns false when the message is unknown (e.g. sent from the Meta console).
+ */
+async function recordWhatsappStatus(s) {
+  const status = String(s?.status || '').toLowerCase()
+  if (!s?.id || !STATUS_TIME_FIELD[status]) return false
+  const msg = await Message.findOne({ waMessageId: String(s.id) })
+  if (!msg) return false
+
+  const at = s.timestamp ? new Date(Number(s.timestamp) * 1000) : new Date()
+  const err = Array.isArray(s.errors) ? s.errors[0] : null
+  const errorText = err ? String(err.error_data?.details || err.message || err.title || err.code).slice(0, 500) : undefined
+  msg.statusHistory.push({ status, at, ...(errorText ? { error: errorText } : {}) })
+
+  const field = STATUS_TIME_FIELD[status]
+  if (!msg[field] || at < msg[field]) msg[field] = at
+  if (status === 'failed') {
+    msg.status = 'failed'
+    msg.error = { code: err?.code !== undefined ? String(err.code) : undefined, message: errorText }
+  } else if (msg.status !== 'failed' && STATUS_RANK[status] > STATUS_RANK[msg.status]) {
+    msg.status = status
+  }
+  // A read receipt implies delivery even when the delivered event never arrives
+  if (status === 'read' && !msg.deliveredAt) msg.deliveredAt = at
+  await msg.save()
+  return true
+}
+
+// Walk a webhook payload (entry[].changes[].value): delivery statuses and inbound customer messages
+async function handleWhatsappWebhook(body) {
+  const summary = { statuses: 0, matched: 0, messages: 0, stored: 0 }
+  for (const entry of Array.isArray(body?.entry) ? body.entry : []) {
+    for (const change of Array.isArray(entry?.changes) ? entry.changes : []) {
+      const value = change?.value || {}
+      for (const s of Array.isArray(value.statuses) ? value.statuses : []) {
+        summary.statuses += 1
+        if (await recordWhatsappStatus(s)) summary.matched += 1
+      }
+      for (const m of Array.isArray(value.messages) ? value.messages : []) {
+        summary.messages += 1
+        if (await recordInboundMessage(m, value)) summary.stored += 1
+      }
+    }
+  }
+  return summary
+}
+
+module.exports = {
+  isWebhookConfigured,
+  verifyWebhookSignature,
+  recordWhatsappStatus,
+  handleWhatsappWebhook,
+}